@@ -0,0 +1,190 @@
+// Attachment store
+//
+// Images pasted into chat, anchor images and generated images are stored once,
+// as binary, and messages reference them by id instead of carrying base64.
+//
+// Metadata lives in the `attachments` collection:
+//   { _id, username, sha256, mimeType, size, name, createdAt, thumbnail?: { mimeType, size } }
+// Bytes live in a backend picked by ATTACHMENT_STORE:
+//   gridfs (default) — GridFS bucket `attachment_blobs`
+//   fs               — files under ATTACHMENT_DIR (default server/data/attachments), for local dev
+// Blob keys are `<_id>` and `<_id>.thumb`.
+//
+// Uploads are deduplicated per user by SHA-256: the same image uploaded twice
+// returns the first attachment. Thumbnails are made by the browser (it has the
+// decoded image already) and uploaded separately; without one the original is served.
+//
+// GET URLs are signed with the server secret (see auth.js) so <img src> works
+// without an Authorization header. A signed URL is a capability link: it stays
+// valid for as long as the attachment exists.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { GridFSBucket, ObjectId } = require('mongodb');
+const { sign } = require('./auth');
+
+const DEFAULT_DIR = path.join(__dirname, 'data', 'attachments');
+const MIME_IMAGE = /^image\/[\w.+-]+$/;
+
+// ── Backends ─────────────────────────────────────────────────────────────────
+// { write(key, buffer), read(key) → Readable, remove(key) }
+
+function createGridFsBackend(db, bucketName = 'attachment_blobs') {
+  const bucket = new GridFSBucket(db, { bucketName });
+  return {
+    write: (key, buffer) =>
+      new Promise((resolve, reject) => {
+        bucket.openUploadStream(key).on('error', reject).on('finish', resolve).end(buffer);
+      }),
+    read: (key) => bucket.openDownloadStreamByName(key),
+    async remove(key) {
+      for (const file of await bucket.find({ filename: key }).toArray()) await bucket.delete(file._id);
+    },
+  };
+}
+
+function createFsBackend(dir = DEFAULT_DIR) {
+  const file = (key) => path.join(dir, path.basename(key));
+  return {
+    async write(key, buffer) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(file(key), buffer);
+    },
+    read: (key) => fs.createReadStream(file(key)),
+    remove: (key) => fs.promises.rm(file(key), { force: true }),
+  };
+}
+
+function backendFromEnv(db) {
+  const name = (process.env.ATTACHMENT_STORE || 'gridfs').trim().toLowerCase();
+  if (name === 'fs') return createFsBackend(process.env.ATTACHMENT_DIR || DEFAULT_DIR);
+  if (name === 'gridfs') return createGridFsBackend(db);
+  throw new Error(`Unknown ATTACHMENT_STORE "${name}" (expected gridfs or fs)`);
+}
+
+// ── Signed URLs ──────────────────────────────────────────────────────────────
+
+const signature = (id, thumb) => sign(`attachment:${id}${thumb ? ':thumb' : ''}`);
+
+const attachmentUrl = (id, { thumb = false } = {}) =>
+  `/api/attachments/${id}?${thumb ? 'thumb=1&' : ''}sig=${signature(id, thumb)}`;
+
+function verifySignature(id, thumb, sig) {
+  const expected = Buffer.from(signature(id, thumb));
+  const given = Buffer.from(String(sig || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Metadata (or a stored { id } reference) → what the browser gets
+const attachmentRef = (meta) => {
+  const id = String(meta._id || meta.id);
+  return {
+    id,
+    mimeType: meta.mimeType,
+    name: meta.name || null,
+    url: attachmentUrl(id),
+    thumbnailUrl: attachmentUrl(id, { thumb: true }),
+  };
+};
+
+// ── Store ────────────────────────────────────────────────────────────────────
+
+const INDEXES = [{ key: { username: 1, sha256: 1 }, unique: true }];
+
+function createAttachmentStore({ collection, backend }) {
+  const own = (username, id) => ({ _id: new ObjectId(id), username });
+
+  return {
+    // → metadata of the new attachment, or of the identical one stored before
+    async put({ username, buffer, mimeType, name = null }) {
+      if (!MIME_IMAGE.test(mimeType || '')) throw new Error('Only images can be attached');
+      const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+      const existing = await collection.findOne({ username, sha256 });
+      if (existing) return existing;
+
+      const meta = { _id: new ObjectId(), username, sha256, mimeType, size: buffer.length, name, createdAt: new Date() };
+      await backend.write(String(meta._id), buffer);
+      try {
+        await collection.insertOne(meta);
+        return meta;
+      } catch (err) {
+        // Same image uploaded concurrently: keep the one that won
+        await backend.remove(String(meta._id));
+        if (err.code === 11000) return collection.findOne({ username, sha256 });
+        throw err;
+      }
+    },
+
+    async putThumbnail({ username, id, buffer, mimeType }) {
+      if (!MIME_IMAGE.test(mimeType || '')) throw new Error('Thumbnails must be images');
+      const meta = await collection.findOne(own(username, id));
+      if (!meta) return null;
+      await backend.write(`${id}.thumb`, buffer);
+      const thumbnail = { mimeType, size: buffer.length };
+      await collection.updateOne({ _id: meta._id }, { $set: { thumbnail } });
+      return { ...meta, thumbnail };
+    },
+
+    // Metadata for the caller's attachments among ids, in the order asked (missing ones dropped)
+    async findOwned(username, ids) {
+      const docs = await collection.find({ username, _id: { $in: ids.map((id) => new ObjectId(id)) } }).toArray();
+      return ids.map((id) => docs.find((d) => d._id.equals(id))).filter(Boolean);
+    },
+
+    // → { meta, stream, mimeType, size } or null; `thumb` falls back to the original
+    async open(id, { username, thumb = false } = {}) {
+      const meta = await collection.findOne(username ? own(username, id) : { _id: new ObjectId(id) });
+      if (!meta) return null;
+      const useThumb = thumb && meta.thumbnail;
+      return {
+        meta,
+        stream: backend.read(useThumb ? `${id}.thumb` : String(meta._id)),
+        mimeType: useThumb ? meta.thumbnail.mimeType : meta.mimeType,
+        size: useThumb ? meta.thumbnail.size : meta.size,
+      };
+    },
+
+    // Inline data for a model request
+    async readBase64(username, id) {
+      const file = await this.open(id, { username });
+      if (!file) return null;
+      const chunks = [];
+      for await (const chunk of file.stream) chunks.push(chunk);
+      return { data: Buffer.concat(chunks).toString('base64'), mimeType: file.mimeType };
+    },
+
+    // Deletes the caller's attachments among ids with their thumbnails → how many
+    async remove(username, ids) {
+      if (!ids.length) return 0;
+      const docs = await this.findOwned(username, ids);
+      for (const { _id } of docs) {
+        await backend.remove(String(_id));
+        await backend.remove(`${_id}.thumb`);
+      }
+      await collection.deleteMany({ _id: { $in: docs.map((d) => d._id) } });
+      return docs.length;
+    },
+
+    async removeAll(username) {
+      const docs = await collection.find({ username }, { projection: { _id: 1 } }).toArray();
+      for (const { _id } of docs) {
+        await backend.remove(String(_id));
+        await backend.remove(`${_id}.thumb`);
+      }
+      await collection.deleteMany({ username });
+      return docs.length;
+    },
+  };
+}
+
+module.exports = {
+  INDEXES,
+  createAttachmentStore,
+  createGridFsBackend,
+  createFsBackend,
+  backendFromEnv,
+  attachmentUrl,
+  attachmentRef,
+  verifySignature,
+};
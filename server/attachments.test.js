@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { createAttachmentStore, createFsBackend, attachmentUrl, verifySignature } = require('./attachments');
+
+// In-memory stand-in for the attachments collection (equality and $in filters)
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, want]) =>
+    want?.$in ? want.$in.some((v) => String(v) === String(doc[key])) : String(doc[key]) === String(want)
+  );
+const fakeCollection = () => {
+  const docs = [];
+  return {
+    docs,
+    findOne: async (filter) => docs.find((d) => matches(d, filter)) || null,
+    insertOne: async (doc) => { docs.push(doc); },
+    updateOne: async (filter, { $set }) => Object.assign(docs.find((d) => matches(d, filter)), $set),
+    find: (filter) => ({ toArray: async () => docs.filter((d) => matches(d, filter)) }),
+    deleteMany: async (filter) => {
+      for (let i = docs.length - 1; i >= 0; i--) if (matches(docs[i], filter)) docs.splice(i, 1);
+    },
+  };
+};
+
+const setup = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+  const collection = fakeCollection();
+  const store = createAttachmentStore({ collection, backend: createFsBackend(dir) });
+  return { dir, collection, store };
+};
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+test('identical uploads from one user are stored once', async () => {
+  const { dir, collection, store } = setup();
+  const first = await store.put({ username: 'ada', buffer: PNG, mimeType: 'image/png', name: 'a.png' });
+  const again = await store.put({ username: 'ada', buffer: Buffer.from(PNG), mimeType: 'image/png', name: 'b.png' });
+  const other = await store.put({ username: 'bob', buffer: PNG, mimeType: 'image/png' });
+
+  assert.equal(String(again._id), String(first._id));
+  assert.notEqual(String(other._id), String(first._id));
+  assert.equal(collection.docs.length, 2);
+  assert.equal(fs.readdirSync(dir).length, 2);
+  await assert.rejects(store.put({ username: 'ada', buffer: PNG, mimeType: 'text/html' }), /Only images/);
+});
+
+test('reads go through ownership and fall back to the original without a thumbnail', async () => {
+  const { store } = setup();
+  const meta = await store.put({ username: 'ada', buffer: PNG, mimeType: 'image/png' });
+  const id = String(meta._id);
+
+  assert.equal(await store.readBase64('bob', id), null);
+  assert.deepEqual(await store.readBase64('ada', id), { data: PNG.toString('base64'), mimeType: 'image/png' });
+
+  const noThumb = await store.open(id, { thumb: true });
+  assert.equal(noThumb.mimeType, 'image/png');
+  noThumb.stream.destroy();
+
+  assert.equal(await store.putThumbnail({ username: 'bob', id, buffer: PNG, mimeType: 'image/jpeg' }), null);
+  await store.putThumbnail({ username: 'ada', id, buffer: Buffer.from('thumb'), mimeType: 'image/jpeg' });
+  const thumb = await store.open(id, { thumb: true });
+  assert.equal(thumb.mimeType, 'image/jpeg');
+  assert.equal(thumb.size, 5);
+  thumb.stream.destroy();
+
+  assert.equal(await store.removeAll('ada'), 1);
+  assert.equal(await store.open(id), null);
+});
+
+test('removing attachments only touches the caller\'s own', async () => {
+  const { dir, store } = setup();
+  const ada = await store.put({ username: 'ada', buffer: PNG, mimeType: 'image/png' });
+  const bob = await store.put({ username: 'bob', buffer: PNG, mimeType: 'image/png' });
+  assert.equal(await store.remove('ada', [String(ada._id), String(bob._id)]), 1);
+  assert.equal(await store.open(String(ada._id)), null);
+  assert.ok(await store.readBase64('bob', String(bob._id)));
+  assert.equal(fs.readdirSync(dir).length, 1);
+});
+
+test('URLs are signed per attachment and per variant', () => {
+  const id = '65f0c0ffee0000000000abcd';
+  const sig = new URL(attachmentUrl(id), 'http://x').searchParams.get('sig');
+  const thumbSig = new URL(attachmentUrl(id, { thumb: true }), 'http://x').searchParams.get('sig');
+  assert.ok(verifySignature(id, false, sig));
+  assert.ok(verifySignature(id, true, thumbSig));
+  assert.ok(!verifySignature(id, true, sig));
+  assert.ok(!verifySignature('65f0c0ffee0000000000abce', false, sig));
+  assert.ok(!verifySignature(id, false, undefined));
+});
@@ -0,0 +1,79 @@
+// Session tokens for the API
+// Tokens are JWT-shaped (header.payload.signature, base64url) and signed with
+// HMAC-SHA256, so any server instance holding AUTH_SECRET can verify them offline.
+
+const crypto = require('crypto');
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS, 10) || 7 * 24 * 3600;
+
+let SECRET = (process.env.AUTH_SECRET || '').trim();
+if (!SECRET) {
+  // Dev fallback: tokens stop verifying whenever the server restarts
+  SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('[auth] AUTH_SECRET not set — using a random secret; users must log in again after a restart');
+}
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+function sign(data) {
+  return crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+}
+
+// Issue a token for a user document (or { username, firstName, lastName })
+function issueToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = b64url(
+    JSON.stringify({
+      sub: user.username,
+      firstName: user.firstName || '',
+      lastName: user.lastName || '',
+      iat: now,
+      exp: now + TOKEN_TTL_SECONDS,
+    })
+  );
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+// Returns the decoded payload, or null if the token is malformed, tampered with or expired
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+  const [header, payload, signature] = token.split('.');
+  if (!header || !payload || !signature) return null;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.sub || (claims.exp && claims.exp * 1000 < Date.now())) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+// The first second a user's tokens are good from. Tokens issued earlier are
+// revoked: before a password change or reset, or before the account was
+// created (they belonged to a deleted account of the same name).
+const validFrom = (user) =>
+  Math.floor(Math.max(Date.parse(user.createdAt) || 0, Date.parse(user.passwordChangedAt) || 0) / 1000);
+
+// Express middleware: resolves the caller from "Authorization: Bearer <token>" into req.user.
+// findUser(username) → the user document (createdAt, passwordChangedAt) or null
+function createRequireAuth(findUser) {
+  return async function requireAuth(req, res, next) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    const claims = match && verifyToken(match[1].trim());
+    if (!claims) return res.status(401).json({ error: 'Authentication required' });
+    try {
+      const user = await findUser(claims.sub);
+      if (!user || !(claims.iat >= validFrom(user))) return res.status(401).json({ error: 'Authentication required' });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    req.user = { username: claims.sub, firstName: claims.firstName, lastName: claims.lastName };
+    next();
+  };
+}
+
+module.exports = { issueToken, verifyToken, createRequireAuth, sign };
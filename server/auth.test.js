@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AUTH_SECRET = 'test-secret';
+const { issueToken, verifyToken, createRequireAuth, sign } = require('./auth');
+
+// Runs the middleware on a request with `token` → { status, body, user }
+async function authenticate(requireAuth, token) {
+  const req = { headers: token === undefined ? {} : { authorization: `Bearer ${token}` } };
+  const out = {};
+  const res = {
+    status(code) {
+      out.status = code;
+      return this;
+    },
+    json(body) {
+      out.body = body;
+      return this;
+    },
+  };
+  await requireAuth(req, res, () => {
+    out.user = req.user;
+  });
+  return out;
+}
+
+const b64json = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// A token signed with the server's key for any claims
+const signedToken = (claims) => {
+  const head = `${b64json({ alg: 'HS256', typ: 'JWT' })}.${b64json(claims)}`;
+  return `${head}.${sign(head)}`;
+};
+
+const isoSecondsAgo = (s) => new Date(Date.now() - s * 1000).toISOString();
+
+test('an issued token verifies back to its claims', () => {
+  const claims = verifyToken(issueToken({ username: 'ada', firstName: 'Ada', lastName: 'Lovelace' }));
+  assert.equal(claims.sub, 'ada');
+  assert.equal(claims.firstName, 'Ada');
+  assert.equal(claims.lastName, 'Lovelace');
+  assert.ok(claims.exp > claims.iat);
+});
+
+test('a changed payload or signature does not verify', () => {
+  const [header, payload, signature] = issueToken({ username: 'ada' }).split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  assert.equal(verifyToken(`${header}.${b64json({ ...claims, sub: 'root' })}.${signature}`), null);
+  const flipped = `${signature.startsWith('A') ? 'B' : 'A'}${signature.slice(1)}`;
+  assert.equal(verifyToken(`${header}.${payload}.${flipped}`), null);
+  assert.equal(verifyToken(`${header}.${payload}.${signature}x`), null);
+});
+
+test('an expired token does not verify', () => {
+  const now = Math.floor(Date.now() / 1000);
+  assert.equal(verifyToken(signedToken({ sub: 'ada', iat: now - 100, exp: now - 1 })), null);
+  assert.equal(verifyToken(signedToken({ sub: 'ada', iat: now, exp: now + 60 })).sub, 'ada');
+});
+
+test('malformed and non-string tokens do not verify', () => {
+  for (const token of [undefined, null, 42, {}, '', 'abc', 'a.b', 'a..c', '..']) {
+    assert.equal(verifyToken(token), null, JSON.stringify(token));
+  }
+  // Signed, but not JSON or without a subject
+  const head = `${b64json({ alg: 'HS256' })}.${Buffer.from('not json').toString('base64url')}`;
+  assert.equal(verifyToken(`${head}.${sign(head)}`), null);
+  assert.equal(verifyToken(signedToken({ iat: 1 })), null);
+});
+
+test('requireAuth answers 401 without a valid token and sets req.user with one', async () => {
+  const requireAuth = createRequireAuth(async () => ({ createdAt: isoSecondsAgo(3600) }));
+  for (const token of [undefined, '', 'abc', issueToken({ username: 'ada' }).slice(0, -2)]) {
+    const out = await authenticate(requireAuth, token);
+    assert.equal(out.status, 401);
+    assert.deepEqual(out.body, { error: 'Authentication required' });
+    assert.equal(out.user, undefined);
+  }
+  const out = await authenticate(requireAuth, issueToken({ username: 'ada', firstName: 'Ada' }));
+  assert.equal(out.status, undefined);
+  assert.deepEqual(out.user, { username: 'ada', firstName: 'Ada', lastName: '' });
+});
+
+test('a password change or reset revokes the tokens issued before it', async () => {
+  const users = { ada: { createdAt: isoSecondsAgo(3600) } };
+  const requireAuth = createRequireAuth(async (username) => users[username] ?? null);
+  const before = issueToken({ username: 'ada' });
+  assert.equal((await authenticate(requireAuth, before)).user.username, 'ada');
+
+  // Tokens carry whole seconds, so the change is stamped in the next one
+  users.ada.passwordChangedAt = new Date(Date.now() + 1000).toISOString();
+  assert.equal((await authenticate(requireAuth, before)).status, 401);
+});
+
+test('tokens of a deleted account work neither after deletion nor for a new account of that name', async () => {
+  const users = { ada: { createdAt: isoSecondsAgo(3600) } };
+  const requireAuth = createRequireAuth(async (username) => users[username] ?? null);
+  const token = issueToken({ username: 'ada' });
+
+  delete users.ada;
+  assert.equal((await authenticate(requireAuth, token)).status, 401);
+
+  users.ada = { createdAt: new Date(Date.now() + 1000).toISOString() };
+  assert.equal((await authenticate(requireAuth, token)).status, 401);
+});
+
+test('a failing user lookup is a server error, not a pass', async () => {
+  const requireAuth = createRequireAuth(async () => {
+    throw new Error('db down');
+  });
+  const out = await authenticate(requireAuth, issueToken({ username: 'ada' }));
+  assert.equal(out.status, 500);
+  assert.equal(out.user, undefined);
+});
@@ -0,0 +1,316 @@
+// Server-side chat logic — model calls go through the provider in ./llm, so
+// API keys never leave the server and the mock provider can stand in offline.
+//   streamChat()       — search-grounded or code-execution chat, yielded as events
+//   streamToolsTurn()  — one step of the function-calling loop; the browser executes
+//                        the requested tools and calls back with their results
+
+const { getProvider } = require('./llm');
+const { buildContext } = require('./context');
+const { loadPersonaPrompt } = require('./personas');
+
+// history: [{ role: 'user'|'model', content, toolCalls?, charts? }] → Gemini contents
+// trimmed to the context budget (see context.js), plus the system instruction:
+// the session persona's prompt and the summary of anything older.
+// session: { load() → { agent, contextSummary }, saveSummary(contextSummary) }, or null.
+async function buildConversation(history, session) {
+  const stored = session ? await session.load() : null;
+  const [personaPrompt, { summary, messages, update }] = await Promise.all([
+    loadPersonaPrompt(stored?.agent),
+    buildContext(history, { stored: stored?.contextSummary }),
+  ]);
+  if (update && session) {
+    session.saveSummary(update).catch((err) => console.error('[context] saving summary failed:', err.message));
+  }
+
+  const systemInstruction = [
+    personaPrompt,
+    summary && `Summary of the earlier conversation:\n\n${summary}`,
+  ]
+    .filter(Boolean)
+    .join('\n\n---\n\n');
+  const contents = messages.map((m) => ({ role: m.role, parts: [{ text: m.text }] }));
+  return { systemInstruction, contents };
+}
+
+const messageParts = (text, imageParts = []) =>
+  [
+    { text },
+    ...imageParts.map((img) => ({
+      inlineData: { mimeType: img.mimeType || 'image/png', data: img.data },
+    })),
+  ].filter((p) => p.text !== undefined || p.inlineData !== undefined);
+
+// Gemini response parts → the structured parts the browser renders (StructuredParts)
+function structureParts(allParts) {
+  return allParts
+    .map((p) => {
+      if (p.text) return { type: 'text', text: p.text };
+      if (p.executableCode)
+        return {
+          type: 'code',
+          language: p.executableCode.language || 'PYTHON',
+          code: p.executableCode.code,
+        };
+      if (p.codeExecutionResult)
+        return {
+          type: 'result',
+          outcome: p.codeExecutionResult.outcome,
+          output: p.codeExecutionResult.output,
+        };
+      if (p.inlineData)
+        return { type: 'image', mimeType: p.inlineData.mimeType, data: p.inlineData.data };
+      return null;
+    })
+    .filter(Boolean);
+}
+
+// Streams one model call's text; returns its final { parts, grounding }
+async function* runModel(request) {
+  let response = { parts: [], grounding: null };
+  for await (const event of getProvider().streamContent(request)) {
+    if (event.type === 'text') yield event;
+    else if (event.type === 'response') response = event;
+  }
+  return response;
+}
+
+// Yields:
+//   { type: 'text', text }           — streaming text chunks
+//   { type: 'step', step, index, total } — combined mode: a new step started
+//   { type: 'fullResponse', parts }  — when code was executed; replaces streamed text
+//   { type: 'grounding', data }      — Google Search metadata
+//
+// fullResponse parts: { type: 'text'|'code'|'result'|'image', ... }
+//
+// useCodeExecution: true to use the codeExecution tool (CSV/analysis),
+//                   false to use googleSearch.
+// combine: 'search-code' | 'code-search' runs both tools, one after the other
+//          (see streamCombined) — Gemini does not support both in one request.
+async function* streamChat({ history = [], message, imageParts = [], useCodeExecution = false, combine, session = null }) {
+  const { systemInstruction, contents } = await buildConversation(history, session);
+  if (combine) {
+    yield* streamCombined({ systemInstruction, contents, message, imageParts, order: combine });
+    return;
+  }
+
+  const tools = useCodeExecution ? { codeExecution: true } : { search: true };
+  contents.push({ role: 'user', parts: messageParts(message, imageParts) });
+
+  // Stream text chunks for live display; the final response carries every part
+  const response = yield* runModel({ systemInstruction, contents, tools });
+
+  // After stream: inspect all response parts
+  const allParts = response.parts;
+
+  const hasCodeExecution = allParts.some(
+    (p) =>
+      p.executableCode ||
+      p.codeExecutionResult ||
+      (p.inlineData && p.inlineData.mimeType?.startsWith('image/'))
+  );
+
+  if (hasCodeExecution) {
+    // Ordered structured parts replace the streamed text
+    yield { type: 'fullResponse', parts: structureParts(allParts) };
+  }
+
+  // Grounding metadata (search sources)
+  if (response.grounding) yield { type: 'grounding', data: response.grounding };
+}
+
+// ── Search + code in one turn ─────────────────────────────────────────────────
+// Two model calls: the first step's findings are handed to the second as
+// context. 'search-code' looks facts up and then computes with them;
+// 'code-search' computes first and then checks the results against the web.
+// The message gets both steps' parts and the search step's sources.
+
+const STEPS = {
+  search: {
+    tools: { search: true },
+    first: 'Step 1 of 2: use Google Search to gather the facts, figures and dates needed for the request below. ' +
+      'List them concisely with where they came from. Do not do any calculations yet.',
+    second: 'Step 2 of 2: below are the results of a Python analysis for the request. Use Google Search to ' +
+      'check them against current, published figures, and explain what they mean.',
+  },
+  code: {
+    tools: { codeExecution: true },
+    first: 'Step 1 of 2: write and run Python to compute what the request below needs. Print the key results.',
+    second: 'Step 2 of 2: below are facts gathered with Google Search. Use them as the data for Python code ' +
+      'that answers the request, run it, and explain the result.',
+  },
+};
+
+// What the next step needs to know from this one: its text and program output
+const findings = (parts) =>
+  parts
+    .map((p) => (p.type === 'text' ? p.text : p.type === 'result' ? `Output:\n${p.output}` : ''))
+    .filter(Boolean)
+    .join('\n\n');
+
+async function* streamCombined({ systemInstruction, contents, message, imageParts, order }) {
+  const steps = order === 'code-search' ? ['code', 'search'] : ['search', 'code'];
+  const collected = [];
+  let grounding = null;
+  let previous = '';
+
+  for (const [index, step] of steps.entries()) {
+    yield { type: 'step', step, index, total: steps.length };
+    const { tools, first, second } = STEPS[step];
+    const instruction = index === 0 ? first : `${second}\n\n${previous}`;
+    const stepContents = [
+      ...contents,
+      { role: 'user', parts: messageParts(`${instruction}\n\nRequest:\n${message}`, imageParts) },
+    ];
+
+    const response = yield* runModel({ systemInstruction, contents: stepContents, tools });
+    const parts = structureParts(response.parts);
+    collected.push(...parts);
+    grounding = response.grounding || grounding;
+    previous = findings(parts);
+  }
+
+  yield { type: 'fullResponse', parts: collected };
+  if (grounding) yield { type: 'grounding', data: grounding };
+}
+
+// ── Function calling (CSV tools) ──────────────────────────────────────────────
+// Round-trip protocol, stateless on the server:
+//   1st call:  { history, message, csvHeaders, imageParts, functionDeclarations, session }
+//   next calls: { systemInstruction, contents, functionResponses: [{ name, response }],
+//                 functionDeclarations }
+// Yields:
+//   { type: 'text', text }                                — streamed as it arrives
+//   { type: 'functionCalls', functionCalls,               — last event when the model wants
+//     systemInstruction, contents }                         tools run; functionCalls is every
+//                                                           { name, args } in the turn
+// No functionCalls event means the streamed text was the final answer. All calls
+// must be answered together, one functionResponse per call, in the same order.
+// `systemInstruction` and `contents` must be sent back unchanged.
+
+async function* streamToolsTurn({
+  history = [],
+  message,
+  csvHeaders,
+  imageParts = [],
+  systemInstruction = '',
+  contents,
+  functionResponses,
+  functionDeclarations = [],
+  session = null,
+}) {
+  let conversation;
+  if (contents) {
+    conversation = [
+      ...contents,
+      { role: 'user', parts: functionResponses.map((functionResponse) => ({ functionResponse })) },
+    ];
+  } else {
+    const built = await buildConversation(history, session);
+    systemInstruction = built.systemInstruction;
+    // Include column names so the model can match user intent to exact column names
+    const msgWithContext = csvHeaders?.length
+      ? `[CSV columns: ${csvHeaders.join(', ')}]\n\n${message}`
+      : message;
+    conversation = [...built.contents, { role: 'user', parts: messageParts(msgWithContext, imageParts) }];
+  }
+
+  const { parts } = yield* runModel({
+    systemInstruction,
+    contents: conversation,
+    tools: { functionDeclarations },
+  });
+
+  const functionCalls = parts.filter((p) => p.functionCall).map((p) => p.functionCall);
+  if (functionCalls.length) {
+    yield {
+      type: 'functionCalls',
+      functionCalls,
+      systemInstruction,
+      contents: [...conversation, { role: 'model', parts }],
+    };
+  }
+}
+
+// ── Routing ───────────────────────────────────────────────────────────────────
+// Fallback classifier for src/services/router.js when its rules aren't sure.
+// Resolves to { mode: 'search'|'code'|'tools'|'combined', confidence, order? }.
+
+const ROUTE_MODES = ['search', 'code', 'tools', 'combined'];
+
+async function classifyMode({ message, context = {} }) {
+  const facts = [
+    context.hasDataset ? 'A CSV/JSON dataset is loaded.' : 'No dataset is loaded.',
+    context.hasImages ? 'The user attached images.' : null,
+    context.hasNewCsv ? 'The user just attached a CSV file.' : null,
+  ].filter(Boolean);
+  const prompt = [
+    'Route this message to one handler. Answer with JSON only: {"mode": "...", "confidence": 0-1}',
+    'search   — answer from knowledge and Google Search (questions, facts, writing, advice)',
+    'code     — write and run Python (calculations, plots, statistics, modelling)',
+    'tools    — use the data tools on the loaded dataset (stats, filters, group-by summaries, top rows,',
+    '           correlations, linear regressions) or on attached images, or generate an image',
+    'combined — needs current facts from the web AND a calculation or plot on them; add',
+    '           "order": "search-code" (look up, then compute) or "code-search" (compute, then verify)',
+    '',
+    ...facts,
+    '',
+    `Message: ${JSON.stringify(message)}`,
+  ].join('\n');
+
+  const { parts } = await getProvider().generateContent({
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+  });
+  const text = parts.filter((p) => p.text).map((p) => p.text).join('');
+  const json = text.match(/\{[\s\S]*\}/);
+  let decision = null;
+  try {
+    decision = json && JSON.parse(json[0]);
+  } catch {
+    decision = null;
+  }
+  if (!decision || !ROUTE_MODES.includes(decision.mode)) {
+    throw new Error('Router returned no usable decision');
+  }
+  const confidence = Number(decision.confidence);
+  return {
+    mode: decision.mode,
+    confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.5,
+    ...(decision.mode === 'combined' && {
+      order: decision.order === 'code-search' ? 'code-search' : 'search-code',
+    }),
+  };
+}
+
+// ── Titles ────────────────────────────────────────────────────────────────────
+// Sidebar title for a chat, from its first exchange.
+
+const TITLE_MAX = 60;
+
+// Model output → a bare title, or null when nothing usable came back
+function cleanTitle(text) {
+  const title = String(text || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .find(Boolean)
+    ?.replace(/^(title\s*:\s*)/i, '')
+    .replace(/^[#*"'“‘\s]+|[*"'”’.\s]+$/g, '')
+    .replace(/\s+/g, ' ');
+  if (!title) return null;
+  return title.length > TITLE_MAX ? `${title.slice(0, TITLE_MAX - 1).trimEnd()}…` : title;
+}
+
+async function generateTitle({ prompt, answer = '' }) {
+  const request = [
+    'Write a short title (at most 6 words) for a chat that starts like this. Answer with the title only.',
+    '',
+    `User: ${prompt.slice(0, 2000)}`,
+    answer ? `Assistant: ${answer.slice(0, 2000)}` : null,
+  ].filter((line) => line !== null).join('\n');
+
+  const { parts } = await getProvider().generateContent({
+    contents: [{ role: 'user', parts: [{ text: request }] }],
+  });
+  return cleanTitle(parts.filter((p) => p.text).map((p) => p.text).join(''));
+}
+
+module.exports = { streamChat, streamToolsTurn, classifyMode, generateTitle, cleanTitle };
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setProvider } = require('./llm');
+const { createMockProvider } = require('./llm/mock');
+const { streamChat, streamToolsTurn, classifyMode, generateTitle, cleanTitle } = require('./chat');
+
+setProvider(createMockProvider());
+
+const collect = async (iterable) => {
+  const events = [];
+  for await (const event of iterable) events.push(event);
+  return events;
+};
+
+test('search chat streams text chunks, then grounding', async () => {
+  const events = await collect(streamChat({ message: 'What is trending this week?' }));
+  const text = events.filter((e) => e.type === 'text').map((e) => e.text).join('');
+  assert.equal(text, "Here's a canned, search-grounded answer from the mock provider.");
+  assert.equal(events.at(-1).type, 'grounding');
+  assert.equal(events.at(-1).data.groundingChunks[0].web.uri, 'https://example.com/');
+});
+
+test('code execution yields structured parts', async () => {
+  const events = await collect(streamChat({ message: 'compute the mean', useCodeExecution: true }));
+  const full = events.find((e) => e.type === 'fullResponse');
+  assert.deepEqual(full.parts.map((p) => p.type), ['text', 'code', 'result', 'text']);
+  assert.match(full.parts[2].output, /^3\.83/);
+});
+
+test('combined mode runs search, then code with the facts, in one message', async () => {
+  const events = await collect(streamChat({ message: 'Population of Thailand per square km?', combine: 'search-code' }));
+  assert.deepEqual(
+    events.filter((e) => e.type === 'step').map((e) => e.step),
+    ['search', 'code']
+  );
+  const full = events.find((e) => e.type === 'fullResponse');
+  assert.deepEqual(full.parts.map((p) => p.type), ['text', 'text', 'code', 'result', 'text']);
+  assert.match(full.parts[0].text, /search-grounded/);
+  assert.equal(events.at(-1).type, 'grounding', 'sources from the search step are kept');
+
+  const reversed = await collect(streamChat({ message: 'check my math', combine: 'code-search' }));
+  const parts = reversed.find((e) => e.type === 'fullResponse').parts;
+  assert.deepEqual(parts.map((p) => p.type), ['text', 'code', 'result', 'text', 'text']);
+});
+
+test('tools turn replays a function call, then streams the answer to its result', async () => {
+  const first = await collect(streamToolsTurn({
+    message: 'show me the top posts',
+    csvHeaders: ['Tweet', 'View Count'],
+    functionDeclarations: [{ name: 'get_top_tweets' }],
+  }));
+  assert.equal(first.length, 1);
+  const [call] = first;
+  assert.equal(call.type, 'functionCalls');
+  assert.deepEqual(call.functionCalls, [{ name: 'get_top_tweets', args: { sort_column: 'engagement', n: 5 } }]);
+  assert.match(call.contents.at(-2).parts[0].text, /^\[CSV columns: Tweet, View Count\]/);
+
+  const second = await collect(streamToolsTurn({
+    contents: call.contents,
+    functionResponses: [{ name: 'get_top_tweets', response: { result: { count: 5 } } }],
+    functionDeclarations: [{ name: 'get_top_tweets' }],
+  }));
+  assert.ok(second.length > 1, 'answer arrives in several chunks');
+  assert.ok(second.every((e) => e.type === 'text'));
+  const text = second.map((e) => e.text).join('');
+  assert.match(text, /get_top_tweets/);
+  assert.match(text, /\{"count":5\}/);
+});
+
+test('every function call in a turn is returned, and answered together', async () => {
+  const [call] = await collect(streamToolsTurn({
+    message: 'compare views vs likes',
+    functionDeclarations: [{ name: 'compute_stats_json' }],
+  }));
+  assert.deepEqual(call.functionCalls.map((c) => c.args.column), ['view_count', 'like_count']);
+
+  const answer = await collect(streamToolsTurn({
+    contents: call.contents,
+    functionResponses: [
+      { name: 'compute_stats_json', response: { result: { mean: 10 } } },
+      { name: 'compute_stats_json', response: { result: { mean: 2 } } },
+    ],
+    functionDeclarations: [{ name: 'compute_stats_json' }],
+  }));
+  assert.equal(call.contents.at(-1).parts.filter((p) => p.functionCall).length, 2);
+  assert.match(answer.map((e) => e.text).join(''), /\[\{"mean":10\},\{"mean":2\}\]/);
+});
+
+test('fixtures can be supplied inline; unmatched turns use the fallback', async () => {
+  const provider = createMockProvider({
+    fixtures: { rules: [{ match: '^ping$', parts: [{ text: 'pong' }] }], fallback: { parts: [{ text: 'echo: {{message}}' }] } },
+  });
+  const reply = (text) => provider.generateContent({ contents: [{ role: 'user', parts: [{ text }] }] });
+  assert.equal((await reply('PING')).parts[0].text, 'pong');
+  assert.equal((await reply('hello')).parts[0].text, 'echo: hello');
+  assert.equal(provider.capabilities.imageGeneration, false);
+  assert.equal(await provider.generateImage({ prompt: 'cat' }), null);
+});
+
+test('the session persona is sent as a real system instruction', async () => {
+  const session = {
+    load: async () => ({ agent: 'analyst', contextSummary: null }),
+    saveSummary: async () => {},
+  };
+  const [call] = await collect(streamToolsTurn({
+    message: 'show me the top posts',
+    functionDeclarations: [{ name: 'get_top_tweets' }],
+    session,
+  }));
+  assert.match(call.systemInstruction, /neutral, careful data analyst/);
+  assert.match(call.systemInstruction, /compute_column_stats/, 'shared tool instructions are included');
+  assert.equal(call.contents.length, 2, 'no fake instruction exchange in the history');
+  assert.equal(call.contents[0].role, 'user');
+
+  const [lisa] = await collect(streamToolsTurn({ message: 'top posts', functionDeclarations: [{ name: 'get_top_tweets' }] }));
+  assert.match(lisa.systemInstruction, /You are Lisa/, 'chats without a session use the default persona');
+});
+
+test('the router fallback parses the model decision, and rejects anything else', async () => {
+  assert.deepEqual(await classifyMode({ message: 'how long until my savings double?' }), { mode: 'search', confidence: 0.6 });
+
+  setProvider(createMockProvider({ fixtures: { rules: [], fallback: { parts: [{ text: 'no idea' }] } } }));
+  try {
+    await assert.rejects(classifyMode({ message: 'anything' }), /no usable decision/);
+  } finally {
+    setProvider(createMockProvider());
+  }
+});
+
+test('chat titles come back bare and short', async () => {
+  assert.equal(await generateTitle({ prompt: 'show me the top posts', answer: 'Here they are.' }), 'Top Posts by Engagement');
+  assert.equal(cleanTitle('Title: **Savings growth**\n\nAnything else?'), 'Savings growth');
+  assert.equal(cleanTitle('  \n'), null);
+  assert.equal(cleanTitle('word '.repeat(30)).length, 60);
+});
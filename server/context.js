@@ -0,0 +1,132 @@
+// Conversation context for model calls
+//
+// Both chat paths send the history through buildContext(), which keeps the
+// newest turns that fit a token budget and folds everything older into a
+// rolling, model-written summary. The summary is stored on the session
+// document as
+//   contextSummary: { text, count, digest, updatedAt }
+// where `count` is how many leading history messages it covers and `digest`
+// fingerprints those messages — if they change (an edited or different
+// history), the summary is rebuilt instead of reused.
+//
+// Tool results and charts travel with their message as short annotations, so
+// "the chart above" or "those top 5 posts" still resolve after summarisation.
+
+const crypto = require('crypto');
+const { getProvider } = require('./llm');
+
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10) || 30000;
+const TOOL_RESULT_CHARS = 1200;
+const SUMMARY_INPUT_CHARS = 200000;
+// Most history messages sent as they are; older ones are summarised, like turns over the token budget
+const MAX_MESSAGES = 200;
+
+// Rough but provider-independent: ~4 characters per token for English text
+const estimateTokens = (text) => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+
+function truncateMiddle(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  if (text.length <= maxChars) return text;
+  const half = Math.floor(maxChars / 2);
+  return `${text.slice(0, half)}\n[… ${text.length - 2 * half} characters omitted …]\n${text.slice(-half)}`;
+}
+
+function describeToolCall({ name, args, result }) {
+  let out = '';
+  if (result?._chartType === 'regression') {
+    const { y, xColumn: x, intercept, coefficients, r_squared: r2, rows_used: n } = result;
+    out = `rendered a regression chart: ${y} = ${intercept} + ${coefficients?.[x]} × ${x} (R² ${r2}, ${n} rows)`;
+  } else if (result?._chartType) out = `rendered a ${result._chartType} chart`;
+  else if (result?._generatedImage) out = 'generated an image (shown to the user)';
+  else if (result?._videoCard) out = `showed video "${result.title}" (${result.url})`;
+  else if (result !== undefined) {
+    const json = JSON.stringify(result);
+    out = json.length > TOOL_RESULT_CHARS ? `${json.slice(0, TOOL_RESULT_CHARS)}…` : json;
+  }
+  return `- ${name}(${JSON.stringify(args || {})}) → ${out}`;
+}
+
+function describeChart(chart) {
+  const count = chart.points ?? chart.data?.length;
+  const points = count ? `, ${count} points` : '';
+  return `- ${chart._chartType} chart of ${chart.metricColumn || 'data'}${points}`;
+}
+
+// One history item → the text the model sees for it
+function renderMessage(m) {
+  const sections = [m.content || ''];
+  if (m.toolCalls?.length) sections.push(`[Tool results]\n${m.toolCalls.map(describeToolCall).join('\n')}`);
+  if (m.charts?.length) sections.push(`[Charts shown to the user]\n${m.charts.map(describeChart).join('\n')}`);
+  return sections.filter(Boolean).join('\n\n');
+}
+
+const digestOf = (messages) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify(messages.map((m) => [m.role, m.text])))
+    .digest('hex');
+
+const transcript = (messages) =>
+  messages.map((m) => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.text}`).join('\n\n');
+
+async function summarizeWithModel(previousSummary, messages) {
+  const prompt = [
+    'You maintain a running summary of a conversation between a user and an assistant.',
+    'Update the summary with the new messages below. Keep names, decisions, numbers,',
+    'dataset and column names, tool results and which charts were shown. Drop small talk.',
+    'Answer with the summary only, at most 300 words.',
+    '',
+    `Current summary:\n${previousSummary || '(none yet)'}`,
+    '',
+    `New messages:\n${transcript(messages).slice(-SUMMARY_INPUT_CHARS)}`,
+  ].join('\n');
+  const { parts } = await getProvider().generateContent({
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+  });
+  return parts.filter((p) => p.text).map((p) => p.text).join('').trim();
+}
+
+// history: [{ role, content, toolCalls?, charts? }] — oldest first
+// stored:  the session's contextSummary, if any
+// Returns { summary, messages: [{ role, text }], update } — `update` is a new
+// contextSummary to persist, or null when the stored one is still valid.
+async function buildContext(history, { stored = null, budget = DEFAULT_BUDGET, summarize = summarizeWithModel } = {}) {
+  // No single message may take more than a quarter of the budget
+  const messages = history.map((m) => ({
+    role: m.role === 'user' ? 'user' : 'model',
+    text: truncateMiddle(renderMessage(m), Math.floor(budget / 4)),
+  }));
+  const tokensOf = (list) => list.reduce((sum, m) => sum + estimateTokens(m.text), 0);
+
+  const reusable =
+    stored?.text &&
+    stored.count <= messages.length &&
+    stored.digest === digestOf(messages.slice(0, stored.count));
+  let summary = reusable ? stored.text : '';
+  const start = reusable ? stored.count : 0;
+
+  if (estimateTokens(summary) + tokensOf(messages.slice(start)) <= budget && messages.length - start <= MAX_MESSAGES) {
+    return { summary, messages: messages.slice(start), update: null };
+  }
+
+  // Over budget: fold the oldest turns until the rest fits in half the budget
+  // (and half the message cap), so the next few messages don't each need a new summary
+  let cut = start;
+  while (
+    cut < messages.length - 1 &&
+    (tokensOf(messages.slice(cut)) > budget / 2 || messages.length - cut > MAX_MESSAGES / 2)
+  ) cut++;
+
+  let update = null;
+  try {
+    summary = await summarize(summary, messages.slice(start, cut));
+    update = { text: summary, count: cut, digest: digestOf(messages.slice(0, cut)), updatedAt: new Date() };
+  } catch (err) {
+    // Without a new summary, fall back to dropping the folded turns
+    console.error('[context] summarisation failed:', err.message);
+  }
+  return { summary, messages: messages.slice(cut), update };
+}
+
+module.exports = { MAX_MESSAGES, buildContext, estimateTokens, renderMessage };
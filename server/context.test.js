@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_MESSAGES, buildContext, renderMessage: toModelText } = require('./context');
+
+// 100 messages of ~100 tokens each
+const history = Array.from({ length: 100 }, (_, i) => ({
+  role: i % 2 ? 'model' : 'user',
+  content: `message ${i} `.padEnd(400, '.'),
+}));
+
+const fakeSummarize = (calls) => async (previous, messages) => {
+  calls.push(messages.length);
+  return `${previous ? `${previous} + ` : ''}${messages.length} messages`;
+};
+
+test('history within budget is passed through untouched', async () => {
+  const calls = [];
+  const out = await buildContext(history.slice(0, 10), { budget: 5000, summarize: fakeSummarize(calls) });
+  assert.equal(out.messages.length, 10);
+  assert.equal(out.summary, '');
+  assert.equal(out.update, null);
+  assert.equal(calls.length, 0);
+});
+
+test('older turns are folded into a summary that is then reused', async () => {
+  const calls = [];
+  const summarize = fakeSummarize(calls);
+  const first = await buildContext(history, { budget: 2000, summarize });
+  assert.equal(calls.length, 1);
+  assert.equal(first.update.count + first.messages.length, 100);
+  assert.ok(first.messages.length * 100 <= 1000, 'keeps about half the budget of recent turns');
+  assert.equal(first.messages.at(-1).text, toModelText(history[99]));
+
+  // Two more turns still fit: the stored summary is reused without a model call
+  const longer = [...history, history[0], history[1]];
+  const second = await buildContext(longer, { budget: 2000, summarize, stored: first.update });
+  assert.equal(calls.length, 1);
+  assert.equal(second.update, null);
+  assert.equal(second.summary, first.update.text);
+  assert.equal(second.messages.length, first.messages.length + 2);
+});
+
+test('a summary of a different history is rebuilt', async () => {
+  const calls = [];
+  const summarize = fakeSummarize(calls);
+  const { update } = await buildContext(history, { budget: 2000, summarize });
+  const edited = history.map((m, i) => (i === 3 ? { ...m, content: 'edited' } : m));
+  const out = await buildContext(edited, { budget: 2000, summarize, stored: update });
+  assert.equal(calls.length, 2);
+  assert.equal(out.summary, `${out.update.count} messages`);
+});
+
+test('many short messages are summarised too, so the contents stay under the message cap', async () => {
+  const short = Array.from({ length: MAX_MESSAGES * 3 }, (_, i) => ({ role: i % 2 ? 'model' : 'user', content: 'ok' }));
+  const calls = [];
+  const out = await buildContext(short, { budget: 1e6, summarize: fakeSummarize(calls) });
+  assert.equal(out.messages.length, MAX_MESSAGES / 2);
+  assert.equal(out.update.count, short.length - MAX_MESSAGES / 2);
+  const next = await buildContext([...short, ...short.slice(0, 10)], { budget: 1e6, summarize: fakeSummarize(calls), stored: out.update });
+  assert.equal(next.update, null, 'the stored summary still covers the older turns');
+  assert.equal(next.messages.length, MAX_MESSAGES / 2 + 10);
+});
+
+test('tool results and charts are kept as annotations', () => {
+  const text = toModelText({
+    role: 'model',
+    content: 'Here are your top posts.',
+    toolCalls: [
+      { name: 'get_top_tweets', args: { n: 2 }, result: { rows: [{ id: 1 }, { id: 2 }] } },
+      { name: 'plot_metric_vs_time', args: { metric: 'view_count' }, result: { _chartType: 'metricVsTime' } },
+    ],
+    charts: [{ _chartType: 'metricVsTime', metricColumn: 'view_count', points: 40 }],
+  });
+  assert.match(text, /get_top_tweets\(\{"n":2\}\) → \{"rows":\[\{"id":1\},\{"id":2\}\]\}/);
+  assert.match(text, /plot_metric_vs_time\(.*\) → rendered a metricVsTime chart/);
+  assert.match(text, /metricVsTime chart of view_count, 40 points/);
+});
+
+test('a regression chart keeps its fitted line in the annotation', () => {
+  const text = toModelText({
+    role: 'model',
+    content: 'Likes rise with views.',
+    toolCalls: [{
+      name: 'fit_regression',
+      args: { y: 'likes', x: ['views'] },
+      result: { _chartType: 'regression', y: 'likes', xColumn: 'views', intercept: 7.5, coefficients: { views: 0.03 }, r_squared: 0.92, rows_used: 5 },
+    }],
+  });
+  assert.match(text, /fit_regression\(.*\) → rendered a regression chart: likes = 7.5 \+ 0.03 × views \(R² 0.92, 5 rows\)/);
+});
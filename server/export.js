@@ -0,0 +1,426 @@
+// Chat export and import (GET /api/sessions/:id/export, POST /api/sessions/import)
+//
+// Every format starts from a bundle — the lossless JSON export:
+//   { format: 'chatapp-session', version: 1, exportedAt,
+//     session: { title, agent, createdAt, activeLeafId, pinned, folder, tags, jsonData },
+//     messages: [{ id, parentId, role, content, timestamp, attachments?, charts?,
+//                  toolCalls?, csvName?, jsonName? }],          — every branch, oldest first
+//     attachments: { <id>: { mimeType, data } } }                — image bytes, base64
+// Markdown and HTML show the branch that was on screen; HTML embeds the images
+// and draws the charts as inline SVG so the file stands on its own.
+//
+// Importing a bundle creates a new chat: message ids and branches are kept,
+// images are stored again (deduplicated per user) and get new attachment ids.
+
+const { activeBranch } = require('./thread');
+const { toMessageDoc } = require('./messages');
+
+const BUNDLE_FORMAT = 'chatapp-session';
+const BUNDLE_VERSION = 1;
+const FORMATS = ['md', 'html', 'json'];
+
+const CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+// "Q3 budget / draft" → "q3-budget-draft"
+const slugify = (title) =>
+  String(title || 'chat')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'chat';
+
+const exportFilename = (title, format) => `${slugify(title)}.${format}`;
+
+const formatTime = (iso) => {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? '' : `${d.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+};
+
+// ── Bundle ───────────────────────────────────────────────────────────────────
+
+// Stored session + its message docs (oldest first) + attachment bytes by id
+// ({ mimeType, data }) → bundle. Base64 `imageData` on old messages becomes
+// bundle attachments too.
+function buildBundle({ session, messages, files, now = new Date() }) {
+  const attachments = Object.fromEntries(files);
+
+  const bundleMessages = messages.map((m) => {
+    const images = (m.attachments || []).map((a) => ({ id: String(a.id), mimeType: a.mimeType, name: a.name || null }));
+    (m.imageData || []).forEach((img, i) => {
+      const id = `${m.id}-image-${i}`;
+      attachments[id] = { mimeType: img.mimeType, data: img.data };
+      images.push({ id, mimeType: img.mimeType, name: img.name || null });
+    });
+    return {
+      id: m.id,
+      parentId: m.parentId ?? null,
+      role: m.role,
+      content: m.content,
+      timestamp: m.timestamp,
+      ...(images.length && { attachments: images }),
+      ...(m.charts?.length && { charts: m.charts }),
+      ...(m.toolCalls?.length && { toolCalls: m.toolCalls }),
+      ...(m.grounding && { grounding: m.grounding }),
+      ...(m.csvName && { csvName: m.csvName }),
+      ...(m.jsonName && { jsonName: m.jsonName }),
+    };
+  });
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: now.toISOString(),
+    session: {
+      title: session.title || null,
+      agent: session.agent || null,
+      createdAt: session.createdAt,
+      activeLeafId: session.activeLeafId ?? null,
+      pinned: !!session.pinned,
+      folder: session.folder || null,
+      tags: session.tags || [],
+      jsonData: Array.isArray(session.jsonData) ? session.jsonData : null,
+    },
+    messages: bundleMessages,
+    attachments,
+  };
+}
+
+// ── Markdown ─────────────────────────────────────────────────────────────────
+
+const describeChart = (chart) => {
+  const points = chart.data?.length || 0;
+  if (chart._chartType === 'metricVsTime') return `📈 Chart: ${chart.metricColumn} over time (${points} points)`;
+  if (chart._chartType === 'engagement') return `📊 Chart: mean ${chart.metricColumn} with vs without keyword (${points} groups)`;
+  if (chart._chartType === 'regression') {
+    return `📉 Chart: ${chart.metricColumn} vs ${chart.xColumn} with the fitted line, R² ${chart.r_squared} (${points} points)`;
+  }
+  return `📊 Chart (${points} points)`;
+};
+
+const describeCall = (tc) => {
+  const args = Object.entries(tc.args || {}).map(([k, v]) => `${k}: ${JSON.stringify(v)}`).join(', ');
+  return `\`${tc.name}(${args})\``;
+};
+
+function toMarkdown(bundle, { assistantName = 'Assistant' } = {}) {
+  const branch = activeBranch(bundle.messages, bundle.session.activeLeafId);
+  const out = [
+    `# ${bundle.session.title || 'Chat'}`,
+    '',
+    `_Exported ${formatTime(bundle.exportedAt)} · ${branch.length} messages_`,
+  ];
+  for (const m of branch) {
+    out.push('', '---', '', `**${m.role === 'user' ? 'You' : assistantName}** · ${formatTime(m.timestamp)}`, '');
+    const files = [m.csvName && `📄 ${m.csvName}`, m.jsonName && `📋 ${m.jsonName}`].filter(Boolean);
+    if (files.length) out.push(`> ${files.join(' · ')}`, '');
+    if (m.content) out.push(m.content, '');
+    for (const img of m.attachments || []) out.push(`🖼 _${img.name || 'image'}_ (included in the HTML and JSON exports)`, '');
+    if (m.toolCalls?.length) out.push(`🔧 Tools used: ${m.toolCalls.map(describeCall).join(', ')}`, '');
+    for (const chart of m.charts || []) out.push(`_${describeChart(chart)}_`, '');
+  }
+  return `${out.join('\n').trimEnd()}\n`;
+}
+
+// ── HTML ─────────────────────────────────────────────────────────────────────
+
+const escapeHtml = (s) =>
+  String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// Inline Markdown the assistant uses most: `code`, **bold**, *italic*, [links](https://…)
+const inlineMarkdown = (text) =>
+  escapeHtml(text)
+    .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\n]+)\*/g, '$1<em>$2</em>')
+    .replace(/\[([^\]\n]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>');
+
+// Fenced code blocks and paragraphs; anything fancier stays as written
+function renderText(text) {
+  return String(text || '')
+    .split(/```[^\n]*\n?/)
+    .map((chunk, i) => {
+      if (i % 2) return `<pre><code>${escapeHtml(chunk.replace(/\n$/, ''))}</code></pre>`;
+      return chunk
+        .split(/\n{2,}/)
+        .filter((p) => p.trim())
+        .map((p) => {
+          const heading = p.match(/^(#{1,4})\s+(.*)$/);
+          if (heading) return `<h${heading[1].length + 2}>${inlineMarkdown(heading[2])}</h${heading[1].length + 2}>`;
+          return `<p>${p.trim().split('\n').map(inlineMarkdown).join('<br>')}</p>`;
+        })
+        .join('\n');
+    })
+    .join('\n');
+}
+
+const SVG_WIDTH = 640;
+const SVG_HEIGHT = 260;
+const PAD = { top: 28, right: 16, bottom: 40, left: 56 };
+const COLORS = ['#6366f1', '#10b981'];
+
+const shortNumber = (n) =>
+  Math.abs(n) >= 1e6 ? `${+(n / 1e6).toFixed(1)}M` : Math.abs(n) >= 1e3 ? `${+(n / 1e3).toFixed(1)}k` : `${+n.toFixed(2)}`;
+
+const svgFrame = (title, body) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${SVG_WIDTH} ${SVG_HEIGHT}" width="${SVG_WIDTH}" height="${SVG_HEIGHT}" role="img" aria-label="${escapeHtml(title)}" font-family="sans-serif" font-size="11">` +
+  `<text x="${PAD.left}" y="16" font-size="13" font-weight="600">${escapeHtml(title)}</text>${body}</svg>`;
+
+// Axis from 0 (or the lowest value, if negative) to the highest
+function yScale(values) {
+  // reduce, not Math.min(...values): a long series would overflow the call stack
+  const min = values.reduce((lo, v) => Math.min(lo, v), 0);
+  const max = values.reduce((hi, v) => Math.max(hi, v), -Infinity);
+  const span = max - min || 1;
+  const height = SVG_HEIGHT - PAD.top - PAD.bottom;
+  const y = (v) => PAD.top + height - ((v - min) / span) * height;
+  const axis = [min, max]
+    .map((v) => `<text x="${PAD.left - 6}" y="${y(v) + 4}" text-anchor="end" fill="#666">${shortNumber(v)}</text>`)
+    .join('');
+  const grid = `<line x1="${PAD.left}" x2="${SVG_WIDTH - PAD.right}" y1="${y(min)}" y2="${y(min)}" stroke="#ccc"/>`;
+  return { y, axis: axis + grid };
+}
+
+function lineChartSvg(chart) {
+  const points = chart.data.filter((d) => Number.isFinite(Number(d.value)));
+  if (!points.length) return null;
+  const { y, axis } = yScale(points.map((d) => Number(d.value)));
+  const width = SVG_WIDTH - PAD.left - PAD.right;
+  const x = (i) => PAD.left + (points.length === 1 ? width / 2 : (i / (points.length - 1)) * width);
+  const line = points.map((d, i) => `${x(i).toFixed(1)},${y(Number(d.value)).toFixed(1)}`).join(' ');
+  const dateLabel = (d) => escapeHtml(String(d.date).slice(0, 10));
+  const labels =
+    `<text x="${PAD.left}" y="${SVG_HEIGHT - 18}" fill="#666">${dateLabel(points[0])}</text>` +
+    `<text x="${SVG_WIDTH - PAD.right}" y="${SVG_HEIGHT - 18}" text-anchor="end" fill="#666">${dateLabel(points.at(-1))}</text>`;
+  return svgFrame(
+    `${chart.metricColumn} over time`,
+    `${axis}<polyline points="${line}" fill="none" stroke="${COLORS[0]}" stroke-width="2"/>${labels}`
+  );
+}
+
+function barChartSvg(chart) {
+  const series = [
+    ['withKeyword', 'With keyword'],
+    ['withoutKeyword', 'Without keyword'],
+  ];
+  const groups = chart.data;
+  if (!groups.length) return null;
+  const { y, axis } = yScale(groups.flatMap((g) => series.map(([key]) => Number(g[key]) || 0)));
+  const groupWidth = (SVG_WIDTH - PAD.left - PAD.right) / groups.length;
+  const barWidth = (groupWidth * 0.7) / series.length;
+  const bars = groups
+    .map((g, gi) => {
+      const left = PAD.left + gi * groupWidth + groupWidth * 0.15;
+      const rects = series
+        .map(([key], si) => {
+          const v = Number(g[key]) || 0;
+          const top = Math.min(y(v), y(0));
+          return `<rect x="${(left + si * barWidth).toFixed(1)}" y="${top.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${Math.abs(y(0) - y(v)).toFixed(1)}" fill="${COLORS[si]}"><title>${escapeHtml(`${g.name}: ${v}`)}</title></rect>`;
+        })
+        .join('');
+      const label = `<text x="${(left + groupWidth * 0.35).toFixed(1)}" y="${SVG_HEIGHT - 24}" text-anchor="middle" fill="#666">${escapeHtml(String(g.name).slice(0, 14))}</text>`;
+      return rects + label;
+    })
+    .join('');
+  const legend = series
+    .map(([, name], si) => {
+      const x = SVG_WIDTH - PAD.right - 230 + si * 115;
+      return `<rect x="${x}" y="${SVG_HEIGHT - 12}" width="10" height="10" fill="${COLORS[si]}"/><text x="${x + 14}" y="${SVG_HEIGHT - 3}">${name}</text>`;
+    })
+    .join('');
+  return svgFrame(`Mean ${chart.metricColumn} — with vs without keyword`, axis + bars + legend);
+}
+
+function scatterChartSvg(chart) {
+  const points = chart.data.filter((d) => Number.isFinite(Number(d.x)) && Number.isFinite(Number(d.y)));
+  if (!points.length) return null;
+  const fit = (chart.line || []).filter((d) => Number.isFinite(Number(d.x)) && Number.isFinite(Number(d.y)));
+  const all = [...points, ...fit];
+  const { y, axis } = yScale(all.map((d) => Number(d.y)));
+  const xs = all.map((d) => Number(d.x));
+  const lo = xs.reduce((a, v) => Math.min(a, v), Infinity);
+  const hi = xs.reduce((a, v) => Math.max(a, v), -Infinity);
+  const x = (v) => PAD.left + ((v - lo) / (hi - lo || 1)) * (SVG_WIDTH - PAD.left - PAD.right);
+  const dots = points
+    .map((d) => `<circle cx="${x(Number(d.x)).toFixed(1)}" cy="${y(Number(d.y)).toFixed(1)}" r="2.5" fill="${COLORS[0]}" fill-opacity="0.6"/>`)
+    .join('');
+  const line = fit.length === 2
+    ? `<line x1="${x(Number(fit[0].x)).toFixed(1)}" y1="${y(Number(fit[0].y)).toFixed(1)}" x2="${x(Number(fit[1].x)).toFixed(1)}" y2="${y(Number(fit[1].y)).toFixed(1)}" stroke="${COLORS[1]}" stroke-width="2"/>`
+    : '';
+  const labels =
+    `<text x="${PAD.left}" y="${SVG_HEIGHT - 18}" fill="#666">${shortNumber(lo)}</text>` +
+    `<text x="${SVG_WIDTH - PAD.right}" y="${SVG_HEIGHT - 18}" text-anchor="end" fill="#666">${shortNumber(hi)}</text>` +
+    `<text x="${(SVG_WIDTH + PAD.left - PAD.right) / 2}" y="${SVG_HEIGHT - 4}" text-anchor="middle" fill="#666">${escapeHtml(chart.xColumn || 'x')}</text>`;
+  const r2 = chart.r_squared != null ? ` (R² ${chart.r_squared})` : '';
+  return svgFrame(`${chart.metricColumn} vs ${chart.xColumn}${r2}`, axis + dots + line + labels);
+}
+
+// Chart saved with a message → standalone SVG markup, or null for an unknown/empty chart
+function chartSvg(chart) {
+  if (!chart?.data?.length) return null;
+  if (chart._chartType === 'metricVsTime') return lineChartSvg(chart);
+  if (chart._chartType === 'engagement') return barChartSvg(chart);
+  if (chart._chartType === 'regression') return scatterChartSvg(chart);
+  return null;
+}
+
+const imageTag = (file, alt) =>
+  file ? `<img src="data:${escapeHtml(file.mimeType)};base64,${file.data}" alt="${escapeHtml(alt)}">` : '';
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.55; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.2rem; }
+  .exported { color: #6b7280; font-size: 0.85rem; margin-bottom: 1.5rem; }
+  .msg { padding: 0.9rem 1rem; border-radius: 10px; margin: 0.9rem 0; background: #f3f4f6; }
+  .msg.user { background: #eef2ff; }
+  .meta { font-size: 0.8rem; color: #6b7280; margin-bottom: 0.4rem; }
+  .meta strong { color: #111827; }
+  .files { font-size: 0.8rem; color: #4b5563; }
+  pre { background: #111827; color: #f9fafb; padding: 0.7rem; border-radius: 8px; overflow-x: auto; }
+  code { font-size: 0.9em; }
+  img, svg { max-width: 100%; height: auto; margin: 0.4rem 0; border-radius: 6px; }
+  details { font-size: 0.82rem; color: #4b5563; margin-top: 0.4rem; }
+`;
+
+function toHtml(bundle, { assistantName = 'Assistant' } = {}) {
+  const title = bundle.session.title || 'Chat';
+  const branch = activeBranch(bundle.messages, bundle.session.activeLeafId);
+  const body = branch
+    .map((m) => {
+      const files = [m.csvName && `📄 ${m.csvName}`, m.jsonName && `📋 ${m.jsonName}`].filter(Boolean);
+      const images = (m.attachments || []).map((a) => imageTag(bundle.attachments[a.id], a.name || 'Attached image'));
+      const generated = (m.toolCalls || [])
+        .filter((tc) => tc.result?.attachmentId)
+        .map((tc) => imageTag(bundle.attachments[tc.result.attachmentId], 'Generated image'));
+      const tools = m.toolCalls?.length
+        ? `<details><summary>🔧 ${m.toolCalls.length} tool${m.toolCalls.length > 1 ? 's' : ''} used</summary><ul>${m.toolCalls
+            .map((tc) => `<li><code>${escapeHtml(tc.name)}</code> ${escapeHtml(JSON.stringify(tc.args || {}))}</li>`)
+            .join('')}</ul></details>`
+        : '';
+      return [
+        `<div class="msg ${m.role === 'user' ? 'user' : 'model'}">`,
+        `<div class="meta"><strong>${escapeHtml(m.role === 'user' ? 'You' : assistantName)}</strong> · ${formatTime(m.timestamp)}</div>`,
+        files.length ? `<div class="files">${escapeHtml(files.join(' · '))}</div>` : '',
+        images.join(''),
+        renderText(m.content),
+        generated.join(''),
+        (m.charts || []).map(chartSvg).filter(Boolean).join(''),
+        tools,
+        '</div>',
+      ]
+        .filter(Boolean)
+        .join('\n');
+    })
+    .join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="exported">Exported ${formatTime(bundle.exportedAt)} · ${branch.length} messages</div>
+${body}
+</body>
+</html>
+`;
+}
+
+// ── Import ───────────────────────────────────────────────────────────────────
+
+const MIME_IMAGE = /^image\/[\w.+-]+$/;
+
+// A bundle that passed schemas.sessionImport → error message, or null if it can be imported
+function checkBundle(bundle) {
+  if (bundle.format !== BUNDLE_FORMAT) return `format must be "${BUNDLE_FORMAT}"`;
+  if (bundle.version > BUNDLE_VERSION) return `version ${bundle.version} is newer than this server understands`;
+  const ids = new Set();
+  for (const m of bundle.messages) {
+    if (ids.has(m.id)) return `message id "${m.id}" appears twice`;
+    if (Number.isNaN(Date.parse(m.timestamp))) return `message "${m.id}" has an impossible timestamp "${m.timestamp}"`;
+    ids.add(m.id);
+  }
+  // Every parent chain must end at a root; the chat follows parents to draw a branch
+  const parentOf = new Map(bundle.messages.map((m) => [m.id, m.parentId]));
+  const rooted = new Set();
+  for (const m of bundle.messages) {
+    const chain = new Set();
+    for (let id = m.id; parentOf.has(id) && !rooted.has(id); id = parentOf.get(id)) {
+      if (chain.has(id)) return `message "${id}" is its own ancestor`;
+      chain.add(id);
+    }
+    chain.forEach((id) => rooted.add(id));
+  }
+  for (const [id, file] of Object.entries(bundle.attachments || {})) {
+    if (typeof file?.data !== 'string' || !MIME_IMAGE.test(file.mimeType || '')) return `attachment "${id}" is not an image`;
+  }
+  return null;
+}
+
+// Bundle → { session, messages } docs for a new chat. `attachmentIds` maps the
+// bundle's attachment ids to the re-stored ones (images missing from the bundle
+// are dropped); `personaIds` are the valid agents. Only the fields the bundle
+// schema declares are kept: images arrive as attachments, never as `imageData`.
+function fromBundle(bundle, { sessionId, username, attachmentIds, personaIds, defaultPersona, now = new Date() }) {
+  const ids = new Set(bundle.messages.map((m) => m.id));
+  const stored = (id) => attachmentIds.get(String(id));
+  const messages = bundle.messages.map((m) =>
+    toMessageDoc(sessionId, username, {
+      id: m.id,
+      role: m.role,
+      content: m.content,
+      // One form (UTC, milliseconds) for every timestamp: messages are sorted by comparing them as strings
+      timestamp: new Date(m.timestamp).toISOString(),
+      // A parent that didn't make it into the bundle starts a new root
+      parentId: ids.has(m.parentId) ? m.parentId : null,
+      attachments: (m.attachments || []).filter((a) => stored(a.id)).map((a) => ({ ...a, id: stored(a.id) })),
+      toolCalls: m.toolCalls?.map((tc) => {
+        if (!tc.result?.attachmentId) return tc;
+        const { attachmentId, ...result } = tc.result;
+        return { ...tc, result: stored(attachmentId) ? { ...result, attachmentId: String(stored(attachmentId)) } : result };
+      }),
+      charts: m.charts,
+      grounding: m.grounding,
+      csvName: m.csvName,
+      jsonName: m.jsonName,
+    })
+  );
+
+  const s = bundle.session;
+  const activeLeafId = ids.has(s.activeLeafId) ? s.activeLeafId : messages.at(-1)?.id ?? null;
+  const session = {
+    username,
+    agent: personaIds.includes(s.agent) ? s.agent : defaultPersona,
+    title: s.title || 'Imported chat',
+    titleSource: 'user',
+    createdAt: Date.parse(s.createdAt) ? new Date(s.createdAt).toISOString() : now.toISOString(),
+    updatedAt: now.toISOString(),
+    messageCount: messages.length,
+    activeLeafId,
+    pinned: !!s.pinned,
+    folder: s.folder || null,
+    tags: s.tags || [],
+    ...(Array.isArray(s.jsonData) && s.jsonData.length && { jsonData: s.jsonData }),
+  };
+  return { session, messages };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  FORMATS,
+  CONTENT_TYPES,
+  exportFilename,
+  buildBundle,
+  toMarkdown,
+  toHtml,
+  chartSvg,
+  checkBundle,
+  fromBundle,
+};
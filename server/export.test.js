@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { buildBundle, toMarkdown, toHtml, chartSvg, checkBundle, fromBundle, exportFilename } = require('./export');
+
+const SESSION_ID = '65f0c0ffee0000000000abcd';
+const IMAGE_ID = new ObjectId('65f0c0ffee0000000000ab01');
+const PNG = { mimeType: 'image/png', data: 'iVBORw0KGgo=' };
+
+// u1 → a1 (regenerated as a1b, which is on screen); the first answer drew a chart
+const bundle = () =>
+  buildBundle({
+    session: { title: 'Views <2026>', agent: 'analyst', createdAt: '2026-01-01T00:00:00.000Z', activeLeafId: 'a1b', jsonData: [{ v: 1 }] },
+    messages: [
+      { id: 'u1', parentId: null, role: 'user', content: 'Plot **views**', timestamp: '2026-01-01T10:00:00.000Z', attachments: [{ id: IMAGE_ID, mimeType: 'image/png', name: 'shot.png' }], csvName: 'views.csv' },
+      {
+        id: 'a1',
+        parentId: 'u1',
+        role: 'model',
+        content: 'First answer',
+        timestamp: '2026-01-01T10:00:05.000Z',
+        charts: [{ _chartType: 'metricVsTime', metricColumn: 'views', data: [{ date: '2026-01-01', value: 3 }, { date: '2026-01-02', value: 9 }] }],
+      },
+      {
+        id: 'a1b',
+        parentId: 'u1',
+        role: 'model',
+        content: 'Second answer:\n\n```python\nprint(1 < 2)\n```',
+        timestamp: '2026-01-01T10:01:00.000Z',
+        toolCalls: [{ name: 'get_top_tweets', args: { n: 5 }, result: { rows: [] } }],
+        imageData: [PNG],
+        grounding: { groundingChunks: [{ web: { uri: 'https://example.com/views', title: 'Views' } }], webSearchQueries: ['views'] },
+      },
+    ],
+    files: new Map([[String(IMAGE_ID), PNG]]),
+    now: new Date('2026-02-01T00:00:00.000Z'),
+  });
+
+test('the JSON bundle keeps every branch, the dataset and the image bytes', () => {
+  const b = bundle();
+  assert.deepEqual(b.messages.map((m) => m.id), ['u1', 'a1', 'a1b']);
+  assert.deepEqual(b.session.jsonData, [{ v: 1 }]);
+  assert.deepEqual(Object.keys(b.attachments).sort(), [String(IMAGE_ID), 'a1b-image-0']);
+  assert.equal(b.messages[2].attachments[0].id, 'a1b-image-0');
+  assert.equal(checkBundle(JSON.parse(JSON.stringify(b))), null);
+});
+
+test('Markdown and HTML show the branch on screen', () => {
+  const md = toMarkdown(bundle(), { assistantName: 'Analyst' });
+  assert.match(md, /^# Views <2026>\n/);
+  assert.match(md, /\*\*Analyst\*\* · 2026-01-01 10:01 UTC/);
+  assert.match(md, /Second answer/);
+  assert.doesNotMatch(md, /First answer/);
+  assert.match(md, /`get_top_tweets\(n: 5\)`/);
+
+  const html = toHtml(bundle());
+  assert.match(html, /<title>Views &lt;2026&gt;<\/title>/);
+  assert.match(html, /<strong>views<\/strong>/);
+  assert.match(html, /<pre><code>print\(1 &lt; 2\)<\/code><\/pre>/);
+  assert.match(html, /src="data:image\/png;base64,iVBORw0KGgo="/);
+  assert.doesNotMatch(html, /First answer/);
+  assert.equal(exportFilename('Views <2026>', 'html'), 'views-2026.html');
+});
+
+test('charts become standalone SVG, however long the series', () => {
+  const line = chartSvg({ _chartType: 'metricVsTime', metricColumn: 'views', data: [{ date: '2026-01-01', value: 3 }, { date: '2026-01-02', value: 9 }] });
+  assert.match(line, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+  assert.match(line, /<polyline points="[\d.]+,[\d.]+ [\d.]+,[\d.]+"/);
+
+  const bars = chartSvg({ _chartType: 'engagement', metricColumn: 'likes', data: [{ name: 'AI', withKeyword: 5, withoutKeyword: 2 }] });
+  assert.equal(bars.match(/<rect /g).length, 4, 'two bars plus two legend swatches');
+
+  const scatter = chartSvg({
+    _chartType: 'regression', metricColumn: 'likes', xColumn: 'views', r_squared: 0.92,
+    data: [{ x: 100, y: 4 }, { x: 3000, y: 90 }], line: [{ x: 100, y: 10 }, { x: 3000, y: 93 }],
+  });
+  assert.equal(scatter.match(/<circle /g).length, 2);
+  assert.match(scatter, /<line x1="[\d.]+" y1="[\d.]+" x2="[\d.]+" y2="[\d.]+" stroke=/);
+  assert.match(scatter, /likes vs views \(R² 0.92\)/);
+
+  const long = Array.from({ length: 200000 }, (_, i) => ({ date: `d${i}`, value: i }));
+  assert.ok(chartSvg({ _chartType: 'metricVsTime', metricColumn: 'v', data: long }));
+  assert.equal(chartSvg({ _chartType: 'pie', data: [{}] }), null);
+});
+
+test('importing recreates the tree with the images stored again', () => {
+  const b = JSON.parse(JSON.stringify(bundle()));
+  const stored = new ObjectId();
+  b.messages[1].timestamp = '2026-01-01T12:00:05+02:00';
+  const { session, messages } = fromBundle(b, {
+    sessionId: SESSION_ID,
+    username: 'ada',
+    attachmentIds: new Map([[String(IMAGE_ID), stored]]), // the legacy image was "lost"
+    personaIds: ['lisa', 'analyst'],
+    defaultPersona: 'lisa',
+    now: new Date('2026-03-01T00:00:00.000Z'),
+  });
+  assert.equal(session.agent, 'analyst');
+  assert.equal(session.activeLeafId, 'a1b');
+  assert.equal(session.messageCount, 3);
+  assert.deepEqual(session.jsonData, [{ v: 1 }]);
+  assert.deepEqual(messages.map((m) => [m.id, m.parentId, m.username]), [['u1', null, 'ada'], ['a1', 'u1', 'ada'], ['a1b', 'u1', 'ada']]);
+  assert.ok(messages[0].attachments[0].id.equals(stored));
+  assert.equal(messages[2].attachments, undefined);
+  assert.equal(String(messages[0].sessionId), SESSION_ID);
+  assert.equal(messages[1].timestamp, '2026-01-01T10:00:05.000Z', 'stored in one sortable form');
+  assert.equal(messages[2].grounding.groundingChunks[0].web.uri, 'https://example.com/views', 'search sources survive');
+  assert.deepEqual(messages[2].toolCalls, [{ name: 'get_top_tweets', args: { n: 5 }, result: { rows: [] } }]);
+});
+
+test('importing keeps only the declared message fields', () => {
+  const b = JSON.parse(JSON.stringify(bundle()));
+  b.messages[0] = { ...b.messages[0], imageData: [{ mimeType: 'text/html', data: 'PHNjcmlwdD4=' }], username: 'root' };
+  const { messages } = fromBundle(b, {
+    sessionId: SESSION_ID,
+    username: 'ada',
+    attachmentIds: new Map(),
+    personaIds: ['lisa'],
+    defaultPersona: 'lisa',
+  });
+  assert.equal(messages[0].imageData, undefined, 'images only come in through the attachment store');
+  assert.equal(messages[0].username, 'ada');
+  assert.equal(messages[0].csvName, 'views.csv');
+});
+
+test('bundles that cannot be imported say why', () => {
+  const b = JSON.parse(JSON.stringify(bundle()));
+  assert.match(checkBundle({ ...b, format: 'other' }), /format must be/);
+  assert.match(checkBundle({ ...b, version: 2 }), /newer/);
+  assert.match(checkBundle({ ...b, messages: [...b.messages, b.messages[0]] }), /"u1" appears twice/);
+  const impossible = b.messages.map((m) => (m.id === 'a1' ? { ...m, timestamp: '2026-13-45T99:00:00Z' } : m));
+  assert.match(checkBundle({ ...b, messages: impossible }), /"a1" has an impossible timestamp/);
+  const cycle = b.messages.map((m) => (m.id === 'u1' ? { ...m, parentId: 'a1' } : m));
+  assert.match(checkBundle({ ...b, messages: cycle }), /"(u1|a1)" is its own ancestor/);
+  const self = b.messages.map((m) => (m.id === 'a1b' ? { ...m, parentId: 'a1b' } : m));
+  assert.match(checkBundle({ ...b, messages: self }), /"a1b" is its own ancestor/);
+  assert.match(checkBundle({ ...b, attachments: { x: { mimeType: 'text/html', data: '' } } }), /"x" is not an image/);
+});
@@ -1,20 +1,70 @@
 require('dotenv').config();
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const express = require('express');
 const { MongoClient, ObjectId } = require('mongodb');
 const bcrypt = require('bcryptjs');
 const cors = require('cors');
 const { fetchChannelVideos } = require('./youtube');
+const { streamChat, streamToolsTurn, classifyMode, generateTitle } = require('./chat');
+const { getProvider } = require('./llm');
+const { DEFAULT_PERSONA, PERSONA_IDS, findPersona, listPersonas } = require('./personas');
+const { newMessageId, activeBranch } = require('./thread');
+const { TEXT_INDEX, searchTerms, toResult } = require('./search');
+const {
+  FORMATS: EXPORT_FORMATS,
+  CONTENT_TYPES,
+  exportFilename,
+  buildBundle,
+  toMarkdown,
+  toHtml,
+  checkBundle,
+  fromBundle,
+} = require('./export');
+const { RETENTION_DAYS, INDEX: TRASH_INDEX, purgeAt, removeSessions, startPurge } = require('./trash');
+const { INDEXES: SHARE_INDEXES, newShareToken, isShareToken, toClientShare, toSharedChat } = require('./shares');
+const {
+  PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  INDEXES: MESSAGE_INDEXES,
+  SORT,
+  decodeCursor,
+  pageFilter,
+  toPage,
+  toMessageDoc,
+  attachmentIdsOf,
+} = require('./messages');
+const { issueToken, createRequireAuth } = require('./auth');
+const {
+  INDEXES: ATTACHMENT_INDEXES,
+  createAttachmentStore,
+  backendFromEnv,
+  attachmentRef,
+  verifySignature,
+} = require('./attachments');
+const { createMongoStore, createLoginGuard, rateLimit } = require('./rateLimit');
+const { validateBody, validateQuery, objectIdParam } = require('./validate');
+const schemas = require('./schemas');
 
 const app = express();
+// Behind a proxy (e.g. Render) set TRUST_PROXY=1 so req.ip is the client, not the proxy
+if (process.env.TRUST_PROXY) app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// Imported chats carry their images, so that route parses its own, larger body
+const IMPORT_PATH = '/api/sessions/import';
+app.use(express.json({ limit: '10mb', type: (req) => req.path !== IMPORT_PATH && !!req.is('application/json') }));
+app.param('id', objectIdParam);
 
 const URI = process.env.REACT_APP_MONGODB_URI || process.env.MONGODB_URI || process.env.REACT_APP_MONGO_URI;
 const DB = 'chatapp';
 
 let db;
+let attachments;
+
+const requireAuth = createRequireAuth((username) =>
+  db.collection('users').findOne({ username }, { projection: { createdAt: 1, passwordChangedAt: 1 } })
+);
 
 async function connect() {
   if (!URI || !URI.trim()) {
@@ -25,9 +75,61 @@ async function connect() {
   }
   const client = await MongoClient.connect(URI);
   db = client.db(DB);
+  await db.collection('rate_limits').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await db.collection('password_resets').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await db.collection('messages').createIndexes([...MESSAGE_INDEXES, TEXT_INDEX]);
+  await db.collection('attachments').createIndexes(ATTACHMENT_INDEXES);
+  await db.collection('sessions').createIndexes([TRASH_INDEX]);
+  // The per-chat index used to be created without `unique`, which can't be changed in place
+  const shareIndexes = await db.collection('shares').indexes().catch(() => []);
+  if (shareIndexes.some((i) => i.name === 'username_1_sessionId_1' && !i.unique))
+    await db.collection('shares').dropIndex('username_1_sessionId_1');
+  await db.collection('shares').createIndexes(SHARE_INDEXES);
+  attachments = createAttachmentStore({ collection: db.collection('attachments'), backend: backendFromEnv(db) });
   console.log('MongoDB connected');
 }
 
+// ── Rate limiting ─────────────────────────────────────────────────────────────
+
+const limiterStore = createMongoStore(() => db.collection('rate_limits'));
+// Per-username lockout is strict; per-IP is looser since classmates may share a campus NAT
+const loginUserGuard = createLoginGuard({ store: limiterStore, maxAttempts: 5 });
+const loginIpGuard = createLoginGuard({ store: limiterStore, maxAttempts: 30 });
+const registerLimit = rateLimit({ store: limiterStore, name: 'register', windowMs: 60 * 60 * 1000, max: 10 });
+const imageLimit = rateLimit({
+  store: limiterStore,
+  name: 'generate-image',
+  windowMs: 10 * 60 * 1000,
+  max: 20,
+  keyFn: (req) => req.user.username,
+});
+const chatLimit = rateLimit({
+  store: limiterStore,
+  name: 'chat',
+  windowMs: 60 * 1000,
+  max: 60,
+  keyFn: (req) => req.user.username,
+});
+const uploadLimit = rateLimit({
+  store: limiterStore,
+  name: 'attachments',
+  windowMs: 10 * 60 * 1000,
+  max: 100,
+  keyFn: (req) => req.user.username,
+});
+const resetLimit = rateLimit({ store: limiterStore, name: 'password-reset', windowMs: 60 * 60 * 1000, max: 5 });
+// Share links are public, so they're limited per IP
+const sharedLimit = rateLimit({ store: limiterStore, name: 'shared', windowMs: 60 * 1000, max: 60 });
+
+const LOGIN_FAILED = 'Invalid username or password';
+// Compared against when the username doesn't exist, so both failures take the same time
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+// Restricts a session lookup to the authenticated caller's chats outside the trash
+const ownSession = (req, id) => ({ _id: new ObjectId(id), username: req.user.username, deletedAt: null });
+// … and to the caller's chats in the trash
+const trashedSession = (req, id) => ({ _id: new ObjectId(id), username: req.user.username, deletedAt: { $ne: null } });
+
 app.get('/', (req, res) => {
   res.send(`
     <html>
@@ -42,63 +144,150 @@ app.get('/', (req, res) => {
   `);
 });
 
-// ── YouTube channel download ───────────────────────────────────────────────────
+// ── Chat (server-side, via ./llm) ────────────────────────────────────────────
+// Server-Sent Events: one `data: {json}` frame per event, then { type: 'done' }.
+// Errors after the stream has started arrive as { type: 'error', error }.
 
-// ── Image generation (Gemini Imagen) ───────────────────────────────────────────
+async function sendEventStream(res, events, label) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
 
-app.post('/api/generate-image', async (req, res) => {
   try {
-    const { prompt, anchorImageBase64 } = req.body;
-    if (!prompt) return res.status(400).json({ error: 'Prompt required' });
+    for await (const event of events) {
+      if (closed) break; // client pressed Stop
+      send(event);
+    }
+    send({ type: 'done' });
+  } catch (err) {
+    console.error(`[${label}]`, err.message);
+    send({ type: 'error', error: err.message || 'Chat failed' });
+  }
+  res.end();
+}
+
+// The caller's session as chat.js sees it: persona and rolling context summary
+function chatSession(req) {
+  const { sessionId } = req.body;
+  if (!sessionId) return null;
+  const sessions = db.collection('sessions');
+  return {
+    load: () => sessions.findOne(ownSession(req, sessionId), { projection: { agent: 1, contextSummary: 1 } }),
+    saveSummary: (contextSummary) => sessions.updateOne(ownSession(req, sessionId), { $set: { contextSummary } }),
+  };
+}
+
+// Image parts may reference stored attachments ({ attachmentId }); the model needs the bytes inline
+async function resolveImageParts(username, parts = []) {
+  return Promise.all(
+    parts.map(async (part) => {
+      if (!part.attachmentId) return part;
+      const inline = await attachments.readBase64(username, part.attachmentId);
+      if (!inline) throw new Error('Attached image not found');
+      return inline;
+    })
+  );
+}
 
-    const apiKey = process.env.REACT_APP_GEMINI_API_KEY || process.env.GEMINI_API_KEY;
-    if (!apiKey?.trim()) {
-      return res.status(500).json({ error: 'GEMINI_API_KEY or REACT_APP_GEMINI_API_KEY required for image generation' });
+// The history of a chat message: the branch of the caller's session up to `parentId`,
+// read from the messages collection, so the client never has to load or send it
+async function branchHistory(req) {
+  const { sessionId, parentId } = req.body;
+  if (!parentId) return [];
+  const messages = db.collection('messages');
+  const filter = { sessionId: new ObjectId(sessionId), username: req.user.username };
+  const links = await messages.find(filter, { projection: { _id: 0, id: 1, parentId: 1 } }).toArray();
+  if (!links.some((m) => m.id === parentId)) throw new Error('The message this one follows was not found');
+  const path = activeBranch(links, parentId).map((m) => m.id);
+  const docs = await messages
+    .find({ ...filter, id: { $in: path } }, { projection: { _id: 0, id: 1, role: 1, content: 1, toolCalls: 1, charts: 1 } })
+    .toArray();
+  const byId = new Map(docs.map((d) => [d.id, d]));
+  return path.map((id) => byId.get(id)).map(({ id, ...m }) => m);
+}
+
+// Runs a chat handler with the history (a session's branch, unless the request
+// carries it or is a follow-up tool round) and stored images inlined
+async function* withContext(req, run) {
+  const imageParts = await resolveImageParts(req.user.username, req.body.imageParts);
+  const fromSession = req.body.sessionId && !req.body.history && !req.body.contents;
+  const history = fromSession ? await branchHistory(req) : req.body.history;
+  yield* run({ ...req.body, history, imageParts, session: chatSession(req) });
+}
+
+app.post('/api/chat/stream', requireAuth, chatLimit, validateBody(schemas.chatStream), (req, res) =>
+  sendEventStream(res, withContext(req, streamChat), 'chat/stream')
+);
+
+// One step of the function-calling loop; tools run in the browser (see server/chat.js)
+app.post('/api/chat/tools', requireAuth, chatLimit, validateBody(schemas.chatTools), (req, res) => {
+  const { contents, functionResponses, message } = req.body;
+  if (!contents && message === undefined)
+    return res.status(400).json({ error: 'Invalid request: message is required' });
+  if (contents && !functionResponses)
+    return res.status(400).json({ error: 'Invalid request: functionResponses is required with contents' });
+  return sendEventStream(res, withContext(req, streamToolsTurn), 'chat/tools');
+});
+
+// Model fallback for the browser's message router (src/services/router.js)
+app.post('/api/chat/route', requireAuth, chatLimit, validateBody(schemas.chatRoute), async (req, res) => {
+  try {
+    res.json(await classifyMode(req.body));
+  } catch (err) {
+    console.error('[chat/route]', err.message);
+    res.status(502).json({ error: err.message || 'Routing failed' });
+  }
+});
+
+// ── Image generation ─────────────────────────────────────────────────────────
+
+app.post('/api/generate-image', requireAuth, imageLimit, validateBody(schemas.generateImage), async (req, res) => {
+  try {
+    const provider = getProvider();
+    if (!provider.capabilities.imageGeneration) {
+      return res.status(501).json({ error: `Image generation is not available with the ${provider.name} provider` });
     }
 
-    const { GoogleGenAI } = await import('@google/genai');
-    const ai = new GoogleGenAI({ apiKey });
-
-    let imageBase64;
-    if (anchorImageBase64) {
-      // Use Gemini 2.5 Flash Image for image + text → image (supports reference/editing)
-      const response = await ai.models.generateContent({
-        model: 'gemini-2.5-flash-image',
-        contents: [
-          { inlineData: { mimeType: 'image/png', data: anchorImageBase64 } },
-          { text: prompt },
-        ],
-        config: { responseModalities: ['TEXT', 'IMAGE'] },
-      });
-      const imgPart = response.candidates?.[0]?.content?.parts?.find((p) => p.inlineData);
-      imageBase64 = imgPart?.inlineData?.data;
-    } else {
-      // Use Imagen 4 for text-only generation
-      const response = await ai.models.generateImages({
-        model: 'imagen-4.0-generate-001',
-        prompt,
-        config: { numberOfImages: 1 },
-      });
-      imageBase64 = response?.generatedImages?.[0]?.image?.imageBytes;
+    const { prompt, anchorAttachmentId } = req.body;
+    let { anchorImageBase64 } = req.body;
+    if (anchorAttachmentId) {
+      const anchor = await attachments.readBase64(req.user.username, anchorAttachmentId);
+      if (!anchor) return res.status(404).json({ error: 'Anchor image not found' });
+      anchorImageBase64 = anchor.data;
     }
 
-    if (!imageBase64) {
+    const image = await provider.generateImage({ prompt, anchorImageBase64 });
+    if (!image) {
       return res.status(500).json({ error: 'Image generation failed — no image returned. The model may have blocked the content.' });
     }
 
-    res.json({ imageBase64, mimeType: 'image/png' });
+    // Kept as an attachment; the message's tool result references it by id
+    const meta = await attachments.put({
+      username: req.user.username,
+      buffer: Buffer.from(image.imageBase64, 'base64'),
+      mimeType: image.mimeType,
+      name: 'generated-image.png',
+    });
+    res.json(attachmentRef(meta));
   } catch (err) {
     console.error('[generate-image]', err.message);
     res.status(500).json({ error: err.message || 'Image generation failed' });
   }
 });
 
-app.post('/api/youtube/channel', async (req, res) => {
+// ── YouTube channel download ─────────────────────────────────────────────────
+
+app.post('/api/youtube/channel', requireAuth, validateBody(schemas.youtubeChannel), async (req, res) => {
   try {
     const { url, maxVideos = 10 } = req.body;
-    if (!url) return res.status(400).json({ error: 'Channel URL required' });
-    const max = Math.min(Math.max(parseInt(maxVideos, 10) || 10, 1), 100);
-    const videos = await fetchChannelVideos(url, max);
+    const videos = await fetchChannelVideos(url, maxVideos);
     // Do NOT write to public/ — the committed veritasium-channel-data.json is the canonical credible sample.
     // Users download JSON via the UI button instead.
     res.json({ videos });
@@ -119,11 +308,9 @@ app.get('/api/status', async (req, res) => {
 
 // ── Users ────────────────────────────────────────────────────────────────────
 
-app.post('/api/users', async (req, res) => {
+app.post('/api/users', registerLimit, validateBody(schemas.register), async (req, res) => {
   try {
     const { username, password, email, firstName, lastName } = req.body;
-    if (!username || !password)
-      return res.status(400).json({ error: 'Username and password required' });
     const name = String(username).trim().toLowerCase();
     const existing = await db.collection('users').findOne({ username: name });
     if (existing) return res.status(400).json({ error: 'Username already exists' });
@@ -142,18 +329,28 @@ app.post('/api/users', async (req, res) => {
   }
 });
 
-app.post('/api/users/login', async (req, res) => {
+app.post('/api/users/login', validateBody(schemas.login), async (req, res) => {
   try {
     const { username, password } = req.body;
-    if (!username || !password)
-      return res.status(400).json({ error: 'Username and password required' });
-    const name = username.trim().toLowerCase();
+    const name = String(username).trim().toLowerCase();
+    const userKey = `login:user:${name}`;
+    const ipKey = `login:ip:${req.ip}`;
+    const waitMs = Math.max(await loginUserGuard.check(userKey), await loginIpGuard.check(ipKey));
+    if (waitMs > 0) {
+      res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+      return res.status(429).json({ error: 'Too many failed attempts. Please try again later.' });
+    }
     const user = await db.collection('users').findOne({ username: name });
-    if (!user) return res.status(401).json({ error: 'User not found' });
-    const ok = await bcrypt.compare(password, user.password);
-    if (!ok) return res.status(401).json({ error: 'Invalid password' });
+    const ok = await bcrypt.compare(String(password), user?.password || DUMMY_HASH);
+    if (!user || !ok) {
+      await Promise.all([loginUserGuard.fail(userKey), loginIpGuard.fail(ipKey)]);
+      return res.status(401).json({ error: LOGIN_FAILED });
+    }
+    // Only the username counter resets — otherwise logging into your own account would clear an IP's failures
+    await loginUserGuard.succeed(userKey);
     res.json({
       ok: true,
+      token: issueToken(user),
       username: name,
       firstName: user.firstName || '',
       lastName: user.lastName || '',
@@ -163,41 +360,194 @@ app.post('/api/users/login', async (req, res) => {
   }
 });
 
+// ── Account management ───────────────────────────────────────────────────────
+
+const RESET_TTL_MS = 60 * 60 * 1000;
+
+const publicProfile = (user) => ({
+  username: user.username,
+  email: user.email || '',
+  firstName: user.firstName || '',
+  lastName: user.lastName || '',
+  createdAt: user.createdAt,
+});
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// No mail provider yet: messages go to the `outbox` collection and the server log
+async function sendMail(to, subject, text) {
+  await db.collection('outbox').insertOne({ to, subject, text, createdAt: new Date().toISOString() });
+  console.log(`[outbox] to=${to} subject="${subject}"\n${text}`);
+}
+
+// Loads the caller's user document and checks `password` against it
+async function verifyPassword(req, password) {
+  const user = await db.collection('users').findOne({ username: req.user.username });
+  if (!user) return null;
+  return (await bcrypt.compare(String(password || ''), user.password)) ? user : null;
+}
+
+app.get('/api/users/me', requireAuth, async (req, res) => {
+  try {
+    const user = await db.collection('users').findOne({ username: req.user.username });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(publicProfile(user));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Names drive the chat greeting and live in the token, so a fresh token is returned
+app.patch('/api/users/me', requireAuth, validateBody(schemas.profileUpdate), async (req, res) => {
+  try {
+    const { firstName, lastName, email, currentPassword } = req.body;
+    const update = {};
+    if (firstName !== undefined) update.firstName = String(firstName).trim() || null;
+    if (lastName !== undefined) update.lastName = String(lastName).trim() || null;
+    if (email !== undefined) {
+      // Email is where reset links go, so changing it needs the current password
+      if (!(await verifyPassword(req, currentPassword)))
+        return res.status(403).json({ error: 'Current password is incorrect' });
+      update.email = String(email).trim().toLowerCase() || null;
+    }
+    const user = await db.collection('users').findOneAndUpdate(
+      { username: req.user.username },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({ ok: true, token: issueToken(user), profile: publicProfile(user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/users/me/password', requireAuth, validateBody(schemas.passwordChange), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!(await verifyPassword(req, currentPassword)))
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    await db.collection('users').updateOne(
+      { username: req.user.username },
+      { $set: { password: await bcrypt.hash(newPassword, 10), passwordChangedAt: new Date().toISOString() } }
+    );
+    // Every token issued before now stops working; this one replaces the caller's
+    res.json({ ok: true, token: issueToken(req.user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Always answers ok, whether or not the account exists, so it can't be used to probe usernames
+app.post('/api/users/password-reset', resetLimit, validateBody(schemas.resetRequest), async (req, res) => {
+  try {
+    const { username } = req.body;
+    const key = String(username).trim().toLowerCase();
+    const user = await db.collection('users').findOne({ $or: [{ username: key }, { email: key }] });
+    if (user) {
+      const token = crypto.randomBytes(24).toString('hex');
+      await db.collection('password_resets').insertOne({
+        _id: hashResetToken(token),
+        username: user.username,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + RESET_TTL_MS),
+      });
+      await sendMail(
+        user.email || user.username,
+        'Reset your Chat password',
+        `Use this code to reset the password for "${user.username}": ${token}\nIt expires in one hour.`
+      );
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/users/password-reset/confirm', resetLimit, validateBody(schemas.resetConfirm), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    const reset = await db.collection('password_resets').findOneAndDelete({
+      _id: hashResetToken(String(token).trim()),
+      expiresAt: { $gt: new Date() },
+    });
+    if (!reset) return res.status(400).json({ error: 'Reset code is invalid or has expired' });
+    await db.collection('users').updateOne(
+      { username: reset.username },
+      { $set: { password: await bcrypt.hash(newPassword, 10), passwordChangedAt: new Date().toISOString() } }
+    );
+    await db.collection('password_resets').deleteMany({ username: reset.username });
+    await loginUserGuard.succeed(`login:user:${reset.username}`);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/users/me', requireAuth, validateBody(schemas.accountDelete), async (req, res) => {
+  try {
+    if (!(await verifyPassword(req, req.body.password)))
+      return res.status(403).json({ error: 'Password is incorrect' });
+    const { username } = req.user;
+    const sessions = await db.collection('sessions').deleteMany({ username });
+    await db.collection('messages').deleteMany({ username });
+    await db.collection('shares').deleteMany({ username });
+    await attachments.removeAll(username);
+    await db.collection('password_resets').deleteMany({ username });
+    await db.collection('users').deleteOne({ username });
+    res.json({ ok: true, deletedSessions: sessions.deletedCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── Sessions ─────────────────────────────────────────────────────────────────
 
-app.get('/api/sessions', async (req, res) => {
+const SESSION_LIST_PROJECTION = { messages: 0, jsonData: 0, contextSummary: 0 };
+
+// Session doc → sidebar entry
+const toClientSession = (s) => ({
+  id: s._id.toString(),
+  agent: s.agent || null,
+  title: s.title || null,
+  createdAt: s.createdAt,
+  updatedAt: s.updatedAt || s.createdAt,
+  messageCount: s.messageCount || 0,
+  pinned: !!s.pinned,
+  folder: s.folder || null,
+  tags: s.tags || [],
+});
+
+app.get('/api/sessions', requireAuth, async (req, res) => {
   try {
-    const { username } = req.query;
-    if (!username) return res.status(400).json({ error: 'username required' });
+    const { username } = req.user;
     const sessions = await db
       .collection('sessions')
-      .find({ username })
+      .find({ username, deletedAt: null }, { projection: SESSION_LIST_PROJECTION })
       .sort({ createdAt: -1 })
       .toArray();
-    res.json(
-      sessions.map((s) => ({
-        id: s._id.toString(),
-        agent: s.agent || null,
-        title: s.title || null,
-        createdAt: s.createdAt,
-        messageCount: (s.messages || []).length,
-      }))
-    );
+    res.json(sessions.map(toClientSession));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/sessions', async (req, res) => {
+// Personas a new chat can be started with (stored in the session's `agent`)
+app.get('/api/personas', requireAuth, (req, res) => {
+  res.json({ personas: listPersonas(), defaultPersona: DEFAULT_PERSONA });
+});
+
+app.post('/api/sessions', requireAuth, validateBody(schemas.sessionCreate), async (req, res) => {
   try {
-    const { username, agent, title, jsonData } = req.body;
-    if (!username) return res.status(400).json({ error: 'username required' });
+    const { agent, title, jsonData } = req.body;
+    const now = new Date().toISOString();
     const doc = {
-      username,
-      agent: agent || null,
+      username: req.user.username,
+      agent: agent || DEFAULT_PERSONA,
       title: title || null,
-      createdAt: new Date().toISOString(),
-      messages: [],
+      createdAt: now,
+      updatedAt: now,
+      messageCount: 0,
     };
     if (Array.isArray(jsonData) && jsonData.length > 0) {
       doc.jsonData = jsonData;
@@ -209,34 +559,110 @@ app.post('/api/sessions', async (req, res) => {
   }
 });
 
-app.delete('/api/sessions/:id', async (req, res) => {
+// Moves the chat to the trash (see server/trash.js)
+app.delete('/api/sessions/:id', requireAuth, async (req, res) => {
   try {
-    await db.collection('sessions').deleteOne({ _id: new ObjectId(req.params.id) });
-    res.json({ ok: true });
+    const deletedAt = new Date().toISOString();
+    const result = await db.collection('sessions').updateOne(ownSession(req, req.params.id), { $set: { deletedAt } });
+    if (!result.matchedCount) return res.status(404).json({ error: 'Session not found' });
+    await db.collection('messages').updateMany({ sessionId: new ObjectId(req.params.id) }, { $set: { trashed: true } });
+    res.json({ ok: true, deletedAt, purgeAt: purgeAt(deletedAt) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.patch('/api/sessions/:id/title', async (req, res) => {
+app.patch('/api/sessions/:id/title', requireAuth, validateBody(schemas.sessionTitle), async (req, res) => {
   try {
     const { title } = req.body;
-    await db.collection('sessions').updateOne(
-      { _id: new ObjectId(req.params.id) },
-      { $set: { title } }
+    const result = await db.collection('sessions').updateOne(
+      ownSession(req, req.params.id),
+      { $set: { title, titleSource: 'user' } }
     );
+    if (!result.matchedCount) return res.status(404).json({ error: 'Session not found' });
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/sessions/:id/json', async (req, res) => {
+// Trimmed, without blanks or case-insensitive repeats
+const normalizeTags = (tags) => {
+  const seen = new Set();
+  return tags
+    .map((t) => t.trim().replace(/\s+/g, ' '))
+    .filter((t) => t && !seen.has(t.toLowerCase()) && seen.add(t.toLowerCase()));
+};
+
+// Rename, pin, file into a folder, tag — any subset of the four
+app.patch('/api/sessions/:id', requireAuth, validateBody(schemas.sessionUpdate), async (req, res) => {
+  try {
+    const { title, pinned, folder, tags } = req.body;
+    const $set = {};
+    if (title !== undefined) Object.assign($set, { title: title.trim(), titleSource: 'user' });
+    if (pinned !== undefined) $set.pinned = pinned;
+    if (folder !== undefined) $set.folder = folder?.trim() || null;
+    if (tags !== undefined) $set.tags = normalizeTags(tags);
+    if (!Object.keys($set).length) {
+      return res.status(400).json({ error: 'Invalid request: nothing to update' });
+    }
+    const session = await db.collection('sessions').findOneAndUpdate(
+      ownSession(req, req.params.id),
+      { $set },
+      { returnDocument: 'after', projection: { title: 1, pinned: 1, folder: 1, tags: 1 } }
+    );
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    res.json({ title: session.title || null, pinned: !!session.pinned, folder: session.folder || null, tags: session.tags || [] });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Names the chat from its first exchange. A title the user typed is never replaced:
+// the response then carries that title and `generated: false`.
+app.post('/api/sessions/:id/title/generate', requireAuth, chatLimit, async (req, res) => {
+  try {
+    const session = await db.collection('sessions').findOne(
+      ownSession(req, req.params.id),
+      { projection: { title: 1, titleSource: 1 } }
+    );
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    if (session.titleSource === 'user') return res.json({ title: session.title, generated: false });
+
+    const first = await db
+      .collection('messages')
+      .find({ sessionId: session._id }, { projection: { role: 1, content: 1 } })
+      .sort({ timestamp: 1, _id: 1 })
+      .limit(2)
+      .toArray();
+    const prompt = first.find((m) => m.role === 'user')?.content;
+    if (!prompt) return res.status(400).json({ error: 'Invalid request: the chat has no messages yet' });
+    const title = await generateTitle({ prompt, answer: first.find((m) => m.role === 'model')?.content });
+    if (!title) return res.status(502).json({ error: 'No title was generated' });
+
+    // The user may have renamed it while the model was thinking
+    const result = await db.collection('sessions').updateOne(
+      { ...ownSession(req, req.params.id), titleSource: { $ne: 'user' } },
+      { $set: { title, titleSource: 'auto' } }
+    );
+    if (!result.matchedCount) {
+      const current = await db.collection('sessions').findOne(ownSession(req, req.params.id), { projection: { title: 1 } });
+      return res.json({ title: current?.title ?? session.title, generated: false });
+    }
+    res.json({ title, generated: true });
+  } catch (err) {
+    console.error('[sessions/title]', err.message);
+    res.status(502).json({ error: err.message || 'Title generation failed' });
+  }
+});
+
+app.get('/api/sessions/:id/json', requireAuth, async (req, res) => {
   try {
     const doc = await db.collection('sessions').findOne(
-      { _id: new ObjectId(req.params.id) },
+      ownSession(req, req.params.id),
       { projection: { jsonData: 1 } }
     );
+    if (!doc) return res.status(404).json({ error: 'Session not found' });
     const data = doc?.jsonData;
     res.json(Array.isArray(data) ? data : []);
   } catch (err) {
@@ -244,85 +670,415 @@ app.get('/api/sessions/:id/json', async (req, res) => {
   }
 });
 
-app.put('/api/sessions/:id/json', async (req, res) => {
+app.put('/api/sessions/:id/json', requireAuth, validateBody(schemas.sessionJson), async (req, res) => {
   try {
     const { jsonData } = req.body;
-    if (!Array.isArray(jsonData)) return res.status(400).json({ error: 'jsonData must be an array' });
-    await db.collection('sessions').updateOne(
-      { _id: new ObjectId(req.params.id) },
+    const result = await db.collection('sessions').updateOne(
+      ownSession(req, req.params.id),
       { $set: { jsonData } }
     );
+    if (!result.matchedCount) return res.status(404).json({ error: 'Session not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Switch the branch shown for this session (any message id; the client picks a leaf)
+app.patch('/api/sessions/:id/active-leaf', requireAuth, validateBody(schemas.sessionActiveLeaf), async (req, res) => {
+  try {
+    const { leafId } = req.body;
+    const session = await db.collection('sessions').findOne(ownSession(req, req.params.id), { projection: { _id: 1 } });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    if (!(await messageExists(req.params.id, leafId))) {
+      return res.status(400).json({ error: 'Invalid request: leafId is not a message in this session' });
+    }
+    await db.collection('sessions').updateOne(ownSession(req, req.params.id), { $set: { activeLeafId: leafId } });
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// ── Export & import ──────────────────────────────────────────────────────────
+// See server/export.js for the formats
+
+// ?format=md (default), html or json — sent as a file download
+app.get('/api/sessions/:id/export', requireAuth, validateQuery(schemas.sessionExportQuery), async (req, res) => {
+  try {
+    const format = req.query.format || EXPORT_FORMATS[0];
+    const session = await db.collection('sessions').findOne(
+      ownSession(req, req.params.id),
+      { projection: { messages: 0, contextSummary: 0 } }
+    );
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const messages = await db
+      .collection('messages')
+      .find({ sessionId: session._id })
+      .sort({ timestamp: 1, _id: 1 })
+      .toArray();
+    const files = new Map();
+    for (const id of new Set(messages.flatMap(attachmentIdsOf))) {
+      const file = await attachments.readBase64(req.user.username, id);
+      if (file) files.set(id, file);
+    }
+    const bundle = buildBundle({ session, messages, files });
+    const assistantName = findPersona(session.agent).name;
+    const body =
+      format === 'json'
+        ? JSON.stringify(bundle, null, 2)
+        : format === 'html'
+          ? toHtml(bundle, { assistantName })
+          : toMarkdown(bundle, { assistantName });
+    res.attachment(exportFilename(session.title, format));
+    res.type(CONTENT_TYPES[format]).send(body);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// A JSON export → a new chat; responds with it as GET /api/sessions lists it
+app.post(IMPORT_PATH, requireAuth, uploadLimit, express.json({ limit: '50mb' }), validateBody(schemas.sessionImport), async (req, res) => {
+  try {
+    const bundle = req.body;
+    const problem = checkBundle(bundle);
+    if (problem) return res.status(400).json({ error: `Invalid request: ${problem}` });
+
+    const { username } = req.user;
+    const used = new Set(bundle.messages.flatMap(attachmentIdsOf));
+    const attachmentIds = new Map();
+    for (const [id, file] of Object.entries(bundle.attachments || {})) {
+      if (!used.has(id)) continue;
+      const meta = await attachments.put({ username, buffer: Buffer.from(file.data, 'base64'), mimeType: file.mimeType });
+      attachmentIds.set(id, meta._id);
+    }
+
+    const sessionId = new ObjectId();
+    const { session, messages } = fromBundle(bundle, {
+      sessionId: String(sessionId),
+      username,
+      attachmentIds,
+      personaIds: PERSONA_IDS,
+      defaultPersona: DEFAULT_PERSONA,
+    });
+    await db.collection('sessions').insertOne({ _id: sessionId, ...session });
+    if (messages.length) await db.collection('messages').insertMany(messages);
+    res.json(toClientSession({ _id: sessionId, ...session }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Trash ────────────────────────────────────────────────────────────────────
+
+// Most recently deleted first; each chat is purged at its purgeAt
+app.get('/api/trash', requireAuth, async (req, res) => {
+  try {
+    const sessions = await db
+      .collection('sessions')
+      .find({ username: req.user.username, deletedAt: { $ne: null } }, { projection: SESSION_LIST_PROJECTION })
+      .sort({ deletedAt: -1 })
+      .toArray();
+    res.json({
+      retentionDays: RETENTION_DAYS,
+      sessions: sessions.map((s) => ({ ...toClientSession(s), deletedAt: s.deletedAt, purgeAt: purgeAt(s.deletedAt) })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Back to the sidebar; responds with the chat as GET /api/sessions lists it
+app.post('/api/trash/:id/restore', requireAuth, async (req, res) => {
+  try {
+    const session = await db.collection('sessions').findOneAndUpdate(
+      trashedSession(req, req.params.id),
+      { $unset: { deletedAt: '' } },
+      { returnDocument: 'after', projection: SESSION_LIST_PROJECTION }
+    );
+    if (!session) return res.status(404).json({ error: 'Session not found in trash' });
+    await db.collection('messages').updateMany({ sessionId: session._id }, { $unset: { trashed: '' } });
+    res.json(toClientSession(session));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/trash/:id', requireAuth, async (req, res) => {
+  try {
+    const session = await db.collection('sessions').findOne(trashedSession(req, req.params.id), { projection: { _id: 1 } });
+    if (!session) return res.status(404).json({ error: 'Session not found in trash' });
+    await removeSessions(db, attachments, [session._id]);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Empty the trash
+app.delete('/api/trash', requireAuth, async (req, res) => {
+  try {
+    const trashed = await db
+      .collection('sessions')
+      .find({ username: req.user.username, deletedAt: { $ne: null } }, { projection: { _id: 1 } })
+      .toArray();
+    res.json({ ok: true, deletedSessions: await removeSessions(db, attachments, trashed.map((s) => s._id)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Share links ──────────────────────────────────────────────────────────────
+// See server/shares.js
+
+// → { id, token, sessionId, title, createdAt }; the chat's existing link if it has one
+app.post('/api/sessions/:id/share', requireAuth, async (req, res) => {
+  try {
+    const session = await db.collection('sessions').findOne(ownSession(req, req.params.id), { projection: { title: 1 } });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const share = await db.collection('shares').findOneAndUpdate(
+      { username: req.user.username, sessionId: session._id },
+      { $setOnInsert: { token: newShareToken(), createdAt: new Date().toISOString() } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    res.json(toClientShare(share, session.title));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The caller's live links, newest first
+app.get('/api/shares', requireAuth, async (req, res) => {
+  try {
+    const { username } = req.user;
+    const shares = await db.collection('shares').find({ username }).sort({ createdAt: -1 }).toArray();
+    const sessions = await db
+      .collection('sessions')
+      .find({ _id: { $in: shares.map((s) => s.sessionId) }, username }, { projection: { title: 1 } })
+      .toArray();
+    const titles = new Map(sessions.map((s) => [String(s._id), s.title]));
+    res.json({ shares: shares.map((s) => toClientShare(s, titles.get(String(s.sessionId)) ?? null)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/shares/:id', requireAuth, async (req, res) => {
+  try {
+    const result = await db.collection('shares').deleteOne({ _id: new ObjectId(req.params.id), username: req.user.username });
+    if (!result.deletedCount) return res.status(404).json({ error: 'Share link not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Public: no login, the token is the credential
+app.get('/api/shared/:token', sharedLimit, async (req, res) => {
+  try {
+    const notFound = () => res.status(404).json({ error: 'This link was revoked or never existed' });
+    if (!isShareToken(req.params.token)) return notFound();
+    const share = await db.collection('shares').findOne({ token: req.params.token });
+    if (!share) return notFound();
+    const session = await db.collection('sessions').findOne(
+      { _id: share.sessionId, username: share.username, deletedAt: null },
+      { projection: { title: 1, agent: 1, activeLeafId: 1 } }
+    );
+    if (!session) return notFound();
+    const messages = await db
+      .collection('messages')
+      .find({ sessionId: session._id })
+      .sort({ timestamp: 1, _id: 1 })
+      .toArray();
+    res.set('Cache-Control', 'no-store');
+    res.json(toSharedChat({ session, messages, assistantName: findPersona(session.agent).name, share }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Attachments ──────────────────────────────────────────────────────────────
+// Raw image bytes in, signed URLs out (see server/attachments.js)
+
+const rawImage = (limit) => express.raw({ type: 'image/*', limit });
+
+app.post('/api/attachments', requireAuth, uploadLimit, rawImage('5mb'), async (req, res) => {
+  try {
+    const mimeType = req.get('Content-Type')?.split(';')[0].trim();
+    if (!Buffer.isBuffer(req.body) || !req.body.length)
+      return res.status(400).json({ error: 'Invalid request: send the image bytes with an image/* Content-Type' });
+    const name = typeof req.query.name === 'string' ? req.query.name.slice(0, 255) : null;
+    const meta = await attachments.put({ username: req.user.username, buffer: req.body, mimeType, name });
+    res.status(201).json(attachmentRef(meta));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/attachments/:id/thumbnail', requireAuth, uploadLimit, rawImage('512kb'), async (req, res) => {
+  try {
+    const mimeType = req.get('Content-Type')?.split(';')[0].trim();
+    if (!Buffer.isBuffer(req.body) || !req.body.length)
+      return res.status(400).json({ error: 'Invalid request: send the thumbnail bytes with an image/* Content-Type' });
+    const meta = await attachments.putThumbnail({ username: req.user.username, id: req.params.id, buffer: req.body, mimeType });
+    if (!meta) return res.status(404).json({ error: 'Attachment not found' });
+    res.json(attachmentRef(meta));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// No Authorization header from <img src>: the URL's signature is the credential
+app.get('/api/attachments/:id', async (req, res) => {
+  try {
+    const thumb = req.query.thumb === '1';
+    if (!verifySignature(req.params.id, thumb, req.query.sig))
+      return res.status(403).json({ error: 'Invalid or missing signature' });
+    const file = await attachments.open(req.params.id, { thumb });
+    if (!file) return res.status(404).json({ error: 'Attachment not found' });
+    const etag = `"${file.meta.sha256}${thumb && file.meta.thumbnail ? '-thumb' : ''}"`;
+    res.set({
+      'Content-Type': file.mimeType,
+      'Content-Length': String(file.size),
+      'Cache-Control': 'private, max-age=31536000, immutable',
+      ETag: etag,
+    });
+    if (req.get('If-None-Match') === etag) {
+      file.stream.destroy();
+      return res.status(304).end();
+    }
+    file.stream.on('error', (err) => {
+      console.error('[attachments]', err.message);
+      res.destroy(err);
+    });
+    file.stream.pipe(res);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── Messages ─────────────────────────────────────────────────────────────────
 
-app.post('/api/messages', async (req, res) => {
+const messageExists = async (sessionId, id) =>
+  !!(await db.collection('messages').countDocuments({ sessionId: new ObjectId(sessionId), id }, { limit: 1 }));
+
+app.post('/api/messages', requireAuth, validateBody(schemas.messageCreate), async (req, res) => {
   try {
-    const { session_id, role, content, imageData, charts, toolCalls } = req.body;
-    if (!session_id || !role || content === undefined)
-      return res.status(400).json({ error: 'session_id, role, content required' });
-    const msg = {
+    const { session_id, role, content, imageData, charts, toolCalls, grounding, csvName, jsonName } = req.body;
+    const session = await db.collection('sessions').findOne(
+      ownSession(req, session_id),
+      { projection: { activeLeafId: 1 } }
+    );
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    // Omitted parentId continues the branch on screen
+    let { parentId } = req.body;
+    if (parentId === undefined) parentId = session.activeLeafId ?? null;
+    else if (parentId !== null && !(await messageExists(session_id, parentId))) {
+      return res.status(400).json({ error: 'Invalid request: parentId is not a message in this session' });
+    }
+    const ids = (req.body.attachments || []).map((a) => a.id);
+    const owned = await attachments.findOwned(req.user.username, ids);
+    if (owned.length !== ids.length) return res.status(400).json({ error: 'Invalid request: unknown attachment' });
+    for (const img of imageData ? [].concat(imageData) : []) {
+      owned.push(await attachments.put({
+        username: req.user.username,
+        buffer: Buffer.from(img.data, 'base64'),
+        mimeType: img.mimeType,
+        name: img.name || null,
+      }));
+    }
+    const msg = toMessageDoc(session_id, req.user.username, {
+      id: newMessageId(),
+      parentId,
       role,
       content,
       timestamp: new Date().toISOString(),
-      ...(imageData && {
-        imageData: Array.isArray(imageData) ? imageData : [imageData],
-      }),
-      ...(charts?.length && { charts }),
-      ...(toolCalls?.length && { toolCalls }),
-    };
+      attachments: owned,
+      charts,
+      toolCalls,
+      grounding,
+      csvName,
+      jsonName,
+    });
+    await db.collection('messages').insertOne(msg);
     await db.collection('sessions').updateOne(
-      { _id: new ObjectId(session_id) },
-      { $push: { messages: msg } }
+      ownSession(req, session_id),
+      { $set: { activeLeafId: msg.id, updatedAt: msg.timestamp }, $inc: { messageCount: 1 } }
     );
-    res.json({ ok: true });
+    res.json({ ok: true, id: msg.id, parentId });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Newest page first; pass the returned nextCursor as `before` for older messages
+app.get('/api/messages', requireAuth, validateQuery(schemas.messagesQuery), async (req, res) => {
+  try {
+    const { session_id, before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || PAGE_SIZE, MAX_PAGE_SIZE);
+    const cursor = before ? decodeCursor(before) : null;
+    if (before && !cursor) return res.status(400).json({ error: 'Invalid request: before is not a valid cursor' });
+    const session = await db.collection('sessions').findOne(
+      ownSession(req, session_id),
+      { projection: { activeLeafId: 1 } }
+    );
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const docs = await db
+      .collection('messages')
+      .find(pageFilter(session_id, cursor))
+      .sort(SORT)
+      .limit(limit + 1)
+      .toArray();
+    res.json({ ...toPage(docs, limit), activeLeafId: session.activeLeafId ?? null });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/messages', async (req, res) => {
+// ── Search ───────────────────────────────────────────────────────────────────
+
+// Best matches first across all of the caller's chats (see server/search.js)
+app.get('/api/search', requireAuth, validateQuery(schemas.searchQuery), async (req, res) => {
   try {
-    const { session_id } = req.query;
-    if (!session_id) return res.status(400).json({ error: 'session_id required' });
-    const doc = await db
+    const { q } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+    const docs = await db
+      .collection('messages')
+      .find(
+        { username: req.user.username, trashed: { $ne: true }, $text: { $search: q } },
+        { projection: { imageData: 0, charts: 0, 'toolCalls.args': 0, 'toolCalls.result': 0, score: { $meta: 'textScore' } } }
+      )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .toArray();
+    const sessions = await db
       .collection('sessions')
-      .findOne({ _id: new ObjectId(session_id) });
-    const raw = doc?.messages || [];
-    const msgs = raw.map((m, i) => {
-      const arr = m.imageData
-        ? Array.isArray(m.imageData)
-          ? m.imageData
-          : [m.imageData]
-        : [];
-      return {
-        id: `${doc._id}-${i}`,
-        role: m.role,
-        content: m.content,
-        timestamp: m.timestamp,
-        images: arr.length
-          ? arr.map((img) => ({ data: img.data, mimeType: img.mimeType }))
-          : undefined,
-        charts: m.charts?.length ? m.charts : undefined,
-        toolCalls: m.toolCalls?.length ? m.toolCalls : undefined,
-      };
-    });
-    res.json(msgs);
+      .find({ _id: { $in: docs.map((d) => d.sessionId) }, username: req.user.username }, { projection: { title: 1 } })
+      .toArray();
+    const titles = new Map(sessions.map((s) => [String(s._id), s.title]));
+    const terms = searchTerms(q);
+    res.json({ results: docs.map((d) => toResult(d, terms, titles)) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Body-parser failures (bad JSON, oversized payloads) as JSON instead of Express's HTML page
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed')
+    return res.status(400).json({ error: 'Invalid request: body is not valid JSON' });
+  if (err.type === 'entity.too.large')
+    return res.status(413).json({ error: 'Request too large' });
+  next(err);
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 
 const PORT = process.env.PORT || 3001;
 
 connect()
   .then(() => {
+    startPurge(db, attachments);
     app.listen(PORT, () => console.log(`Server on http://localhost:${PORT}`));
   })
   .catch((err) => {
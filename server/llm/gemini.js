@@ -0,0 +1,105 @@
+// Gemini adapter for the provider interface (see ./index.js)
+// Text / tools go through @google/generative-ai; images through @google/genai.
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+const IMAGE_EDIT_MODEL = 'gemini-2.5-flash-image';
+const IMAGE_MODEL = 'imagen-4.0-generate-001';
+
+// Provider-neutral tool flags → Gemini tool objects.
+// Gemini does not support search and code execution in the same request.
+function geminiTools({ search, codeExecution, functionDeclarations } = {}) {
+  const tools = [];
+  if (functionDeclarations?.length) tools.push({ functionDeclarations });
+  if (codeExecution) tools.push({ codeExecution: {} });
+  else if (search) tools.push({ googleSearch: {} });
+  return tools;
+}
+
+function createGeminiProvider({
+  apiKey = process.env.GEMINI_API_KEY || process.env.REACT_APP_GEMINI_API_KEY,
+  model = process.env.GEMINI_MODEL || DEFAULT_MODEL,
+} = {}) {
+  let genAI = null;
+  const key = () => {
+    if (!apiKey?.trim()) throw new Error('GEMINI_API_KEY is not set on the server');
+    return apiKey.trim();
+  };
+  const getModel = (tools, systemInstruction) => {
+    if (!genAI) genAI = new GoogleGenerativeAI(key());
+    return genAI.getGenerativeModel({
+      model,
+      tools: geminiTools(tools),
+      ...(systemInstruction && { systemInstruction }),
+    });
+  };
+
+  return {
+    name: 'gemini',
+    capabilities: {
+      streaming: true,
+      functionCalling: true,
+      codeExecution: true,
+      search: true,
+      imageGeneration: true,
+    },
+
+    async *streamContent({ systemInstruction, contents, tools }) {
+      const result = await getModel(tools, systemInstruction).generateContentStream({ contents });
+      for await (const chunk of result.stream) {
+        const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
+        for (const part of chunkParts) {
+          if (part.text) yield { type: 'text', text: part.text };
+        }
+      }
+      const response = await result.response;
+      const candidate = response.candidates?.[0];
+      yield {
+        type: 'response',
+        parts: candidate?.content?.parts || [],
+        grounding: candidate?.groundingMetadata || null,
+      };
+    },
+
+    async generateContent({ systemInstruction, contents, tools }) {
+      const { response } = await getModel(tools, systemInstruction).generateContent({ contents });
+      const candidate = response.candidates?.[0];
+      return {
+        parts: candidate?.content?.parts || [],
+        grounding: candidate?.groundingMetadata || null,
+      };
+    },
+
+    async generateImage({ prompt, anchorImageBase64 }) {
+      const { GoogleGenAI } = await import('@google/genai');
+      const ai = new GoogleGenAI({ apiKey: key() });
+
+      let imageBase64;
+      if (anchorImageBase64) {
+        // Gemini 2.5 Flash Image for image + text → image (supports reference/editing)
+        const response = await ai.models.generateContent({
+          model: IMAGE_EDIT_MODEL,
+          contents: [
+            { inlineData: { mimeType: 'image/png', data: anchorImageBase64 } },
+            { text: prompt },
+          ],
+          config: { responseModalities: ['TEXT', 'IMAGE'] },
+        });
+        const imgPart = response.candidates?.[0]?.content?.parts?.find((p) => p.inlineData);
+        imageBase64 = imgPart?.inlineData?.data;
+      } else {
+        // Imagen 4 for text-only generation
+        const response = await ai.models.generateImages({
+          model: IMAGE_MODEL,
+          prompt,
+          config: { numberOfImages: 1 },
+        });
+        imageBase64 = response?.generatedImages?.[0]?.image?.imageBytes;
+      }
+      return imageBase64 ? { imageBase64, mimeType: 'image/png' } : null;
+    },
+  };
+}
+
+module.exports = { createGeminiProvider, geminiTools };
@@ -0,0 +1,47 @@
+// LLM provider selection
+//
+// Every provider implements:
+//   name, capabilities: { streaming, functionCalling, codeExecution, search, imageGeneration }
+//   streamContent({ systemInstruction, contents, tools })   — async iterable of
+//       { type: 'text', text } chunks, then one { type: 'response', parts, grounding }
+//   generateContent({ systemInstruction, contents, tools }) → { parts, grounding }
+//   generateImage({ prompt, anchorImageBase64 }) → { imageBase64, mimeType } | null
+//
+// `contents` and `parts` use Gemini's wire format ({ role, parts: [{ text } |
+// { inlineData } | { functionCall } | { functionResponse } | …] }), which the
+// rest of the server and the browser already speak. `tools` is
+// { search, codeExecution, functionDeclarations }; `systemInstruction` is a
+// string sent through the model's native system-instruction field.
+//
+// LLM_PROVIDER picks the implementation: "gemini" (default) or "mock".
+// Under NODE_ENV=test the default is "mock" so tests never touch the network.
+
+const { createGeminiProvider } = require('./gemini');
+const { createMockProvider } = require('./mock');
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  mock: createMockProvider,
+};
+
+let current = null;
+
+function getProvider() {
+  if (current) return current;
+  const fallback = process.env.NODE_ENV === 'test' ? 'mock' : 'gemini';
+  const name = (process.env.LLM_PROVIDER || fallback).trim().toLowerCase();
+  const create = PROVIDERS[name];
+  if (!create) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  current = create();
+  console.log(`LLM provider: ${current.name}`);
+  return current;
+}
+
+// For tests: swap in a specific provider (pass null to re-read the env)
+function setProvider(provider) {
+  current = provider;
+}
+
+module.exports = { getProvider, setProvider };
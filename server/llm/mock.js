@@ -0,0 +1,126 @@
+// Scripted mock provider — replays canned responses from fixture files so the
+// chat flows (streaming, code execution, tool calls, image generation) run
+// offline and deterministically.
+//
+// Fixture file (JSON):
+//   {
+//     "rules": [
+//       { "name": "…", "match": "regex", "tools": "search"|"codeExecution"|"functions",
+//         "parts": [ …Gemini-style parts… ], "grounding": { … } },
+//       { "name": "…", "afterFunction": "tool_name" | "*", "parts": [ … ] }
+//     ],
+//     "fallback": { "parts": [ … ] },
+//     "image": { "mimeType": "image/png", "data": "<base64>" }
+//   }
+//
+// The first rule that fits the last user turn wins. `match` is tested
+// (case-insensitively) against that turn's text; `afterFunction` rules answer a
+// function response instead (any of them, when several calls were answered).
+// Text parts may use {{message}}, {{functionName}} and {{result}} (the
+// function result as JSON; a list when there were several).
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures');
+const MAX_TEMPLATE_RESULT = 2000;
+
+// A file, or every *.json in a directory (alphabetical); rules are concatenated
+function loadFixtures(location = DEFAULT_FIXTURES) {
+  const files = fs.statSync(location).isDirectory()
+    ? fs.readdirSync(location).filter((f) => f.endsWith('.json')).sort().map((f) => path.join(location, f))
+    : [location];
+
+  const merged = { rules: [], fallback: null, image: null };
+  for (const file of files) {
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    merged.rules.push(...(fixture.rules || []));
+    merged.fallback = merged.fallback || fixture.fallback || null;
+    merged.image = merged.image || fixture.image || null;
+  }
+  return merged;
+}
+
+const toolKind = ({ search, codeExecution, functionDeclarations } = {}) => {
+  if (functionDeclarations?.length) return 'functions';
+  if (codeExecution) return 'codeExecution';
+  if (search) return 'search';
+  return null;
+};
+
+// The turn the model is answering: its text and any function responses
+function lastUserTurn(contents = []) {
+  const turn = [...contents].reverse().find((c) => c.role === 'user') || { parts: [] };
+  return {
+    text: turn.parts.filter((p) => typeof p.text === 'string').map((p) => p.text).join('\n'),
+    functionResponses: turn.parts.filter((p) => p.functionResponse).map((p) => p.functionResponse),
+  };
+}
+
+function fill(template, vars) {
+  return template.replace(/\{\{(\w+)\}\}/g, (whole, key) => (key in vars ? vars[key] : whole));
+}
+
+function renderParts(parts, vars) {
+  return parts.map((p) => (typeof p.text === 'string' ? { ...p, text: fill(p.text, vars) } : p));
+}
+
+// Word-sized chunks so the UI sees a realistic stream
+const chunkText = (text) => text.match(/\S+\s*|\s+/g) || [];
+
+function createMockProvider({ fixtures, fixturesPath = process.env.LLM_MOCK_FIXTURES } = {}) {
+  const script = fixtures || loadFixtures(fixturesPath || DEFAULT_FIXTURES);
+
+  function respond({ contents, tools }) {
+    const kind = toolKind(tools);
+    const { text, functionResponses } = lastUserTurn(contents);
+    const names = functionResponses.map((r) => r.name);
+
+    const rule = script.rules.find((r) => {
+      if (r.tools && r.tools !== kind) return false;
+      if (names.length) return r.afterFunction === '*' || names.includes(r.afterFunction);
+      return !r.afterFunction && (!r.match || new RegExp(r.match, 'i').test(text));
+    });
+    const chosen = rule || script.fallback || { parts: [{ text: 'Mock response.' }] };
+
+    const results = functionResponses.map((r) => r.response?.result ?? r.response);
+    const result = results.length ? JSON.stringify(results.length === 1 ? results[0] : results) : '';
+    const vars = {
+      message: text,
+      functionName: names.join(', '),
+      result: result.length > MAX_TEMPLATE_RESULT ? `${result.slice(0, MAX_TEMPLATE_RESULT)}…` : result,
+    };
+    return { parts: renderParts(chosen.parts || [], vars), grounding: chosen.grounding || null };
+  }
+
+  return {
+    name: 'mock',
+    capabilities: {
+      streaming: true,
+      functionCalling: true,
+      codeExecution: true,
+      search: true,
+      imageGeneration: Boolean(script.image),
+    },
+
+    async *streamContent(request) {
+      const { parts, grounding } = respond(request);
+      for (const part of parts) {
+        if (typeof part.text !== 'string') continue;
+        for (const text of chunkText(part.text)) yield { type: 'text', text };
+      }
+      yield { type: 'response', parts, grounding };
+    },
+
+    async generateContent(request) {
+      return respond(request);
+    },
+
+    async generateImage() {
+      if (!script.image) return null;
+      return { imageBase64: script.image.data, mimeType: script.image.mimeType || 'image/png' };
+    },
+  };
+}
+
+module.exports = { createMockProvider, loadFixtures };
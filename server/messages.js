@@ -0,0 +1,130 @@
+// Messages collection
+//
+// One document per message (they used to be an array inside the session, which
+// grows without bound — images, tool results and chart data included):
+//   { _id, sessionId, username, id, parentId, role, content, timestamp,
+//     attachments?, imageData?, charts?, toolCalls?, grounding?, csvName?, jsonName? }
+// `id` / `parentId` are the conversation-tree ids from ./thread.js. Images are
+// `attachments` ([{ id, mimeType, name }], see ./attachments.js); messages saved
+// before the attachment store carry base64 `imageData` instead.
+//
+// GET /api/messages pages backwards in time: each page is the `limit` messages
+// saved before the cursor, returned oldest first, plus the cursor for the page
+// before it. Cursors are opaque to the client.
+
+const { ObjectId } = require('mongodb');
+const { attachmentRef } = require('./attachments');
+
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Matches the sort below: newest first, _id breaking timestamp ties
+const INDEXES = [
+  { key: { sessionId: 1, timestamp: 1, _id: 1 } },
+  { key: { sessionId: 1, id: 1 }, unique: true },
+  { key: { username: 1 } },
+];
+const SORT = { timestamp: -1, _id: -1 };
+
+const encodeCursor = (doc) => Buffer.from(`${doc.timestamp}|${doc._id}`).toString('base64url');
+
+// → { timestamp, _id } or null for a malformed cursor
+function decodeCursor(cursor) {
+  const [timestamp, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  if (!timestamp || !ObjectId.isValid(id ?? '')) return null;
+  return { timestamp, _id: new ObjectId(id) };
+}
+
+// Filter for the page of `sessionId` before `cursor` (decoded), or the newest page
+function pageFilter(sessionId, cursor) {
+  const filter = { sessionId: new ObjectId(sessionId) };
+  if (cursor) {
+    filter.$or = [
+      { timestamp: { $lt: cursor.timestamp } },
+      { timestamp: cursor.timestamp, _id: { $lt: cursor._id } },
+    ];
+  }
+  return filter;
+}
+
+// Docs fetched with SORT and limit + 1 → { messages (oldest first), nextCursor }
+function toPage(docs, limit) {
+  const page = docs.slice(0, limit);
+  return {
+    messages: page.reverse().map(toClientMessage),
+    nextCursor: docs.length > limit ? encodeCursor(page[0]) : null,
+  };
+}
+
+// Stored message (embedded or collection doc) → collection doc
+function toMessageDoc(sessionId, username, m) {
+  return {
+    sessionId: new ObjectId(sessionId),
+    username,
+    id: m.id,
+    parentId: m.parentId ?? null,
+    role: m.role,
+    content: m.content,
+    timestamp: m.timestamp,
+    ...(m.attachments?.length && {
+      attachments: m.attachments.map((a) => ({ id: new ObjectId(a._id || a.id), mimeType: a.mimeType, name: a.name || null })),
+    }),
+    ...(m.imageData && { imageData: Array.isArray(m.imageData) ? m.imageData : [m.imageData] }),
+    ...(m.charts?.length && { charts: m.charts }),
+    ...(m.toolCalls?.length && { toolCalls: m.toolCalls }),
+    ...(m.grounding && { grounding: m.grounding }),
+    ...(m.csvName && { csvName: m.csvName }),
+    ...(m.jsonName && { jsonName: m.jsonName }),
+  };
+}
+
+// Attachment ids a message refers to: its images and any generated image in a tool result
+const attachmentIdsOf = (m) => [
+  ...(m.attachments || []).map((a) => String(a.id)),
+  ...(m.toolCalls || []).map((tc) => tc.result?.attachmentId).filter(Boolean).map(String),
+];
+
+// Images as { id, mimeType, name, url, thumbnailUrl } — or { data, mimeType } for old messages
+const clientImages = (m) => {
+  if (m.attachments?.length) return m.attachments.map(attachmentRef);
+  if (m.imageData?.length) return m.imageData.map((img) => ({ data: img.data, mimeType: img.mimeType }));
+  return undefined;
+};
+
+// Generated images in tool results get a fresh URL for their attachment
+const clientToolCall = (tc) => {
+  const { result } = tc;
+  if (!result?._generatedImage || !result.attachmentId) return tc;
+  const { url } = attachmentRef({ id: result.attachmentId, mimeType: result.mimeType });
+  return { ...tc, result: { ...result, url } };
+};
+
+function toClientMessage(m) {
+  return {
+    id: m.id,
+    parentId: m.parentId ?? null,
+    role: m.role,
+    content: m.content,
+    timestamp: m.timestamp,
+    images: clientImages(m),
+    charts: m.charts?.length ? m.charts : undefined,
+    toolCalls: m.toolCalls?.length ? m.toolCalls.map(clientToolCall) : undefined,
+    grounding: m.grounding || undefined,
+    csvName: m.csvName || undefined,
+    jsonName: m.jsonName || undefined,
+  };
+}
+
+module.exports = {
+  PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  INDEXES,
+  SORT,
+  encodeCursor,
+  decodeCursor,
+  pageFilter,
+  toPage,
+  toMessageDoc,
+  attachmentIdsOf,
+  toClientMessage,
+};
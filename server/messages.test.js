@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { encodeCursor, decodeCursor, pageFilter, toPage } = require('./messages');
+const { migrate } = require('./migrate-messages');
+
+const SESSION = new ObjectId('64b000000000000000000001');
+
+// Docs as the route fetches them: newest first
+const newestFirst = (n) =>
+  Array.from({ length: n }, (_, i) => ({
+    _id: new ObjectId(),
+    id: `m${i}`,
+    role: i % 2 ? 'model' : 'user',
+    content: `message ${i}`,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString(),
+  })).reverse();
+
+test('a page is returned oldest first with a cursor for the page before it', () => {
+  const docs = newestFirst(5);
+  const page = toPage(docs.slice(0, 3), 2);
+  assert.deepEqual(page.messages.map((m) => m.id), ['m3', 'm4']);
+  assert.deepEqual(decodeCursor(page.nextCursor), { timestamp: docs[1].timestamp, _id: docs[1]._id });
+
+  const last = toPage(docs.slice(3), 2);
+  assert.deepEqual(last.messages.map((m) => m.id), ['m0', 'm1']);
+  assert.equal(last.nextCursor, null);
+});
+
+test('cursors select strictly older messages, breaking timestamp ties by _id', () => {
+  const doc = { _id: new ObjectId(), timestamp: '2026-01-01T00:00:00.000Z' };
+  const filter = pageFilter(SESSION.toString(), decodeCursor(encodeCursor(doc)));
+  assert.deepEqual(filter.sessionId, SESSION);
+  assert.deepEqual(filter.$or, [
+    { timestamp: { $lt: doc.timestamp } },
+    { timestamp: doc.timestamp, _id: { $lt: doc._id } },
+  ]);
+  assert.equal(pageFilter(SESSION.toString(), null).$or, undefined);
+  assert.equal(decodeCursor('not a cursor'), null);
+});
+
+// Just enough of the driver for migrate()
+const fakeDb = (sessions) => {
+  const messages = [];
+  return {
+    messages,
+    collection: (name) =>
+      name === 'sessions'
+        ? {
+            find: () => sessions.filter((s) => s.messages),
+            updateOne: async ({ _id }, { $set, $unset }) => {
+              const s = sessions.find((x) => x._id.equals(_id));
+              Object.assign(s, $set);
+              for (const key of Object.keys($unset)) delete s[key];
+            },
+          }
+        : {
+            createIndexes: async () => {},
+            bulkWrite: async (ops) => {
+              for (const { updateOne } of ops) {
+                const { sessionId, id } = updateOne.filter;
+                if (!messages.some((m) => m.sessionId.equals(sessionId) && m.id === id)) {
+                  messages.push(updateOne.update.$setOnInsert);
+                }
+              }
+            },
+            countDocuments: async ({ sessionId }) => messages.filter((m) => m.sessionId.equals(sessionId)).length,
+          },
+  };
+};
+
+test('the migration moves embedded messages out and can be re-run', async () => {
+  const session = {
+    _id: SESSION,
+    username: 'ada',
+    messages: [
+      { role: 'user', content: 'hi', timestamp: '2026-01-01T00:00:00.000Z', imageData: { data: 'AAAA', mimeType: 'image/png' } },
+      { role: 'model', content: 'hello', timestamp: '2026-01-01T00:00:01.000Z' },
+    ],
+  };
+  const db = fakeDb([session, { _id: new ObjectId(), username: 'ada', messageCount: 0 }]);
+  const log = () => {};
+
+  assert.deepEqual(await migrate(db, { log }), { sessions: 1, messages: 2 });
+  assert.equal(session.messages, undefined);
+  assert.equal(session.messageCount, 2);
+  assert.equal(session.activeLeafId, `${SESSION}-1`);
+  assert.deepEqual(db.messages.map((m) => [m.id, m.parentId, m.username]), [
+    [`${SESSION}-0`, null, 'ada'],
+    [`${SESSION}-1`, `${SESSION}-0`, 'ada'],
+  ]);
+  assert.deepEqual(db.messages[0].imageData, [{ data: 'AAAA', mimeType: 'image/png' }]);
+
+  assert.deepEqual(await migrate(db, { log }), { sessions: 0, messages: 0 });
+  assert.equal(db.messages.length, 2);
+});
@@ -0,0 +1,79 @@
+// One-off migration: session.messages arrays → the messages collection
+//
+//   node server/migrate-messages.js [--dry-run]
+//
+// For every session that still has an embedded `messages` array, copies each
+// message into `messages` (ids from ./thread.js, so links to old messages keep
+// working), sets the session's activeLeafId and messageCount, and removes the
+// array. Safe to re-run: messages already copied are left as they are.
+
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { withIds } = require('./thread');
+const { INDEXES, toMessageDoc } = require('./messages');
+
+const URI = process.env.REACT_APP_MONGODB_URI || process.env.MONGODB_URI || process.env.REACT_APP_MONGO_URI;
+const DB = 'chatapp';
+
+// Session document → collection docs for its embedded messages
+const sessionMessageDocs = (session) =>
+  withIds(session._id.toString(), session.messages).map((m) =>
+    toMessageDoc(session._id.toString(), session.username, m)
+  );
+
+async function migrate(db, { dryRun = false, log = console.log } = {}) {
+  const sessions = db.collection('sessions');
+  const messages = db.collection('messages');
+  if (!dryRun) await messages.createIndexes(INDEXES);
+
+  let migratedSessions = 0;
+  let migratedMessages = 0;
+  const cursor = sessions.find({ messages: { $exists: true } });
+  for await (const session of cursor) {
+    const docs = sessionMessageDocs(session);
+    if (!dryRun && docs.length) {
+      await messages.bulkWrite(
+        docs.map((doc) => ({
+          updateOne: {
+            filter: { sessionId: doc.sessionId, id: doc.id },
+            update: { $setOnInsert: doc },
+            upsert: true,
+          },
+        })),
+        { ordered: true }
+      );
+    }
+    if (!dryRun) {
+      const messageCount = await messages.countDocuments({ sessionId: session._id });
+      await sessions.updateOne(
+        { _id: session._id },
+        {
+          $set: { messageCount, activeLeafId: session.activeLeafId ?? docs.at(-1)?.id ?? null },
+          $unset: { messages: '' },
+        }
+      );
+    }
+    migratedSessions += 1;
+    migratedMessages += docs.length;
+    log(`${dryRun ? '[dry run] ' : ''}${session._id}: ${docs.length} messages`);
+  }
+  log(`${dryRun ? '[dry run] ' : ''}Migrated ${migratedMessages} messages from ${migratedSessions} sessions`);
+  return { sessions: migratedSessions, messages: migratedMessages };
+}
+
+if (require.main === module) {
+  (async () => {
+    if (!URI?.trim()) throw new Error('MongoDB URI missing. Set REACT_APP_MONGODB_URI in your .env file.');
+    const client = await MongoClient.connect(URI);
+    try {
+      await migrate(client.db(DB), { dryRun: process.argv.includes('--dry-run') });
+    } finally {
+      await client.close();
+    }
+  })().catch((err) => {
+    console.error('Migration failed:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { migrate, sessionMessageDocs };
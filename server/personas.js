@@ -0,0 +1,55 @@
+// Assistant personas — one system prompt file per persona in public/, plus the
+// shared instructions in prompt_common.txt (personalisation and tool usage).
+// A session's persona is stored in its `agent` field.
+
+const fs = require('fs');
+const path = require('path');
+
+const PROMPT_DIR = path.join(__dirname, '..', 'public');
+const COMMON_FILE = 'prompt_common.txt';
+
+const PERSONAS = [
+  {
+    id: 'lisa',
+    name: 'Lisa',
+    description: 'Course TA and social media coach with big Blackpink energy',
+    file: 'prompt_chat.txt',
+  },
+  {
+    id: 'analyst',
+    name: 'Analyst',
+    description: 'Neutral data analyst — numbers first, no hype',
+    file: 'prompt_analyst.txt',
+  },
+  {
+    id: 'strategist',
+    name: 'Strategist',
+    description: 'Content strategist — turns your data into a posting plan',
+    file: 'prompt_strategist.txt',
+  },
+];
+
+const DEFAULT_PERSONA = 'lisa';
+const PERSONA_IDS = PERSONAS.map((p) => p.id);
+
+const findPersona = (id) => PERSONAS.find((p) => p.id === id) || PERSONAS.find((p) => p.id === DEFAULT_PERSONA);
+
+async function readPrompt(file) {
+  try {
+    return (await fs.promises.readFile(path.join(PROMPT_DIR, file), 'utf8')).trim();
+  } catch {
+    return '';
+  }
+}
+
+// Read on every request so prompt edits apply to the next message
+async function loadPersonaPrompt(id) {
+  const persona = findPersona(id);
+  const [own, common] = await Promise.all([readPrompt(persona.file), readPrompt(COMMON_FILE)]);
+  return [own, common].filter(Boolean).join('\n\n');
+}
+
+// What the client sees: no file paths
+const listPersonas = () => PERSONAS.map(({ id, name, description }) => ({ id, name, description }));
+
+module.exports = { DEFAULT_PERSONA, PERSONA_IDS, findPersona, loadPersonaPrompt, listPersonas };
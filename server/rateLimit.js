@@ -0,0 +1,156 @@
+// Attempt counters, login lockout and a generic rate limiter
+//
+// Counters live in a store so they survive restarts and are shared between server
+// instances. Two stores implement the same interface (all methods async):
+//   get(key)              → { count, lockedUntil, expiresAt } or null
+//   increment(key, ttlMs) → record after adding one (starts a new window once expired)
+//   lock(key, until)      → marks the key locked until `until` (ms timestamp)
+//   reset(key)            → forgets the key
+// Times in records are ms timestamps. The in-memory store is for tests and local dev.
+
+function createMemoryStore({ now = Date.now } = {}) {
+  const records = new Map();
+
+  const live = (key) => {
+    const rec = records.get(key);
+    if (rec && rec.expiresAt <= now()) {
+      records.delete(key);
+      return null;
+    }
+    return rec || null;
+  };
+
+  return {
+    async get(key) {
+      const rec = live(key);
+      return rec ? { ...rec } : null;
+    },
+    async increment(key, ttlMs) {
+      const rec = live(key) || { count: 0, lockedUntil: null, expiresAt: now() + ttlMs };
+      rec.count += 1;
+      records.set(key, rec);
+      return { ...rec };
+    },
+    async lock(key, until) {
+      const rec = live(key) || { count: 0, lockedUntil: null, expiresAt: until };
+      rec.lockedUntil = until;
+      rec.expiresAt = Math.max(rec.expiresAt, until);
+      records.set(key, rec);
+    },
+    async reset(key) {
+      records.delete(key);
+    },
+  };
+}
+
+// getCollection is called per operation so the store can be built before Mongo connects.
+// The collection needs a TTL index on expiresAt (created in server/index.js connect()).
+function createMongoStore(getCollection, { now = Date.now } = {}) {
+  const toRecord = (doc) => ({
+    count: doc.count,
+    lockedUntil: doc.lockedUntil ? doc.lockedUntil.getTime() : null,
+    expiresAt: doc.expiresAt.getTime(),
+  });
+
+  return {
+    async get(key) {
+      const doc = await getCollection().findOne({ _id: key });
+      if (!doc || doc.expiresAt.getTime() <= now()) return null;
+      return toRecord(doc);
+    },
+    async increment(key, ttlMs) {
+      const at = new Date(now());
+      const doc = await getCollection().findOneAndUpdate(
+        { _id: key, expiresAt: { $gt: at } },
+        { $inc: { count: 1 } },
+        { returnDocument: 'after' }
+      );
+      if (doc) return toRecord(doc);
+      const fresh = { count: 1, lockedUntil: null, expiresAt: new Date(at.getTime() + ttlMs) };
+      await getCollection().replaceOne({ _id: key }, fresh, { upsert: true });
+      return toRecord(fresh);
+    },
+    async lock(key, until) {
+      const untilDate = new Date(until);
+      await getCollection().updateOne(
+        { _id: key },
+        [
+          {
+            $set: {
+              count: { $ifNull: ['$count', 0] },
+              lockedUntil: untilDate,
+              expiresAt: { $max: [{ $ifNull: ['$expiresAt', untilDate] }, untilDate] },
+            },
+          },
+        ],
+        { upsert: true }
+      );
+    },
+    async reset(key) {
+      await getCollection().deleteOne({ _id: key });
+    },
+  };
+}
+
+// ── Login lockout ─────────────────────────────────────────────────────────────
+// Failures are counted per key inside `windowMs`. From the `maxAttempts`-th failure
+// on, the key is locked for baseLockMs, doubling with each further failure, capped
+// at maxLockMs.
+
+function createLoginGuard({
+  store,
+  maxAttempts = 5,
+  windowMs = 60 * 60 * 1000,
+  baseLockMs = 30 * 1000,
+  maxLockMs = 60 * 60 * 1000,
+  now = Date.now,
+}) {
+  return {
+    // ms until the key may try again (0 = allowed now)
+    async check(key) {
+      const rec = await store.get(key);
+      if (!rec?.lockedUntil) return 0;
+      return Math.max(0, rec.lockedUntil - now());
+    },
+    async fail(key) {
+      const rec = await store.increment(key, windowMs);
+      if (rec.count < maxAttempts) return 0;
+      const lockMs = Math.min(baseLockMs * 2 ** (rec.count - maxAttempts), maxLockMs);
+      await store.lock(key, now() + lockMs);
+      return lockMs;
+    },
+    async succeed(key) {
+      await store.reset(key);
+    },
+  };
+}
+
+// ── Generic fixed-window rate limiter (Express middleware) ────────────────────
+
+function rateLimit({
+  store,
+  name,
+  windowMs,
+  max,
+  keyFn = (req) => req.ip,
+  message = 'Too many requests. Please slow down and try again shortly.',
+  now = Date.now,
+}) {
+  return async (req, res, next) => {
+    let rec;
+    try {
+      rec = await store.increment(`${name}:${keyFn(req)}`, windowMs);
+    } catch (err) {
+      // Fail open: a broken limiter store shouldn't take the API down
+      console.error(`[rate-limit:${name}]`, err.message);
+      return next();
+    }
+    if (rec.count > max) {
+      res.set('Retry-After', String(Math.max(1, Math.ceil((rec.expiresAt - now()) / 1000))));
+      return res.status(429).json({ error: message });
+    }
+    next();
+  };
+}
+
+module.exports = { createMemoryStore, createMongoStore, createLoginGuard, rateLimit };
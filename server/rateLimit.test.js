@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, createLoginGuard, rateLimit } = require('./rateLimit');
+
+// Manually advanced clock shared by the store and the guard
+const makeClock = () => {
+  let t = 1_000_000;
+  return { now: () => t, advance: (ms) => { t += ms; } };
+};
+
+test('login guard allows attempts below the threshold', async () => {
+  const clock = makeClock();
+  const guard = createLoginGuard({ store: createMemoryStore(clock), maxAttempts: 3, now: clock.now });
+  assert.equal(await guard.fail('login:user:ada'), 0);
+  assert.equal(await guard.fail('login:user:ada'), 0);
+  assert.equal(await guard.check('login:user:ada'), 0);
+});
+
+test('login guard locks with exponential backoff and caps the lock', async () => {
+  const clock = makeClock();
+  const guard = createLoginGuard({
+    store: createMemoryStore(clock),
+    maxAttempts: 2,
+    baseLockMs: 1000,
+    maxLockMs: 3000,
+    now: clock.now,
+  });
+  await guard.fail('k');
+  assert.equal(await guard.fail('k'), 1000);
+  assert.equal(await guard.check('k'), 1000);
+
+  clock.advance(400);
+  assert.equal(await guard.check('k'), 600);
+
+  clock.advance(600);
+  assert.equal(await guard.check('k'), 0);
+  assert.equal(await guard.fail('k'), 2000);
+  clock.advance(2000);
+  assert.equal(await guard.fail('k'), 3000); // would be 4000 without the cap
+});
+
+test('login guard forgets failures after a success', async () => {
+  const clock = makeClock();
+  const guard = createLoginGuard({ store: createMemoryStore(clock), maxAttempts: 2, now: clock.now });
+  await guard.fail('k');
+  await guard.succeed('k');
+  assert.equal(await guard.fail('k'), 0);
+});
+
+test('failure counts expire with the window', async () => {
+  const clock = makeClock();
+  const guard = createLoginGuard({ store: createMemoryStore(clock), maxAttempts: 2, windowMs: 5000, now: clock.now });
+  await guard.fail('k');
+  clock.advance(5000);
+  assert.equal(await guard.fail('k'), 0);
+});
+
+test('rateLimit middleware rejects requests over the limit with 429', async () => {
+  const clock = makeClock();
+  const limiter = rateLimit({ store: createMemoryStore(clock), name: 't', windowMs: 10_000, max: 2, now: clock.now });
+  const call = () =>
+    new Promise((resolve) => {
+      const res = {
+        headers: {},
+        set(k, v) { this.headers[k] = v; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { resolve({ blocked: true, code: this.statusCode, body, retryAfter: this.headers['Retry-After'] }); },
+      };
+      limiter({ ip: '10.0.0.1' }, res, () => resolve({ blocked: false }));
+    });
+
+  assert.equal((await call()).blocked, false);
+  assert.equal((await call()).blocked, false);
+  const third = await call();
+  assert.equal(third.code, 429);
+  assert.equal(third.retryAfter, '10');
+
+  clock.advance(10_000);
+  assert.equal((await call()).blocked, false);
+});
@@ -0,0 +1,399 @@
+// Request body / query schemas for server/index.js (see validate.js for the format)
+
+const { PERSONA_IDS } = require('./personas');
+const { MAX_MESSAGES: CONTEXT_MESSAGES } = require('./context');
+
+const MB = 1024 * 1024;
+
+const LIMITS = {
+  title: 200,
+  folder: 60,
+  tag: 30,
+  tagsPerSession: 20,
+  content: 100000,
+  imageBytes: 5 * MB,
+  imagesPerMessage: 10,
+  jsonDataItems: 5000,
+  importMessages: 5000,
+  prompt: 1000000,
+};
+
+const username = {
+  type: 'string',
+  required: true,
+  minLength: 3,
+  maxLength: 32,
+  pattern: /^[a-z0-9._-]+$/i,
+  patternMessage: 'may only contain letters, numbers, ".", "_" and "-"',
+};
+const newPassword = { type: 'string', required: true, minLength: 8, maxLength: 128 };
+const password = { type: 'string', required: true, minLength: 1, maxLength: 128 };
+const personName = { type: 'string', nullable: true, maxLength: 64 };
+const email = {
+  type: 'string',
+  nullable: true,
+  maxLength: 254,
+  pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  patternMessage: 'must be a valid email address',
+};
+
+// "2026-01-31T09:30:00.000Z" and other ISO 8601 date-times with a time zone
+const isoTimestamp = {
+  type: 'string',
+  maxLength: 40,
+  pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,9})?)?(Z|[+-]\d{2}:\d{2})$/,
+  patternMessage: 'must be an ISO 8601 date-time, e.g. 2026-01-31T09:30:00.000Z',
+};
+
+const image = {
+  type: 'object',
+  properties: {
+    data: { type: 'base64', required: true, maxBytes: LIMITS.imageBytes },
+    mimeType: { type: 'string', required: true, pattern: /^image\/[\w.+-]+$/, patternMessage: 'must be an image type' },
+    name: { type: 'string', maxLength: 255 },
+  },
+};
+
+// Uploaded channel JSON: a list of plain objects (one per video / row)
+const jsonData = {
+  type: 'array',
+  maxItems: LIMITS.jsonDataItems,
+  items: { type: 'object' },
+};
+
+const toolCall = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    args: { type: 'any' },
+    result: { type: 'any' },
+  },
+};
+
+// ── Users ─────────────────────────────────────────────────────────────────────
+
+const register = {
+  type: 'object',
+  properties: { username, password: newPassword, email, firstName: personName, lastName: personName },
+};
+
+const login = {
+  type: 'object',
+  properties: { username: { type: 'string', required: true, minLength: 1, maxLength: 254 }, password },
+};
+
+const profileUpdate = {
+  type: 'object',
+  properties: {
+    firstName: personName,
+    lastName: personName,
+    email,
+    currentPassword: { type: 'string', maxLength: 128 },
+  },
+};
+
+const passwordChange = {
+  type: 'object',
+  properties: { currentPassword: password, newPassword },
+};
+
+const resetRequest = {
+  type: 'object',
+  properties: { username: { type: 'string', required: true, minLength: 1, maxLength: 254 } },
+};
+
+const resetConfirm = {
+  type: 'object',
+  properties: { token: { type: 'string', required: true, minLength: 1, maxLength: 200 }, newPassword },
+};
+
+const accountDelete = {
+  type: 'object',
+  properties: { password },
+};
+
+// ── Sessions & messages ──────────────────────────────────────────────────────
+
+const sessionCreate = {
+  type: 'object',
+  properties: {
+    agent: { type: 'string', nullable: true, enum: PERSONA_IDS },
+    title: { type: 'string', nullable: true, maxLength: LIMITS.title },
+    jsonData: { ...jsonData, nullable: true },
+  },
+};
+
+const sessionTitle = {
+  type: 'object',
+  properties: { title: { type: 'string', required: true, minLength: 1, maxLength: LIMITS.title } },
+};
+
+// Sidebar organisation; send only the fields that change
+const sessionUpdate = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: LIMITS.title, pattern: /\S/, patternMessage: 'must not be blank' },
+    pinned: { type: 'boolean' },
+    folder: { type: 'string', nullable: true, maxLength: LIMITS.folder },
+    tags: {
+      type: 'array',
+      maxItems: LIMITS.tagsPerSession,
+      items: { type: 'string', minLength: 1, maxLength: LIMITS.tag },
+    },
+  },
+};
+
+const sessionJson = {
+  type: 'object',
+  properties: { jsonData: { ...jsonData, required: true } },
+};
+
+const messageId = { type: 'string', minLength: 1, maxLength: 100 };
+
+const sessionActiveLeaf = {
+  type: 'object',
+  properties: { leafId: { ...messageId, required: true } },
+};
+
+const messageCreate = {
+  type: 'object',
+  properties: {
+    session_id: { type: 'objectId', required: true },
+    // Message this one follows; null starts a new root, omitted continues the active branch
+    parentId: { ...messageId, nullable: true },
+    role: { type: 'string', required: true, enum: ['user', 'model'] },
+    content: { type: 'string', required: true, maxLength: LIMITS.content },
+    // Inline images are moved into the attachment store when the message is saved
+    imageData: {
+      nullable: true,
+      description: 'an image or a list of images',
+      anyOf: [image, { type: 'array', maxItems: LIMITS.imagesPerMessage, items: image }],
+    },
+    // Uploaded first through POST /api/attachments
+    attachments: {
+      type: 'array',
+      nullable: true,
+      maxItems: LIMITS.imagesPerMessage,
+      items: { type: 'object', properties: { id: { type: 'objectId', required: true } } },
+    },
+    charts: { type: 'array', nullable: true, maxItems: 20, items: { type: 'object' } },
+    toolCalls: { type: 'array', nullable: true, maxItems: 50, items: toolCall },
+    // Web search sources behind an answer ({ groundingChunks, webSearchQueries })
+    grounding: { type: 'object', nullable: true },
+    // Data files attached to a user message (shown as badges, searchable)
+    csvName: { type: 'string', nullable: true, maxLength: 255 },
+    jsonName: { type: 'string', nullable: true, maxLength: 255 },
+  },
+};
+
+// A JSON export (server/export.js) to recreate as a new chat
+const bundleMessage = {
+  type: 'object',
+  properties: {
+    id: { ...messageId, required: true },
+    parentId: { ...messageId, nullable: true },
+    role: { type: 'string', required: true, enum: ['user', 'model'] },
+    content: { type: 'string', required: true, maxLength: LIMITS.content },
+    timestamp: { ...isoTimestamp, required: true },
+    attachments: {
+      type: 'array',
+      maxItems: LIMITS.imagesPerMessage,
+      items: {
+        type: 'object',
+        properties: { id: { type: 'string', required: true, maxLength: 100 }, name: { type: 'string', nullable: true, maxLength: 255 } },
+      },
+    },
+    charts: { type: 'array', maxItems: 20, items: { type: 'object' } },
+    toolCalls: { type: 'array', maxItems: 50, items: toolCall },
+    grounding: { type: 'object', nullable: true },
+    csvName: { type: 'string', nullable: true, maxLength: 255 },
+    jsonName: { type: 'string', nullable: true, maxLength: 255 },
+  },
+};
+
+const sessionImport = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', required: true, maxLength: 50 },
+    version: { type: 'integer', required: true, min: 1 },
+    session: {
+      type: 'object',
+      required: true,
+      properties: {
+        title: { type: 'string', nullable: true, maxLength: LIMITS.title },
+        agent: { type: 'string', nullable: true, maxLength: 50 },
+        createdAt: { ...isoTimestamp, nullable: true },
+        activeLeafId: { ...messageId, nullable: true },
+        pinned: { type: 'boolean' },
+        folder: { type: 'string', nullable: true, maxLength: LIMITS.folder },
+        tags: { type: 'array', maxItems: LIMITS.tagsPerSession, items: { type: 'string', maxLength: LIMITS.tag } },
+        jsonData: { ...jsonData, nullable: true },
+      },
+    },
+    messages: { type: 'array', required: true, maxItems: LIMITS.importMessages, items: bundleMessage },
+    attachments: { type: 'object' },
+  },
+};
+
+const sessionExportQuery = {
+  type: 'object',
+  properties: { format: { type: 'string', enum: ['md', 'html', 'json'] } },
+};
+
+// Query values are strings; `limit` is parsed (and capped) by the route
+const messagesQuery = {
+  type: 'object',
+  properties: {
+    session_id: { type: 'objectId', required: true },
+    limit: { type: 'string', pattern: /^\d{1,3}$/, patternMessage: 'must be a number' },
+    before: { type: 'string', maxLength: 200 },
+  },
+};
+
+const searchQuery = {
+  type: 'object',
+  properties: {
+    q: { type: 'string', required: true, minLength: 2, maxLength: 200 },
+    limit: { type: 'string', pattern: /^\d{1,2}$/, patternMessage: 'must be a number' },
+  },
+};
+
+// ── Chat (model calls) ───────────────────────────────────────────────────────
+
+// toolCalls / charts let the context builder keep tool results and chart references
+const historyItem = {
+  type: 'object',
+  properties: {
+    role: { type: 'string', required: true, enum: ['user', 'model'] },
+    content: { type: 'string', maxLength: LIMITS.content },
+    toolCalls: { type: 'array', maxItems: 50, items: toolCall },
+    charts: { type: 'array', maxItems: 20, items: { type: 'object' } },
+  },
+};
+
+// Inline bytes, or a stored attachment the server reads for the model
+const imagePart = {
+  description: '{ data, mimeType } or { attachmentId }',
+  anyOf: [
+    {
+      type: 'object',
+      properties: {
+        data: { type: 'base64', required: true, maxBytes: LIMITS.imageBytes },
+        mimeType: { type: 'string', pattern: /^image\/[\w.+-]+$/ },
+      },
+    },
+    { type: 'object', properties: { attachmentId: { type: 'objectId', required: true } } },
+  ],
+};
+
+const chatCommon = {
+  // The session whose rolling context summary to use and update
+  sessionId: { type: 'objectId' },
+  // With a session: the message the new prompt follows. The server reads the
+  // branch up to it from the messages collection as the history (null: none).
+  parentId: { ...messageId, nullable: true },
+  // Without a session: the history itself
+  history: { type: 'array', maxItems: 500, items: historyItem },
+  // Includes the CSV/JSON context prefix, and for the Python path the base64 dataset
+  message: { type: 'string', maxLength: LIMITS.prompt },
+  imageParts: { type: 'array', maxItems: LIMITS.imagesPerMessage, items: imagePart },
+};
+
+const chatStream = {
+  type: 'object',
+  properties: {
+    ...chatCommon,
+    message: { ...chatCommon.message, required: true },
+    useCodeExecution: { type: 'boolean' },
+    combine: { type: 'string', enum: ['search-code', 'code-search'] },
+  },
+};
+
+// Tool rounds one message may take (the client's REACT_APP_MAX_TOOL_ROUNDS is 5 by default)
+const MAX_TOOL_ROUNDS = 50;
+
+// First call carries the user message; follow-ups carry `contents` plus the tool result
+const chatTools = {
+  type: 'object',
+  properties: {
+    ...chatCommon,
+    csvHeaders: { type: 'array', maxItems: 1000, items: { type: 'string', maxLength: 500 } },
+    functionDeclarations: { type: 'array', required: true, maxItems: 50, items: { type: 'object' } },
+    systemInstruction: { type: 'string', maxLength: LIMITS.prompt },
+    // The context (see context.js), the prompt, and a model turn plus tool results per round
+    contents: { type: 'array', maxItems: CONTEXT_MESSAGES + 1 + 2 * MAX_TOOL_ROUNDS, items: { type: 'object' } },
+    functionResponses: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 20,
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', maxLength: 100 },
+          name: { type: 'string', required: true, maxLength: 100 },
+          response: { type: 'object', required: true },
+        },
+      },
+    },
+  },
+};
+
+const chatRoute = {
+  type: 'object',
+  properties: {
+    message: { type: 'string', required: true, maxLength: 4000 },
+    context: {
+      type: 'object',
+      properties: {
+        hasDataset: { type: 'boolean' },
+        hasImages: { type: 'boolean' },
+        hasNewCsv: { type: 'boolean' },
+      },
+    },
+  },
+};
+
+// ── Tools ─────────────────────────────────────────────────────────────────────
+
+const generateImage = {
+  type: 'object',
+  properties: {
+    prompt: { type: 'string', required: true, minLength: 1, maxLength: 4000 },
+    anchorImageBase64: { type: 'base64', nullable: true, maxBytes: LIMITS.imageBytes },
+    anchorAttachmentId: { type: 'objectId', nullable: true },
+  },
+};
+
+const youtubeChannel = {
+  type: 'object',
+  properties: {
+    url: { type: 'string', required: true, minLength: 1, maxLength: 500 },
+    maxVideos: { type: 'integer', min: 1, max: 100 },
+  },
+};
+
+module.exports = {
+  LIMITS,
+  register,
+  login,
+  profileUpdate,
+  passwordChange,
+  resetRequest,
+  resetConfirm,
+  accountDelete,
+  sessionCreate,
+  sessionTitle,
+  sessionUpdate,
+  sessionJson,
+  sessionActiveLeaf,
+  sessionImport,
+  sessionExportQuery,
+  messageCreate,
+  messagesQuery,
+  searchQuery,
+  chatStream,
+  chatTools,
+  chatRoute,
+  generateImage,
+  youtubeChannel,
+};
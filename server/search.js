@@ -0,0 +1,87 @@
+// Full-text search over a user's messages (GET /api/search)
+//
+// Matching is done by MongoDB's text index on the messages collection (see
+// TEXT_INDEX). It stems words, so "plotting" finds "plotted"; the snippets
+// here only need to find roughly the same words again to highlight them.
+//
+// A result's snippet is plain text with `highlights` as [start, end) offsets
+// into it, so the browser can mark them up without rendering any HTML.
+
+const SNIPPET_WIDTH = 160;
+
+// Compound text index: every query also filters on the owner
+const TEXT_INDEX = {
+  key: { username: 1, content: 'text', 'toolCalls.name': 'text', 'attachments.name': 'text', csvName: 'text', jsonName: 'text' },
+  name: 'message_text',
+  weights: { content: 4, 'toolCalls.name': 1, 'attachments.name': 2, csvName: 2, jsonName: 2 },
+  default_language: 'english',
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Common English endings, dropped so a term matches its other forms as a prefix
+const SUFFIX = /(ing|ed|es|s|ly)$/;
+const stem = (word) => {
+  const w = word.toLowerCase();
+  const short = w.replace(SUFFIX, '');
+  return short.length >= 3 ? short : w;
+};
+
+// Words of the query worth highlighting (negated words are left out)
+function searchTerms(q) {
+  const words = String(q)
+    .replace(/(^|\s)-\S+/g, ' ')
+    .match(/[\p{L}\p{N}_]+/gu) || [];
+  return [...new Set(words.map(stem))];
+}
+
+// Word starts matching any term, as [start, end) ranges over the whole word
+function findMatches(text, terms) {
+  if (!terms.length || !text) return [];
+  const re = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}_]*`, 'giu');
+  return [...text.matchAll(re)].map((m) => [m.index, m.index + m[0].length]);
+}
+
+// A window of `width` characters around the first match, with its highlights
+function makeSnippet(text, terms, width = SNIPPET_WIDTH) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  const matches = findMatches(flat, terms);
+  if (!matches.length) return { snippet: flat.slice(0, width) + (flat.length > width ? '…' : ''), highlights: [] };
+
+  let start = Math.max(0, matches[0][0] - Math.floor(width / 3));
+  // Don't start mid-word
+  if (start > 0) {
+    const space = flat.indexOf(' ', start);
+    if (space !== -1 && space < matches[0][0]) start = space + 1;
+  }
+  const end = Math.min(flat.length, start + width);
+  const prefix = start > 0 ? '…' : '';
+  const snippet = prefix + flat.slice(start, end) + (end < flat.length ? '…' : '');
+  const highlights = matches
+    .filter(([s, e]) => s >= start && e <= end)
+    .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length]);
+  return { snippet, highlights };
+}
+
+// Message doc → search result. The snippet comes from the first field that
+// mentions a term: the text, then tool names, then file names.
+function toResult(doc, terms, sessionTitles) {
+  const fields = [
+    ['content', doc.content],
+    ['tool', (doc.toolCalls || []).map((tc) => tc.name).join(', ')],
+    ['file', [doc.csvName, doc.jsonName, ...(doc.attachments || []).map((a) => a.name)].filter(Boolean).join(', ')],
+  ];
+  const [matchedIn, text] = fields.find(([, value]) => findMatches(value, terms).length) || fields[0];
+  const sessionId = String(doc.sessionId);
+  return {
+    sessionId,
+    sessionTitle: sessionTitles.get(sessionId) || null,
+    messageId: doc.id,
+    role: doc.role,
+    timestamp: doc.timestamp,
+    matchedIn,
+    ...makeSnippet(text, terms),
+  };
+}
+
+module.exports = { TEXT_INDEX, searchTerms, findMatches, makeSnippet, toResult };
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { searchTerms, makeSnippet, toResult } = require('./search');
+
+const marked = ({ snippet, highlights }) => highlights.map(([s, e]) => snippet.slice(s, e));
+
+test('query terms skip negated words and match inflected forms', () => {
+  assert.deepEqual(searchTerms('Plotting views -likes'), ['plott', 'view']);
+  assert.deepEqual(marked(makeSnippet('I plotted views; plotting again', searchTerms('plotting'))), ['plotted', 'plotting']);
+  assert.deepEqual(marked(makeSnippet('Views and reviews', searchTerms('views'))), ['Views']);
+});
+
+test('snippets are a window around the first match with offsets into it', () => {
+  const text = `${'lorem ipsum '.repeat(30)}the regression slope was 0.42 ${'dolor sit '.repeat(30)}`;
+  const out = makeSnippet(text, searchTerms('regression'), 80);
+  assert.ok(out.snippet.startsWith('…') && out.snippet.endsWith('…'));
+  assert.ok(out.snippet.length <= 82);
+  assert.deepEqual(marked(out), ['regression']);
+  // No match in this field: the start of the text, no highlights
+  assert.deepEqual(makeSnippet('short text', ['zzz']), { snippet: 'short text', highlights: [] });
+});
+
+test('results say where the match was and carry the session title', () => {
+  const doc = {
+    sessionId: '65f0c0ffee0000000000abcd',
+    id: 'm1',
+    role: 'model',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    content: 'Here are your top posts.',
+    toolCalls: [{ name: 'get_top_tweets' }],
+    csvName: 'tweets-2025.csv',
+  };
+  const titles = new Map([['65f0c0ffee0000000000abcd', 'Tweet stats']]);
+  assert.equal(toResult(doc, searchTerms('posts'), titles).matchedIn, 'content');
+  const byTool = toResult(doc, searchTerms('get_top_tweets'), titles);
+  assert.equal(byTool.matchedIn, 'tool');
+  assert.equal(byTool.sessionTitle, 'Tweet stats');
+  assert.deepEqual(marked(toResult(doc, searchTerms('tweets'), titles)), ['tweets']);
+  assert.equal(toResult(doc, searchTerms('tweets'), titles).matchedIn, 'file');
+});
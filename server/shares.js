@@ -0,0 +1,46 @@
+// Read-only share links
+//
+// POST /api/sessions/:id/share mints a random token for a chat; anyone with
+// /shared/<token> can then read the branch on screen (GET /api/shared/:token,
+// no login) until the owner revokes the link. A chat has at most one live
+// link, so sharing it again hands back the same one. Links to a chat in the
+// trash stop working and come back if it is restored; purging the chat or
+// deleting the account removes them.
+
+const crypto = require('crypto');
+const { activeBranch } = require('./thread');
+const { toClientMessage } = require('./messages');
+
+// One link per chat: two share clicks at once upsert the same document
+const INDEXES = [
+  { key: { token: 1 }, unique: true },
+  { key: { username: 1, sessionId: 1 }, unique: true },
+];
+
+const TOKEN_BYTES = 24;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+const newShareToken = () => crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+// Lets the public route 404 malformed tokens without a lookup
+const isShareToken = (token) => TOKEN_PATTERN.test(String(token));
+
+// Share doc (+ the chat's title) → entry for the owner's list
+const toClientShare = (share, title = null) => ({
+  id: share._id.toString(),
+  token: share.token,
+  sessionId: share.sessionId.toString(),
+  title,
+  createdAt: share.createdAt,
+});
+
+// What a visitor sees: the branch on screen, without the owner's working data
+function toSharedChat({ session, messages, assistantName, share }) {
+  return {
+    title: session.title || 'Shared chat',
+    assistantName,
+    sharedAt: share.createdAt,
+    messages: activeBranch(messages, session.activeLeafId).map(toClientMessage),
+  };
+}
+
+module.exports = { INDEXES, newShareToken, isShareToken, toClientShare, toSharedChat };
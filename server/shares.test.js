@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { newShareToken, isShareToken, toClientShare, toSharedChat } = require('./shares');
+
+test('tokens are random and URL-safe, and anything else is rejected up front', () => {
+  const a = newShareToken();
+  assert.ok(isShareToken(a));
+  assert.notEqual(a, newShareToken());
+  assert.equal(isShareToken('short'), false);
+  assert.equal(isShareToken(`${a.slice(1)}/`), false);
+  assert.equal(isShareToken(undefined), false);
+});
+
+test('a visitor sees the branch on screen and the owner sees the link', () => {
+  const share = { _id: new ObjectId(), token: newShareToken(), sessionId: new ObjectId(), createdAt: '2026-05-01T00:00:00.000Z' };
+  const messages = [
+    { id: 'u1', parentId: null, role: 'user', content: 'Top videos?', timestamp: '2026-04-01T10:00:00.000Z', username: 'ada' },
+    { id: 'a1', parentId: 'u1', role: 'model', content: 'Old answer', timestamp: '2026-04-01T10:00:05.000Z', username: 'ada' },
+    {
+      id: 'a1b',
+      parentId: 'u1',
+      role: 'model',
+      content: 'New answer',
+      timestamp: '2026-04-01T10:01:00.000Z',
+      username: 'ada',
+      grounding: { groundingChunks: [{ web: { uri: 'https://example.com', title: 'Example' } }] },
+    },
+  ];
+  const chat = toSharedChat({ session: { title: null, activeLeafId: 'a1b' }, messages, assistantName: 'Lisa', share });
+  assert.equal(chat.title, 'Shared chat');
+  assert.equal(chat.sharedAt, share.createdAt);
+  assert.deepEqual(chat.messages.map((m) => m.id), ['u1', 'a1b']);
+  assert.equal(chat.messages[1].grounding.groundingChunks[0].web.title, 'Example');
+  assert.equal(chat.messages[0].username, undefined);
+
+  assert.deepEqual(toClientShare(share, 'Views'), {
+    id: String(share._id),
+    token: share.token,
+    sessionId: String(share.sessionId),
+    title: 'Views',
+    createdAt: share.createdAt,
+  });
+});
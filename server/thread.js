@@ -0,0 +1,36 @@
+// Conversation trees
+//
+// A session's messages form a tree: each message has a stable `id` and the
+// `parentId` of the message it answers (or follows). Regenerating an answer or
+// editing a prompt adds a sibling instead of overwriting anything, and the
+// session's `activeLeafId` says which branch is on screen.
+//
+// Messages saved before ids existed are a single chain, stored in the session
+// document; server/migrate-messages.js gives them positional ids
+// (`<sessionId>-<index>`) when it moves them to the messages collection.
+
+const crypto = require('crypto');
+
+const newMessageId = () => crypto.randomUUID();
+
+// Stored messages → messages with `id` and `parentId`
+function withIds(sessionId, messages = []) {
+  let previous = null;
+  return messages.map((m, i) => {
+    const id = m.id || `${sessionId}-${i}`;
+    const parentId = m.id ? m.parentId ?? null : previous;
+    previous = id;
+    return { ...m, id, parentId };
+  });
+}
+
+// Root → leaf path of the branch on screen. `leafId` may be missing or stale
+// (nothing switched yet): the branch of the newest message is used then.
+function activeBranch(messages, leafId) {
+  const byId = new Map(messages.map((m) => [m.id, m]));
+  const path = new Set(); // a set, so a parent cycle in imported data can't loop forever
+  for (let m = byId.get(leafId) || messages.at(-1); m && !path.has(m); m = byId.get(m.parentId)) path.add(m);
+  return [...path].reverse();
+}
+
+module.exports = { newMessageId, withIds, activeBranch };
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withIds, activeBranch } = require('./thread');
+
+const SESSION = '64b000000000000000000001';
+
+test('messages saved before ids get a positional chain', () => {
+  const out = withIds(SESSION, [{ role: 'user' }, { role: 'model' }, { id: 'x', parentId: `${SESSION}-1`, role: 'user' }]);
+  assert.deepEqual(
+    out.map(({ id, parentId }) => [id, parentId]),
+    [[`${SESSION}-0`, null], [`${SESSION}-1`, `${SESSION}-0`], ['x', `${SESSION}-1`]]
+  );
+});
+
+test('the active branch runs from the root to the leaf, or to the newest message', () => {
+  const tree = [
+    { id: 'u1', parentId: null },
+    { id: 'a1', parentId: 'u1' },
+    { id: 'a1b', parentId: 'u1' },
+  ];
+  assert.deepEqual(activeBranch(tree, 'a1').map((m) => m.id), ['u1', 'a1']);
+  assert.deepEqual(activeBranch(tree, 'gone').map((m) => m.id), ['u1', 'a1b']);
+  assert.deepEqual(activeBranch([{ id: 'x', parentId: 'y' }, { id: 'y', parentId: 'x' }], 'x').map((m) => m.id), ['y', 'x']);
+  assert.deepEqual(activeBranch([], null), []);
+});
@@ -0,0 +1,90 @@
+// Trash for deleted chats
+//
+// DELETE /api/sessions/:id only stamps `deletedAt` on the session (and
+// `trashed: true` on its messages, so search skips them). Trashed chats are
+// listed by GET /api/trash and can be restored or deleted for good until they
+// are older than TRASH_RETENTION_DAYS (default 30); the purge below then
+// removes them with their messages and the stored images no other chat uses.
+
+const { ObjectId } = require('mongodb');
+const { attachmentIdsOf } = require('./messages');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const days = parseFloat(process.env.TRASH_RETENTION_DAYS);
+const RETENTION_DAYS = Number.isFinite(days) && days >= 0 ? days : 30;
+
+// Only trashed sessions are indexed
+const INDEX = { key: { deletedAt: 1 }, partialFilterExpression: { deletedAt: { $type: 'string' } } };
+
+// When a chat deleted at `deletedAt` (ISO) will be purged
+const purgeAt = (deletedAt, retentionDays = RETENTION_DAYS) =>
+  new Date(Date.parse(deletedAt) + retentionDays * DAY_MS).toISOString();
+
+// Attachment ids per username that `messages` refer to
+const attachmentsByUser = (messages) => {
+  const byUser = new Map();
+  for (const m of messages) {
+    const ids = attachmentIdsOf(m);
+    if (!ids.length) continue;
+    if (!byUser.has(m.username)) byUser.set(m.username, new Set());
+    ids.forEach((id) => byUser.get(m.username).add(id));
+  }
+  return byUser;
+};
+
+const REFERENCES = { _id: 0, username: 1, attachments: 1, 'toolCalls.result.attachmentId': 1 };
+
+// Removes `sessionIds`, their messages and share links for good → number of sessions removed.
+// Images of those messages are deleted from `attachments` (./attachments.js) unless
+// a message elsewhere still shows them: identical uploads are stored once per user.
+async function removeSessions(db, attachments, sessionIds) {
+  if (!sessionIds.length) return 0;
+  const messages = db.collection('messages');
+  const removed = await messages.find({ sessionId: { $in: sessionIds } }, { projection: REFERENCES }).toArray();
+  await messages.deleteMany({ sessionId: { $in: sessionIds } });
+  await db.collection('shares').deleteMany({ sessionId: { $in: sessionIds } });
+  const { deletedCount } = await db.collection('sessions').deleteMany({ _id: { $in: sessionIds } });
+
+  for (const [username, ids] of attachmentsByUser(removed)) {
+    const candidates = [...ids];
+    const still = await messages
+      .find(
+        {
+          username,
+          $or: [
+            { 'attachments.id': { $in: candidates.map((id) => new ObjectId(id)) } },
+            { 'toolCalls.result.attachmentId': { $in: candidates } },
+          ],
+        },
+        { projection: REFERENCES }
+      )
+      .toArray();
+    const used = new Set(still.flatMap(attachmentIdsOf));
+    await attachments.remove(username, candidates.filter((id) => !used.has(id)));
+  }
+  return deletedCount;
+}
+
+// Chats trashed more than `retentionDays` ago, removed → how many
+async function purgeExpired(db, attachments, { now = Date.now(), retentionDays = RETENTION_DAYS } = {}) {
+  const cutoff = new Date(now - retentionDays * DAY_MS).toISOString();
+  const expired = await db
+    .collection('sessions')
+    .find({ deletedAt: { $lt: cutoff } }, { projection: { _id: 1 } })
+    .toArray();
+  return removeSessions(db, attachments, expired.map((s) => s._id));
+}
+
+// Purges now and then hourly; the timer doesn't keep the process alive
+function startPurge(db, attachments) {
+  const run = () =>
+    purgeExpired(db, attachments)
+      .then((count) => count && console.log(`[trash] purged ${count} chat(s)`))
+      .catch((err) => console.error('[trash] purge failed:', err.message));
+  run();
+  return setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = { RETENTION_DAYS, INDEX, purgeAt, removeSessions, purgeExpired, startPurge };
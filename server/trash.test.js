@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { purgeAt, purgeExpired } = require('./trash');
+
+// In-memory stand-in for the collections ($lt, $in and $or filters; dotted
+// paths reach into arrays the way MongoDB's do)
+const valuesAt = (doc, path) =>
+  path.split('.').reduce((values, key) => values.flatMap((v) => (Array.isArray(v) ? v : [v])).map((v) => v?.[key]), [doc]).flat();
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, want]) => {
+    if (key === '$or') return want.some((f) => matches(doc, f));
+    const values = valuesAt(doc, key);
+    if (want?.$in) return want.$in.some((v) => values.some((d) => String(v) === String(d)));
+    if (want?.$lt) return values.some((d) => d != null && d < want.$lt);
+    return values.some((d) => String(d) === String(want));
+  });
+const fakeDb = (data) => ({
+  collection: (name) => ({
+    find: (filter) => ({ toArray: async () => data[name].filter((d) => matches(d, filter)) }),
+    deleteMany: async (filter) => {
+      const before = data[name].length;
+      data[name] = data[name].filter((d) => !matches(d, filter));
+      return { deletedCount: before - data[name].length };
+    },
+  }),
+});
+
+// Records which attachments were removed
+const fakeAttachments = () => {
+  const removed = [];
+  return { removed, remove: async (username, ids) => removed.push(...ids.map((id) => `${username}:${id}`)) };
+};
+
+const NOW = Date.parse('2026-03-31T00:00:00.000Z');
+
+test('only chats past the retention window are purged, with their messages and links', async () => {
+  const old = new ObjectId();
+  const recent = new ObjectId();
+  const live = new ObjectId();
+  const data = {
+    sessions: [
+      { _id: old, deletedAt: '2026-02-01T00:00:00.000Z' },
+      { _id: recent, deletedAt: '2026-03-20T00:00:00.000Z' },
+      { _id: live },
+    ],
+    messages: [{ sessionId: old }, { sessionId: old }, { sessionId: recent }, { sessionId: live }],
+    shares: [{ sessionId: old }, { sessionId: live }],
+  };
+
+  assert.equal(await purgeExpired(fakeDb(data), fakeAttachments(), { now: NOW, retentionDays: 30 }), 1);
+  assert.deepEqual(data.sessions.map((s) => s._id), [recent, live]);
+  assert.deepEqual(data.messages.map((m) => m.sessionId), [recent, live]);
+  assert.deepEqual(data.shares.map((s) => s.sessionId), [live]);
+
+  // Nothing left to purge
+  assert.equal(await purgeExpired(fakeDb(data), fakeAttachments(), { now: NOW, retentionDays: 30 }), 0);
+  // A zero-day window empties the trash
+  assert.equal(await purgeExpired(fakeDb(data), fakeAttachments(), { now: NOW, retentionDays: 0 }), 1);
+});
+
+test('purged chats take their images along unless another chat still shows them', async () => {
+  const old = new ObjectId();
+  const live = new ObjectId();
+  const [shared, own, generated] = [new ObjectId(), new ObjectId(), new ObjectId()];
+  const data = {
+    sessions: [{ _id: old, deletedAt: '2026-02-01T00:00:00.000Z' }, { _id: live }],
+    messages: [
+      { sessionId: old, username: 'ada', attachments: [{ id: shared }, { id: own }] },
+      { sessionId: old, username: 'ada', toolCalls: [{ name: 'generate_image', result: { attachmentId: String(generated) } }] },
+      { sessionId: live, username: 'ada', attachments: [{ id: shared }] },
+      // Another user's copy of an id is not a reference to ada's image
+      { sessionId: live, username: 'bob', attachments: [{ id: own }] },
+    ],
+    shares: [],
+  };
+  const attachments = fakeAttachments();
+
+  assert.equal(await purgeExpired(fakeDb(data), attachments, { now: NOW, retentionDays: 30 }), 1);
+  assert.deepEqual(attachments.removed.sort(), [`ada:${own}`, `ada:${generated}`].sort());
+});
+
+test('the purge date is the deletion date plus the retention window', () => {
+  assert.equal(purgeAt('2026-03-01T12:00:00.000Z', 30), '2026-03-31T12:00:00.000Z');
+});
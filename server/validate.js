@@ -0,0 +1,148 @@
+// Declarative request validation
+//
+// A schema is a plain object describing one value:
+//   { type: 'string', required, nullable, minLength, maxLength, pattern, enum }
+//   { type: 'number' | 'integer', min, max }
+//   { type: 'boolean' }
+//   { type: 'objectId' }                 — 24-char hex Mongo id
+//   { type: 'base64', maxBytes }         — base64 payload, size checked after decoding
+//   { type: 'array', items, minItems, maxItems }
+//   { type: 'object', properties }       — unknown keys are allowed and left alone
+//   { type: 'any' }
+//   { anyOf: [schema, ...] }             — first matching alternative wins
+// validate() returns a list of { path, code, message }; empty means valid.
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+const BASE64 = /^[A-Za-z0-9+/_-]*={0,2}$/;
+
+const typeOf = (v) => (Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v);
+
+const join = (path, key) =>
+  typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+function validate(schema, value, path = '') {
+  const errors = [];
+  const fail = (code, message) => errors.push({ path: path || '(body)', code, message });
+
+  if (value === undefined || value === null) {
+    if (schema.required && !(value === null && schema.nullable)) fail('required', 'is required');
+    return errors;
+  }
+
+  if (schema.anyOf) {
+    for (const alt of schema.anyOf) {
+      const altErrors = validate({ ...alt, required: true }, value, path);
+      if (!altErrors.length) return [];
+    }
+    fail('type', schema.description ? `must be ${schema.description}` : 'does not match any allowed shape');
+    return errors;
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        fail('type', 'must be a string');
+        break;
+      }
+      if (schema.minLength != null && value.length < schema.minLength)
+        fail('minLength', `must be at least ${schema.minLength} characters`);
+      if (schema.maxLength != null && value.length > schema.maxLength)
+        fail('maxLength', `must be at most ${schema.maxLength} characters`);
+      if (schema.pattern && value !== '' && !schema.pattern.test(value))
+        fail('pattern', schema.patternMessage || 'has an invalid format');
+      if (schema.enum && !schema.enum.includes(value))
+        fail('enum', `must be one of: ${schema.enum.join(', ')}`);
+      break;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        fail('type', 'must be a number');
+        break;
+      }
+      if (schema.type === 'integer' && !Number.isInteger(value)) fail('type', 'must be an integer');
+      if (schema.min != null && value < schema.min) fail('min', `must be at least ${schema.min}`);
+      if (schema.max != null && value > schema.max) fail('max', `must be at most ${schema.max}`);
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') fail('type', 'must be true or false');
+      break;
+
+    case 'objectId':
+      if (typeof value !== 'string' || !OBJECT_ID.test(value)) fail('objectId', 'is not a valid id');
+      break;
+
+    case 'base64': {
+      if (typeof value !== 'string' || !BASE64.test(value)) {
+        fail('type', 'must be base64-encoded');
+        break;
+      }
+      const bytes = Math.floor((value.length * 3) / 4);
+      if (schema.maxBytes != null && bytes > schema.maxBytes)
+        fail('maxBytes', `must be at most ${Math.round(schema.maxBytes / 1024 / 1024)} MB`);
+      break;
+    }
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        fail('type', 'must be an array');
+        break;
+      }
+      if (schema.minItems != null && value.length < schema.minItems)
+        fail('minItems', `must contain at least ${schema.minItems} item(s)`);
+      if (schema.maxItems != null && value.length > schema.maxItems)
+        fail('maxItems', `must contain at most ${schema.maxItems} items`);
+      if (schema.items) {
+        value.forEach((item, i) => {
+          errors.push(...validate({ required: true, ...schema.items }, item, join(path, i)));
+        });
+      }
+      break;
+
+    case 'object':
+      if (typeOf(value) !== 'object') {
+        fail('type', 'must be an object');
+        break;
+      }
+      for (const [key, sub] of Object.entries(schema.properties || {})) {
+        errors.push(...validate(sub, value[key], join(path, key)));
+      }
+      break;
+
+    case 'any':
+    default:
+      break;
+  }
+  return errors;
+}
+
+// Malformed ids can't match any document, so they get the same 404 a missing one would
+function sendErrors(res, errors) {
+  if (errors.some((e) => e.code === 'objectId')) return res.status(404).json({ error: 'Not found' });
+  const [first] = errors;
+  return res.status(400).json({
+    error: `Invalid request: ${first.path} ${first.message}`,
+    details: errors.map(({ path, message }) => ({ path, message })),
+  });
+}
+
+// Express middleware factories. `source` is the request property to check.
+function validateRequest(source, schema) {
+  return (req, res, next) => {
+    const errors = validate(schema, req[source] ?? {});
+    if (errors.length) return sendErrors(res, errors);
+    next();
+  };
+}
+
+const validateBody = (schema) => validateRequest('body', schema);
+const validateQuery = (schema) => validateRequest('query', schema);
+
+// For app.param(): 404s any route whose :param isn't a valid ObjectId
+function objectIdParam(req, res, next, value) {
+  if (!OBJECT_ID.test(String(value))) return res.status(404).json({ error: 'Not found' });
+  next();
+}
+
+module.exports = { validate, validateBody, validateQuery, objectIdParam };
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, validateBody } = require('./validate');
+const schemas = require('./schemas');
+
+const paths = (errors) => errors.map((e) => e.path);
+
+test('accepts a valid message body', () => {
+  const errors = validate(schemas.messageCreate, {
+    session_id: '65f0c0ffee0000000000abcd',
+    role: 'user',
+    content: 'hi',
+    imageData: [{ data: 'aGVsbG8=', mimeType: 'image/png', name: 'pasted-image' }],
+  });
+  assert.deepEqual(errors, []);
+});
+
+test('reports missing fields and nested paths', () => {
+  const errors = validate(schemas.messageCreate, {
+    session_id: '65f0c0ffee0000000000abcd',
+    role: 'assistant',
+    toolCalls: [{ args: {} }],
+  });
+  assert.deepEqual(paths(errors).sort(), ['content', 'role', 'toolCalls[0].name']);
+});
+
+test('enforces title length and image size limits', () => {
+  const longTitle = validate(schemas.sessionTitle, { title: 'x'.repeat(201) });
+  assert.equal(longTitle[0].code, 'maxLength');
+
+  const bigImage = 'A'.repeat(Math.ceil((schemas.LIMITS.imageBytes * 4) / 3) + 8);
+  const errors = validate(schemas.generateImage, { prompt: 'cat', anchorImageBase64: bigImage });
+  assert.deepEqual(errors.map((e) => [e.path, e.code]), [['anchorImageBase64', 'maxBytes']]);
+});
+
+test('imageData accepts a single image or a list, nothing else', () => {
+  const base = { session_id: '65f0c0ffee0000000000abcd', role: 'user', content: '' };
+  const img = { data: 'aGk=', mimeType: 'image/jpeg' };
+  assert.deepEqual(validate(schemas.messageCreate, { ...base, imageData: img }), []);
+  assert.deepEqual(paths(validate(schemas.messageCreate, { ...base, imageData: 'aGk=' })), ['imageData']);
+});
+
+test('messages reference attachments by id; chat image parts may too', () => {
+  const base = { session_id: '65f0c0ffee0000000000abcd', role: 'user', content: '' };
+  assert.deepEqual(validate(schemas.messageCreate, { ...base, attachments: [{ id: '65f0c0ffee0000000000abce' }] }), []);
+  assert.deepEqual(paths(validate(schemas.messageCreate, { ...base, attachments: [{ id: 'x' }] })), ['attachments[0].id']);
+
+  const parts = [{ attachmentId: '65f0c0ffee0000000000abce' }, { data: 'aGk=', mimeType: 'image/png' }];
+  assert.deepEqual(validate(schemas.chatStream, { message: 'hi', imageParts: parts }), []);
+  assert.deepEqual(paths(validate(schemas.chatStream, { message: 'hi', imageParts: [{ url: 'x' }] })), ['imageParts[0]']);
+});
+
+test('session updates take any subset of title, pin, folder and tags', () => {
+  assert.deepEqual(validate(schemas.sessionUpdate, { pinned: true }), []);
+  assert.deepEqual(validate(schemas.sessionUpdate, { folder: null, tags: ['work', 'q3'] }), []);
+  const errors = validate(schemas.sessionUpdate, { title: '  ', pinned: 'yes', tags: ['', 'x'.repeat(31)] });
+  assert.deepEqual(paths(errors), ['title', 'pinned', 'tags[0]', 'tags[1]']);
+});
+
+test('validateBody answers 400 with details, and 404 for malformed ids', () => {
+  const run = (schema, body) => {
+    let out = null;
+    const res = {
+      status(code) { out = { code }; return this; },
+      json(payload) { out.body = payload; },
+    };
+    validateBody(schema)({ body }, res, () => { out = { next: true }; });
+    return out;
+  };
+
+  const bad = run(schemas.register, { username: 'a b', password: 'short' });
+  assert.equal(bad.code, 400);
+  assert.deepEqual(bad.body.details.map((d) => d.path).sort(), ['password', 'username']);
+
+  const missing = run(schemas.messageCreate, { session_id: 'not-an-id', role: 'user', content: '' });
+  assert.equal(missing.code, 404);
+
+  assert.deepEqual(run(schemas.login, { username: 'ada', password: 'pw' }), { next: true });
+});
+
+test('imported messages need ISO 8601 timestamps', () => {
+  const bundle = (timestamp) => ({
+    format: 'chatapp-session',
+    version: 1,
+    session: {},
+    messages: [{ id: 'u1', role: 'user', content: 'hi', timestamp }],
+  });
+  assert.deepEqual(validate(schemas.sessionImport, bundle('2026-01-31T09:30:00.000Z')), []);
+  assert.deepEqual(validate(schemas.sessionImport, bundle('2026-01-31T11:30+02:00')), []);
+  assert.deepEqual(paths(validate(schemas.sessionImport, bundle('yesterday|65f0'))), ['messages[0].timestamp']);
+  assert.deepEqual(paths(validate(schemas.sessionImport, bundle('2026-01-31'))), ['messages[0].timestamp']);
+});
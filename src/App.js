@@ -1,32 +1,47 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import Auth from './components/Auth';
 import Chat from './components/Chat';
 import YouTubeDownload from './components/YouTubeDownload';
+import Profile from './components/Profile';
+import SharedChat from './components/SharedChat';
+import { TOKEN_KEY, decodeToken, setUnauthorizedHandler } from './services/mongoApi';
 import './App.css';
 
+// Share links open the read-only view, logged in or not
+const SHARED_PATH = /^\/shared\/([\w-]+)\/?$/;
+
 function App() {
+  // Only the signed session token is persisted; the user is read back out of it
   const [user, setUser] = useState(() => {
-    try {
-      const stored = localStorage.getItem('chatapp_user');
-      return stored ? JSON.parse(stored) : null;
-    } catch {
-      return null;
-    }
+    const token = localStorage.getItem(TOKEN_KEY);
+    return token ? decodeToken(token) : null;
   });
 
   const [activeTab, setActiveTab] = useState('chat');
 
-  const handleLogin = (userData) => {
-    const u = typeof userData === 'string' ? { username: userData, firstName: '', lastName: '' } : userData;
-    localStorage.setItem('chatapp_user', JSON.stringify(u));
-    setUser(u);
+  const handleLogin = ({ token }) => {
+    localStorage.setItem(TOKEN_KEY, token);
+    setUser(decodeToken(token));
   };
 
   const handleLogout = () => {
-    localStorage.removeItem('chatapp_user');
+    localStorage.removeItem(TOKEN_KEY);
     setUser(null);
+    setActiveTab('chat');
   };
 
+  useEffect(() => {
+    localStorage.removeItem('chatapp_user'); // pre-token storage format
+    setUnauthorizedHandler(() => {
+      localStorage.removeItem(TOKEN_KEY);
+      setUser(null);
+    });
+    return () => setUnauthorizedHandler(null);
+  }, []);
+
+  const sharedToken = window.location.pathname.match(SHARED_PATH)?.[1];
+  if (sharedToken) return <SharedChat token={sharedToken} />;
+
   if (user) {
     return (
       <div className="app-with-tabs">
@@ -43,12 +58,24 @@ function App() {
           >
             YouTube Channel Download
           </button>
+          <button
+            className={activeTab === 'profile' ? 'active' : ''}
+            onClick={() => setActiveTab('profile')}
+          >
+            Profile
+          </button>
           <button className="app-logout" onClick={handleLogout}>
             Log out
           </button>
         </nav>
         {activeTab === 'chat' && <Chat user={user} onLogout={handleLogout} />}
         {activeTab === 'youtube' && <YouTubeDownload />}
+        {activeTab === 'profile' && (
+          <Profile
+            onTokenChange={(token) => handleLogin({ token })}
+            onAccountDeleted={handleLogout}
+          />
+        )}
       </div>
     );
   }
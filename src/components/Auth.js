@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { createUser, findUser } from '../services/mongoApi';
+import { createUser, findUser, requestPasswordReset, confirmPasswordReset } from '../services/mongoApi';
 import './Auth.css';
 
 export default function Auth({ onLogin }) {
@@ -8,16 +8,31 @@ export default function Auth({ onLogin }) {
   const [firstName, setFirstName] = useState('');
   const [lastName, setLastName] = useState('');
   const [password, setPassword] = useState('');
+  const [resetCode, setResetCode] = useState('');
+  const [resetSent, setResetSent] = useState(false);
+  const [notice, setNotice] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setNotice('');
     setLoading(true);
     try {
       const name = username.trim().toLowerCase();
-      if (mode === 'create') {
+      if (mode === 'forgot' && !resetSent) {
+        await requestPasswordReset(name);
+        setResetSent(true);
+        setNotice('If that account exists, a reset code has been sent. Enter it below with a new password.');
+      } else if (mode === 'forgot') {
+        await confirmPasswordReset(resetCode.trim(), password);
+        setMode('login');
+        setResetSent(false);
+        setResetCode('');
+        setPassword('');
+        setNotice('Password reset. You can log in now.');
+      } else if (mode === 'create') {
         await createUser(name, password, '', firstName.trim(), lastName.trim());
         setError('');
         setMode('login');
@@ -27,7 +42,7 @@ export default function Auth({ onLogin }) {
       } else {
         const user = await findUser(name, password);
         if (!user) throw new Error('User not found or invalid password');
-        onLogin({ username: user.username, firstName: user.firstName, lastName: user.lastName });
+        onLogin(user);
       }
     } catch (err) {
       try {
@@ -71,20 +86,35 @@ export default function Auth({ onLogin }) {
           )}
           <input
             type="text"
-            placeholder="Username"
+            placeholder={mode === 'forgot' ? 'Username or email' : 'Username'}
             value={username}
             onChange={(e) => setUsername(e.target.value)}
             required
             autoComplete="username"
+            disabled={mode === 'forgot' && resetSent}
           />
-          <input
-            type="password"
-            placeholder="Password"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            required
-            autoComplete={mode === 'create' ? 'new-password' : 'current-password'}
-          />
+          {mode === 'forgot' && resetSent && (
+            <input
+              type="text"
+              placeholder="Reset code"
+              value={resetCode}
+              onChange={(e) => setResetCode(e.target.value)}
+              required
+              autoComplete="one-time-code"
+            />
+          )}
+          {(mode !== 'forgot' || resetSent) && (
+            <input
+              type="password"
+              placeholder={mode === 'forgot' ? 'New password' : 'Password'}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+              minLength={mode === 'login' ? undefined : 8}
+            />
+          )}
+          {notice && <p className="auth-notice">{notice}</p>}
           {error && (
         <p className="auth-error">
           {error}
@@ -92,7 +122,15 @@ export default function Auth({ onLogin }) {
         </p>
       )}
           <button type="submit" disabled={loading}>
-            {loading ? '...' : mode === 'login' ? 'Log in' : 'Create account'}
+            {loading
+              ? '...'
+              : mode === 'login'
+                ? 'Log in'
+                : mode === 'create'
+                  ? 'Create account'
+                  : resetSent
+                    ? 'Reset password'
+                    : 'Send reset code'}
           </button>
         </form>
         <button
@@ -100,11 +138,26 @@ export default function Auth({ onLogin }) {
           className="auth-switch"
           onClick={() => {
             setMode((m) => (m === 'login' ? 'create' : 'login'));
+            setResetSent(false);
             setError('');
+            setNotice('');
           }}
         >
           {mode === 'login' ? 'Create an account' : 'Already have an account? Log in'}
         </button>
+        {mode === 'login' && (
+          <button
+            type="button"
+            className="auth-switch auth-forgot"
+            onClick={() => {
+              setMode('forgot');
+              setError('');
+              setNotice('');
+            }}
+          >
+            Forgot password?
+          </button>
+        )}
       </div>
     </div>
   );
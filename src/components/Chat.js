@@ -1,19 +1,37 @@
-import { useState, useEffect, useRef } from 'react';
-import ReactMarkdown from 'react-markdown';
-import remarkGfm from 'remark-gfm';
-import { streamChat, chatWithCsvTools, CODE_KEYWORDS } from '../services/gemini';
-import { parseCsvToRows, executeTool, computeDatasetSummary, enrichWithEngagement, buildSlimCsv } from '../services/csvTools';
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { streamChat, chatWithCsvTools } from '../services/gemini';
+import { routeMessage, MODES } from '../services/router';
+import { threadPath, latestLeaf, siblingsOf, leafShowing } from '../services/thread';
+import { uploadImage, toImagePart } from '../services/attachments';
+import { SORTS, organizeSessions, filterOptions, parseTags } from '../services/sessions';
+import { PAGE_TOOLS } from '../services/csvTools';
+import { FORMATS, DATA_FILE_ACCEPT, detectFormat } from '../services/fileIngest';
+import { loadDataset, loadRecords, runDatasetTool, dropDataset } from '../services/datasets';
 import {
   getSessions,
+  getPersonas,
   createSession,
   deleteSession,
+  restoreSession,
+  updateSession,
+  exportSession,
+  importSession,
+  createShare,
+  revokeShare,
+  shareUrl,
+  generateSessionTitle,
   saveMessage,
   loadMessages,
+  setActiveLeaf,
+  searchMessages,
   loadSessionJson,
   saveSessionJson,
+  generateImage,
 } from '../services/mongoApi';
-import EngagementChart from './EngagementChart';
 import MetricVsTimeChart from './MetricVsTimeChart';
+import ChatMessage, { saveBlob } from './ChatMessage';
+import SessionTrash from './SessionTrash';
+import SharedLinks from './SharedLinks';
 import './Chat.css';
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
@@ -23,92 +41,58 @@ const chatTitle = () => {
   return `Chat · ${d.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
 };
 
-// Encode a string to base64 safely (handles unicode/emoji in tweet text etc.)
-const toBase64 = (str) => {
-  const bytes = new TextEncoder().encode(str);
-  let binary = '';
-  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
-  return btoa(binary);
-};
-
-const parseCSV = (text) => {
-  const lines = text.split('\n').filter((l) => l.trim());
-  if (!lines.length) return null;
-  const headers = lines[0].split(',').map((h) => h.trim().replace(/^"|"$/g, ''));
-  const rowCount = lines.length - 1;
-
-  // Short human-readable preview (header + first 5 rows) for context
-  const preview = lines.slice(0, 6).join('\n');
-
-  // Full CSV as base64 — avoids ALL string-escaping issues in Python code execution
-  // (tweet text with quotes, apostrophes, emojis, etc. all break triple-quoted strings)
-  const raw = text.length > 500000 ? text.slice(0, 500000) : text;
-  const base64 = toBase64(raw);
-  const truncated = text.length > 500000;
-
-  return { headers, rowCount, preview, base64, truncated };
-};
-
-// Extract plain text from a message (for history only — never returns base64)
-const messageText = (m) => {
-  if (m.parts) return m.parts.filter((p) => p.type === 'text').map((p) => p.text).join('\n');
-  return m.content || '';
+// How long a toast (e.g. "Chat moved to trash · Undo") stays up
+const TOAST_TIMEOUT_MS = 8000;
+
+// Sidebar inline editor, by the session field being edited
+const EDIT_PLACEHOLDERS = { title: 'Chat title', folder: 'Folder (empty for none)', tags: 'Tags, comma separated' };
+
+// A loaded dataset (datasets.loadDataset) → the pending attachment chip and what the prompt needs about it
+const csvContextFor = ({ format, sheets, sheet, fileHeaders, rowCount, delimiter, base64, truncated }) => ({
+  format,
+  sheets,
+  sheet,
+  headers: fileHeaders,
+  rowCount,
+  delimiter,
+  base64,
+  truncated,
+});
+
+// Runs the generateImage tool — on the page, not in the dataset worker, as it calls the API.
+// userImages: the current message's images — { id } once stored, else { data, mimeType }
+const runImageTool = async (args, userImages) => {
+  try {
+    // Use user's image as anchor if they attached one (AI can't pass base64 in function args)
+    const anchor = userImages[0];
+    const image = await generateImage(
+      args.prompt,
+      args.anchorImageBase64
+        ? { anchorImageBase64: args.anchorImageBase64 }
+        : { anchorAttachmentId: anchor?.id || null, anchorImageBase64: anchor?.id ? null : anchor?.data || null }
+    );
+    // The image is stored on the server; the message keeps only its id
+    return { _generatedImage: true, attachmentId: image.id, url: image.url, mimeType: image.mimeType || 'image/png' };
+  } catch (err) {
+    return { error: err.message || 'Image generation failed' };
+  }
 };
 
-// ── Structured part renderer (code execution responses) ───────────────────────
-
-function StructuredParts({ parts }) {
-  return (
-    <>
-      {parts.map((part, i) => {
-        if (part.type === 'text' && part.text?.trim()) {
-          return (
-            <div key={i} className="part-text">
-              <ReactMarkdown remarkPlugins={[remarkGfm]}>{part.text}</ReactMarkdown>
-            </div>
-          );
-        }
-        if (part.type === 'code') {
-          return (
-            <div key={i} className="part-code">
-              <div className="part-code-header">
-                <span className="part-code-lang">
-                  {part.language === 'PYTHON' ? 'Python' : part.language}
-                </span>
-              </div>
-              <pre className="part-code-body">
-                <code>{part.code}</code>
-              </pre>
-            </div>
-          );
-        }
-        if (part.type === 'result') {
-          const ok = part.outcome === 'OUTCOME_OK';
-          return (
-            <div key={i} className="part-result">
-              <div className="part-result-header">
-                <span className={`part-result-badge ${ok ? 'ok' : 'err'}`}>
-                  {ok ? '✓ Output' : '✗ Error'}
-                </span>
-              </div>
-              <pre className="part-result-body">{part.output}</pre>
-            </div>
-          );
-        }
-        if (part.type === 'image') {
-          return (
-            <img
-              key={i}
-              src={`data:${part.mimeType};base64,${part.data}`}
-              alt="Generated plot"
-              className="part-image"
-            />
-          );
-        }
-        return null;
-      })}
-    </>
-  );
+// ` (Excel, sheet "Posts")` after the file name in the prompt; nothing for CSV
+const sourceNote = ({ format, sheet }) =>
+  format === 'csv' ? '' : ` (${FORMATS[format].label}${sheet ? `, sheet "${sheet}"` : ''})`;
+
+// Search snippet with its matched words marked; ranges are [start, end) offsets
+function Highlighted({ text, ranges }) {
+  const out = [];
+  let at = 0;
+  ranges.forEach(([start, end], i) => {
+    if (start > at) out.push(text.slice(at, start));
+    out.push(<mark key={i}>{text.slice(start, end)}</mark>);
+    at = end;
+  });
+  out.push(text.slice(at));
+  return <>{out}</>;
 }
 
 // ── Main component ────────────────────────────────────────────────────────────
@@ -117,11 +101,16 @@ export default function Chat({ user, onLogout }) {
   const username = user?.username || user;
   const [sessions, setSessions] = useState([]);
   const [activeSessionId, setActiveSessionId] = useState(null);
-  const [messages, setMessages] = useState([]);
+  const [messages, setMessages] = useState([]);   // every branch of the conversation tree
+  const [leafId, setLeafId] = useState(null);      // last message of the branch on screen
+  const [editing, setEditing] = useState(null);    // { id, text } while a prompt is being edited
+  const [olderCursor, setOlderCursor] = useState(null); // page before the oldest loaded message
+  const [loadingOlder, setLoadingOlder] = useState(false);
   const [input, setInput] = useState('');
   const [images, setImages] = useState([]);
   const [csvContext, setCsvContext] = useState(null);     // pending attachment chip
-  const [sessionCsvRows, setSessionCsvRows] = useState(null);    // parsed rows for JS tools
+  const [csvLoading, setCsvLoading] = useState(null);     // { name, done, total } while a data file is read
+  const [sessionCsvDataset, setSessionCsvDataset] = useState(null); // datasets.js id of the table for JS tools
   const [sessionCsvHeaders, setSessionCsvHeaders] = useState(null); // headers for tool routing
   const [csvDataSummary, setCsvDataSummary] = useState(null);    // auto-computed column stats summary
   const [sessionSlimCsv, setSessionSlimCsv] = useState(null);   // key-columns CSV string sent directly to Gemini
@@ -132,22 +121,52 @@ export default function Chat({ user, onLogout }) {
   const [openMenuId, setOpenMenuId] = useState(null);
   const [lightboxImage, setLightboxImage] = useState(null);   // { src, mimeType } for generated image
   const [lightboxChart, setLightboxChart] = useState(null);  // { data, metricColumn } for plot enlarge
+  const [personas, setPersonas] = useState([]);               // [{ id, name, description }]
+  const [newChatPersona, setNewChatPersona] = useState(null); // persona for the unsaved 'new' chat
+  const [modeOverride, setModeOverride] = useState('auto');  // 'auto' or a router mode id
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);   // null while not searching
+  const [foundId, setFoundId] = useState(null);               // message jumped to from search
+  const [sessionSort, setSessionSort] = useState('recent');   // id from SORTS
+  const [sessionFilter, setSessionFilter] = useState('all');  // 'all', 'pinned', 'folder:…' or 'tag:…'
+  const [sessionEdit, setSessionEdit] = useState(null);       // { id, field: 'title'|'folder'|'tags', value }
+  const [sidebarPanel, setSidebarPanel] = useState(null);     // 'trash' | 'shares' instead of the chat list
+  const [toast, setToast] = useState(null);                   // { text, undoSession?, share? } at the bottom of the chat
 
   const bottomRef = useRef(null);
+  const messagesRef = useRef(null);
+  // Distance from the bottom of the list, kept while older messages are prepended
+  const scrollAnchorRef = useRef(null);
   const inputRef = useRef(null);
   const abortRef = useRef(false);
+  const toolsAbortRef = useRef(null); // AbortController for the dataset tools of the answer streaming
+  const csvLoadRef = useRef(null);    // AbortController for the data file being read
+  const jsonDatasetRef = useRef(null); // { data, id }: sessionJsonData loaded as a dataset for the tools
   const fileInputRef = useRef(null);
+  const dataFileRef = useRef(null); // the attached workbook, to read another of its sheets
+  const importInputRef = useRef(null);
   const streamContentRef = useRef({ full: '', parts: null });
   // Set to true immediately before setActiveSessionId() is called during a send
   // so the messages useEffect knows to skip the reload (streaming is in progress).
   const justCreatedSessionRef = useRef(false);
+  // Message to bring on screen once the session being opened has loaded
+  const jumpToRef = useRef(null);
 
   const displayName = [user?.firstName, user?.lastName].filter(Boolean).join(' ') || username;
 
+  useEffect(() => {
+    getPersonas()
+      .then(({ personas: list, defaultPersona }) => {
+        setPersonas(list);
+        setNewChatPersona((current) => current || defaultPersona);
+      })
+      .catch(() => {});
+  }, []);
+
   // On login: load sessions from DB; 'new' means an unsaved pending chat
   useEffect(() => {
     const init = async () => {
-      const list = await getSessions(username);
+      const list = await getSessions();
       setSessions(list);
       setActiveSessionId('new'); // always start with a fresh empty chat on login
     };
@@ -157,6 +176,7 @@ export default function Chat({ user, onLogout }) {
   useEffect(() => {
     if (!activeSessionId || activeSessionId === 'new') {
       setMessages([]);
+      setOlderCursor(null);
       setJsonContext(null);
       setSessionJsonData(null);
       return;
@@ -168,24 +188,95 @@ export default function Chat({ user, onLogout }) {
       return;
     }
     setMessages([]);
+    setOlderCursor(null);
     setJsonContext(null);
     setSessionJsonData(null);
-    loadMessages(activeSessionId).then(setMessages);
+    const jumpTo = jumpToRef.current;
+    jumpToRef.current = null;
+    // Switching chats mid-load must not show this chat's messages in the next one
+    let cancelled = false;
+    (async () => {
+      let { messages: list, activeLeafId, nextCursor } = await loadMessages(activeSessionId);
+      // The branch on screen may end before the newest page (switched to an old version),
+      // and a search result may be older still
+      const wanted = [activeLeafId, jumpTo].filter(Boolean);
+      const hasAll = (loaded) => wanted.every((id) => loaded.some((m) => m.id === id));
+      while (!cancelled && nextCursor && !hasAll(list)) {
+        const page = await loadMessages(activeSessionId, { before: nextCursor });
+        list = [...page.messages, ...list];
+        nextCursor = page.nextCursor;
+      }
+      if (cancelled) return;
+      const found = jumpTo && list.some((m) => m.id === jumpTo);
+      const leaf = found ? leafShowing(list, activeLeafId, jumpTo) : activeLeafId;
+      setMessages(list);
+      setLeafId(leaf);
+      setOlderCursor(nextCursor);
+      if (found) {
+        setFoundId(jumpTo);
+        if (leaf !== activeLeafId) setActiveLeaf(activeSessionId, leaf).catch(() => {});
+      }
+    })().catch((err) => {
+      if (!cancelled) setToast({ text: `Loading the chat failed: ${err.message}` });
+    });
     loadSessionJson(activeSessionId)
       .then((data) => {
-        if (Array.isArray(data) && data.length > 0) {
+        if (!cancelled && Array.isArray(data) && data.length > 0) {
           const summary = `JSON array with ${data.length} items. Keys: ${Object.keys(data[0] || {}).join(', ')}`;
           setJsonContext({ name: 'channel-data.json', summary });
           setSessionJsonData(data);
         }
       })
       .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
   }, [activeSessionId]);
 
-  useEffect(() => {
+  useLayoutEffect(() => {
+    // Older messages were prepended: keep the view where it was
+    if (scrollAnchorRef.current != null && messagesRef.current) {
+      const el = messagesRef.current;
+      el.scrollTop = el.scrollHeight - scrollAnchorRef.current;
+      scrollAnchorRef.current = null;
+      return;
+    }
     bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
+  // Runs after the scroll-to-bottom above, so the found message wins
+  useEffect(() => {
+    if (!foundId) return;
+    document.getElementById(`msg-${foundId}`)?.scrollIntoView({ block: 'center' });
+    const timer = setTimeout(() => setFoundId(null), 2000);
+    return () => clearTimeout(timer);
+  }, [foundId]);
+
+  // Search as you type, once the query has settled
+  useEffect(() => {
+    const q = searchQuery.trim();
+    if (q.length < 2) {
+      setSearchResults(null);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      searchMessages(q)
+        .then(({ results }) => !cancelled && setSearchResults(results))
+        .catch(() => !cancelled && setSearchResults([]));
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery]);
+
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), TOAST_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
   useEffect(() => {
     if (!openMenuId) return;
     const handler = () => setOpenMenuId(null);
@@ -201,7 +292,8 @@ export default function Chat({ user, onLogout }) {
     setInput('');
     setImages([]);
     setCsvContext(null);
-    setSessionCsvRows(null);
+    dropDataset(sessionCsvDataset);
+    setSessionCsvDataset(null);
     setSessionCsvHeaders(null);
     setJsonContext(null);
     setSessionJsonData(null);
@@ -213,16 +305,95 @@ export default function Chat({ user, onLogout }) {
     setInput('');
     setImages([]);
     setCsvContext(null);
-    setSessionCsvRows(null);
+    dropDataset(sessionCsvDataset);
+    setSessionCsvDataset(null);
     setSessionCsvHeaders(null);
     setJsonContext(null);
     setSessionJsonData(null);
   };
 
+  // Search result picked: open its chat, load back to the message and show its branch
+  const handleOpenResult = async ({ sessionId, messageId }) => {
+    if (streaming) return;
+    if (sessionId !== activeSessionId) {
+      jumpToRef.current = messageId; // picked up by the messages useEffect
+      handleSelectSession(sessionId);
+      return;
+    }
+    let loaded = messages;
+    let cursor = olderCursor;
+    try {
+      while (cursor && !loaded.some((m) => m.id === messageId)) {
+        const page = await loadMessages(sessionId, { before: cursor });
+        loaded = [...page.messages, ...loaded];
+        cursor = page.nextCursor;
+      }
+    } catch (err) {
+      console.error('[Chat] loading older messages failed:', err.message);
+      return;
+    }
+    if (loaded !== messages) prependMessages(loaded.slice(0, loaded.length - messages.length), cursor);
+    if (!loaded.some((m) => m.id === messageId)) return;
+    const leaf = leafShowing(loaded, leafId, messageId);
+    if (leaf !== leafId) {
+      setLeafId(leaf);
+      setActiveLeaf(sessionId, leaf).catch(() => {});
+    }
+    setFoundId(messageId);
+  };
+
+  // A message was saved: count it and move the chat up the "recent" order
+  const touchSession = (sessionId) =>
+    setSessions((prev) =>
+      prev.map((s) =>
+        s.id === sessionId ? { ...s, messageCount: s.messageCount + 1, updatedAt: new Date().toISOString() } : s
+      )
+    );
+
+  // Shown at once; the server's answer (trimmed folder, de-duplicated tags) then replaces it
+  const handleUpdateSession = async (sessionId, fields) => {
+    setSessions((prev) => prev.map((s) => (s.id === sessionId ? { ...s, ...fields } : s)));
+    try {
+      const saved = await updateSession(sessionId, fields);
+      setSessions((prev) => prev.map((s) => (s.id === sessionId ? { ...s, ...saved } : s)));
+    } catch (err) {
+      console.error('[Chat] updating the chat failed:', err.message);
+      getSessions().then(setSessions).catch(() => {});
+    }
+  };
+
+  const startSessionEdit = (session, field, e) => {
+    e.stopPropagation();
+    setOpenMenuId(null);
+    const value = field === 'tags' ? session.tags.join(', ') : session[field] || '';
+    setSessionEdit({ id: session.id, field, value });
+  };
+
+  const commitSessionEdit = () => {
+    if (!sessionEdit) return;
+    const { id, field, value } = sessionEdit;
+    setSessionEdit(null);
+    if (field === 'title') {
+      if (value.trim()) handleUpdateSession(id, { title: value.trim() });
+    } else if (field === 'folder') {
+      handleUpdateSession(id, { folder: value.trim() || null });
+    } else {
+      handleUpdateSession(id, { tags: parseTags(value) });
+    }
+  };
+
+  // Moves the chat to the trash; the toast offers to bring it straight back
   const handleDeleteSession = async (sessionId, e) => {
     e.stopPropagation();
     setOpenMenuId(null);
-    await deleteSession(sessionId);
+    try {
+      await deleteSession(sessionId);
+    } catch (err) {
+      setToast({ text: `Deleting the chat failed: ${err.message}` });
+      return;
+    }
+    const deleted = sessions.find((s) => s.id === sessionId);
+    setToast({ text: `“${deleted.title || 'Untitled chat'}” moved to trash`, undoSession: deleted });
     const remaining = sessions.filter((s) => s.id !== sessionId);
     setSessions(remaining);
     if (activeSessionId === sessionId) {
@@ -231,6 +402,77 @@ export default function Chat({ user, onLogout }) {
     }
   };
 
+  const handleUndoDelete = async () => {
+    const session = toast.undoSession;
+    setToast(null);
+    try {
+      const restored = await restoreSession(session.id);
+      setSessions((prev) => [restored, ...prev]);
+      setActiveSessionId(restored.id);
+    } catch (err) {
+      console.error('[Chat] restoring the chat failed:', err.message);
+    }
+  };
+
+  const handleExport = async (session, format, e) => {
+    e.stopPropagation();
+    setOpenMenuId(null);
+    try {
+      const { blob, filename } = await exportSession(session.id, format);
+      saveBlob(blob, filename);
+    } catch (err) {
+      setToast({ text: `Export failed: ${err.message}` });
+    }
+  };
+
+  // Copies the chat's read-only link (the same one each time until it is revoked)
+  const handleShare = async (session, e) => {
+    e.stopPropagation();
+    setOpenMenuId(null);
+    try {
+      const share = await createShare(session.id);
+      const url = shareUrl(share.token);
+      try {
+        await navigator.clipboard.writeText(url);
+        setToast({ text: 'Link copied — anyone with it can read this chat', share });
+      } catch {
+        setToast({ text: `Share link: ${url}`, share });
+      }
+    } catch (err) {
+      setToast({ text: `Sharing failed: ${err.message}` });
+    }
+  };
+
+  const handleRevokeShare = async () => {
+    const { share } = toast;
+    setToast(null);
+    try {
+      await revokeShare(share.id);
+      setToast({ text: 'Link revoked' });
+    } catch (err) {
+      setToast({ text: `Revoking the link failed: ${err.message}` });
+    }
+  };
+
+  // A JSON export, from this app or another account, becomes a new chat
+  const handleImport = async (file) => {
+    let bundle;
+    try {
+      bundle = JSON.parse(await file.text());
+    } catch {
+      setToast({ text: `${file.name} is not a chat export (JSON)` });
+      return;
+    }
+    try {
+      const session = await importSession(bundle);
+      setSessions((prev) => [session, ...prev]);
+      handleSelectSession(session.id);
+      setToast({ text: `Imported “${session.title}”` });
+    } catch (err) {
+      setToast({ text: `Import failed: ${err.message}` });
+    }
+  };
+
   // ── File handling ───────────────────────────────────────────────────────────
 
   const fileToBase64 = (file) =>
@@ -263,12 +505,57 @@ export default function Chat({ user, onLogout }) {
     }
   };
 
+  // Read the file in the dataset worker: typed columns, engagement col, summary + slim CSV
+  const loadDataFile = async (file, { sheet } = {}) => {
+    csvLoadRef.current?.abort();
+    const controller = new AbortController();
+    csvLoadRef.current = controller;
+    setCsvLoading({ name: file.name, done: 0, total: file.size });
+    let data;
+    try {
+      data = await loadDataset(file, {
+        sheet,
+        signal: controller.signal,
+        onProgress: (done, total) => setCsvLoading({ name: file.name, done, total }),
+      });
+    } catch (err) {
+      if (!err.cancelled) setToast({ text: `Couldn't read ${file.name}: ${err.message}` });
+      return;
+    } finally {
+      if (csvLoadRef.current === controller) {
+        csvLoadRef.current = null;
+        setCsvLoading(null);
+      }
+    }
+    if (!data.headers.length) {
+      dropDataset(data.id);
+      setToast({ text: `${file.name} has no rows` });
+      return;
+    }
+    dataFileRef.current = data.sheets?.length > 1 ? file : null;
+    setCsvContext({ name: file.name, ...csvContextFor(data) });
+    dropDataset(sessionCsvDataset);
+    setSessionCsvDataset(data.id);
+    setSessionCsvHeaders(data.headers);
+    setCsvDataSummary(data.summary);
+    setSessionSlimCsv(data.slimCsv);
+  };
+
+  // sessionJsonData as a dataset for the tools, loaded into the worker once per array
+  const jsonDatasetFor = async (data) => {
+    if (jsonDatasetRef.current?.data !== data) {
+      if (jsonDatasetRef.current) dropDataset(jsonDatasetRef.current.id);
+      jsonDatasetRef.current = { data, id: (await loadRecords(data)).id };
+    }
+    return jsonDatasetRef.current.id;
+  };
+
   const handleDrop = async (e) => {
     e.preventDefault();
     setDragOver(false);
     const files = [...e.dataTransfer.files];
 
-    const csvFiles = files.filter((f) => f.name.endsWith('.csv') || f.type === 'text/csv');
+    const dataFiles = files.filter((f) => detectFormat(f));
     const jsonFiles = files.filter((f) => f.name.endsWith('.json') || f.type === 'application/json');
     const imageFiles = files.filter((f) => f.type.startsWith('image/'));
 
@@ -283,20 +570,8 @@ export default function Chat({ user, onLogout }) {
       }
     }
 
-    if (csvFiles.length > 0) {
-      const file = csvFiles[0];
-      const text = await fileToText(file);
-      const parsed = parseCSV(text);
-      if (parsed) {
-        setCsvContext({ name: file.name, ...parsed });
-        // Parse rows, add computed engagement col, build summary + slim CSV
-        const raw = parseCsvToRows(text);
-        const { rows, headers } = enrichWithEngagement(raw.rows, raw.headers);
-        setSessionCsvHeaders(headers);
-        setSessionCsvRows(rows);
-        setCsvDataSummary(computeDatasetSummary(rows, headers));
-        setSessionSlimCsv(buildSlimCsv(rows, headers));
-      }
+    if (dataFiles.length > 0) {
+      await loadDataFile(dataFiles[0]);
     }
 
     if (imageFiles.length > 0) {
@@ -315,7 +590,7 @@ export default function Chat({ user, onLogout }) {
     const files = [...e.target.files];
     e.target.value = '';
 
-    const csvFiles = files.filter((f) => f.name.endsWith('.csv') || f.type === 'text/csv');
+    const dataFiles = files.filter((f) => detectFormat(f));
     const jsonFiles = files.filter((f) => f.name.endsWith('.json') || f.type === 'application/json');
     const imageFiles = files.filter((f) => f.type.startsWith('image/'));
 
@@ -330,18 +605,8 @@ export default function Chat({ user, onLogout }) {
       }
     }
 
-    if (csvFiles.length > 0) {
-      const text = await fileToText(csvFiles[0]);
-      const parsed = parseCSV(text);
-      if (parsed) {
-        setCsvContext({ name: csvFiles[0].name, ...parsed });
-        const raw = parseCsvToRows(text);
-        const { rows, headers } = enrichWithEngagement(raw.rows, raw.headers);
-        setSessionCsvHeaders(headers);
-        setSessionCsvRows(rows);
-        setCsvDataSummary(computeDatasetSummary(rows, headers));
-        setSessionSlimCsv(buildSlimCsv(rows, headers));
-      }
+    if (dataFiles.length > 0) {
+      await loadDataFile(dataFiles[0]);
     }
     if (imageFiles.length > 0) {
       const newImages = await Promise.all(
@@ -380,46 +645,218 @@ export default function Chat({ user, onLogout }) {
 
   const handleStop = () => {
     abortRef.current = true;
+    toolsAbortRef.current?.abort(); // a tool scanning a big dataset stops at its next slice
   };
 
   // ── Send message ────────────────────────────────────────────────────────────
 
+  // The branch on screen — also the history the model sees
+  const thread = threadPath(messages, leafId);
+
+  const prependMessages = (older, cursor) => {
+    const el = messagesRef.current;
+    if (older.length && el) scrollAnchorRef.current = el.scrollHeight - el.scrollTop;
+    setMessages((m) => [...older, ...m]);
+    setOlderCursor(cursor);
+  };
+
+  // Infinite scroll upward: fetch the page before the oldest loaded message
+  const loadOlder = async () => {
+    if (!olderCursor || loadingOlder) return;
+    setLoadingOlder(true);
+    try {
+      const page = await loadMessages(activeSessionId, { before: olderCursor });
+      prependMessages(page.messages, page.nextCursor);
+    } catch (err) {
+      console.error('[Chat] loading older messages failed:', err.message);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  // Swap a placeholder id for the one the server assigned
+  const renameMessage = (from, to) => {
+    setMessages((m) =>
+      m.map((msg) =>
+        msg.id === from ? { ...msg, id: to } : msg.parentId === from ? { ...msg, parentId: to } : msg
+      )
+    );
+    setLeafId((current) => (current === from ? to : current));
+  };
+
   const handleSend = async () => {
     const text = input.trim();
     if ((!text && !images.length && !csvContext && !jsonContext) || streaming || !activeSessionId) return;
 
-    // Lazily create the session in DB on the very first message
-    let sessionId = activeSessionId;
-    if (sessionId === 'new') {
-      const title = chatTitle();
-      const { id } = await createSession(username, 'lisa', title, sessionJsonData);
-      sessionId = id;
-      justCreatedSessionRef.current = true; // tell useEffect to skip the reload
-      setActiveSessionId(id);
-      setSessions((prev) => [{ id, agent: 'lisa', title, createdAt: new Date().toISOString(), messageCount: 0 }, ...prev]);
-    }
-
-    // ── Routing intent (computed first so we know whether Python/base64 is needed) ──
-    // PYTHON_ONLY = things the client tools genuinely cannot produce
-    const PYTHON_ONLY_KEYWORDS = /\b(regression|scatter|histogram|seaborn|matplotlib|numpy|time.?series|heatmap|box.?plot|violin|distribut|linear.?model|logistic|forecast|trend.?line)\b/i;
-    const wantPythonOnly = PYTHON_ONLY_KEYWORDS.test(text);
-    const wantCode = CODE_KEYWORDS.test(text) && !sessionCsvRows && !sessionJsonData;
     const capturedCsv = csvContext;
     const capturedJson = jsonContext;
-    // Base64 is only worth sending when Gemini will actually run Python
-    const needsBase64 = !!capturedCsv && wantPythonOnly;
+    const capturedImages = [...images];
+    setInput('');
+    setImages([]);
+    setCsvContext(null);
+    setJsonContext(null);
+
+    setStreaming(true);
+    try {
+      // Lazily create the session in DB on the very first message
+      let sessionId = activeSessionId;
+      if (sessionId === 'new') {
+        const title = chatTitle();
+        const { id } = await createSession(newChatPersona, title, sessionJsonData);
+        sessionId = id;
+        justCreatedSessionRef.current = true; // tell useEffect to skip the reload
+        setActiveSessionId(id);
+        const now = new Date().toISOString();
+        setSessions((prev) => [
+          { id, agent: newChatPersona, title, createdAt: now, updatedAt: now, messageCount: 0, pinned: false, folder: null, tags: [] },
+          ...prev,
+        ]);
+      }
+
+      await submitPrompt({
+        sessionId,
+        text,
+        capturedImages,
+        capturedCsv,
+        capturedJson,
+        parentId: thread.at(-1)?.id ?? null,
+      });
+    } catch (err) {
+      // Nothing was sent: put the draft back
+      setInput(text);
+      setImages(capturedImages);
+      setCsvContext(capturedCsv);
+      setJsonContext(capturedJson);
+      sendFailed(err);
+    }
+  };
+
+  // A prompt that could not be saved (or its chat created): unlock the input and say why
+  const sendFailed = (err) => {
+    setStreaming(false);
+    setToast({ text: `Sending failed: ${err.message}` });
+  };
+
+  // Adds a user message after `parentId` (the branch it continues; null starts the
+  // chat) and answers it. Editing a prompt submits it again after the same message,
+  // forking a sibling.
+  const submitPrompt = async ({ sessionId, text, capturedImages, capturedCsv, capturedJson, parentId }) => {
+    const userContent = text || (capturedImages.length ? '(Image)' : '') || (capturedCsv ? '(CSV attached)' : '') || (capturedJson ? '(JSON attached)' : '');
+    const userMsg = {
+      id: `u-${Date.now()}`,
+      parentId,
+      role: 'user',
+      content: userContent,
+      timestamp: new Date().toISOString(),
+      images: capturedImages,
+      csvName: capturedCsv?.name || null,
+      jsonName: capturedJson?.name || null,
+    };
+    const previousLeaf = leafId;
+    setMessages((m) => [...m, userMsg]);
+    setLeafId(userMsg.id);
+    setStreaming(true);
+
+    // Images go to the attachment store and the message references them; CSV base64 is never persisted
+    let storedImages;
+    let saved;
+    try {
+      storedImages = await Promise.all(capturedImages.map(uploadImage));
+      saved = await saveMessage(
+        sessionId,
+        'user',
+        userContent,
+        storedImages.length ? storedImages.map(({ id }) => ({ id })) : null,
+        null,
+        null,
+        parentId,
+        { csvName: userMsg.csvName, jsonName: userMsg.jsonName }
+      );
+    } catch (err) {
+      // Not saved, so not sent: take the prompt off screen again
+      setMessages((m) => m.filter((msg) => msg.id !== userMsg.id));
+      setLeafId(previousLeaf);
+      throw err;
+    }
+    setMessages((m) => m.map((msg) => (msg.id === userMsg.id ? { ...msg, images: storedImages } : msg)));
+    renameMessage(userMsg.id, saved.id);
+    touchSession(sessionId);
+
+    await answer({ sessionId, promptId: saved.id, text, capturedImages: storedImages, capturedCsv, capturedJson, parentId });
+  };
+
+  // Regenerate: a new answer to the same prompt, as a sibling of the old one
+  const handleRegenerate = async (modelMsg) => {
+    if (streaming) return;
+    const prompt = messages.find((m) => m.id === modelMsg.parentId);
+    if (!prompt) return;
+    setStreaming(true);
+    try {
+      await answer({
+        sessionId: activeSessionId,
+        promptId: prompt.id,
+        text: prompt.content,
+        capturedImages: prompt.images || [],
+        parentId: prompt.parentId ?? null,
+      });
+    } catch (err) {
+      sendFailed(err);
+    }
+  };
+
+  const handleEditSubmit = async () => {
+    const text = editing?.text.trim();
+    if (!text || streaming) return;
+    const original = messages.find((m) => m.id === editing.id);
+    setEditing(null);
+    if (text === original.content) return;
+    setStreaming(true);
+    try {
+      await submitPrompt({
+        sessionId: activeSessionId,
+        text,
+        capturedImages: original.images || [],
+        parentId: original.parentId ?? null,
+      });
+    } catch (err) {
+      setEditing({ id: original.id, text }); // keep the edit to retry
+      sendFailed(err);
+    }
+  };
+
+  // Branch switcher: show the sibling `step` away, down to its newest leaf
+  const handleSwitchBranch = (msg, step) => {
+    const siblings = siblingsOf(messages, msg);
+    const target = siblings[siblings.findIndex((m) => m.id === msg.id) + step];
+    if (!target || streaming) return;
+    const leaf = latestLeaf(messages, target.id);
+    setLeafId(leaf.id);
+    setActiveLeaf(activeSessionId, leaf.id).catch(() => {});
+  };
+
+  // Answers the prompt `promptId`, which follows `parentId` (null for the first prompt)
+  const answer = async ({ sessionId, promptId, text, capturedImages, capturedCsv = null, capturedJson = null, parentId }) => {
+    // ── Routing (decided first so we know whether Python/base64 is needed) ──
+    setStreaming(true); // the router may ask the model, so lock the input now
+    const route = await routeMessage(
+      text,
+      {
+        hasDataset: !!sessionCsvDataset || !!sessionJsonData,
+        hasImages: capturedImages.length > 0,
+        hasNewCsv: !!capturedCsv,
+      },
+      { override: modeOverride }
+    );
     // Mode selection:
-    //   useTools        — CSV/JSON loaded, image attached, or user wants to generate image → client-side JS tools (incl. generateImage)
-    //   useCodeExecution — Python explicitly needed (regression, histogram, etc.)
-    //   else            — Google Search streaming (also used for "tell me about this file")
-    const IMAGE_KEYWORDS = /\b(generate|create|make|draw|imagine|picture|image|photo|illustrat|paint)\b/i;
-    const wantImage = IMAGE_KEYWORDS.test(text);
-    const useTools =
-      (!!sessionCsvRows || !!sessionJsonData || !!images.length || wantImage) &&
-      !wantPythonOnly &&
-      !wantCode &&
-      !capturedCsv;
-    const useCodeExecution = wantPythonOnly || wantCode;
+    //   tools  — client-side JS tools on the loaded CSV/JSON, attached images, image generation
+    //   code   — Python code execution (histograms, forecasts, etc.)
+    //   search — Google Search streaming (also used for "tell me about this file")
+    //   combined — search then Python (or the reverse) in one streamed turn
+    const useTools = route.mode === 'tools';
+    const useCodeExecution = route.mode === 'code';
+    const combine = route.mode === 'combined' ? route.order : undefined;
+    // Base64 is only worth sending when Gemini will actually run Python
+    const needsBase64 = !!capturedCsv && (useCodeExecution || !!combine);
 
     // ── Build prompt ─────────────────────────────────────────────────────────
     // sessionSummary: auto-computed column stats, included with every message
@@ -433,21 +870,21 @@ export default function Chat({ user, onLogout }) {
     const csvPrefix = capturedCsv
       ? needsBase64
         // Python path: send base64 so Gemini can load it with pandas
-        ? `[CSV File: "${capturedCsv.name}" | ${capturedCsv.rowCount} rows | Columns: ${capturedCsv.headers.join(', ')}]
+        ? `[CSV File: "${capturedCsv.name}"${sourceNote(capturedCsv)} | ${capturedCsv.rowCount} rows | Columns: ${capturedCsv.headers.join(', ')}]
 
 ${sessionSummary}${slimCsvBlock}
 
 IMPORTANT — to load the full data in Python use this exact pattern:
 \`\`\`python
 import pandas as pd, io, base64
-df = pd.read_csv(io.BytesIO(base64.b64decode("${capturedCsv.base64}")))
+df = pd.read_csv(io.BytesIO(base64.b64decode("${capturedCsv.base64}"))${capturedCsv.delimiter !== ',' ? `, sep=${JSON.stringify(capturedCsv.delimiter)}` : ''})
 \`\`\`
 
 ---
 
 `
         // Standard path: plain CSV text — no encoding needed
-        : `[CSV File: "${capturedCsv.name}" | ${capturedCsv.rowCount} rows | Columns: ${capturedCsv.headers.join(', ')}]
+        : `[CSV File: "${capturedCsv.name}"${sourceNote(capturedCsv)} | ${capturedCsv.rowCount} rows | Columns: ${capturedCsv.headers.join(', ')}]
 
 ${sessionSummary}${slimCsvBlock}
 
@@ -478,50 +915,28 @@ ${sessionJsonData.length > 10 ? `\n... (${sessionJsonData.length - 10} more item
 `
       : '';
 
-    // userContent  — displayed in bubble and stored in MongoDB (never contains base64)
-    // promptForGemini — sent to the Gemini API (may contain the full prefix)
-    const userContent = text || (images.length ? '(Image)' : '') || (csvContext ? '(CSV attached)' : '') || (jsonContext ? '(JSON attached)' : '');
+    // The user message (display text, stored in MongoDB) never contains base64;
+    // promptForGemini is sent to the Gemini API and may contain the full prefix
     const userContext = displayName ? `[You are speaking with ${displayName}.]\n\n` : '';
-    const defaultPrompt = jsonContext
+    const defaultPrompt = capturedJson
       ? 'Please analyze this YouTube channel JSON data.'
-      : images.length
+      : capturedImages.length
         ? 'What do you see in this image?'
         : 'Please analyze this CSV data.';
     const promptForGemini = userContext + csvPrefix + jsonPrefix + (text || defaultPrompt);
 
-    const userMsg = {
-      id: `u-${Date.now()}`,
-      role: 'user',
-      content: userContent,
-      timestamp: new Date().toISOString(),
-      images: [...images],
-      csvName: capturedCsv?.name || null,
-      jsonName: capturedJson?.name || null,
-    };
+    const imageParts = capturedImages.map(toImagePart);
 
-    setMessages((m) => [...m, userMsg]);
-    setInput('');
-    const capturedImages = [...images];
-    setImages([]);
-    setCsvContext(null);
-    setJsonContext(null);
-    setStreaming(true);
-
-    // Store display text only — base64 is never persisted
-    await saveMessage(sessionId, 'user', userContent, capturedImages.length ? capturedImages : null);
-
-    const imageParts = capturedImages.map((img) => ({ mimeType: img.mimeType, data: img.data }));
-
-    // History: plain display text only — session summary handles CSV context on every message
-    const history = messages
-      .filter((m) => m.role === 'user' || m.role === 'model')
-      .map((m) => ({ role: m.role, content: m.content || messageText(m) }));
+    // The history is the saved branch up to parentId: the server reads it, with tool
+    // results and chart references, and trims it to its context budget. The dataset
+    // summary handles CSV context on every message.
 
     const assistantId = `a-${Date.now()}`;
     setMessages((m) => [
       ...m,
-      { id: assistantId, role: 'model', content: '', timestamp: new Date().toISOString() },
+      { id: assistantId, parentId: promptId, role: 'model', content: '', timestamp: new Date().toISOString(), route },
     ]);
+    setLeafId(assistantId);
 
     abortRef.current = false;
     streamContentRef.current = { full: '', parts: null };
@@ -533,38 +948,70 @@ ${sessionJsonData.length > 10 ? `\n... (${sessionJsonData.length - 10} more item
     try {
       if (useTools) {
         // ── Function-calling path: Gemini picks tool + args, JS executes ──────
-        console.log('[Chat] useTools=true | rows:', (sessionCsvRows || sessionJsonData || []).length, '| headers:', sessionCsvHeaders?.length || 0, '| images:', capturedImages.length);
         const headers = sessionCsvHeaders || (sessionJsonData?.length ? Object.keys(sessionJsonData[0] || {}) : []);
-        const rows = sessionCsvRows || sessionJsonData || [];
-        const { text: answer, charts: returnedCharts, toolCalls: returnedCalls } = await chatWithCsvTools(
-          history,
+        const datasetId = sessionCsvDataset ?? (sessionJsonData?.length ? await jsonDatasetFor(sessionJsonData) : null);
+        console.log('[Chat] useTools=true | dataset:', datasetId, '| headers:', headers.length, '| images:', capturedImages.length);
+        const toolsAbort = new AbortController();
+        toolsAbortRef.current = toolsAbort;
+        // Tool calls are shown live in the message's tool-calls panel while they run
+        const showToolCalls = () => {
+          const calls = [...toolCalls];
+          const charts = toolCharts.length ? [...toolCharts] : undefined;
+          setMessages((m) =>
+            m.map((msg) => (msg.id === assistantId ? { ...msg, toolCalls: calls, charts } : msg))
+          );
+        };
+        const toolEvents = chatWithCsvTools(
           promptForGemini,
           headers,
-          (toolName, args) => executeTool(toolName, args, rows, capturedImages),
-          imageParts
+          (toolName, args) =>
+            PAGE_TOOLS.has(toolName)
+              ? runImageTool(args, capturedImages)
+              : runDatasetTool(datasetId, toolName, args, { signal: toolsAbort.signal }),
+          imageParts,
+          { sessionId, parentId }
         );
-        streamContentRef.current.full = answer;
-        toolCharts = returnedCharts || [];
-        toolCalls = returnedCalls || [];
-        console.log('[Chat] returnedCharts:', JSON.stringify(toolCharts));
+        for await (const event of toolEvents) {
+          if (abortRef.current) break;
+          if (event.type === 'text') {
+            streamContentRef.current.full += event.text;
+            const current = streamContentRef.current.full;
+            setMessages((m) =>
+              m.map((msg) => (msg.id === assistantId ? { ...msg, content: current } : msg))
+            );
+          } else if (event.type === 'toolCallStarted') {
+            toolCalls = [...toolCalls, { id: event.id, name: event.name, args: event.args, running: true }];
+            showToolCalls();
+          } else if (event.type === 'toolCallFinished') {
+            const { id, name, args, result } = event;
+            toolCalls = toolCalls.map((tc) => (tc.id === id ? { name, args, result } : tc));
+            // Capture chart payloads so the UI can render them
+            if (result?._chartType) toolCharts = [...toolCharts, result];
+            showToolCalls();
+          } else if (event.type === 'toolBudgetExhausted') {
+            streamContentRef.current.full +=
+              `${streamContentRef.current.full ? '\n\n' : ''}> ⚠️ Stopped after ${event.maxRounds} rounds of tool calls — ` +
+              `the model still wanted to run ${event.pending.join(', ')}. Try a narrower question, or ask me to continue.`;
+            const current = streamContentRef.current.full;
+            setMessages((m) =>
+              m.map((msg) => (msg.id === assistantId ? { ...msg, content: current } : msg))
+            );
+          }
+        }
+        // Calls interrupted by Stop never finished — don't persist them
+        toolCalls = toolCalls.filter((tc) => !tc.running);
+        showToolCalls();
         console.log('[Chat] toolCalls:', toolCalls.map((t) => t.name));
-        setMessages((m) =>
-          m.map((msg) =>
-            msg.id === assistantId
-              ? {
-                  ...msg,
-                  content: streamContentRef.current.full,
-                  charts: toolCharts.length ? toolCharts : undefined,
-                  toolCalls: toolCalls.length ? toolCalls : undefined,
-                }
-              : msg
-          )
-        );
       } else {
-        // ── Streaming path: code execution or search ─────────────────────────
-        for await (const chunk of streamChat(history, promptForGemini, imageParts, useCodeExecution)) {
+        // ── Streaming path: code execution, search, or both ──────────────────
+        for await (const chunk of streamChat(promptForGemini, imageParts, useCodeExecution, { sessionId, parentId, combine })) {
           if (abortRef.current) break;
-          if (chunk.type === 'text') {
+          if (chunk.type === 'step') {
+            const step = chunk;
+            setMessages((m) =>
+              m.map((msg) => (msg.id === assistantId ? { ...msg, step } : msg))
+            );
+          } else if (chunk.type === 'text') {
             streamContentRef.current.full += chunk.text;
             const current = streamContentRef.current.full;
             setMessages((m) =>
@@ -591,17 +1038,19 @@ ${sessionJsonData.length > 10 ? `\n... (${sessionJsonData.length - 10} more item
       );
     }
 
-    if (groundingData) {
-      setMessages((m) =>
-        m.map((msg) => (msg.id === assistantId ? { ...msg, grounding: groundingData } : msg))
-      );
-    }
+    setMessages((m) =>
+      m.map((msg) =>
+        msg.id === assistantId
+          ? { ...msg, step: undefined, ...(groundingData && { grounding: groundingData }) }
+          : msg
+      )
+    );
 
     // Deterministic name greeting: first assistant message per session MUST address user by name
     let savedContent = streamContentRef.current.parts
       ? streamContentRef.current.parts.filter((p) => p.type === 'text').map((p) => p.text).join('\n')
       : streamContentRef.current.full;
-    const isFirstMessage = history.length === 0;
+    const isFirstMessage = !parentId;
     if (isFirstMessage && displayName && savedContent && !savedContent.slice(0, 120).includes(displayName)) {
       const greeting = `Hi ${displayName}! `;
       savedContent = greeting + savedContent;
@@ -620,18 +1069,30 @@ ${sessionJsonData.length > 10 ? `\n... (${sessionJsonData.length - 10} more item
         )
       );
     }
-    await saveMessage(
-      sessionId,
-      'model',
-      savedContent,
-      null,
-      toolCharts.length ? toolCharts : null,
-      toolCalls.length ? toolCalls : null
-    );
-
-    setSessions((prev) =>
-      prev.map((s) => (s.id === sessionId ? { ...s, messageCount: s.messageCount + 2 } : s))
-    );
+    try {
+      const saved = await saveMessage(
+        sessionId,
+        'model',
+        savedContent,
+        null,
+        toolCharts.length ? toolCharts : null,
+        toolCalls.length ? toolCalls : null,
+        promptId,
+        { grounding: groundingData }
+      );
+      renameMessage(assistantId, saved.id);
+
+      touchSession(sessionId);
+      // First exchange done: replace the placeholder "Chat · date" title
+      if (!parentId) {
+        generateSessionTitle(sessionId)
+          .then(({ title }) => setSessions((prev) => prev.map((s) => (s.id === sessionId ? { ...s, title } : s))))
+          .catch((err) => console.warn('[Chat] title generation failed:', err.message));
+      }
+    } catch (err) {
+      // The answer stays on screen; it is only missing from the saved chat
+      setToast({ text: `Saving the answer failed: ${err.message}` });
+    }
 
     setStreaming(false);
     inputRef.current?.focus();
@@ -640,6 +1101,10 @@ ${sessionJsonData.length > 10 ? `\n... (${sessionJsonData.length - 10} more item
   const removeImage = (i) => setImages((prev) => prev.filter((_, idx) => idx !== i));
 
   const activeSession = sessions.find((s) => s.id === activeSessionId);
+  // Sessions from before personas have no agent — they use the original (first) persona
+  const activePersona =
+    personas.find((p) => p.id === (activeSession ? activeSession.agent : newChatPersona)) || personas[0];
+  const assistantName = activePersona?.name || 'Lisa';
 
   const formatDate = (dateStr) => {
     const d = new Date(dateStr);
@@ -650,6 +1115,103 @@ ${sessionJsonData.length > 10 ? `\n... (${sessionJsonData.length - 10} more item
     return `${d.toLocaleDateString([], { month: 'short', day: 'numeric' })} · ${time}`;
   };
 
+  const filters = filterOptions(sessions);
+  // A folder or tag filter whose last chat was moved away falls back to everything
+  const activeFilter = filters.some((f) => f.id === sessionFilter) ? sessionFilter : 'all';
+  const organized = organizeSessions(sessions, { sort: sessionSort, filter: activeFilter });
+
+  const renderSession = (session) => (
+    <div
+      key={session.id}
+      className={`sidebar-session${session.id === activeSessionId ? ' active' : ''}`}
+      onClick={() => handleSelectSession(session.id)}
+    >
+      {sessionEdit?.id === session.id ? (
+        <input
+          className="sidebar-session-edit"
+          value={sessionEdit.value}
+          placeholder={EDIT_PLACEHOLDERS[sessionEdit.field]}
+          onChange={(e) => setSessionEdit({ ...sessionEdit, value: e.target.value })}
+          onClick={(e) => e.stopPropagation()}
+          // Both keys end in blur, so the edit is saved (or dropped) exactly once
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') e.currentTarget.dataset.cancel = 'true';
+            if (e.key === 'Enter' || e.key === 'Escape') e.currentTarget.blur();
+          }}
+          onBlur={(e) => (e.currentTarget.dataset.cancel ? setSessionEdit(null) : commitSessionEdit())}
+          maxLength={sessionEdit.field === 'title' ? 200 : undefined}
+          autoFocus
+        />
+      ) : (
+        <div className="sidebar-session-info" onDoubleClick={(e) => startSessionEdit(session, 'title', e)}>
+          <span className="sidebar-session-title">
+            {session.pinned && <span className="sidebar-session-pin">📌</span>}
+            {session.title}
+          </span>
+          <span className="sidebar-session-date">{formatDate(session.updatedAt || session.createdAt)}</span>
+          {(session.folder || session.tags?.length > 0) && (
+            <span className="sidebar-session-labels">
+              {session.folder && <span className="session-label folder">📁 {session.folder}</span>}
+              {session.tags?.map((t) => (
+                <span key={t} className="session-label">#{t}</span>
+              ))}
+            </span>
+          )}
+        </div>
+      )}
+      <div
+        className="sidebar-session-menu"
+        onClick={(e) => {
+          e.stopPropagation();
+          setOpenMenuId(openMenuId === session.id ? null : session.id);
+        }}
+      >
+        <span className="three-dots">⋮</span>
+        {openMenuId === session.id && (
+          <div className="session-dropdown">
+            <button className="session-menu-btn" onClick={(e) => startSessionEdit(session, 'title', e)}>
+              Rename
+            </button>
+            <button
+              className="session-menu-btn"
+              onClick={(e) => {
+                e.stopPropagation();
+                setOpenMenuId(null);
+                handleUpdateSession(session.id, { pinned: !session.pinned });
+              }}
+            >
+              {session.pinned ? 'Unpin' : 'Pin'}
+            </button>
+            <button className="session-menu-btn" onClick={(e) => startSessionEdit(session, 'folder', e)}>
+              Move to folder…
+            </button>
+            <button className="session-menu-btn" onClick={(e) => startSessionEdit(session, 'tags', e)}>
+              Tags…
+            </button>
+            <button className="session-menu-btn" onClick={(e) => handleShare(session, e)}>
+              Share link
+            </button>
+            <button className="session-menu-btn" onClick={(e) => handleExport(session, 'md', e)}>
+              Export Markdown
+            </button>
+            <button className="session-menu-btn" onClick={(e) => handleExport(session, 'html', e)}>
+              Export HTML
+            </button>
+            <button className="session-menu-btn" onClick={(e) => handleExport(session, 'json', e)}>
+              Export JSON (re-importable)
+            </button>
+            <button
+              className="session-delete-btn"
+              onClick={(e) => handleDeleteSession(session.id, e)}
+            >
+              Delete
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
   // ── Render ──────────────────────────────────────────────────────────────────
 
   return (
@@ -661,44 +1223,115 @@ ${sessionJsonData.length > 10 ? `\n... (${sessionJsonData.length - 10} more item
           <button className="new-chat-btn" onClick={handleNewChat}>
             + New Chat
           </button>
+          <button type="button" className="import-chat-btn" onClick={() => importInputRef.current?.click()}>
+            Import chat…
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            hidden
+            onChange={(e) => {
+              if (e.target.files[0]) handleImport(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
         </div>
 
-        <div className="sidebar-sessions">
-          {sessions.map((session) => (
-            <div
-              key={session.id}
-              className={`sidebar-session${session.id === activeSessionId ? ' active' : ''}`}
-              onClick={() => handleSelectSession(session.id)}
-            >
-              <div className="sidebar-session-info">
-                <span className="sidebar-session-title">{session.title}</span>
-                <span className="sidebar-session-date">{formatDate(session.createdAt)}</span>
-              </div>
-              <div
-                className="sidebar-session-menu"
-                onClick={(e) => {
-                  e.stopPropagation();
-                  setOpenMenuId(openMenuId === session.id ? null : session.id);
-                }}
-              >
-                <span className="three-dots">⋮</span>
-                {openMenuId === session.id && (
-                  <div className="session-dropdown">
-                    <button
-                      className="session-delete-btn"
-                      onClick={(e) => handleDeleteSession(session.id, e)}
-                    >
-                      Delete
-                    </button>
-                  </div>
-                )}
-              </div>
+        {sidebarPanel === 'trash' ? (
+          <SessionTrash
+            onRestored={(session) => setSessions((prev) => [session, ...prev])}
+            onClose={() => setSidebarPanel(null)}
+          />
+        ) : sidebarPanel === 'shares' ? (
+          <SharedLinks
+            onCopied={() => setToast({ text: 'Link copied' })}
+            onClose={() => setSidebarPanel(null)}
+          />
+        ) : (
+          <>
+          <div className="sidebar-search">
+            <input
+              type="search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              onKeyDown={(e) => e.key === 'Escape' && setSearchQuery('')}
+              placeholder="Search chats…"
+              aria-label="Search chats"
+            />
+          </div>
+
+          {!searchResults && sessions.length > 1 && (
+            <div className="sidebar-organize">
+              <select value={activeFilter} onChange={(e) => setSessionFilter(e.target.value)} aria-label="Show">
+                {filters.map((f) => (
+                  <option key={f.id} value={f.id}>{f.label}</option>
+                ))}
+              </select>
+              <select value={sessionSort} onChange={(e) => setSessionSort(e.target.value)} aria-label="Sort by">
+                {SORTS.map((o) => (
+                  <option key={o.id} value={o.id}>{o.label}</option>
+                ))}
+              </select>
             </div>
-          ))}
-        </div>
+          )}
+
+          {searchResults ? (
+            <div className="sidebar-sessions">
+              {searchResults.length === 0 && <p className="search-empty">No messages match.</p>}
+              {searchResults.map((r) => (
+                <button
+                  type="button"
+                  key={`${r.sessionId}:${r.messageId}`}
+                  className="search-result"
+                  onClick={() => handleOpenResult(r)}
+                >
+                  <span className="search-result-title">{r.sessionTitle || 'Untitled chat'}</span>
+                  <span className="search-result-snippet">
+                    {r.matchedIn === 'tool' && '🔧 '}
+                    {r.matchedIn === 'file' && '📄 '}
+                    <Highlighted text={r.snippet} ranges={r.highlights} />
+                  </span>
+                  <span className="search-result-meta">
+                    {r.role === 'user' ? 'You' : 'Assistant'} · {formatDate(r.timestamp)}
+                  </span>
+                </button>
+              ))}
+            </div>
+          ) : (
+            <div className="sidebar-sessions">
+              {organized.pinned.length > 0 && <div className="sidebar-group-label">Pinned</div>}
+              {organized.pinned.map(renderSession)}
+              {organized.pinned.length > 0 && organized.others.length > 0 && (
+                <div className="sidebar-group-label">Chats</div>
+              )}
+              {organized.others.map(renderSession)}
+              {sessions.length > 0 && !organized.pinned.length && !organized.others.length && (
+                <p className="search-empty">No chats here.</p>
+              )}
+            </div>
+          )}
+          </>
+        )}
 
         <div className="sidebar-footer">
           <span className="sidebar-username">{username}</span>
+          <button
+            type="button"
+            className={`sidebar-shares-btn${sidebarPanel === 'shares' ? ' active' : ''}`}
+            onClick={() => setSidebarPanel((v) => (v === 'shares' ? null : 'shares'))}
+            title="Shared links"
+          >
+            🔗
+          </button>
+          <button
+            type="button"
+            className={`sidebar-trash-btn${sidebarPanel === 'trash' ? ' active' : ''}`}
+            onClick={() => setSidebarPanel((v) => (v === 'trash' ? null : 'trash'))}
+            title="Trash"
+          >
+            🗑
+          </button>
           <button onClick={onLogout} className="sidebar-logout">
             Log out
           </button>
@@ -710,193 +1343,121 @@ ${sessionJsonData.length > 10 ? `\n... (${sessionJsonData.length - 10} more item
         <>
         <header className="chat-header">
           <h2 className="chat-header-title">{activeSession?.title ?? 'New Chat'}</h2>
+          {activeSessionId === 'new' && personas.length > 1 ? (
+            <label className="persona-picker">
+              <span>Assistant</span>
+              <select
+                value={newChatPersona || ''}
+                onChange={(e) => setNewChatPersona(e.target.value)}
+                disabled={streaming}
+              >
+                {personas.map((p) => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+              </select>
+              <span className="persona-description">{activePersona?.description}</span>
+            </label>
+          ) : (
+            activePersona && <span className="persona-badge">{activePersona.name}</span>
+          )}
         </header>
 
         <div
+          ref={messagesRef}
           className={`chat-messages${dragOver ? ' drag-over' : ''}`}
+          onScroll={(e) => {
+            if (e.currentTarget.scrollTop < 120) loadOlder();
+          }}
           onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
           onDragLeave={() => setDragOver(false)}
           onDrop={handleDrop}
         >
-          {messages.map((m) => (
-            <div key={m.id} className={`chat-msg ${m.role}`}>
-              <div className="chat-msg-meta">
-                <span className="chat-msg-role">{m.role === 'user' ? username : 'Lisa'}</span>
-                <span className="chat-msg-time">
-                  {new Date(m.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-                </span>
-              </div>
-
-              {/* CSV badge on user messages */}
-              {m.csvName && (
-                <div className="msg-csv-badge">
-                  📄 {m.csvName}
-                </div>
-              )}
-              {/* JSON badge on user messages */}
-              {m.jsonName && (
-                <div className="msg-csv-badge">
-                  📋 {m.jsonName}
-                </div>
-              )}
-
-              {/* Image attachments */}
-              {m.images?.length > 0 && (
-                <div className="chat-msg-images">
-                  {m.images.map((img, i) => (
-                    <img key={i} src={`data:${img.mimeType};base64,${img.data}`} alt="" className="chat-msg-thumb" />
-                  ))}
-                </div>
-              )}
-
-              {/* Message body */}
-              <div className="chat-msg-content">
-                {m.role === 'model' ? (
-                  m.parts ? (
-                    <StructuredParts parts={m.parts} />
-                  ) : m.content ? (
-                    <ReactMarkdown remarkPlugins={[remarkGfm]}>{m.content}</ReactMarkdown>
-                  ) : (
-                    <span className="thinking-dots">
-                      <span /><span /><span />
-                    </span>
-                  )
-                ) : (
-                  m.content
-                )}
-              </div>
-
-              {/* Tool calls log */}
-              {m.toolCalls?.length > 0 && (
-                <details className="tool-calls-details">
-                  <summary className="tool-calls-summary">
-                    🔧 {m.toolCalls.length} tool{m.toolCalls.length > 1 ? 's' : ''} used
-                  </summary>
-                  <div className="tool-calls-list">
-                    {m.toolCalls.map((tc, i) => (
-                      <div key={i} className="tool-call-item">
-                        <span className="tool-call-name">{tc.name}</span>
-                        <span className="tool-call-args">{JSON.stringify(tc.args)}</span>
-                        {tc.result && !tc.result._chartType && (
-                          <span className="tool-call-result">
-                            → {JSON.stringify(tc.result).slice(0, 200)}
-                            {JSON.stringify(tc.result).length > 200 ? '…' : ''}
-                          </span>
-                        )}
-                        {tc.result?._chartType && (
-                          <span className="tool-call-result">→ rendered chart</span>
-                        )}
-                      </div>
-                    ))}
-                  </div>
-                </details>
-              )}
-
-              {/* Charts from tool calls */}
-              {m.charts?.map((chart, ci) =>
-                chart._chartType === 'engagement' ? (
-                  <EngagementChart
-                    key={ci}
-                    data={chart.data}
-                    metricColumn={chart.metricColumn}
-                  />
-                ) : chart._chartType === 'metricVsTime' ? (
-                  <div
-                    key={ci}
-                    className="metric-vs-time-chart-wrap"
-                    onClick={() => setLightboxChart({ data: chart.data, metricColumn: chart.metricColumn })}
-                  >
-                    <MetricVsTimeChart data={chart.data} metricColumn={chart.metricColumn} />
-                    <button
-                      type="button"
-                      className="chart-download-btn"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        const csv = [`date,${chart.metricColumn}`, ...chart.data.map((r) => `${r.date},${r.value}`)].join('\n');
-                        const blob = new Blob([csv], { type: 'text/csv' });
-                        const a = document.createElement('a');
-                        a.href = URL.createObjectURL(blob);
-                        a.download = `${chart.metricColumn}-vs-time.csv`;
-                        a.click();
-                        URL.revokeObjectURL(a.href);
+          {/* Fallback for when the loaded page doesn't fill the screen (nothing to scroll) */}
+          {olderCursor && (
+            <button type="button" className="load-older-btn" onClick={loadOlder} disabled={loadingOlder}>
+              {loadingOlder ? 'Loading…' : 'Load earlier messages'}
+            </button>
+          )}
+          {thread.map((m, mi) => (
+            <ChatMessage
+              key={m.id}
+              message={m}
+              userName={username}
+              assistantName={assistantName}
+              found={m.id === foundId}
+              editor={
+                editing?.id === m.id && (
+                  <div className="chat-msg-edit">
+                    <textarea
+                      value={editing.text}
+                      onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && !e.shiftKey) {
+                          e.preventDefault();
+                          handleEditSubmit();
+                        } else if (e.key === 'Escape') {
+                          setEditing(null);
+                        }
                       }}
-                    >
-                      Download
-                    </button>
-                  </div>
-                ) : null
-              )}
-
-              {/* Video cards from play_video tool */}
-              {m.toolCalls?.map((tc, i) =>
-                tc.result?._videoCard ? (
-                  <a
-                    key={i}
-                    href={tc.result.url}
-                    target="_blank"
-                    rel="noreferrer"
-                    className="video-card"
-                  >
-                    {tc.result.thumbnail && (
-                      <img src={tc.result.thumbnail} alt="" className="video-card-thumb" />
-                    )}
-                    <span className="video-card-title">{tc.result.title}</span>
-                  </a>
-                ) : null
-              )}
-
-              {/* Generated images from generateImage tool */}
-              {m.toolCalls?.map((tc, i) =>
-                tc.result?._generatedImage && tc.result.data ? (
-                  <div key={i} className="generated-image-wrap">
-                    <img
-                      src={`data:${tc.result.mimeType || 'image/png'};base64,${tc.result.data}`}
-                      alt="Generated"
-                      className="generated-image"
-                      onClick={() =>
-                        setLightboxImage({
-                          src: `data:${tc.result.mimeType || 'image/png'};base64,${tc.result.data}`,
-                          mimeType: tc.result.mimeType || 'image/png',
-                        })
-                      }
+                      rows={3}
+                      autoFocus
                     />
-                    <a
-                      href={`data:${tc.result.mimeType || 'image/png'};base64,${tc.result.data}`}
-                      download="generated-image.png"
-                      className="generated-image-download"
-                    >
-                      Download
-                    </a>
-                  </div>
-                ) : null
-              )}
-
-              {/* Search sources */}
-              {m.grounding?.groundingChunks?.length > 0 && (
-                <div className="chat-msg-sources">
-                  <span className="sources-label">Sources</span>
-                  <div className="sources-list">
-                    {m.grounding.groundingChunks.map((chunk, i) =>
-                      chunk.web ? (
-                        <a key={i} href={chunk.web.uri} target="_blank" rel="noreferrer" className="source-link">
-                          {chunk.web.title || chunk.web.uri}
-                        </a>
-                      ) : null
-                    )}
-                  </div>
-                  {m.grounding.webSearchQueries?.length > 0 && (
-                    <div className="sources-queries">
-                      Searched: {m.grounding.webSearchQueries.join(' · ')}
+                    <div className="chat-msg-edit-buttons">
+                      <button type="button" onClick={() => setEditing(null)}>Cancel</button>
+                      <button type="button" className="primary" onClick={handleEditSubmit} disabled={!editing.text.trim()}>
+                        Send
+                      </button>
                     </div>
+                  </div>
+                )
+              }
+              onOpenImage={setLightboxImage}
+              onOpenChart={setLightboxChart}
+            >
+              {/* Branch switcher, edit (prompts) and regenerate (latest answer) */}
+              {!streaming && editing?.id !== m.id && (
+                <div className="chat-msg-actions">
+                  {siblingsOf(messages, m).length > 1 && (() => {
+                    const siblings = siblingsOf(messages, m);
+                    const at = siblings.findIndex((x) => x.id === m.id);
+                    return (
+                      <span className="branch-switcher">
+                        <button type="button" onClick={() => handleSwitchBranch(m, -1)} disabled={at === 0} title="Previous version">
+                          ‹
+                        </button>
+                        {at + 1} / {siblings.length}
+                        <button type="button" onClick={() => handleSwitchBranch(m, 1)} disabled={at === siblings.length - 1} title="Next version">
+                          ›
+                        </button>
+                      </span>
+                    );
+                  })()}
+                  {m.role === 'user' && (
+                    <button type="button" onClick={() => setEditing({ id: m.id, text: m.content })} title="Edit and resend — keeps the original as another version">
+                      ✎ Edit
+                    </button>
+                  )}
+                  {m.role === 'model' && mi === thread.length - 1 && (
+                    <button type="button" onClick={() => handleRegenerate(m)} title="Answer again — keeps this answer as another version">
+                      ↻ Regenerate
+                    </button>
                   )}
                 </div>
               )}
-            </div>
+            </ChatMessage>
           ))}
           <div ref={bottomRef} />
         </div>
 
-        {dragOver && <div className="chat-drop-overlay">Drop CSV, JSON, or images here</div>}
+        {dragOver && <div className="chat-drop-overlay">Drop a data file (CSV, TSV, Excel, JSON Lines, Parquet), JSON or images here</div>}
+
+        {toast && (
+          <div className="chat-toast" role="status">
+            <span>{toast.text}</span>
+            {toast.undoSession && <button type="button" onClick={handleUndoDelete}>Undo</button>}
+            {toast.share && <button type="button" onClick={handleRevokeShare}>Revoke</button>}
+          </div>
+        )}
 
         {/* Lightbox: generated image enlarge */}
         {lightboxImage && (
@@ -948,11 +1509,7 @@ ${sessionJsonData.length > 10 ? `\n... (${sessionJsonData.length - 10} more item
                   e.stopPropagation();
                   const csv = [`date,${lightboxChart.metricColumn}`, ...lightboxChart.data.map((r) => `${r.date},${r.value}`)].join('\n');
                   const blob = new Blob([csv], { type: 'text/csv' });
-                  const a = document.createElement('a');
-                  a.href = URL.createObjectURL(blob);
-                  a.download = `${lightboxChart.metricColumn}-vs-time.csv`;
-                  a.click();
-                  URL.revokeObjectURL(a.href);
+                  saveBlob(blob, `${lightboxChart.metricColumn}-vs-time.csv`);
                 }}
               >
                 Download
@@ -963,13 +1520,37 @@ ${sessionJsonData.length > 10 ? `\n... (${sessionJsonData.length - 10} more item
 
         {/* ── Input area ── */}
         <div className="chat-input-area">
-          {/* CSV chip */}
+          {/* Data file being read in the dataset worker */}
+          {csvLoading && (
+            <div className="csv-chip csv-chip-loading">
+              <span className="csv-chip-icon">⏳</span>
+              <span className="csv-chip-name">{csvLoading.name}</span>
+              <progress className="csv-chip-progress" value={csvLoading.done} max={csvLoading.total || 1} />
+              <span className="csv-chip-meta">
+                Reading… {csvLoading.total ? Math.floor((csvLoading.done / csvLoading.total) * 100) : 0}%
+              </span>
+              <button className="csv-chip-remove" onClick={() => csvLoadRef.current?.abort()} aria-label="Cancel reading">×</button>
+            </div>
+          )}
+          {/* Data file chip (CSV, TSV, Excel, JSON Lines, Parquet) */}
           {csvContext && (
             <div className="csv-chip">
               <span className="csv-chip-icon">📄</span>
               <span className="csv-chip-name">{csvContext.name}</span>
+              {csvContext.sheets?.length > 1 && (
+                <select
+                  className="csv-chip-sheet"
+                  value={csvContext.sheet}
+                  onChange={(e) => loadDataFile(dataFileRef.current, { sheet: e.target.value })}
+                  aria-label="Sheet"
+                >
+                  {csvContext.sheets.map((name) => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+              )}
               <span className="csv-chip-meta">
-                {csvContext.rowCount} rows · {csvContext.headers.length} cols
+                {FORMATS[csvContext.format].label} · {csvContext.rowCount} rows · {csvContext.headers.length} cols
               </span>
               <button className="csv-chip-remove" onClick={() => setCsvContext(null)} aria-label="Remove CSV">×</button>
             </div>
@@ -1000,7 +1581,7 @@ ${sessionJsonData.length > 10 ? `\n... (${sessionJsonData.length - 10} more item
           <input
             ref={fileInputRef}
             type="file"
-            accept="image/*,.csv,text/csv,.json,application/json"
+            accept={`image/*,${DATA_FILE_ACCEPT},.json,application/json`}
             multiple
             style={{ display: 'none' }}
             onChange={handleFileSelect}
@@ -1016,6 +1597,18 @@ ${sessionJsonData.length > 10 ? `\n... (${sessionJsonData.length - 10} more item
             >
               📎
             </button>
+            <select
+              className="mode-select"
+              value={modeOverride}
+              onChange={(e) => setModeOverride(e.target.value)}
+              disabled={streaming}
+              title="How the next message is answered"
+            >
+              <option value="auto">Auto</option>
+              {MODES.map((m) => (
+                <option key={m.id} value={m.id}>{m.label}</option>
+              ))}
+            </select>
             <input
               ref={inputRef}
               type="text"
@@ -0,0 +1,300 @@
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { MODES } from '../services/router';
+import { imageSrc } from '../services/attachments';
+import EngagementChart from './EngagementChart';
+import MetricVsTimeChart from './MetricVsTimeChart';
+import RegressionChart from './RegressionChart';
+
+// Progress label for each step of a combined search + Python turn
+const STEP_LABELS = {
+  search: '🔎 Searching the web…',
+  code: '🐍 Running Python…',
+};
+
+// Saves a Blob as a file download
+export const saveBlob = (blob, filename) => {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
+};
+
+// ── Structured part renderer (code execution responses) ───────────────────────
+
+function StructuredParts({ parts }) {
+  return (
+    <>
+      {parts.map((part, i) => {
+        if (part.type === 'text' && part.text?.trim()) {
+          return (
+            <div key={i} className="part-text">
+              <ReactMarkdown remarkPlugins={[remarkGfm]}>{part.text}</ReactMarkdown>
+            </div>
+          );
+        }
+        if (part.type === 'code') {
+          return (
+            <div key={i} className="part-code">
+              <div className="part-code-header">
+                <span className="part-code-lang">
+                  {part.language === 'PYTHON' ? 'Python' : part.language}
+                </span>
+              </div>
+              <pre className="part-code-body">
+                <code>{part.code}</code>
+              </pre>
+            </div>
+          );
+        }
+        if (part.type === 'result') {
+          const ok = part.outcome === 'OUTCOME_OK';
+          return (
+            <div key={i} className="part-result">
+              <div className="part-result-header">
+                <span className={`part-result-badge ${ok ? 'ok' : 'err'}`}>
+                  {ok ? '✓ Output' : '✗ Error'}
+                </span>
+              </div>
+              <pre className="part-result-body">{part.output}</pre>
+            </div>
+          );
+        }
+        if (part.type === 'image') {
+          return (
+            <img
+              key={i}
+              src={`data:${part.mimeType};base64,${part.data}`}
+              alt="Generated plot"
+              className="part-image"
+            />
+          );
+        }
+        return null;
+      })}
+    </>
+  );
+}
+
+// ── Message ───────────────────────────────────────────────────────────────────
+
+// One chat message with what the answer produced: tool calls, charts, video
+// cards, generated images and web sources. The chat passes an `editor` to show
+// in place of a prompt being edited and its action buttons as children; shared
+// links (SharedChat) render it read-only.
+export default function ChatMessage({ message: m, userName, assistantName, found = false, editor = null, onOpenImage, onOpenChart, children }) {
+  return (
+    <div id={`msg-${m.id}`} className={`chat-msg ${m.role}${found ? ' chat-msg-found' : ''}`}>
+      <div className="chat-msg-meta">
+        <span className="chat-msg-role">{m.role === 'user' ? userName : assistantName}</span>
+        {m.route && (
+          <span className="chat-msg-route" title={m.route.reason}>
+            {MODES.find((mode) => mode.id === m.route.mode)?.label}
+            {m.route.source === 'user' ? ' · chosen' : ` · ${Math.round(m.route.confidence * 100)}%`}
+          </span>
+        )}
+        <span className="chat-msg-time">
+          {new Date(m.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+        </span>
+      </div>
+
+      {/* CSV badge on user messages */}
+      {m.csvName && (
+        <div className="msg-csv-badge">
+          📄 {m.csvName}
+        </div>
+      )}
+      {/* JSON badge on user messages */}
+      {m.jsonName && (
+        <div className="msg-csv-badge">
+          📋 {m.jsonName}
+        </div>
+      )}
+
+      {/* Image attachments */}
+      {m.images?.length > 0 && (
+        <div className="chat-msg-images">
+          {m.images.map((img, i) => (
+            <img key={i} src={imageSrc(img, { thumb: true })} alt="" className="chat-msg-thumb" />
+          ))}
+        </div>
+      )}
+
+      {/* Combined mode: which step is running */}
+      {m.step && (
+        <div className="chat-msg-step">
+          {STEP_LABELS[m.step.step]} ({m.step.index + 1}/{m.step.total})
+        </div>
+      )}
+
+      {/* Message body */}
+      <div className="chat-msg-content">
+        {m.role === 'model' ? (
+          m.parts ? (
+            <StructuredParts parts={m.parts} />
+          ) : m.content ? (
+            <ReactMarkdown remarkPlugins={[remarkGfm]}>{m.content}</ReactMarkdown>
+          ) : (
+            <span className="thinking-dots">
+              <span /><span /><span />
+            </span>
+          )
+        ) : (
+          editor || m.content
+        )}
+      </div>
+
+      {/* Tool calls log */}
+      {m.toolCalls?.length > 0 && (
+        <details className="tool-calls-details">
+          <summary className="tool-calls-summary">
+            {m.toolCalls.some((tc) => tc.running)
+              ? `⏳ Running ${m.toolCalls.find((tc) => tc.running).name}…`
+              : `🔧 ${m.toolCalls.length} tool${m.toolCalls.length > 1 ? 's' : ''} used`}
+          </summary>
+          <div className="tool-calls-list">
+            {m.toolCalls.map((tc, i) => (
+              <div key={i} className="tool-call-item">
+                <span className="tool-call-name">{tc.name}</span>
+                <span className="tool-call-args">{JSON.stringify(tc.args)}</span>
+                {tc.running && <span className="tool-call-running">→ running…</span>}
+                {tc.result && !tc.result._chartType && !tc.result._table && (
+                  <span className="tool-call-result">
+                    → {JSON.stringify(tc.result).slice(0, 200)}
+                    {JSON.stringify(tc.result).length > 200 ? '…' : ''}
+                  </span>
+                )}
+                {tc.result?._chartType && (
+                  <span className="tool-call-result">→ rendered chart</span>
+                )}
+                {tc.result?._table && (
+                  <span className="tool-call-result">→ table of {tc.result.result_rows} rows</span>
+                )}
+              </div>
+            ))}
+          </div>
+        </details>
+      )}
+
+      {/* Charts from tool calls */}
+      {m.charts?.map((chart, ci) =>
+        chart._chartType === 'engagement' ? (
+          <EngagementChart
+            key={ci}
+            data={chart.data}
+            metricColumn={chart.metricColumn}
+          />
+        ) : chart._chartType === 'metricVsTime' ? (
+          <div
+            key={ci}
+            className="metric-vs-time-chart-wrap"
+            onClick={() => onOpenChart?.({ data: chart.data, metricColumn: chart.metricColumn })}
+          >
+            <MetricVsTimeChart data={chart.data} metricColumn={chart.metricColumn} />
+            <button
+              type="button"
+              className="chart-download-btn"
+              onClick={(e) => {
+                e.stopPropagation();
+                const csv = [`date,${chart.metricColumn}`, ...chart.data.map((r) => `${r.date},${r.value}`)].join('\n');
+                const blob = new Blob([csv], { type: 'text/csv' });
+                saveBlob(blob, `${chart.metricColumn}-vs-time.csv`);
+              }}
+            >
+              Download
+            </button>
+          </div>
+        ) : chart._chartType === 'regression' ? (
+          <RegressionChart
+            key={ci}
+            data={chart.data}
+            line={chart.line}
+            metricColumn={chart.metricColumn}
+            xColumn={chart.xColumn}
+            rSquared={chart.r_squared}
+          />
+        ) : null
+      )}
+
+      {/* Result tables from query_rows */}
+      {m.toolCalls?.map((tc, i) =>
+        tc.result?._table ? (
+          <div key={i} className="query-table">
+            <ReactMarkdown remarkPlugins={[remarkGfm]}>{tc.result.markdown}</ReactMarkdown>
+            <span className="query-table-note">
+              {tc.result.truncated ? `First ${tc.result.rows.length} of ${tc.result.result_rows} · ` : ''}
+              {tc.result.matched_rows} matching rows
+            </span>
+          </div>
+        ) : null
+      )}
+
+      {/* Video cards from play_video tool */}
+      {m.toolCalls?.map((tc, i) =>
+        tc.result?._videoCard ? (
+          <a
+            key={i}
+            href={tc.result.url}
+            target="_blank"
+            rel="noreferrer"
+            className="video-card"
+          >
+            {tc.result.thumbnail && (
+              <img src={tc.result.thumbnail} alt="" className="video-card-thumb" />
+            )}
+            <span className="video-card-title">{tc.result.title}</span>
+          </a>
+        ) : null
+      )}
+
+      {/* Generated images from generateImage tool (older messages carry the bytes inline) */}
+      {m.toolCalls?.map((tc, i) =>
+        tc.result?._generatedImage && (tc.result.url || tc.result.data) ? (
+          <div key={i} className="generated-image-wrap">
+            <img
+              src={imageSrc({ mimeType: 'image/png', ...tc.result })}
+              alt="Generated"
+              className="generated-image"
+              onClick={() =>
+                onOpenImage?.({
+                  src: imageSrc({ mimeType: 'image/png', ...tc.result }),
+                  mimeType: tc.result.mimeType || 'image/png',
+                })
+              }
+            />
+            <a
+              href={imageSrc({ mimeType: 'image/png', ...tc.result })}
+              download="generated-image.png"
+              className="generated-image-download"
+            >
+              Download
+            </a>
+          </div>
+        ) : null
+      )}
+
+      {/* Search sources */}
+      {m.grounding?.groundingChunks?.length > 0 && (
+        <div className="chat-msg-sources">
+          <span className="sources-label">Sources</span>
+          <div className="sources-list">
+            {m.grounding.groundingChunks.map((chunk, i) =>
+              chunk.web ? (
+                <a key={i} href={chunk.web.uri} target="_blank" rel="noreferrer" className="source-link">
+                  {chunk.web.title || chunk.web.uri}
+                </a>
+              ) : null
+            )}
+          </div>
+          {m.grounding.webSearchQueries?.length > 0 && (
+            <div className="sources-queries">
+              Searched: {m.grounding.webSearchQueries.join(' · ')}
+            </div>
+          )}
+        </div>
+      )}
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,200 @@
+import { useState, useEffect } from 'react';
+import { getProfile, updateProfile, changePassword, deleteAccount } from '../services/mongoApi';
+import './Profile.css';
+
+export default function Profile({ onTokenChange, onAccountDeleted }) {
+  const [profile, setProfile] = useState(null);
+  const [firstName, setFirstName] = useState('');
+  const [lastName, setLastName] = useState('');
+  const [email, setEmail] = useState('');
+  const [emailPassword, setEmailPassword] = useState('');
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [deletePassword, setDeletePassword] = useState('');
+  const [status, setStatus] = useState(null); // { section, type: 'ok'|'error', text }
+  const [busy, setBusy] = useState(null);     // section currently saving
+
+  useEffect(() => {
+    getProfile()
+      .then((p) => {
+        setProfile(p);
+        setFirstName(p.firstName);
+        setLastName(p.lastName);
+        setEmail(p.email);
+      })
+      .catch((err) => setStatus({ section: 'names', type: 'error', text: err.message }));
+  }, []);
+
+  // Runs one form's request and reports the outcome under that form
+  const run = async (section, fn, okText) => {
+    setBusy(section);
+    setStatus(null);
+    try {
+      await fn();
+      if (okText) setStatus({ section, type: 'ok', text: okText });
+    } catch (err) {
+      setStatus({ section, type: 'error', text: err.message || 'Something went wrong' });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSaveNames = (e) => {
+    e.preventDefault();
+    run('names', async () => {
+      const { token, profile: p } = await updateProfile({ firstName, lastName });
+      setProfile(p);
+      onTokenChange(token);
+    }, 'Name updated.');
+  };
+
+  const handleSaveEmail = (e) => {
+    e.preventDefault();
+    run('email', async () => {
+      const { token, profile: p } = await updateProfile({ email, currentPassword: emailPassword });
+      setProfile(p);
+      setEmailPassword('');
+      onTokenChange(token);
+    }, 'Email updated.');
+  };
+
+  const handleChangePassword = (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setStatus({ section: 'password', type: 'error', text: 'New passwords do not match.' });
+      return;
+    }
+    run('password', async () => {
+      const { token } = await changePassword(currentPassword, newPassword);
+      onTokenChange(token);
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+    }, 'Password changed.');
+  };
+
+  const handleDelete = (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account and all of your chats? This cannot be undone.')) return;
+    run('delete', async () => {
+      await deleteAccount(deletePassword);
+      onAccountDeleted();
+    });
+  };
+
+  const statusFor = (section) =>
+    status?.section === section && (
+      <p className={`profile-status ${status.type}`}>{status.text}</p>
+    );
+
+  return (
+    <div className="profile">
+      <div className="profile-card">
+        <h1>Profile</h1>
+        <p className="profile-subtitle">
+          Signed in as <strong>{profile?.username || '…'}</strong>
+        </p>
+
+        <form className="profile-section" onSubmit={handleSaveNames}>
+          <h2>Name</h2>
+          <p className="profile-hint">Used when the assistant greets you.</p>
+          <div className="profile-row">
+            <input
+              type="text"
+              placeholder="First name"
+              value={firstName}
+              onChange={(e) => setFirstName(e.target.value)}
+              autoComplete="given-name"
+            />
+            <input
+              type="text"
+              placeholder="Last name"
+              value={lastName}
+              onChange={(e) => setLastName(e.target.value)}
+              autoComplete="family-name"
+            />
+          </div>
+          <button type="submit" disabled={busy === 'names' || !profile}>
+            {busy === 'names' ? 'Saving…' : 'Save name'}
+          </button>
+          {statusFor('names')}
+        </form>
+
+        <form className="profile-section" onSubmit={handleSaveEmail}>
+          <h2>Email</h2>
+          <p className="profile-hint">Password reset codes are sent here.</p>
+          <input
+            type="email"
+            placeholder="Email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoComplete="email"
+          />
+          <input
+            type="password"
+            placeholder="Current password"
+            value={emailPassword}
+            onChange={(e) => setEmailPassword(e.target.value)}
+            required
+            autoComplete="current-password"
+          />
+          <button type="submit" disabled={busy === 'email' || !profile}>
+            {busy === 'email' ? 'Saving…' : 'Save email'}
+          </button>
+          {statusFor('email')}
+        </form>
+
+        <form className="profile-section" onSubmit={handleChangePassword}>
+          <h2>Password</h2>
+          <input
+            type="password"
+            placeholder="Current password"
+            value={currentPassword}
+            onChange={(e) => setCurrentPassword(e.target.value)}
+            required
+            autoComplete="current-password"
+          />
+          <input
+            type="password"
+            placeholder="New password"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            required
+            minLength={8}
+            autoComplete="new-password"
+          />
+          <input
+            type="password"
+            placeholder="Confirm new password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            required
+            autoComplete="new-password"
+          />
+          <button type="submit" disabled={busy === 'password'}>
+            {busy === 'password' ? 'Saving…' : 'Change password'}
+          </button>
+          {statusFor('password')}
+        </form>
+
+        <form className="profile-section danger" onSubmit={handleDelete}>
+          <h2>Delete account</h2>
+          <p className="profile-hint">Permanently removes your account and every chat you have saved.</p>
+          <input
+            type="password"
+            placeholder="Password"
+            value={deletePassword}
+            onChange={(e) => setDeletePassword(e.target.value)}
+            required
+            autoComplete="current-password"
+          />
+          <button type="submit" className="profile-delete-btn" disabled={busy === 'delete'}>
+            {busy === 'delete' ? 'Deleting…' : 'Delete account'}
+          </button>
+          {statusFor('delete')}
+        </form>
+      </div>
+    </div>
+  );
+}
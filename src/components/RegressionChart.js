@@ -0,0 +1,75 @@
+import {
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from 'recharts';
+
+const POINT_COLOR = '#818cf8'; // indigo-400
+const LINE_COLOR = '#34d399';  // emerald-400
+
+const shortNumber = (v) =>
+  Math.abs(v) >= 1e6 ? `${(v / 1e6).toFixed(1)}M` : Math.abs(v) >= 1e3 ? `${(v / 1e3).toFixed(1)}k` : +v.toFixed(2);
+
+// Scatter of y against x with the least-squares line (fit_regression with one predictor)
+export default function RegressionChart({ data, line, metricColumn = 'y', xColumn = 'x', rSquared, height = 300 }) {
+  if (!data?.length) return null;
+
+  return (
+    <div className="regression-chart">
+      <p className="metric-chart-label">
+        {metricColumn} vs {xColumn}
+        {rSquared != null && <span className="regression-chart-r2"> · R² {rSquared}</span>}
+      </p>
+      <ResponsiveContainer width="100%" height={height}>
+        <ScatterChart margin={{ top: 8, right: 16, left: 0, bottom: 24 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.07)" />
+          <XAxis
+            type="number"
+            dataKey="x"
+            name={xColumn}
+            domain={['auto', 'auto']}
+            tick={{ fill: 'rgba(255,255,255,0.6)', fontSize: 10 }}
+            axisLine={{ stroke: 'rgba(255,255,255,0.12)' }}
+            tickLine={false}
+            tickFormatter={shortNumber}
+          />
+          <YAxis
+            type="number"
+            dataKey="y"
+            name={metricColumn}
+            domain={['auto', 'auto']}
+            tick={{ fill: 'rgba(255,255,255,0.5)', fontSize: 10 }}
+            axisLine={false}
+            tickLine={false}
+            width={50}
+            tickFormatter={shortNumber}
+          />
+          <Tooltip
+            cursor={{ strokeDasharray: '3 3', stroke: 'rgba(255,255,255,0.2)' }}
+            contentStyle={{
+              background: 'rgba(15, 15, 35, 0.92)',
+              border: '1px solid rgba(255,255,255,0.12)',
+              borderRadius: 8,
+              color: '#e2e8f0',
+            }}
+          />
+          <Scatter data={data} fill={POINT_COLOR} fillOpacity={0.7} isAnimationActive={false} />
+          {line?.length === 2 && (
+            <Scatter
+              data={line}
+              line={{ stroke: LINE_COLOR, strokeWidth: 2 }}
+              shape={() => null}
+              legendType="none"
+              tooltipType="none"
+              isAnimationActive={false}
+            />
+          )}
+        </ScatterChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
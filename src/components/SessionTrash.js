@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react';
+import { getTrash, restoreSession, deleteSessionForever, emptyTrash } from '../services/mongoApi';
+
+const formatDay = (iso) => new Date(iso).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+// Sidebar view of deleted chats: restore one, delete one for good, or empty the trash
+export default function SessionTrash({ onRestored, onClose }) {
+  const [sessions, setSessions] = useState(null);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [busy, setBusy] = useState(null); // id being restored/deleted, or 'all'
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getTrash()
+      .then((trash) => {
+        setSessions(trash.sessions);
+        setRetentionDays(trash.retentionDays);
+      })
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const run = async (key, fn) => {
+    setBusy(key);
+    setError(null);
+    try {
+      await fn();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRestore = (id) =>
+    run(id, async () => {
+      const session = await restoreSession(id);
+      setSessions((prev) => prev.filter((s) => s.id !== id));
+      onRestored(session);
+    });
+
+  const handleDelete = (session) => {
+    if (!window.confirm(`Delete "${session.title}" for good? This cannot be undone.`)) return;
+    run(session.id, async () => {
+      await deleteSessionForever(session.id);
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+    });
+  };
+
+  const handleEmpty = () => {
+    if (!window.confirm('Delete every chat in the trash for good? This cannot be undone.')) return;
+    run('all', async () => {
+      await emptyTrash();
+      setSessions([]);
+    });
+  };
+
+  return (
+    <div className="sidebar-sessions trash">
+      <div className="trash-header">
+        <button type="button" className="trash-back" onClick={onClose}>
+          ← Chats
+        </button>
+        {sessions?.length > 0 && (
+          <button type="button" className="trash-empty" onClick={handleEmpty} disabled={!!busy}>
+            Empty trash
+          </button>
+        )}
+      </div>
+      {retentionDays != null && (
+        <p className="trash-note">Deleted chats are removed for good after {retentionDays} days.</p>
+      )}
+      {error && <p className="trash-error">{error}</p>}
+      {sessions?.length === 0 && <p className="search-empty">The trash is empty.</p>}
+      {sessions?.map((s) => (
+        <div key={s.id} className="trash-item">
+          <span className="sidebar-session-title">{s.title}</span>
+          <span className="sidebar-session-date">
+            Deleted {formatDay(s.deletedAt)} · removed {formatDay(s.purgeAt)}
+          </span>
+          <div className="trash-actions">
+            <button type="button" onClick={() => handleRestore(s.id)} disabled={!!busy}>
+              Restore
+            </button>
+            <button type="button" className="danger" onClick={() => handleDelete(s)} disabled={!!busy}>
+              Delete forever
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
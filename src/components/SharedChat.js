@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react';
+import { getSharedChat } from '../services/mongoApi';
+import ChatMessage from './ChatMessage';
+import './Chat.css';
+
+// Read-only view of a chat opened from a share link (/shared/<token>); no login
+export default function SharedChat({ token }) {
+  const [chat, setChat] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getSharedChat(token)
+      .then((shared) => {
+        setChat(shared);
+        document.title = shared.title;
+      })
+      .catch((err) => setError(err.status === 404 ? 'This link was revoked or never existed.' : err.message));
+  }, [token]);
+
+  return (
+    <div className="chat-layout shared-chat">
+      <div className="chat-main">
+        <header className="chat-header">
+          <h2 className="chat-header-title">{chat?.title ?? 'Shared chat'}</h2>
+          {chat && (
+            <span className="shared-chat-note">
+              Read-only · shared {new Date(chat.sharedAt).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' })}
+            </span>
+          )}
+          <a href="/" className="shared-chat-home">
+            Open the app
+          </a>
+        </header>
+
+        <div className="chat-messages">
+          {error && <p className="shared-chat-error">{error}</p>}
+          {!chat && !error && <p className="shared-chat-note">Loading…</p>}
+          {chat?.messages.map((m) => (
+            <ChatMessage key={m.id} message={m} userName="User" assistantName={chat.assistantName} />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import { useState, useEffect } from 'react';
+import { getShares, revokeShare, shareUrl } from '../services/mongoApi';
+
+const formatDay = (iso) => new Date(iso).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+// Sidebar view of the chats shared by link: copy a link again or revoke it
+export default function SharedLinks({ onCopied, onClose }) {
+  const [shares, setShares] = useState(null);
+  const [busy, setBusy] = useState(null); // id being revoked
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getShares()
+      .then(({ shares }) => setShares(shares))
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const handleCopy = async (share) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share.token));
+      onCopied(share);
+    } catch {
+      window.prompt('Copy this link:', shareUrl(share.token));
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    if (!window.confirm(`Revoke the link to "${share.title || 'Untitled chat'}"? Anyone who has it loses access.`)) return;
+    setBusy(share.id);
+    setError(null);
+    try {
+      await revokeShare(share.id);
+      setShares((prev) => prev.filter((s) => s.id !== share.id));
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="sidebar-sessions shares">
+      <div className="trash-header">
+        <button type="button" className="trash-back" onClick={onClose}>
+          ← Chats
+        </button>
+      </div>
+      <p className="trash-note">Anyone with a link can read that chat, without logging in.</p>
+      {error && <p className="trash-error">{error}</p>}
+      {shares?.length === 0 && <p className="search-empty">No chats are shared.</p>}
+      {shares?.map((s) => (
+        <div key={s.id} className="trash-item">
+          <span className="sidebar-session-title">{s.title || 'Untitled chat'}</span>
+          <span className="sidebar-session-date">Shared {formatDay(s.createdAt)}</span>
+          <div className="trash-actions">
+            <button type="button" onClick={() => handleCopy(s)}>
+              Copy link
+            </button>
+            <a href={shareUrl(s.token)} target="_blank" rel="noreferrer">
+              Open
+            </a>
+            <button type="button" className="danger" onClick={() => handleRevoke(s)} disabled={busy === s.id}>
+              Revoke
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,8 +1,7 @@
 import { useState } from 'react';
+import { fetchYouTubeChannel } from '../services/mongoApi';
 import './YouTubeDownload.css';
 
-const API = process.env.REACT_APP_API_URL || '';
-
 export default function YouTubeDownload() {
   const [url, setUrl] = useState('');
   const [maxVideos, setMaxVideos] = useState(10);
@@ -28,17 +27,8 @@ export default function YouTubeDownload() {
     }, 500);
 
     try {
-      const data = await fetch(`${API}/api/youtube/channel`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          url: trimmed,
-          maxVideos: Math.min(Math.max(maxVideos, 1), 100),
-        }),
-      });
-      const json = await data.json();
-      if (!data.ok) throw new Error(json.error || 'Download failed');
-      setVideos(json.videos);
+      const result = await fetchYouTubeChannel(trimmed, Math.min(Math.max(maxVideos, 1), 100));
+      setVideos(result);
       setProgress(100);
     } catch (err) {
       setError(err.message || 'Failed to download channel data');
@@ -0,0 +1,47 @@
+import { uploadAttachment, uploadThumbnail, attachmentSrc } from './mongoApi';
+
+// Images in chat are uploaded to the server's attachment store before the
+// message is saved; messages and model requests then refer to them by id.
+//
+// Chat images are { data, mimeType, name } before upload and
+// { id, mimeType, name, url, thumbnailUrl } after (plus `data` while still in
+// memory). Messages saved before the store existed have only { data, mimeType }.
+
+const THUMBNAIL_SIZE = 320;
+
+const base64ToBlob = (data, mimeType) =>
+  new Blob([Uint8Array.from(atob(data), (c) => c.charCodeAt(0))], { type: mimeType });
+
+// JPEG no larger than THUMBNAIL_SIZE on its long side, or null if the browser can't decode it
+export const makeThumbnail = async (blob) => {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+};
+
+// Stores an image (and its thumbnail) unless it already is stored
+export const uploadImage = async (img) => {
+  if (img.id) return img;
+  const blob = base64ToBlob(img.data, img.mimeType);
+  const ref = await uploadAttachment(blob, img.name);
+  try {
+    const thumbnail = await makeThumbnail(blob);
+    if (thumbnail) await uploadThumbnail(ref.id, thumbnail);
+  } catch (err) {
+    // Optional: the chat shows the original instead
+    console.warn('[attachments] thumbnail skipped:', err.message);
+  }
+  return { ...ref, data: img.data };
+};
+
+export const imageSrc = (img, { thumb = false } = {}) =>
+  img.data ? `data:${img.mimeType};base64,${img.data}` : attachmentSrc(thumb ? img.thumbnailUrl : img.url);
+
+// For /api/chat/*: stored images are read by the server, not re-sent
+export const toImagePart = (img) =>
+  img.id ? { attachmentId: img.id } : { data: img.data, mimeType: img.mimeType };
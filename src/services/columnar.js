@@ -0,0 +1,122 @@
+// Columnar tables for datasets
+//
+// A table keeps each column in typed arrays instead of one object per row:
+// numbers in a Float64Array (NaN where the cell is empty), booleans in a
+// Uint8Array (0, 1, or 2 when empty), and text — dates included, as ISO
+// strings — as UTF-8 bytes with an Int32Array of offsets into them, the layout
+// Apache Arrow uses. Every column is backed by ArrayBuffers only, so a table
+// crosses between the page and the dataset worker as transferables: moved,
+// not copied, however many rows it has.
+//
+// table  = { rowCount, headers, types: { header: type }, columns: { header: column } }
+// column = { type: 'number' | 'boolean', values }
+//        | { type: 'string' | 'date', offsets, bytes }
+
+import { inferType, convertValue } from './csvParse';
+
+const BOOLEAN_EMPTY = 2;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// ── Building ──────────────────────────────────────────────────────────────────
+
+// Strings → { offsets, bytes }; the text of cell i is bytes[offsets[i]..offsets[i + 1]]
+const encodeText = (count, textAt) => {
+  const offsets = new Int32Array(count + 1);
+  let bytes = new Uint8Array(1024);
+  let at = 0;
+  for (let i = 0; i < count; i++) {
+    const text = textAt(i);
+    const need = at + text.length * 3; // the most UTF-8 bytes a UTF-16 string can take
+    if (need > bytes.length) {
+      const grown = new Uint8Array(Math.max(need, bytes.length * 2));
+      grown.set(bytes.subarray(0, at));
+      bytes = grown;
+    }
+    at += encoder.encodeInto(text, bytes.subarray(at)).written;
+    offsets[i + 1] = at;
+  }
+  return { offsets, bytes: bytes.slice(0, at) };
+};
+
+// A column of `type` from valueAt(i) for each of `count` rows — values as
+// parseCsv() gives them: numbers, booleans, strings, with null for empty
+export function makeColumn(type, count, valueAt) {
+  if (type === 'number') {
+    const values = new Float64Array(count);
+    for (let i = 0; i < count; i++) values[i] = valueAt(i) ?? NaN;
+    return { type, values };
+  }
+  if (type === 'boolean') {
+    const values = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+      const v = valueAt(i);
+      values[i] = v == null ? BOOLEAN_EMPTY : +v;
+    }
+    return { type, values };
+  }
+  return { type, ...encodeText(count, (i) => String(valueAt(i) ?? '')) };
+}
+
+// Typed rows ({ headers, rows, types } from parseCsv or fileIngest) → table
+export function fromRows({ headers, rows, types }) {
+  const columns = {};
+  for (const h of headers) columns[h] = makeColumn(types[h] || 'string', rows.length, (i) => rows[i][h]);
+  return { rowCount: rows.length, headers, types: { ...types }, columns };
+}
+
+// Raw text cells, one array per column (a CSV read as a stream) → table, typed
+// the way parseCsv() types them
+export function fromTextColumns(headers, cells) {
+  const rowCount = cells[0]?.length ?? 0;
+  const types = {};
+  const columns = {};
+  headers.forEach((h, c) => {
+    types[h] = inferType(cells[c]);
+    columns[h] = makeColumn(types[h], rowCount, (i) => convertValue(cells[c][i], types[h]));
+  });
+  return { rowCount, headers, types, columns };
+}
+
+// A table with one more column; replaces a column of the same name
+export const withColumn = (table, name, column) => ({
+  ...table,
+  headers: table.headers.includes(name) ? table.headers : [...table.headers, name],
+  types: { ...table.types, [name]: column.type },
+  columns: { ...table.columns, [name]: column },
+});
+
+// ── Reading ───────────────────────────────────────────────────────────────────
+
+const textOf = (column, i) => decoder.decode(column.bytes.subarray(column.offsets[i], column.offsets[i + 1]));
+
+// A cell as it would be in a row object: number, boolean, string or null
+export function cellAt(column, i) {
+  if (column.type === 'number') {
+    const v = column.values[i];
+    return Number.isNaN(v) ? null : v;
+  }
+  if (column.type === 'boolean') return column.values[i] === BOOLEAN_EMPTY ? null : column.values[i] === 1;
+  return textOf(column, i);
+}
+
+// A cell read as a number the way parseFloat() reads it; NaN when it isn't one
+export function numberAt(column, i) {
+  if (column.type === 'number') return column.values[i];
+  if (column.type === 'boolean') return NaN;
+  return parseFloat(textOf(column, i));
+}
+
+// Row i as an object, for tools that return whole records
+export function rowAt(table, i) {
+  const row = {};
+  for (const h of table.headers) row[h] = cellAt(table.columns[h], i);
+  return row;
+}
+
+// ── Moving between threads ────────────────────────────────────────────────────
+
+// The ArrayBuffers to list as transferables when posting the table
+export const transferList = (table) =>
+  Object.values(table.columns).flatMap((c) => (c.values ? [c.values.buffer] : [c.offsets.buffer, c.bytes.buffer]));
@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ */
+import { MessageChannel } from 'worker_threads';
+import { fromRows, fromTextColumns, withColumn, makeColumn, cellAt, numberAt, rowAt, transferList } from './columnar';
+
+const typed = {
+  headers: ['post', 'likes', 'boosted', 'day'],
+  types: { post: 'string', likes: 'number', boosted: 'boolean', day: 'date' },
+  rows: [
+    { post: 'Launch 🚀, "v2"', likes: 1200, boosted: true, day: '2026-02-18' },
+    { post: '', likes: null, boosted: null, day: '' },
+    { post: 'Résumé', likes: 0.5, boosted: false, day: '2026-02-19 12:00:00' },
+  ],
+};
+
+test('rows go into typed columns and come back unchanged', () => {
+  const table = fromRows(typed);
+  expect(table.rowCount).toBe(3);
+  expect(table.columns.likes.values).toBeInstanceOf(Float64Array);
+  expect(table.columns.boosted.values).toBeInstanceOf(Uint8Array);
+  expect(table.columns.post.bytes).toBeInstanceOf(Uint8Array);
+  expect([0, 1, 2].map((i) => rowAt(table, i))).toEqual(typed.rows);
+  expect(numberAt(table.columns.likes, 1)).toBeNaN();
+  expect(numberAt(table.columns.day, 0)).toBe(2026);
+});
+
+test('text cells from a stream are typed like parseCsv types them', () => {
+  const table = fromTextColumns(['id', 'views', 'ok'], [
+    ['2024205851431490005', '2024205851431490006'],
+    ['19130', ''],
+    ['true', 'FALSE'],
+  ]);
+  expect(table.types).toEqual({ id: 'string', views: 'number', ok: 'boolean' });
+  expect(rowAt(table, 1)).toEqual({ id: '2024205851431490006', views: null, ok: false });
+  expect(fromTextColumns([], [])).toMatchObject({ rowCount: 0, headers: [] });
+});
+
+test('a computed column is added without touching the others', () => {
+  const table = fromRows(typed);
+  const doubled = withColumn(table, 'double', makeColumn('number', 3, (i) => cellAt(table.columns.likes, i) * 2 || null));
+  expect(doubled.headers).toEqual([...typed.headers, 'double']);
+  expect(doubled.types.double).toBe('number');
+  expect(rowAt(doubled, 0).double).toBe(2400);
+  expect(table.headers).toHaveLength(4);
+});
+
+test('a table moves through a message port without copying its buffers', async () => {
+  const table = fromRows(typed);
+  const { port1, port2 } = new MessageChannel();
+  const received = new Promise((resolve) => port2.once('message', resolve));
+  port1.postMessage(table, transferList(table));
+  const moved = await received;
+  port1.close();
+  expect(rowAt(moved, 2)).toEqual(typed.rows[2]);
+  expect(table.columns.likes.values.byteLength).toBe(0); // detached: the buffers were moved, not copied
+});
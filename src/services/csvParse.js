@@ -0,0 +1,204 @@
+// CSV parsing for uploaded datasets (RFC 4180)
+//
+// Fields may be quoted; quoted fields can hold the delimiter, line breaks and
+// doubled quotes (""). Records end at LF, CRLF or CR. A leading BOM is dropped,
+// and the delimiter — comma, semicolon, tab or pipe — is detected from the
+// first records unless given. The parser is fed text in chunks of any size,
+// so a file can be read as a stream; parseCsv() is the whole-text shorthand.
+//
+// Being lenient where files from spreadsheets and scrapers are not: a quote
+// inside an unquoted field is kept as text, and an unterminated quoted field
+// runs to the end of the input.
+
+export const DELIMITERS = [',', ';', '\t', '|'];
+
+const BOM = '\uFEFF';
+
+export const stripBom = (text) => (text.startsWith(BOM) ? text.slice(1) : text);
+
+// ── Streaming parser ──────────────────────────────────────────────────────────
+
+// → { write(chunk), end() }; onRecord(fields) is called for every non-blank record
+export function createCsvParser({ delimiter = ',', onRecord }) {
+  let record = [];
+  let field = '';
+  let quoted = false;     // the current field started with a quote
+  let inQuotes = false;   // … and it hasn't been closed yet
+  let quoteSeen = false;  // last char was a quote inside quotes: closes the field or escapes one
+  let skipLF = false;     // last char was CR: an LF right after it belongs to the same break
+  let started = false;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+    quoted = false;
+  };
+  const endRecord = () => {
+    const blank = record.length === 0 && field === '' && !quoted;
+    endField();
+    if (!blank) onRecord(record);
+    record = [];
+  };
+
+  const write = (chunk) => {
+    let i = 0;
+    if (!started && chunk.length) {
+      started = true;
+      if (chunk[0] === BOM) i = 1;
+    }
+    for (; i < chunk.length; i++) {
+      const ch = chunk[i];
+      if (skipLF) {
+        skipLF = false;
+        if (ch === '\n') continue;
+      }
+      if (inQuotes) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (ch === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false; // that quote closed the field; this char is outside it
+        } else {
+          if (ch === '"') quoteSeen = true;
+          else field += ch;
+          continue;
+        }
+      }
+      if (ch === '"' && field === '' && !quoted) {
+        quoted = true;
+        inQuotes = true;
+      } else if (ch === delimiter) {
+        endField();
+      } else if (ch === '\n') {
+        endRecord();
+      } else if (ch === '\r') {
+        endRecord();
+        skipLF = true;
+      } else {
+        field += ch;
+      }
+    }
+  };
+
+  const end = () => {
+    inQuotes = false;
+    quoteSeen = false;
+    if (field !== '' || record.length || quoted) endRecord();
+  };
+
+  return { write, end };
+}
+
+// Text → arrays of fields, `limit` records at most
+export function parseCsvRecords(text, { delimiter = ',', limit = Infinity } = {}) {
+  const records = [];
+  const parser = createCsvParser({ delimiter, onRecord: (r) => records.length < limit && records.push(r) });
+  parser.write(text);
+  parser.end();
+  return records;
+}
+
+// ── Delimiter detection ───────────────────────────────────────────────────────
+
+const SAMPLE_CHARS = 64 * 1024;
+const SAMPLE_RECORDS = 20;
+
+// The delimiter that splits the first records into the same number (> 1) of
+// fields most consistently; ties go to the wider table, then to the comma
+export function detectDelimiter(text) {
+  const sample = text.slice(0, SAMPLE_CHARS);
+  let best = { delimiter: ',', score: 0 };
+  for (const delimiter of DELIMITERS) {
+    const records = parseCsvRecords(sample, { delimiter, limit: SAMPLE_RECORDS + 1 });
+    // The last record may be cut off by the sample
+    if (records.length > 1 && sample.length < text.length) records.pop();
+    const width = records[0]?.length || 0;
+    if (width < 2) continue;
+    const consistent = records.filter((r) => r.length === width).length / records.length;
+    const score = consistent * 1000 + Math.min(width, 999);
+    if (score > best.score) best = { delimiter, score };
+  }
+  return best.delimiter;
+}
+
+// ── Type inference ────────────────────────────────────────────────────────────
+// Decided per column from its non-empty values. Only whole numeric columns
+// become numbers, and only when no precision or formatting would be lost —
+// tweet ids (19 digits) and zip codes like 02139 stay strings.
+
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const LEADING_ZERO = /^[-+]?0\d/;
+const BOOLEAN = /^(true|false)$/i;
+const DATE = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[-+]\d{2}:?\d{2})?)?$/;
+
+const isNumber = (v) => {
+  if (!NUMBER.test(v) || LEADING_ZERO.test(v)) return false;
+  const digits = v.replace(/[eE].*$/, '').replace(/\D/g, '').replace(/^0+/, '');
+  return digits.length <= 15;
+};
+
+// 'number' | 'boolean' | 'date' | 'string' for values (strings) of one column
+export function inferType(values) {
+  const present = values.map((v) => v.trim()).filter(Boolean);
+  if (!present.length) return 'string';
+  if (present.every(isNumber)) return 'number';
+  if (present.every((v) => BOOLEAN.test(v))) return 'boolean';
+  if (present.every((v) => DATE.test(v) && !Number.isNaN(Date.parse(v)))) return 'date';
+  return 'string';
+}
+
+// A cell of a column of `type`; empty numbers and booleans are null. Dates stay ISO-ish strings.
+export const convertValue = (value, type) => {
+  const v = value.trim();
+  if (type === 'number') return v ? Number(v) : null;
+  if (type === 'boolean') return v ? v.toLowerCase() === 'true' : null;
+  return value;
+};
+
+// ── Whole text ────────────────────────────────────────────────────────────────
+
+// Header cells → column names: trimmed, blank ones named by position, repeats numbered
+export function uniqueHeaders(cells) {
+  const seen = new Map();
+  return cells.map((h, i) => {
+    const name = String(h ?? '').trim() || `column_${i + 1}`;
+    const n = (seen.get(name) || 0) + 1;
+    seen.set(name, n);
+    return n > 1 ? `${name}_${n}` : name;
+  });
+}
+
+// → { headers, rows: [{ header: value }], types: { header: type }, delimiter }
+// Headers go through uniqueHeaders; short records are padded with '' and extra
+// fields dropped.
+export function parseCsv(text, { delimiter, inferTypes = true } = {}) {
+  const sep = delimiter || detectDelimiter(stripBom(text));
+  const [head = [], ...records] = parseCsvRecords(text, { delimiter: sep });
+
+  const headers = uniqueHeaders(head);
+
+  const types = {};
+  headers.forEach((h, i) => {
+    types[h] = inferTypes ? inferType(records.map((r) => r[i] ?? '')) : 'string';
+  });
+
+  const rows = records.map((r) => {
+    const row = {};
+    headers.forEach((h, i) => {
+      row[h] = convertValue(r[i] ?? '', types[h]);
+    });
+    return row;
+  });
+  return { headers, rows, types, delimiter: sep };
+}
+
+// One line of CSV (comma, no line break), quoting only the fields that need it
+export const toCsvLine = (cells) =>
+  cells
+    .map((v) => {
+      const text = v == null ? '' : String(v);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',');
@@ -0,0 +1,119 @@
+import fs from 'fs';
+import path from 'path';
+import { parseCsv, parseCsvRecords, createCsvParser, detectDelimiter, inferType } from './csvParse';
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '__fixtures__/csv', name), 'utf8');
+const BUNDLED = path.join(__dirname, '../../public/TwExtract-Clav0Updates-159.csv');
+
+// Each fixture file with what parsing it must give: spot-checked rows by index
+const FIXTURES = [
+  {
+    file: 'quoted-newlines.csv', // CRLF, quoted line breaks and commas, escaped quotes, a blank line
+    delimiter: ',',
+    headers: ['id', 'text', 'views'],
+    types: { id: 'number', text: 'string', views: 'number' },
+    rowCount: 4,
+    rows: {
+      0: { id: 1, text: 'Line one\r\nline two, with a comma', views: 120 },
+      1: { id: 2, text: 'She said "hi" 👋', views: 45 },
+      2: { id: 3, text: 'plain text', views: null },
+      3: { id: 4, text: 'trailing "quote"', views: 7 },
+    },
+  },
+  {
+    file: 'semicolon-bom.csv', // BOM, `;` with decimal commas left as text
+    delimiter: ';',
+    headers: ['Name', 'Score', 'Ratio', 'Note'],
+    types: { Name: 'string', Score: 'number', Ratio: 'string', Note: 'string' },
+    rowCount: 3,
+    rows: {
+      0: { Name: 'Ana', Score: 12, Ratio: '1,5', Note: 'a;b' },
+      2: { Name: 'Cé', Score: 3, Ratio: '2', Note: 'multi\nline' },
+    },
+  },
+  {
+    file: 'tabs.tsv',
+    delimiter: '\t',
+    headers: ['date', 'channel', 'likes', 'verified'],
+    types: { date: 'date', channel: 'string', likes: 'number', verified: 'boolean' },
+    rowCount: 3,
+    rows: {
+      1: { date: '2026-01-02', channel: 'Tab\tinside', likes: 980, verified: false },
+      2: { date: '2026-01-03', channel: 'Kurzgesagt', likes: null, verified: null },
+    },
+  },
+  {
+    file: 'types.csv', // ids and zip codes stay text; blank and repeated headers get names
+    delimiter: ',',
+    headers: ['ID', 'zip', 'count', 'share', 'created', 'mixed', 'column_7', 'count_2'],
+    types: { ID: 'string', zip: 'string', count: 'number', share: 'number', created: 'date', mixed: 'string', column_7: 'string', count_2: 'number' },
+    rowCount: 2,
+    rows: {
+      0: { ID: '2024205851431490005', zip: '02139', count: 10, share: 0.5, created: '2026-02-18 14:34:17', mixed: '12', column_7: 'x', count_2: 1 },
+      1: { ID: '2024205851431490006', zip: '94103', count: null, share: 0.001, created: '2026-02-19T08:00:00Z', mixed: 'n/a', column_7: 'y', count_2: 2 },
+    },
+  },
+];
+
+describe.each(FIXTURES)('$file', ({ file, delimiter, headers, types, rowCount, rows }) => {
+  const parsed = parseCsv(fixture(file));
+
+  test('detects the delimiter and reads the header', () => {
+    expect(parsed.delimiter).toBe(delimiter);
+    expect(parsed.headers).toEqual(headers);
+    expect(parsed.types).toEqual(types);
+  });
+
+  test('reads every record', () => {
+    expect(parsed.rows).toHaveLength(rowCount);
+    for (const [i, row] of Object.entries(rows)) expect(parsed.rows[i]).toEqual(row);
+  });
+});
+
+test('the bundled tweet export parses with its BOM, long ids and multi-line tweets', () => {
+  const text = fs.readFileSync(BUNDLED, 'utf8');
+  const { headers, rows, types } = parseCsv(text);
+  expect(headers[0]).toBe('ID');
+  expect(headers).toContain('Favorite Count');
+  expect(rows).toHaveLength(159);
+  expect(rows[0].ID).toBe('2024205851431490005');
+  expect(rows[0]['View Count']).toBe(19130);
+  expect(types['Created At']).toBe('date');
+  expect(rows.some((r) => r.Text.includes('\n'))).toBe(true);
+});
+
+test('chunk boundaries anywhere give the same records', () => {
+  const text = fs.readFileSync(BUNDLED, 'utf8');
+  const whole = parseCsvRecords(text);
+  for (const size of [1, 7, 4096]) {
+    const records = [];
+    const parser = createCsvParser({ onRecord: (r) => records.push(r) });
+    for (let i = 0; i < text.length; i += size) parser.write(text.slice(i, i + size));
+    parser.end();
+    expect(records).toEqual(whole);
+  }
+});
+
+test('edge cases of the grammar', () => {
+  // CR-only line ends, a quoted empty field, a missing final newline
+  expect(parseCsvRecords('a,b\rc,""\r"d",e')).toEqual([['a', 'b'], ['c', ''], ['d', 'e']]);
+  // A stray quote inside an unquoted field is text; an unterminated quote runs to the end
+  expect(parseCsvRecords('5" screen,ok\n"open,end')).toEqual([['5" screen', 'ok'], ['open,end']]);
+  // Short records are padded, extra fields dropped
+  expect(parseCsv('a,b\n1\n2,3,4').rows).toEqual([{ a: 1, b: null }, { a: 2, b: 3 }]);
+  expect(parseCsv('')).toEqual({ headers: [], rows: [], types: {}, delimiter: ',' });
+  expect(parseCsv('a;b\n1;2', { delimiter: ',' }).headers).toEqual(['a;b']);
+  expect(parseCsv('a,b\n1,2', { inferTypes: false }).rows).toEqual([{ a: '1', b: '2' }]);
+});
+
+test('delimiters and types are only inferred from clear evidence', () => {
+  expect(detectDelimiter('just one column\nand another')).toBe(',');
+  expect(detectDelimiter('a|b|c\n1|2|3')).toBe('|');
+  // Commas inside quotes don't outvote the real delimiter
+  expect(detectDelimiter('x;y\n"1,2,3";4\n"5,6";7')).toBe(';');
+  expect(inferType(['1', ' 2 ', '', '-3.5', '+4e2'])).toBe('number');
+  expect(inferType(['9007199254740993'])).toBe('string');
+  expect(inferType(['true', 'False'])).toBe('boolean');
+  expect(inferType(['2026-13-45'])).toBe('string');
+  expect(inferType(['', ''])).toBe('string');
+});
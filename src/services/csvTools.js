@@ -1,3 +1,5 @@
+import { cellAt, numberAt, rowAt, makeColumn, withColumn } from './columnar';
+
 // ── Tool declarations (sent to Gemini so it knows what functions exist) ───────
 
 // IMPORTANT NOTE embedded in every description:
@@ -7,6 +9,14 @@
 
 const COL_NOTE = 'Use the exact column name as it appears in the [CSV columns: ...] header at the top of the message — copy it character-for-character, preserving spaces and capitalisation.';
 
+// What query_rows accepts (see the query_rows section below)
+const FILTER_OPS = ['=', '!=', '>', '>=', '<', '<=', 'contains', 'not_contains', 'in', 'not_in', 'is_empty', 'not_empty'];
+const AGGREGATIONS = ['count', 'sum', 'mean', 'median', 'percentile', 'min', 'max'];
+const QUERY_LIMIT = 20;
+const QUERY_MAX_LIMIT = 100;
+// Columns compute_correlation takes when none are named
+const CORRELATION_MAX_COLUMNS = 12;
+
 export const CSV_TOOL_DECLARATIONS = [
   {
     name: 'compute_column_stats',
@@ -63,6 +73,119 @@ export const CSV_TOOL_DECLARATIONS = [
       required: ['sort_column'],
     },
   },
+  {
+    name: 'query_rows',
+    description:
+      'Filter, group and aggregate the loaded rows. Use this for questions like "average engagement of replies vs tweets by language", ' +
+      '"how many tweets per language got more than 1000 views" or "90th percentile of views for each type" instead of writing Python. ' +
+      'Filters are combined with AND. With group_by, returns one row per group; with aggregations only, one row for all matching rows; ' +
+      'with neither, lists the matching rows. The result table is shown to the user as it is — refer to it and explain it rather than ' +
+      'repeating every row. ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        filters: {
+          type: 'ARRAY',
+          description: 'Conditions every row must meet.',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              column: { type: 'STRING', description: 'Exact column name copied from [CSV columns: ...].' },
+              op: {
+                type: 'STRING',
+                enum: FILTER_OPS,
+                description: 'Comparison. Text is compared case-insensitively; contains/not_contains look for `value` inside the text; ' +
+                  'in/not_in take `values`; is_empty/not_empty take no value.',
+              },
+              value: { type: 'STRING', description: 'Value to compare with — numbers and dates as text, e.g. "1000" or "2026-01-31".' },
+              values: { type: 'ARRAY', items: { type: 'STRING' }, description: 'The values for in / not_in.' },
+            },
+            required: ['column', 'op'],
+          },
+        },
+        group_by: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'Columns to group by: one result row per combination of their values.',
+        },
+        aggregations: {
+          type: 'ARRAY',
+          description: 'What to compute per group (or over all matching rows). With group_by and no aggregations: count.',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              op: { type: 'STRING', enum: AGGREGATIONS },
+              column: { type: 'STRING', description: 'Numeric column to aggregate. Without one, count counts rows.' },
+              percentile: { type: 'NUMBER', description: 'For op "percentile": 0–100, e.g. 90.' },
+            },
+            required: ['op'],
+          },
+        },
+        columns: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'When listing rows (no group_by or aggregations): the columns to show. Default: all of them.',
+        },
+        sort: {
+          type: 'ARRAY',
+          description:
+            'Order of the result, by a column of it: a group_by column, an aggregation by its result name ' +
+            '("count", "mean(engagement)", "p90(View Count)") or, when listing rows, a listed column. ' +
+            'Default with group_by: the first aggregation, highest first.',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              column: { type: 'STRING' },
+              descending: { type: 'BOOLEAN', description: 'true = highest first.' },
+            },
+            required: ['column'],
+          },
+        },
+        limit: { type: 'NUMBER', description: `Result rows to return (default ${QUERY_LIMIT}, at most ${QUERY_MAX_LIMIT}).` },
+      },
+    },
+  },
+  {
+    name: 'compute_correlation',
+    description:
+      'Correlation matrix (Pearson or Spearman) between numeric columns, over the rows where all of them have a number. ' +
+      'Use for "how does X relate to Y", "are likes correlated with views", "which metrics move together". ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        columns: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: `Numeric columns to correlate (at least 2). Default: every numeric column, up to ${CORRELATION_MAX_COLUMNS}.`,
+        },
+        method: {
+          type: 'STRING',
+          enum: ['pearson', 'spearman'],
+          description: 'pearson (linear, the default) or spearman (rank-based: monotonic relations, robust to outliers).',
+        },
+      },
+    },
+  },
+  {
+    name: 'fit_regression',
+    description:
+      'Fit an ordinary least squares linear regression of one numeric column on one or more others. Returns the ' +
+      'intercept and coefficients, R², adjusted R² and a summary of the residuals; with a single predictor the ' +
+      'user also sees a scatter chart with the fitted line. Use for regressions, trend lines and "how much does Y ' +
+      'go up per X". ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        y: { type: 'STRING', description: 'The column to predict (dependent variable).' },
+        x: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'The predictor columns (independent variables).',
+        },
+      },
+      required: ['y', 'x'],
+    },
+  },
   {
     name: 'compute_stats_json',
     description:
@@ -135,51 +258,17 @@ export const CSV_TOOL_DECLARATIONS = [
   },
 ];
 
-// ── Parse a CSV line, respecting quoted fields ────────────────────────────────
-
-const parseLine = (line) => {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      inQuotes = !inQuotes;
-    } else if (ch === ',' && !inQuotes) {
-      result.push(current.trim());
-      current = '';
-    } else {
-      current += ch;
-    }
-  }
-  result.push(current.trim());
-  return result;
-};
 
-// ── Parse a full CSV text into an array of row objects ────────────────────────
-
-export const parseCsvToRows = (text) => {
-  const lines = text.split('\n').filter((l) => l.trim());
-  if (lines.length < 2) return { headers: [], rows: [] };
-  const headers = parseLine(lines[0]).map((h) => h.replace(/^"|"$/g, ''));
-  const rows = lines.slice(1).map((line) => {
-    const vals = parseLine(line);
-    const obj = {};
-    headers.forEach((h, i) => {
-      obj[h] = (vals[i] || '').replace(/^"|"$/g, '');
-    });
-    return obj;
-  });
-  return { headers, rows };
-};
+// Image generation calls the API as the signed-in user, so it runs on the page;
+// every other tool runs in the dataset worker (datasetEngine.js)
+export const PAGE_TOOLS = new Set(['generateImage']);
 
 // ── Column lookup (case-insensitive + whitespace-tolerant) ───────────────────
 // Gemini often passes column names in a slightly different case than the CSV header.
 // This finds the actual header key so the lookup always works.
 
-const resolveCol = (rows, name) => {
-  if (!rows.length || !name) return name;
-  const keys = Object.keys(rows[0]);
+const resolveName = (keys, name) => {
+  if (!name) return name;
   // 1. exact match
   if (keys.includes(name)) return name;
   const norm = (s) => s.toLowerCase().replace(/[\s_-]+/g, '');
@@ -188,10 +277,37 @@ const resolveCol = (rows, name) => {
   return keys.find((k) => norm(k) === target) || name;
 };
 
+const resolveCol = (table, name) => (table.rowCount ? resolveName(table.headers, name) : name);
+
+// ── Row scans ─────────────────────────────────────────────────────────────────
+// Tools visit rows in slices; between slices they await checkpoint(done, total),
+// where the dataset worker reports progress and throws if the job was cancelled.
+// visit(i) returning false ends the scan early.
+
+const SLICE_ROWS = 50000;
+
+const eachRow = async (table, visit, checkpoint) => {
+  const total = table.rowCount;
+  for (let start = 0; start < total; start += SLICE_ROWS) {
+    if (start && checkpoint) await checkpoint(start, total);
+    const end = Math.min(start + SLICE_ROWS, total);
+    for (let i = start; i < end; i++) if (visit(i) === false) return;
+  }
+};
+
 // ── Math helpers ──────────────────────────────────────────────────────────────
 
-const numericValues = (rows, col) =>
-  rows.map((r) => parseFloat(r[col])).filter((v) => !isNaN(v));
+const numericValues = async (table, col, checkpoint) => {
+  const column = table.columns[col];
+  if (!column) return new Float64Array(0);
+  const out = new Float64Array(table.rowCount);
+  let n = 0;
+  await eachRow(table, (i) => {
+    const v = numberAt(column, i);
+    if (!Number.isNaN(v)) out[n++] = v;
+  }, checkpoint);
+  return out.subarray(0, n);
+};
 
 const median = (sorted) =>
   sorted.length % 2 === 0
@@ -200,10 +316,443 @@ const median = (sorted) =>
 
 const fmt = (n) => +n.toFixed(4);
 
+// Descriptive stats of a Float64Array of values (sorted in place). Min and max
+// come from the sorted ends — spreading a long column into Math.min() overflows the stack.
+const describe = (column, vals) => {
+  let sum = 0;
+  for (let i = 0; i < vals.length; i++) sum += vals[i];
+  const mean = sum / vals.length;
+  let squares = 0;
+  for (let i = 0; i < vals.length; i++) squares += (vals[i] - mean) ** 2;
+  const sorted = vals.sort();
+  return {
+    column,
+    count: vals.length,
+    mean: fmt(mean),
+    median: fmt(median(sorted)),
+    std: fmt(Math.sqrt(squares / vals.length)),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+  };
+};
+
+// ── query_rows: filter → group → aggregate → sort → limit ────────────────────
+// A declarative query the model fills in instead of writing Python. Nothing in
+// it is evaluated: columns are looked up by name, and operators and
+// aggregations come from FILTER_OPS and AGGREGATIONS. The result is a table —
+// columns, rows of cells, and the same as GFM markdown for the chat to render.
+
+const CELL_CHARS = 80; // text cells are cut to this in the result
+
+const columnFor = (table, name) => {
+  const col = resolveCol(table, name);
+  if (!table.columns[col]) throw new Error(`Unknown column "${name}". Available: ${table.headers.join(', ')}`);
+  return col;
+};
+
+const isEmpty = (v) => v === null || v === '';
+const normalise = (v) => String(v ?? '').trim().toLowerCase();
+
+// A filter spec → (row index) → whether the row passes
+const compileFilter = (table, { column: name, op, value, values }) => {
+  const col = columnFor(table, name);
+  const column = table.columns[col];
+  if (!FILTER_OPS.includes(op)) throw new Error(`Unknown filter operator "${op}". Use one of: ${FILTER_OPS.join(', ')}`);
+  if (op === 'is_empty') return (i) => isEmpty(cellAt(column, i));
+  if (op === 'not_empty') return (i) => !isEmpty(cellAt(column, i));
+  if (op === 'in' || op === 'not_in') {
+    const wanted = new Set((values ?? [value]).map(normalise));
+    return op === 'in'
+      ? (i) => wanted.has(normalise(cellAt(column, i)))
+      : (i) => !wanted.has(normalise(cellAt(column, i)));
+  }
+  if (value == null || String(value).trim() === '') throw new Error(`The filter on "${col}" with "${op}" needs a value`);
+  const text = normalise(value);
+  if (op === 'contains') return (i) => normalise(cellAt(column, i)).includes(text);
+  if (op === 'not_contains') return (i) => !normalise(cellAt(column, i)).includes(text);
+
+  // Numbers compare as numbers; text (ISO dates included) as lower-case text.
+  // compare(i) is NaN for an empty cell, so only != matches it.
+  let compare;
+  if (column.type === 'number') {
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new Error(`"${col}" is numeric; "${value}" is not a number`);
+    compare = (i) => numberAt(column, i) - number;
+  } else {
+    compare = (i) => {
+      const v = normalise(cellAt(column, i));
+      if (v === '') return NaN;
+      return v < text ? -1 : v > text ? 1 : 0;
+    };
+  }
+  const TESTS = {
+    '=': (c) => c === 0,
+    '!=': (c) => c !== 0,
+    '>': (c) => c > 0,
+    '>=': (c) => c >= 0,
+    '<': (c) => c < 0,
+    '<=': (c) => c <= 0,
+  };
+  return (i) => TESTS[op](compare(i));
+};
+
+// An aggregation spec → { name, op, column, p }; `name` is its column in the result
+const compileAggregation = (table, { op, column: name, percentile }) => {
+  if (!AGGREGATIONS.includes(op)) throw new Error(`Unknown aggregation "${op}". Use one of: ${AGGREGATIONS.join(', ')}`);
+  if (op === 'count' && !name) return { name: 'count', op };
+  if (!name) throw new Error(`The aggregation "${op}" needs a column`);
+  const col = columnFor(table, name);
+  if (op !== 'percentile') return { name: `${op}(${col})`, op, column: table.columns[col] };
+  const p = Number(percentile);
+  if (!(p >= 0 && p <= 100)) throw new Error('A percentile needs a "percentile" from 0 to 100');
+  return { name: `p${p}(${col})`, op, column: table.columns[col], p };
+};
+
+// Linear interpolation between the closest ranks (numpy's default)
+const percentileOf = (sorted, p) => {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+};
+
+// The value of an aggregation over the rows `indices`; null when no cell has a number
+const aggregate = ({ op, column, p }, indices) => {
+  if (op === 'count') return column ? indices.filter((i) => !isEmpty(cellAt(column, i))).length : indices.length;
+  const vals = new Float64Array(indices.length);
+  let n = 0;
+  for (const i of indices) {
+    const v = numberAt(column, i);
+    if (!Number.isNaN(v)) vals[n++] = v;
+  }
+  if (!n) return null;
+  const values = vals.subarray(0, n);
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    sum += v;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (op === 'sum') return fmt(sum);
+  if (op === 'mean') return fmt(sum / n);
+  if (op === 'min') return min;
+  if (op === 'max') return max;
+  return fmt(percentileOf(values.sort(), op === 'median' ? 50 : p));
+};
+
+// Empty cells go last whichever the direction; numbers by value, text naturally ("item 2" before "item 10")
+const compareCells = (a, b) => {
+  if (a === b) return 0;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+// Cells → a GitHub-flavoured markdown table; pipes escaped, line breaks flattened
+const markdownTable = (columns, rows) => {
+  const cell = (v) => String(v ?? '').replace(/\|/g, '\\|').replace(/\r\n|\r|\n/g, ' ');
+  const line = (cells) => `| ${cells.map(cell).join(' | ')} |`;
+  return [line(columns), line(columns.map(() => '---')), ...rows.map(line)].join('\n');
+};
+
+const shortCell = (v) => (typeof v === 'string' && v.length > CELL_CHARS ? `${v.slice(0, CELL_CHARS)}…` : v);
+
+const queryRows = async (table, args, checkpoint) => {
+  let filters;
+  let groupCols;
+  let aggregations;
+  try {
+    filters = (args.filters || []).map((f) => compileFilter(table, f));
+    groupCols = (args.group_by || []).map((name) => columnFor(table, name));
+    aggregations = (args.aggregations || []).map((a) => compileAggregation(table, a));
+  } catch (err) {
+    return { error: err.message };
+  }
+  const listing = !groupCols.length && !aggregations.length;
+  if (groupCols.length && !aggregations.length) aggregations = [{ name: 'count', op: 'count' }];
+  const limit = Math.min(Math.max(Math.floor(args.limit) || QUERY_LIMIT, 1), QUERY_MAX_LIMIT);
+
+  let columns;
+  try {
+    columns = listing
+      ? (args.columns?.length ? args.columns : table.headers).map((name) => columnFor(table, name))
+      : [...groupCols, ...aggregations.map((a) => a.name)];
+  } catch (err) {
+    return { error: err.message };
+  }
+  const sortSpec = args.sort?.length
+    ? args.sort
+    : groupCols.length ? [{ column: aggregations[0].name, descending: true }] : [];
+  const order = [];
+  for (const { column, descending } of sortSpec) {
+    const at = columns.indexOf(resolveName(columns, column));
+    if (at < 0) return { error: `Can't sort by "${column}": the result has ${columns.map((c) => `"${c}"`).join(', ')}` };
+    order.push({ at, sign: descending ? -1 : 1 });
+  }
+
+  // Rows that pass every filter
+  const matched = [];
+  await eachRow(table, (i) => {
+    if (filters.every((passes) => passes(i))) matched.push(i);
+  }, checkpoint);
+
+  let rows;
+  if (listing) {
+    // Without a sort only the first rows are needed
+    const picked = order.length ? matched : matched.slice(0, limit);
+    rows = picked.map((i) => columns.map((c) => cellAt(table.columns[c], i)));
+  } else {
+    const groups = new Map();
+    if (!groupCols.length) groups.set('', { keys: [], indices: matched });
+    else {
+      const keyColumns = groupCols.map((c) => table.columns[c]);
+      for (const i of matched) {
+        const keys = keyColumns.map((c) => cellAt(c, i));
+        const key = JSON.stringify(keys);
+        let group = groups.get(key);
+        if (!group) groups.set(key, (group = { keys, indices: [] }));
+        group.indices.push(i);
+      }
+    }
+    rows = [...groups.values()].map((g) => [...g.keys, ...aggregations.map((a) => aggregate(a, g.indices))]);
+  }
+
+  rows.sort((x, y) => {
+    for (const { at, sign } of order) {
+      const a = x[at];
+      const b = y[at];
+      if (isEmpty(a) || isEmpty(b)) {
+        if (isEmpty(a) !== isEmpty(b)) return isEmpty(a) ? 1 : -1;
+        continue;
+      }
+      const c = compareCells(a, b) * sign;
+      if (c) return c;
+    }
+    return 0;
+  });
+
+  const resultRows = listing ? matched.length : rows.length;
+  const shown = rows.slice(0, limit).map((r) => r.map(shortCell));
+  return {
+    _table: true,
+    columns,
+    rows: shown,
+    matched_rows: matched.length,
+    result_rows: resultRows,
+    truncated: resultRows > shown.length,
+    markdown: markdownTable(columns, shown),
+  };
+};
+
+// ── Correlation and regression ───────────────────────────────────────────────
+// Both use complete cases: the rows where every column involved has a number.
+// The regression is ordinary least squares on centred values, solved by
+// Gauss–Jordan elimination — plenty for the few predictors a question names.
+
+const REGRESSION_POINTS = 500; // scatter points the chart gets, spread over the rows
+
+const sig = (n) => +n.toPrecision(6); // coefficients can be tiny; keep significant digits
+
+// Columns → per column, a Float64Array of its numbers in the rows where every column has one
+const completeCases = async (table, cols, checkpoint) => {
+  const columns = cols.map((c) => table.columns[c]);
+  const buffers = cols.map(() => new Float64Array(table.rowCount));
+  const row = new Float64Array(cols.length);
+  let n = 0;
+  await eachRow(table, (i) => {
+    for (let k = 0; k < columns.length; k++) {
+      row[k] = numberAt(columns[k], i);
+      if (Number.isNaN(row[k])) return;
+    }
+    for (let k = 0; k < columns.length; k++) buffers[k][n] = row[k];
+    n++;
+  }, checkpoint);
+  return buffers.map((b) => b.subarray(0, n));
+};
+
+const meanOf = (vals) => {
+  let sum = 0;
+  for (let i = 0; i < vals.length; i++) sum += vals[i];
+  return sum / vals.length;
+};
+
+// Pearson's r of two equally long arrays; null when either is constant
+const pearson = (a, b) => {
+  const ma = meanOf(a);
+  const mb = meanOf(b);
+  let ab = 0;
+  let aa = 0;
+  let bb = 0;
+  for (let i = 0; i < a.length; i++) {
+    ab += (a[i] - ma) * (b[i] - mb);
+    aa += (a[i] - ma) ** 2;
+    bb += (b[i] - mb) ** 2;
+  }
+  return aa && bb ? ab / Math.sqrt(aa * bb) : null;
+};
+
+// Values → their ranks (1-based), ties sharing the mean of their ranks
+const ranks = (vals) => {
+  const order = Array.from(vals.keys()).sort((i, j) => vals[i] - vals[j]);
+  const out = new Float64Array(vals.length);
+  for (let start = 0; start < order.length;) {
+    let end = start + 1;
+    while (end < order.length && vals[order[end]] === vals[order[start]]) end++;
+    for (let k = start; k < end; k++) out[order[k]] = (start + end + 1) / 2;
+    start = end;
+  }
+  return out;
+};
+
+const correlate = async (table, args, checkpoint) => {
+  const method = args.method || 'pearson';
+  if (method !== 'pearson' && method !== 'spearman') return { error: `Unknown method "${method}". Use pearson or spearman` };
+  const names = args.columns?.length
+    ? args.columns
+    : table.headers.filter((h) => table.columns[h].type === 'number').slice(0, CORRELATION_MAX_COLUMNS);
+  if (new Set(names).size < 2) return { error: 'A correlation needs at least two numeric columns' };
+
+  let cols;
+  try {
+    cols = names.map((name) => columnFor(table, name));
+  } catch (err) {
+    return { error: err.message };
+  }
+  const values = await completeCases(table, cols, checkpoint);
+  const n = values[0].length;
+  if (n < 3) return { error: `Only ${n} rows have a number in all of ${cols.join(', ')}` };
+
+  const series = method === 'spearman' ? values.map(ranks) : values;
+  const matrix = Object.fromEntries(cols.map((c) => [c, {}]));
+  cols.forEach((a, i) => {
+    matrix[a][a] = 1;
+    for (let j = i + 1; j < cols.length; j++) {
+      const r = pearson(series[i], series[j]);
+      matrix[a][cols[j]] = matrix[cols[j]][a] = r === null ? null : fmt(r);
+    }
+  });
+  return { method, columns: cols, rows_used: n, matrix };
+};
+
+// Solves the k×k system a·x = b in place → x, or null when a is singular
+const solve = (a, b) => {
+  const k = b.length;
+  const scale = Math.max(...a.map((row, i) => Math.abs(row[i])));
+  for (let col = 0; col < k; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < k; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    if (!(Math.abs(a[pivot][col]) > scale * 1e-10)) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    for (let r = 0; r < k; r++) {
+      if (r === col) continue;
+      const f = a[r][col] / a[col][col];
+      for (let c = col; c < k; c++) a[r][c] -= f * a[col][c];
+      b[r] -= f * b[col];
+    }
+  }
+  return b.map((v, i) => v / a[i][i]);
+};
+
+// At most `max` of the indices 0…n-1, evenly spread, so a chart of a long column stays light
+const spreadIndices = (n, max) => {
+  if (n <= max) return Array.from({ length: n }, (_, i) => i);
+  return Array.from({ length: max }, (_, j) => Math.floor((j * n) / max));
+};
+
+const fitRegression = async (table, args, checkpoint) => {
+  const xs = Array.isArray(args.x) ? args.x : [args.x].filter(Boolean);
+  if (!args.y || !xs.length) return { error: 'A regression needs a y column and at least one x column' };
+
+  let cols;
+  try {
+    cols = [args.y, ...xs].map((name) => columnFor(table, name));
+  } catch (err) {
+    return { error: err.message };
+  }
+  const [yCol, ...xCols] = cols;
+  if (xCols.includes(yCol)) return { error: `"${yCol}" can't be both y and a predictor` };
+  const [y, ...x] = await completeCases(table, cols, checkpoint);
+  const n = y.length;
+  const k = xCols.length;
+  if (n <= k + 1) return { error: `Only ${n} rows have a number in all of ${cols.join(', ')}; the fit needs more than ${k + 1}` };
+
+  // Normal equations on centred values: Sxx · b = Sxy
+  const my = meanOf(y);
+  const mx = x.map(meanOf);
+  const sxx = xCols.map(() => new Array(k).fill(0));
+  const sxy = new Array(k).fill(0);
+  for (let i = 0; i < n; i++) {
+    for (let p = 0; p < k; p++) {
+      const dp = x[p][i] - mx[p];
+      sxy[p] += dp * (y[i] - my);
+      for (let q = p; q < k; q++) sxx[p][q] += dp * (x[q][i] - mx[q]);
+    }
+  }
+  for (let p = 0; p < k; p++) for (let q = 0; q < p; q++) sxx[p][q] = sxx[q][p];
+  const slopes = solve(sxx, sxy);
+  if (!slopes) {
+    return { error: `The predictors are constant or collinear (${xCols.join(', ')}); drop one and try again` };
+  }
+  const intercept = my - slopes.reduce((sum, b, p) => sum + b * mx[p], 0);
+
+  const residuals = new Float64Array(n);
+  let sse = 0;
+  let sst = 0;
+  for (let i = 0; i < n; i++) {
+    let fitted = intercept;
+    for (let p = 0; p < k; p++) fitted += slopes[p] * x[p][i];
+    residuals[i] = y[i] - fitted;
+    sse += residuals[i] ** 2;
+    sst += (y[i] - my) ** 2;
+  }
+  if (!sst) return { error: `"${yCol}" is the same in every row; there is nothing to fit` };
+  const rSquared = 1 - sse / sst;
+  const sorted = residuals.sort();
+
+  const result = {
+    y: yCol,
+    x: xCols,
+    rows_used: n,
+    intercept: sig(intercept),
+    coefficients: Object.fromEntries(xCols.map((c, p) => [c, sig(slopes[p])])),
+    r_squared: fmt(rSquared),
+    adjusted_r_squared: fmt(1 - ((1 - rSquared) * (n - 1)) / (n - k - 1)),
+    residuals: {
+      min: sig(sorted[0]),
+      q1: sig(percentileOf(sorted, 25)),
+      median: sig(percentileOf(sorted, 50)),
+      q3: sig(percentileOf(sorted, 75)),
+      max: sig(sorted[n - 1]),
+      standard_error: sig(Math.sqrt(sse / (n - k - 1))),
+    },
+  };
+  if (k > 1) return result;
+
+  // One predictor: a scatter of the rows with the fitted line across them
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const v of x[0]) {
+    if (v < lo) lo = v;
+    if (v > hi) hi = v;
+  }
+  const at = (v) => sig(intercept + slopes[0] * v);
+  return {
+    _chartType: 'regression',
+    ...result,
+    metricColumn: yCol,
+    xColumn: xCols[0],
+    data: spreadIndices(n, REGRESSION_POINTS).map((i) => ({ x: x[0][i], y: y[i] })),
+    line: [{ x: lo, y: at(lo) }, { x: hi, y: at(hi) }],
+  };
+};
+
 // ── Build a slim CSV with only the key analytical columns ────────────────────
 // Extracts text, language, type, engagement metrics, and the computed engagement
 // ratio. Returns a plain CSV string Gemini can read directly in its context —
 // no base64 or Python needed. ~6-10k tokens for a 250-row tweet dataset.
+// Rows stop being added once the text is longer than maxChars.
 
 const SLIM_PATTERNS = [
   /^text$/i,
@@ -218,11 +767,11 @@ const SLIM_PATTERNS = [
   /^engagement$/i,            // computed column added by enrichWithEngagement
 ];
 
-export const buildSlimCsv = (rows, headers) => {
-  if (!rows.length || !headers.length) return '';
+export const buildSlimCsv = async (table, { maxChars = Infinity, checkpoint } = {}) => {
+  if (!table.rowCount || !table.headers.length) return '';
 
   // Pick columns that match any slim pattern, preserving header order
-  const slimHeaders = headers.filter((h) => SLIM_PATTERNS.some((re) => re.test(h)));
+  const slimHeaders = table.headers.filter((h) => SLIM_PATTERNS.some((re) => re.test(h)));
   if (!slimHeaders.length) return '';
 
   const escapeCell = (v) => {
@@ -232,20 +781,25 @@ export const buildSlimCsv = (rows, headers) => {
       : s;
   };
 
-  const lines = [
-    slimHeaders.join(','),
-    ...rows.map((r) => slimHeaders.map((h) => escapeCell(r[h])).join(',')),
-  ];
+  const columns = slimHeaders.map((h) => table.columns[h]);
+  const lines = [slimHeaders.join(',')];
+  let length = lines[0].length;
+  await eachRow(table, (i) => {
+    if (length > maxChars) return false;
+    const line = columns.map((c) => escapeCell(cellAt(c, i))).join(',');
+    lines.push(line);
+    length += line.length + 1;
+  }, checkpoint);
   return lines.join('\n');
 };
 
-// ── Enrich rows with computed engagement column ───────────────────────────────
-// Adds engagement = Favorite Count / View Count to every row.
-// Returns { rows: enrichedRows, headers: updatedHeaders }.
-// Safe to call even if the columns aren't present (skips gracefully).
+// ── Enrich with a computed engagement column ──────────────────────────────────
+// Adds engagement = Favorite Count / View Count to every row and returns the new table.
+// Safe to call even if the columns aren't present (returns the table unchanged).
 
-export const enrichWithEngagement = (rows, headers) => {
-  if (!rows.length) return { rows, headers };
+export const enrichWithEngagement = (table) => {
+  const { headers, rowCount } = table;
+  if (!rowCount) return table;
 
   // Auto-detect favorite and view columns
   const favCol =
@@ -255,57 +809,76 @@ export const enrichWithEngagement = (rows, headers) => {
     headers.find((h) => /view.?count/i.test(h)) ||
     headers.find((h) => /^views?$/i.test(h));
 
-  if (!favCol || !viewCol) return { rows, headers };
-  if (headers.includes('engagement')) return { rows, headers }; // already added
+  if (!favCol || !viewCol) return table;
+  if (headers.includes('engagement')) return table; // already added
 
-  const enriched = rows.map((r) => {
-    const fav  = parseFloat(r[favCol]);
-    const view = parseFloat(r[viewCol]);
-    const eng  = !isNaN(fav) && !isNaN(view) && view > 0
-      ? +(fav / view).toFixed(6)
-      : null;
-    return { ...r, engagement: eng };
+  const favs = table.columns[favCol];
+  const views = table.columns[viewCol];
+  const engagement = makeColumn('number', rowCount, (i) => {
+    const fav  = numberAt(favs, i);
+    const view = numberAt(views, i);
+    return !isNaN(fav) && !isNaN(view) && view > 0 ? +(fav / view).toFixed(6) : null;
   });
-
-  return { rows: enriched, headers: [...headers, 'engagement'] };
+  return withColumn(table, 'engagement', engagement);
 };
 
 // ── Dataset summary (auto-computed when CSV is loaded) ───────────────────────
 // Returns a compact markdown string describing every column so Gemini always
 // has exact column names, types, and value distributions in its context.
 
-export const computeDatasetSummary = (rows, headers) => {
-  if (!rows.length || !headers.length) return '';
+export const computeDatasetSummary = async (table, checkpoint) => {
+  const { headers, rowCount } = table;
+  if (!rowCount || !headers.length) return '';
 
-  const lines = [`**Dataset: ${rows.length} rows × ${headers.length} columns**\n`];
+  const lines = [`**Dataset: ${rowCount} rows × ${headers.length} columns**\n`];
   const numericCols = [];
   const categoricalCols = [];
 
-  headers.forEach((h) => {
-    const vals = rows.map((r) => r[h]).filter((v) => v !== '' && v !== undefined && v !== null);
-    const numVals = vals.map((v) => parseFloat(v)).filter((v) => !isNaN(v));
-    const numericRatio = numVals.length / (vals.length || 1);
-
-    if (numericRatio >= 0.8 && numVals.length > 0) {
-      const mean = numVals.reduce((a, b) => a + b, 0) / numVals.length;
-      numericCols.push({
-        name: h,
-        count: numVals.length,
-        mean: +mean.toFixed(2),
-        min: Math.min(...numVals),
-        max: Math.max(...numVals),
+  for (const h of headers) {
+    const column = table.columns[h];
+    let present = 0;
+    let numeric = 0;
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    const addNumber = (x, times) => {
+      numeric += times;
+      sum += x * times;
+      if (x < min) min = x;
+      if (x > max) max = x;
+    };
+    // Numbers are read straight from the column; anything else is counted per
+    // distinct value first, and the values that parse as numbers added from those
+    const counts = new Map();
+    if (column.type === 'number') {
+      await eachRow(table, (i) => {
+        const v = column.values[i];
+        if (!Number.isNaN(v)) addNumber(v, 1);
+      }, checkpoint);
+      present = numeric;
+    } else {
+      await eachRow(table, (i) => {
+        const v = cellAt(column, i);
+        if (v !== '' && v !== null) counts.set(v, (counts.get(v) || 0) + 1);
+      }, checkpoint);
+      counts.forEach((n, v) => {
+        present += n;
+        const x = parseFloat(v);
+        if (!isNaN(x)) addNumber(x, n);
       });
+    }
+
+    if (numeric / (present || 1) >= 0.8 && numeric > 0) {
+      numericCols.push({ name: h, count: numeric, mean: +(sum / numeric).toFixed(2), min, max });
     } else {
-      const counts = {};
-      vals.forEach((v) => { counts[v] = (counts[v] || 0) + 1; });
-      const top = Object.entries(counts)
+      const top = [...counts]
         .sort((a, b) => b[1] - a[1])
         .slice(0, 5)
         .map(([v, n]) => `${v} (${n})`)
         .join(', ');
-      categoricalCols.push({ name: h, unique: Object.keys(counts).length, top });
+      categoricalCols.push({ name: h, unique: counts.size, top });
     }
-  });
+  }
 
   if (numericCols.length) {
     lines.push('**Numeric columns** (exact names — use these verbatim in tool calls):');
@@ -324,60 +897,52 @@ export const computeDatasetSummary = (rows, headers) => {
   return lines.join('\n');
 };
 
-const getApi = () => (typeof process !== 'undefined' && process.env?.REACT_APP_API_URL) || '';
-
-// ── Client-side tool executor ─────────────────────────────────────────────────
-// userImages: optional array of { data, mimeType } from the current message (for generateImage anchor)
-export const executeTool = async (toolName, args, rows, userImages = []) => {
-  const availableHeaders = rows.length ? Object.keys(rows[0]) : [];
+// ── Dataset tool executor ─────────────────────────────────────────────────────
+// Runs in the dataset worker over a columnar table (columnar.js).
+// options.checkpoint — as for eachRow: progress and cancellation between slices
+export const executeTool = async (toolName, args, table, { checkpoint } = {}) => {
+  const availableHeaders = table.headers;
+  const columnOf = (h) => table.columns[h];
   console.group(`[CSV Tool] ${toolName}`);
   console.log('args:', args);
-  console.log('rows loaded:', rows.length);
+  console.log('rows loaded:', table.rowCount);
   console.log('available headers:', availableHeaders);
   console.groupEnd();
 
   switch (toolName) {
     case 'compute_column_stats': {
-      const col = resolveCol(rows, args.column);
+      const col = resolveCol(table, args.column);
       console.log(`[compute_column_stats] resolved column: "${args.column}" → "${col}"`);
-      const vals = numericValues(rows, col);
+      const vals = await numericValues(table, col, checkpoint);
       if (!vals.length)
         return { error: `No numeric values found in column "${col}". Available columns: ${availableHeaders.join(', ')}` };
-      const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
-      const sorted = [...vals].sort((a, b) => a - b);
-      const variance = vals.reduce((a, b) => a + (b - mean) ** 2, 0) / vals.length;
-      return {
-        column: col,
-        count: vals.length,
-        mean: fmt(mean),
-        median: fmt(median(sorted)),
-        std: fmt(Math.sqrt(variance)),
-        min: Math.min(...vals),
-        max: Math.max(...vals),
-      };
+      return describe(col, vals);
     }
 
     case 'get_value_counts': {
-      const col = resolveCol(rows, args.column);
+      const col = resolveCol(table, args.column);
       console.log(`[get_value_counts] resolved column: "${args.column}" → "${col}"`);
       const topN = args.top_n || 10;
-      const counts = {};
-      rows.forEach((r) => {
-        const v = r[col];
-        if (v !== undefined && v !== '') counts[v] = (counts[v] || 0) + 1;
-      });
-      const sorted = Object.entries(counts)
+      const column = columnOf(col);
+      const counts = new Map();
+      if (column) {
+        await eachRow(table, (i) => {
+          const v = cellAt(column, i);
+          if (v !== null && v !== '') counts.set(v, (counts.get(v) || 0) + 1);
+        }, checkpoint);
+      }
+      const sorted = [...counts]
         .sort((a, b) => b[1] - a[1])
         .slice(0, topN);
       return {
         column: col,
-        total_rows: rows.length,
+        total_rows: table.rowCount,
         value_counts: Object.fromEntries(sorted),
       };
     }
 
     case 'get_top_tweets': {
-      const sortCol = resolveCol(rows, args.sort_column) || args.sort_column;
+      const sortCol = resolveCol(table, args.sort_column) || args.sort_column;
       console.log(`[get_top_tweets] sort="${sortCol}" n=${args.n} asc=${args.ascending}`);
       const n   = args.n || 10;
       const asc = args.ascending ?? false;
@@ -392,19 +957,27 @@ export const executeTool = async (toolName, args, rows, userImages = []) => {
       const viewCol = availableHeaders.find((h) => /view.?count/i.test(h));
       const engCol  = availableHeaders.includes('engagement') ? 'engagement' : null;
 
-      const sorted = [...rows].sort((a, b) => {
-        const av = parseFloat(a[sortCol]);
-        const bv = parseFloat(b[sortCol]);
-        if (!isNaN(av) && !isNaN(bv)) return asc ? av - bv : bv - av;
-        return 0;
-      });
+      // Keep the n best rows in one pass instead of sorting them all
+      const column = columnOf(sortCol);
+      const better = (a, b) => (asc ? a < b : a > b);
+      const top = []; // { i, v }, best first
+      if (column) {
+        await eachRow(table, (i) => {
+          const v = numberAt(column, i);
+          if (Number.isNaN(v) || (top.length === n && !better(v, top[n - 1].v))) return;
+          let at = top.length;
+          while (at > 0 && better(v, top[at - 1].v)) at--;
+          top.splice(at, 0, { i, v });
+          if (top.length > n) top.pop();
+        }, checkpoint);
+      }
 
-      const topRows = sorted.slice(0, n).map((r, i) => {
-        const out = { rank: i + 1 };
-        if (textCol) out.text = String(r[textCol] || '').slice(0, 150);
-        if (favCol)  out[favCol]  = r[favCol];
-        if (viewCol) out[viewCol] = r[viewCol];
-        if (engCol)  out.engagement = r.engagement;
+      const topRows = top.map(({ i }, rank) => {
+        const out = { rank: rank + 1 };
+        if (textCol) out.text = String(cellAt(columnOf(textCol), i) || '').slice(0, 150);
+        if (favCol)  out[favCol]  = cellAt(columnOf(favCol), i);
+        if (viewCol) out[viewCol] = cellAt(columnOf(viewCol), i);
+        if (engCol)  out.engagement = cellAt(columnOf(engCol), i);
         return out;
       });
 
@@ -419,39 +992,43 @@ export const executeTool = async (toolName, args, rows, userImages = []) => {
       };
     }
 
+    case 'query_rows':
+      return queryRows(table, args, checkpoint);
+
+    case 'compute_correlation':
+      return correlate(table, args, checkpoint);
+
+    case 'fit_regression':
+      return fitRegression(table, args, checkpoint);
+
     case 'compute_stats_json': {
-      const col = resolveCol(rows, args.column);
-      const vals = numericValues(rows, col);
+      const col = resolveCol(table, args.column);
+      const vals = await numericValues(table, col, checkpoint);
       if (!vals.length)
         return { error: `No numeric values in "${col}". Available: ${availableHeaders.join(', ')}` };
-      const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
-      const sorted = [...vals].sort((a, b) => a - b);
-      const variance = vals.reduce((a, b) => a + (b - mean) ** 2, 0) / vals.length;
-      return {
-        column: col,
-        count: vals.length,
-        mean: fmt(mean),
-        median: fmt(median(sorted)),
-        std: fmt(Math.sqrt(variance)),
-        min: Math.min(...vals),
-        max: Math.max(...vals),
-      };
+      return describe(col, vals);
     }
 
     case 'plot_metric_vs_time': {
-      const metric = resolveCol(rows, args.metric) || args.metric;
+      const metric = resolveCol(table, args.metric) || args.metric;
       // Prefer published_at (ISO) for proper time ordering; fallback to release_date
       const dateCol = availableHeaders.find((h) => /^published_at$/i.test(h))
         || availableHeaders.find((h) => /release_date|date|published/i.test(h))
         || 'published_at';
-      const chartData = rows
-        .map((r) => ({
-          date: r[dateCol] || r.published_at || r.release_date || '',
-          value: parseFloat(r[metric]),
-          name: (r.title || r.name || '').slice(0, 30),
-        }))
-        .filter((d) => !isNaN(d.value) && d.date)
-        .sort((a, b) => new Date(a.date) - new Date(b.date));
+      const dateColumns = [dateCol, 'published_at', 'release_date'].map(columnOf).filter(Boolean);
+      const nameColumns = ['title', 'name'].map(columnOf).filter(Boolean);
+      const metricColumn = columnOf(metric);
+      const chartData = [];
+      if (metricColumn) {
+        await eachRow(table, (i) => {
+          const value = numberAt(metricColumn, i);
+          const date = dateColumns.map((c) => cellAt(c, i)).find(Boolean) || '';
+          if (isNaN(value) || !date) return;
+          const name = String(nameColumns.map((c) => cellAt(c, i)).find(Boolean) || '').slice(0, 30);
+          chartData.push({ date, value, name });
+        }, checkpoint);
+      }
+      chartData.sort((a, b) => new Date(a.date) - new Date(b.date));
       if (!chartData.length)
         return { error: `No valid data for ${metric} vs time. Check field names.` };
       return {
@@ -463,9 +1040,18 @@ export const executeTool = async (toolName, args, rows, userImages = []) => {
 
     case 'play_video': {
       const sel = String(args.selector || '').toLowerCase().trim();
-      let video = null;
+      const count = table.rowCount;
       const hasUrl = (r) => r.video_url || r.url;
-      const getViews = (r) => parseFloat(r.view_count || r.views || 0) || 0;
+      const viewColumns = ['view_count', 'views'].map(columnOf).filter(Boolean);
+      const getViews = (i) => viewColumns.map((c) => numberAt(c, i)).find((v) => v) || 0;
+      // The row whose views beat every other's by `wins` (the first one on ties)
+      const byViews = async (wins) => {
+        let best = -1;
+        await eachRow(table, (i) => {
+          if (best < 0 || wins(getViews(i), getViews(best))) best = i;
+        }, checkpoint);
+        return best;
+      };
       // Ordinal mapping: first/1, second/2/2nd, third/3/3rd, fourth/4, fifth/5, etc.
       const ORDINALS = {
         first: 1, 1: 1, second: 2, 2: 2, '2nd': 2, third: 3, 3: 3, '3rd': 3,
@@ -473,19 +1059,25 @@ export const executeTool = async (toolName, args, rows, userImages = []) => {
         seventh: 7, 7: 7, eighth: 8, 8: 8, ninth: 9, 9: 9, tenth: 10, 10: 10,
       };
       const ordinalIdx = ORDINALS[sel] ?? (parseInt(sel, 10) >= 1 ? parseInt(sel, 10) : null);
-      if (ordinalIdx != null && ordinalIdx >= 1 && ordinalIdx <= rows.length) {
-        video = rows[ordinalIdx - 1];
+      let index = -1;
+      if (ordinalIdx != null && ordinalIdx >= 1 && ordinalIdx <= count) {
+        index = ordinalIdx - 1;
       } else if (sel === 'first' || sel === '1') {
-        video = rows[0];
+        index = 0;
       } else if (sel === 'last' || sel === 'most recent') {
-        video = rows[rows.length - 1];
+        index = count - 1;
       } else if (sel === 'most viewed' || sel === 'most views') {
-        video = [...rows].sort((a, b) => getViews(b) - getViews(a))[0];
+        index = await byViews((a, b) => a > b);
       } else if (sel === 'least viewed') {
-        video = [...rows].sort((a, b) => getViews(a) - getViews(b))[0];
-      } else {
-        video = rows.find((r) => (r.title || '').toLowerCase().includes(sel));
+        index = await byViews((a, b) => a < b);
+      } else if (columnOf('title')) {
+        await eachRow(table, (i) => {
+          if (!String(cellAt(columnOf('title'), i)).toLowerCase().includes(sel)) return;
+          index = i;
+          return false;
+        }, checkpoint);
       }
+      const video = index >= 0 && index < count ? rowAt(table, index) : null;
       if (!video || !hasUrl(video))
         return { error: `Video not found for "${args.selector}". Try "first", "second", "third", "most viewed", or a title keyword.` };
       return {
@@ -496,26 +1088,6 @@ export const executeTool = async (toolName, args, rows, userImages = []) => {
       };
     }
 
-    case 'generateImage': {
-      try {
-        // Use user's image as anchor if they attached one (AI can't pass base64 in function args)
-        const anchorBase64 = args.anchorImageBase64 || userImages[0]?.data || null;
-        const res = await fetch(`${getApi()}/api/generate-image`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            prompt: args.prompt,
-            anchorImageBase64: anchorBase64,
-          }),
-        });
-        const data = await res.json();
-        if (!res.ok) throw new Error(data.error || 'Image generation failed');
-        return { _generatedImage: true, data: data.imageBase64, mimeType: data.mimeType || 'image/png' };
-      } catch (err) {
-        return { error: err.message || 'Image generation failed' };
-      }
-    }
-
     default:
       return { error: `Unknown tool: ${toolName}` };
   }
@@ -0,0 +1,153 @@
+/**
+ * @jest-environment node
+ */
+import { executeTool } from './csvTools';
+import { fromRows } from './columnar';
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'group').mockImplementation(() => {});
+  jest.spyOn(console, 'groupEnd').mockImplementation(() => {});
+});
+
+const TWEETS = [
+  ['Launch day!', 'tweet', 'en', 1000, 50, '2026-01-01'],
+  ['@ana thanks', 'reply', 'en', 200, 20, '2026-01-02'],
+  ['Hola | adiós', 'tweet', 'es', 400, 8, '2026-01-03'],
+  ['@ben gracias', 'reply', 'es', 100, 4, '2026-01-04'],
+  ['Recap\nthread', 'tweet', 'en', 3000, 90, '2026-01-05'],
+  ['@cy ok', 'reply', 'en', null, 3, '2026-01-06'],
+];
+
+const table = fromRows({
+  headers: ['Text', 'Type', 'Language', 'View Count', 'Favorite Count', 'Created At'],
+  types: { Text: 'string', Type: 'string', Language: 'string', 'View Count': 'number', 'Favorite Count': 'number', 'Created At': 'date' },
+  rows: TWEETS.map(([Text, Type, Language, views, likes, created]) => ({
+    Text, Type, Language, 'View Count': views, 'Favorite Count': likes, 'Created At': created,
+  })),
+});
+
+const query = (args) => executeTool('query_rows', args, table);
+
+test('groups, aggregates and sorts by the first aggregation', async () => {
+  const result = await query({
+    group_by: ['language', 'type'],
+    aggregations: [{ op: 'mean', column: 'favorite count' }, { op: 'count' }],
+  });
+  expect(result.columns).toEqual(['Language', 'Type', 'mean(Favorite Count)', 'count']);
+  expect(result.rows).toEqual([
+    ['en', 'tweet', 70, 2],
+    ['en', 'reply', 11.5, 2],
+    ['es', 'tweet', 8, 1],
+    ['es', 'reply', 4, 1],
+  ]);
+  expect(result).toMatchObject({ _table: true, matched_rows: 6, result_rows: 4, truncated: false });
+  expect(result.markdown.split('\n').slice(0, 3)).toEqual([
+    '| Language | Type | mean(Favorite Count) | count |',
+    '| --- | --- | --- | --- |',
+    '| en | tweet | 70 | 2 |',
+  ]);
+});
+
+test('filters combine with AND; numbers compare as numbers and text ignores case', async () => {
+  const result = await query({
+    filters: [
+      { column: 'View Count', op: '>=', value: '200' },
+      { column: 'Type', op: '=', value: 'TWEET' },
+      { column: 'Created At', op: '<', value: '2026-01-05' },
+    ],
+    columns: ['Text', 'View Count'],
+  });
+  expect(result.rows).toEqual([['Launch day!', 1000], ['Hola | adiós', 400]]);
+  expect(result.markdown).toContain('| Hola \\| adiós | 400 |');
+
+  const replies = await query({ filters: [{ column: 'Text', op: 'contains', value: '@' }, { column: 'View Count', op: 'is_empty' }] });
+  expect(replies.rows).toHaveLength(1);
+  expect((await query({ filters: [{ column: 'Language', op: 'not_in', values: ['EN'] }] })).matched_rows).toBe(2);
+});
+
+test('aggregates over all matching rows without group_by, skipping empty cells', async () => {
+  const result = await query({
+    aggregations: [
+      { op: 'sum', column: 'View Count' },
+      { op: 'median', column: 'View Count' },
+      { op: 'percentile', column: 'View Count', percentile: 90 },
+      { op: 'count', column: 'View Count' },
+      { op: 'max', column: 'Favorite Count' },
+    ],
+  });
+  expect(result.columns).toEqual(['sum(View Count)', 'median(View Count)', 'p90(View Count)', 'count(View Count)', 'max(Favorite Count)']);
+  expect(result.rows).toEqual([[4700, 400, 2200, 5, 90]]);
+
+  const none = await query({ filters: [{ column: 'Language', op: '=', value: 'fr' }], aggregations: [{ op: 'mean', column: 'View Count' }] });
+  expect(none.rows).toEqual([[null]]);
+});
+
+test('listed rows are sorted with empty cells last and limited', async () => {
+  const result = await query({ columns: ['Text', 'View Count'], sort: [{ column: 'view count' }], limit: 4 });
+  expect(result.rows.map((r) => r[1])).toEqual([100, 200, 400, 1000]);
+  expect(result).toMatchObject({ matched_rows: 6, result_rows: 6, truncated: true });
+  const last = await query({ columns: ['View Count'], sort: [{ column: 'View Count', descending: true }] });
+  expect(last.rows.at(-1)).toEqual([null]);
+  const recap = await query({ filters: [{ column: 'Text', op: 'contains', value: 'recap' }], columns: ['Text'] });
+  expect(recap.rows).toEqual([['Recap\nthread']]);
+  expect(recap.markdown).toContain('| Recap thread |');
+});
+
+test('mistakes in the spec come back as errors the model can read', async () => {
+  expect(await query({ group_by: ['Country'] })).toEqual({
+    error: 'Unknown column "Country". Available: Text, Type, Language, View Count, Favorite Count, Created At',
+  });
+  expect((await query({ filters: [{ column: 'Type', op: 'like', value: 'x' }] })).error).toMatch(/^Unknown filter operator "like"/);
+  expect((await query({ filters: [{ column: 'View Count', op: '>', value: 'lots' }] })).error).toBe('"View Count" is numeric; "lots" is not a number');
+  expect((await query({ aggregations: [{ op: 'percentile', column: 'View Count', percentile: 120 }] })).error).toMatch(/0 to 100/);
+  expect((await query({ group_by: ['Type'], sort: [{ column: 'Text' }] })).error).toBe(`Can't sort by "Text": the result has "Type", "count"`);
+});
+
+test('correlation matrices use the rows where every column has a number', async () => {
+  const pearson = await executeTool('compute_correlation', { columns: ['view count', 'Favorite Count'] }, table);
+  expect(pearson).toMatchObject({ method: 'pearson', columns: ['View Count', 'Favorite Count'], rows_used: 5 });
+  expect(pearson.matrix).toEqual({
+    'View Count': { 'View Count': 1, 'Favorite Count': 0.9595 },
+    'Favorite Count': { 'View Count': 0.9595, 'Favorite Count': 1 },
+  });
+  const spearman = await executeTool('compute_correlation', { method: 'spearman' }, table);
+  expect(spearman.columns).toEqual(['View Count', 'Favorite Count']);
+  expect(spearman.matrix['View Count']['Favorite Count']).toBe(0.9);
+  expect((await executeTool('compute_correlation', { columns: ['View Count'] }, table)).error).toMatch(/at least two/);
+});
+
+test('a one-predictor regression comes with a scatter chart and its fitted line', async () => {
+  const fit = await executeTool('fit_regression', { y: 'Favorite Count', x: ['View Count'] }, table);
+  expect(fit).toMatchObject({
+    _chartType: 'regression',
+    y: 'Favorite Count',
+    x: ['View Count'],
+    rows_used: 5,
+    intercept: 7.47238,
+    coefficients: { 'View Count': 0.0286464 },
+    r_squared: 0.9206,
+    adjusted_r_squared: 0.8941,
+    residuals: { min: -10.9309, q1: -6.33702, median: -3.4116, q3: 6.79834, max: 13.8812, standard_error: 11.6931 },
+    metricColumn: 'Favorite Count',
+    xColumn: 'View Count',
+  });
+  expect(fit.data).toHaveLength(5);
+  expect(fit.data[0]).toEqual({ x: 1000, y: 50 });
+  expect(fit.line.map((p) => p.x)).toEqual([100, 3000]);
+});
+
+test('several predictors are fitted together; collinear ones are an error', async () => {
+  const xs = [[1, 2], [2, 1], [3, 5], [4, 3], [5, 8], [6, 2]];
+  const exact = fromRows({
+    headers: ['a', 'b', 'c', 'y'],
+    types: { a: 'number', b: 'number', c: 'number', y: 'number' },
+    rows: xs.map(([a, b]) => ({ a, b, c: 2 * a, y: 3 + 2 * a - b })),
+  });
+  const fit = await executeTool('fit_regression', { y: 'y', x: ['a', 'b'] }, exact);
+  expect(fit._chartType).toBeUndefined();
+  expect(fit).toMatchObject({ intercept: 3, coefficients: { a: 2, b: -1 }, r_squared: 1 });
+  expect((await executeTool('fit_regression', { y: 'y', x: ['a', 'c'] }, exact)).error).toMatch(/collinear/);
+  expect((await executeTool('fit_regression', { y: 'y', x: ['y'] }, exact)).error).toMatch(/both y and a predictor/);
+  expect((await executeTool('fit_regression', { y: 'y', x: ['d'] }, exact)).error).toMatch(/^Unknown column "d"/);
+});
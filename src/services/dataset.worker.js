@@ -0,0 +1,7 @@
+/* eslint-env worker */
+// The dataset worker's entry point; the work is in datasetEngine.js
+import { createEngine } from './datasetEngine';
+
+const handle = createEngine((message, transfer) => postMessage(message, transfer));
+
+onmessage = (e) => handle(e.data);
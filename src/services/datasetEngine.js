@@ -0,0 +1,191 @@
+// Dataset worker: reads data files into columnar tables and runs the dataset
+// tools over them, off the page's main thread
+//
+// createEngine(post) → handle(message); post(message, transfer) sends a reply
+// to the page (protocol in datasetProtocol.js). The engine keeps no tables:
+// a RUN brings its table along and the reply hands it back, so the page owns
+// every dataset.
+//
+// Long jobs pause at checkpoints — every chunk of a file being read, every
+// slice of rows a tool scans — to report progress and let a CANCEL through.
+
+import { MESSAGES } from './datasetProtocol';
+import { createCsvParser, detectDelimiter, stripBom, uniqueHeaders, toCsvLine } from './csvParse';
+import { detectFormat, readDataFile, readRecords } from './fileIngest';
+import { fromRows, fromTextColumns, rowAt, transferList } from './columnar';
+import { executeTool, enrichWithEngagement, computeDatasetSummary, buildSlimCsv } from './csvTools';
+
+// Characters of the file Python gets (as base64), and of the slim CSV the prompt gets
+const PYTHON_CSV_CHARS = 500000;
+const SLIM_CSV_CHARS = 50000;
+// Text buffered before the delimiter is detected — more than detectDelimiter()
+// samples, so it can tell its sample was cut short
+const DETECT_CHARS = 128 * 1024;
+// Time between checkpoints that hand control back to the message loop (ms)
+const YIELD_MS = 50;
+
+class Cancelled extends Error {
+  constructor() {
+    super('Cancelled');
+  }
+}
+
+// Encode a string to base64 safely (handles unicode/emoji in tweet text etc.)
+const toBase64 = (str) => {
+  const bytes = new TextEncoder().encode(str);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+};
+
+// ── Reading files ─────────────────────────────────────────────────────────────
+
+// A CSV or TSV file, read as a stream → { table, head, delimiter }. Cells are
+// kept per column as text until the end, when each column is typed; `head` is
+// the start of the file's text, as much as Python can be sent.
+async function readCsvStream(file, { delimiter }, checkpoint) {
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder();
+  let sep = delimiter;
+  let parser = null;
+  let pending = '';
+  let head = '';
+  let headers = null;
+  let cells = [];
+
+  const onRecord = (fields) => {
+    if (!headers) {
+      headers = uniqueHeaders(fields);
+      cells = headers.map(() => []);
+      return;
+    }
+    cells.forEach((column, i) => column.push(fields[i] ?? ''));
+  };
+  const feed = (text, last) => {
+    if (head.length <= PYTHON_CSV_CHARS) head += text.slice(0, PYTHON_CSV_CHARS + 1 - head.length);
+    if (!parser) {
+      pending += text;
+      if (pending.length < DETECT_CHARS && !last) return;
+      sep = sep || detectDelimiter(stripBom(pending));
+      parser = createCsvParser({ delimiter: sep, onRecord });
+      text = pending;
+      pending = '';
+    }
+    parser.write(text);
+  };
+
+  let loaded = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      loaded += value.byteLength;
+      feed(decoder.decode(value, { stream: true }), false);
+      await checkpoint(loaded, file.size);
+    }
+  } catch (err) {
+    reader.cancel().catch(() => {});
+    throw err;
+  }
+  feed(decoder.decode(), true);
+  parser.end();
+  return { table: fromTextColumns(headers || [], cells), head: stripBom(head), delimiter: sep };
+}
+
+// The start of a table as CSV text: whole rows until it is longer than maxChars
+const csvText = (table, maxChars) => {
+  const lines = [toCsvLine(table.headers)];
+  let length = lines[0].length;
+  for (let i = 0; i < table.rowCount && length <= maxChars; i++) {
+    const row = rowAt(table, i);
+    lines.push(toCsvLine(table.headers.map((h) => row[h])));
+    length += lines[lines.length - 1].length + 2;
+  }
+  return lines.join('\r\n');
+};
+
+// A data file → { table, profile }: the table with the engagement column added,
+// and what the page needs for the attachment chip and the prompt
+async function load(file, { sheet }, checkpoint) {
+  const format = detectFormat(file);
+  let read;
+  if (format === 'csv' || format === 'tsv') {
+    read = await readCsvStream(file, { delimiter: format === 'tsv' ? '\t' : undefined }, checkpoint);
+  } else {
+    // Workbooks, JSON Lines and Parquet are read whole
+    await checkpoint(0, file.size);
+    const data = await readDataFile(file, { sheet });
+    await checkpoint(file.size, file.size);
+    read = { table: fromRows(data), head: null, delimiter: ',', sheets: data.sheets, sheet: data.sheet };
+  }
+
+  const { table, head, delimiter, sheets, sheet: chosen } = read;
+  const enriched = enrichWithEngagement(table);
+  // Files that aren't CSV/TSV reach Python as CSV written from their rows
+  const body = head ?? csvText(table, PYTHON_CSV_CHARS);
+  return {
+    table: enriched,
+    profile: {
+      format,
+      sheets,
+      sheet: chosen,
+      fileHeaders: table.headers,
+      delimiter,
+      summary: await computeDatasetSummary(enriched, checkpoint),
+      slimCsv: await buildSlimCsv(enriched, { maxChars: SLIM_CSV_CHARS, checkpoint }),
+      base64: toBase64(body.slice(0, PYTHON_CSV_CHARS)),
+      truncated: body.length > PYTHON_CSV_CHARS,
+    },
+  };
+}
+
+// ── Message handling ──────────────────────────────────────────────────────────
+
+const JOBS = {
+  [MESSAGES.LOAD]: ({ file, sheet }, checkpoint) => load(file, { sheet }, checkpoint),
+  [MESSAGES.LOAD_RECORDS]: async ({ records }) => ({ table: fromRows(readRecords(records)) }),
+  [MESSAGES.RUN]: async ({ table, tool, args }, checkpoint) => ({
+    table,
+    result: await executeTool(tool, args, table, { checkpoint }),
+  }),
+};
+
+export function createEngine(post) {
+  const active = new Set();
+  const cancelled = new Set();
+  let lastYield = Date.now();
+
+  // Stop if the job was cancelled; now and then, report progress and let waiting messages (a CANCEL) in
+  const checkpointFor = (job) => async (done, total) => {
+    if (cancelled.has(job)) throw new Cancelled();
+    if (Date.now() - lastYield < YIELD_MS) return;
+    post({ type: MESSAGES.PROGRESS, job, done, total });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    lastYield = Date.now();
+    if (cancelled.has(job)) throw new Cancelled();
+  };
+
+  return async (message) => {
+    const { type, job } = message;
+    if (type === MESSAGES.CANCEL) {
+      if (active.has(job)) cancelled.add(job);
+      return;
+    }
+    active.add(job);
+    try {
+      if (!JOBS[type]) throw new Error(`Unknown dataset job: ${type}`);
+      const reply = await JOBS[type](message, checkpointFor(job));
+      post({ type: MESSAGES.DONE, job, ...reply }, transferList(reply.table));
+    } catch (err) {
+      // A lent table goes back whatever happened
+      const { table } = message;
+      post(
+        { type: MESSAGES.FAILED, job, table, message: err.message, cancelled: err instanceof Cancelled },
+        table ? transferList(table) : []
+      );
+    } finally {
+      active.delete(job);
+      cancelled.delete(job);
+    }
+  };
+}
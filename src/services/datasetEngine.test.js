@@ -0,0 +1,79 @@
+/**
+ * @jest-environment node
+ */
+import { createEngine } from './datasetEngine';
+import { MESSAGES } from './datasetProtocol';
+import { rowAt } from './columnar';
+import { Blob } from 'buffer';
+
+// What the worker needs of a File: its name, type, size and a stream of its bytes
+const file = (name, text, type = '') => {
+  const blob = new Blob([text]);
+  return { name, type, size: blob.size, stream: () => blob.stream() };
+};
+
+// An engine whose replies are collected instead of posted to a page
+const engine = () => {
+  const replies = [];
+  const handle = createEngine((message) => replies.push(message));
+  return { handle, replies, last: () => replies[replies.length - 1] };
+};
+
+// Big enough that spreading a column into Math.min() would overflow the stack
+const ROWS = 300000;
+const bigCsv = () => {
+  const lines = ['ID,Text,View Count,Favorite Count'];
+  for (let i = 0; i < ROWS; i++) lines.push(`2024205851431${490005 + i},"post ${i}, again",${i + 1},${i % 7}`);
+  return file('tweets.csv', lines.join('\r\n'), 'text/csv');
+};
+
+let big;
+beforeAll(async () => {
+  const { handle, replies, last } = engine();
+  await handle({ type: MESSAGES.LOAD, job: 1, file: bigCsv() });
+  big = { reply: last(), progress: replies.filter((r) => r.type === MESSAGES.PROGRESS) };
+}, 60000);
+
+test('a large CSV streams into a table with its profile', () => {
+  const { type, table, profile } = big.reply;
+  expect(type).toBe(MESSAGES.DONE);
+  expect(table.rowCount).toBe(ROWS);
+  expect(table.headers).toEqual(['ID', 'Text', 'View Count', 'Favorite Count', 'engagement']);
+  expect(rowAt(table, 1)).toMatchObject({ ID: '2024205851431490006', Text: 'post 1, again', 'View Count': 2 });
+  expect(profile).toMatchObject({ format: 'csv', delimiter: ',', truncated: true });
+  expect(profile.fileHeaders).toHaveLength(4);
+  expect(profile.summary).toContain(`"View Count": mean=150000.5, min=1, max=${ROWS}, n=${ROWS}`);
+  expect(profile.slimCsv.length).toBeGreaterThan(50000);
+  expect(profile.slimCsv.length).toBeLessThan(50100);
+  expect(big.progress.length).toBeGreaterThan(0);
+  for (const p of big.progress) expect(p.done).toBeLessThanOrEqual(p.total);
+});
+
+test('tools run on a lent table and hand it back', async () => {
+  const { handle, last } = engine();
+  await handle({ type: MESSAGES.RUN, job: 2, table: big.reply.table, tool: 'compute_column_stats', args: { column: 'view count' } });
+  expect(last()).toMatchObject({ type: MESSAGES.DONE, job: 2 });
+  expect(last().table).toBe(big.reply.table);
+  expect(last().result).toEqual({ column: 'View Count', count: ROWS, mean: 150000.5, median: 150000.5, std: 86602.5404, min: 1, max: ROWS });
+
+  await handle({ type: MESSAGES.RUN, job: 3, table: big.reply.table, tool: 'get_top_tweets', args: { sort_column: 'engagement', n: 2 } });
+  expect(last().result.tweets.map((t) => t.text)).toEqual(['post 6, again', 'post 5, again']);
+});
+
+test('a cancelled job stops and still returns the table', async () => {
+  const { handle, last } = engine();
+  const running = handle({ type: MESSAGES.RUN, job: 4, table: big.reply.table, tool: 'get_value_counts', args: { column: 'Text' } });
+  handle({ type: MESSAGES.CANCEL, job: 4 });
+  await running;
+  expect(last()).toMatchObject({ type: MESSAGES.FAILED, job: 4, cancelled: true });
+  expect(last().table).toBe(big.reply.table);
+});
+
+test('JSON records load as a table; unreadable files fail', async () => {
+  const { handle, last } = engine();
+  await handle({ type: MESSAGES.LOAD_RECORDS, job: 5, records: [{ title: 'A', stats: { views: 3 } }, { title: 'B' }] });
+  expect(last().table.headers).toEqual(['title', 'stats.views']);
+
+  await handle({ type: MESSAGES.LOAD, job: 6, file: file('notes.txt', 'hi') });
+  expect(last()).toMatchObject({ type: MESSAGES.FAILED, job: 6, cancelled: false, message: 'notes.txt is not a CSV, TSV, Excel, JSON Lines or Parquet file' });
+});
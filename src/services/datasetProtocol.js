@@ -0,0 +1,27 @@
+// Messages between the page (datasets.js) and the dataset worker (datasetEngine.js)
+//
+// Every job has a `job` id picked by the page, and the worker's replies carry it.
+// Tables (columnar.js) always travel as transferables.
+//
+// Page → worker
+//   { type: LOAD, job, file, sheet? }               read a data file into a table
+//   { type: LOAD_RECORDS, job, records }            a JSON array into a table
+//   { type: RUN, job, table, tool, args }           run a dataset tool on a table lent by the page
+//   { type: CANCEL, job }                           stop a job at its next checkpoint
+//
+// Worker → page
+//   { type: PROGRESS, job, done, total }            bytes read while loading, rows scanned while running
+//   { type: DONE, job, table, profile?, result? }   the table with a load's profile or a tool's result
+//   { type: FAILED, job, table?, message, cancelled }  a lent table comes back here too
+//
+// profile = { format, sheets?, sheet?, fileHeaders, delimiter, summary, slimCsv, base64, truncated }
+
+export const MESSAGES = {
+  LOAD: 'load',
+  LOAD_RECORDS: 'loadRecords',
+  RUN: 'run',
+  CANCEL: 'cancel',
+  PROGRESS: 'progress',
+  DONE: 'done',
+  FAILED: 'failed',
+};
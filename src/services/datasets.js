@@ -0,0 +1,96 @@
+// The page's side of the dataset worker
+//
+// Files are read and tools run in a Web Worker (datasetEngine.js), so a file
+// with hundreds of thousands of rows never blocks the page. The tables
+// themselves live here, as columnar tables (columnar.js): a tool run lends the
+// table to the worker and gets it back, transferred both ways rather than
+// copied. Runs on the same dataset wait for each other.
+//
+// Every call takes an optional AbortSignal; aborting it cancels the job in
+// the worker, and the promise rejects with an error whose `cancelled` is true.
+
+import { MESSAGES } from './datasetProtocol';
+import { transferList } from './columnar';
+
+let worker = null;
+let nextJob = 1;
+let nextDataset = 1;
+const jobs = new Map();   // job → { resolve, reject, onProgress }
+const tables = new Map(); // dataset id → promise of its table (pending while it is lent out)
+
+const getWorker = () => {
+  if (worker) return worker;
+  worker = new Worker(new URL('./dataset.worker.js', import.meta.url));
+  worker.onmessage = ({ data }) => {
+    const pending = jobs.get(data.job);
+    if (!pending) return;
+    if (data.type === MESSAGES.PROGRESS) {
+      pending.onProgress?.(data.done, data.total);
+      return;
+    }
+    jobs.delete(data.job);
+    if (data.type === MESSAGES.DONE) pending.resolve(data);
+    else pending.reject(Object.assign(new Error(data.message), { cancelled: data.cancelled, table: data.table }));
+  };
+  // The worker itself failed (it didn't load, or ran out of memory): everything in it is gone
+  worker.onerror = (e) => {
+    e.preventDefault();
+    worker.terminate();
+    worker = null;
+    jobs.forEach(({ reject }) => reject(new Error(e.message || 'The dataset worker stopped')));
+    jobs.clear();
+  };
+  return worker;
+};
+
+// Posts a job → promise of its DONE reply
+const start = (message, { transfer = [], onProgress, signal } = {}) => {
+  if (signal?.aborted) {
+    return Promise.reject(Object.assign(new Error('Cancelled'), { cancelled: true, table: message.table }));
+  }
+  return new Promise((resolve, reject) => {
+    const job = nextJob++;
+    const cancel = () => worker?.postMessage({ type: MESSAGES.CANCEL, job });
+    signal?.addEventListener('abort', cancel, { once: true });
+    const settle = (fn) => (value) => {
+      signal?.removeEventListener('abort', cancel);
+      fn(value);
+    };
+    jobs.set(job, { resolve: settle(resolve), reject: settle(reject), onProgress });
+    getWorker().postMessage({ ...message, job }, transfer);
+  });
+};
+
+const keep = (table) => {
+  const id = nextDataset++;
+  tables.set(id, Promise.resolve(table));
+  return id;
+};
+
+// A data file → { id, headers, rowCount, ...profile } (profile: see datasetProtocol.js).
+// onProgress(bytesRead, fileSize) while it is read.
+export async function loadDataset(file, { sheet, onProgress, signal } = {}) {
+  const { table, profile } = await start({ type: MESSAGES.LOAD, file, sheet }, { onProgress, signal });
+  return { id: keep(table), headers: table.headers, rowCount: table.rowCount, ...profile };
+}
+
+// A JSON array (channel videos) → { id, headers, rowCount }
+export async function loadRecords(records, { signal } = {}) {
+  const { table } = await start({ type: MESSAGES.LOAD_RECORDS, records }, { signal });
+  return { id: keep(table), headers: table.headers, rowCount: table.rowCount };
+}
+
+// Runs a dataset tool (csvTools.executeTool) on dataset `id` → its result
+export function runDatasetTool(id, tool, args, { signal } = {}) {
+  const lent = tables.get(id);
+  if (!lent) return Promise.reject(new Error('No dataset is loaded'));
+  const run = lent.then((table) => {
+    if (!table) throw new Error('The dataset was lost; attach the file again');
+    return start({ type: MESSAGES.RUN, table, tool, args }, { transfer: transferList(table), signal });
+  });
+  // The table comes back with the reply either way; the next run waits for it
+  tables.set(id, run.then(({ table }) => table, (err) => err.table));
+  return run.then(({ result }) => result);
+}
+
+export const dropDataset = (id) => tables.delete(id);
@@ -0,0 +1,308 @@
+// Dataset files → the row objects executeTool() works on
+//
+// CSV and TSV go through csvParse; Excel workbooks (.xlsx), JSON Lines and
+// Parquet are read here. Whatever the source, the result has the same shape
+// as parseCsv(): { headers, rows, types } — plus the `format` for the
+// attachment chip and, for workbooks, the sheet names and the sheet read.
+//
+// Values keep their type where the file has one (numbers, booleans); dates
+// become ISO strings ('2026-02-18' or '2026-02-18 14:34:17'), nested JSON
+// objects are flattened to dotted columns (author.name) and arrays kept as
+// JSON text.
+
+import { strFromU8, unzipSync, gunzipSync } from 'fflate';
+import { parseCsv, stripBom, uniqueHeaders, inferType, convertValue } from './csvParse';
+
+export const FORMATS = {
+  csv: { label: 'CSV', extensions: ['.csv'], mimeTypes: ['text/csv'] },
+  tsv: { label: 'TSV', extensions: ['.tsv', '.tab'], mimeTypes: ['text/tab-separated-values'] },
+  xlsx: {
+    label: 'Excel',
+    extensions: ['.xlsx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  },
+  jsonl: { label: 'JSON Lines', extensions: ['.jsonl', '.ndjson'], mimeTypes: ['application/x-ndjson', 'application/jsonl'] },
+  parquet: { label: 'Parquet', extensions: ['.parquet'], mimeTypes: ['application/vnd.apache.parquet'] },
+};
+
+// For <input type="file" accept>
+export const DATA_FILE_ACCEPT = Object.values(FORMATS)
+  .flatMap((f) => [...f.extensions, ...f.mimeTypes])
+  .join(',');
+
+// A File (or { name, type }) → key of FORMATS, or null for anything else
+export function detectFormat({ name = '', type = '' }) {
+  const lower = name.toLowerCase();
+  const found = Object.entries(FORMATS).find(
+    ([, f]) => f.extensions.some((ext) => lower.endsWith(ext)) || f.mimeTypes.includes(type)
+  );
+  return found ? found[0] : null;
+}
+
+// ── Shared value handling ─────────────────────────────────────────────────────
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Date → '2026-02-18', or '2026-02-18 14:34:17' when it has a time of day (UTC)
+const isoDate = (d) => {
+  const day = `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+  const time = `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
+  return time === '00:00:00' ? day : `${day} ${time}`;
+};
+
+// A value from JSON, a workbook or Parquet → number, boolean, string or null
+const plainValue = (v) => {
+  if (v == null) return null;
+  if (typeof v === 'bigint') return Number.isSafeInteger(Number(v)) ? Number(v) : String(v);
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? null : isoDate(v);
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v === 'object') return JSON.stringify(v, (k, x) => (typeof x === 'bigint' ? String(x) : x));
+  return v;
+};
+
+// { a: { b: 1 }, c: [1] } → { 'a.b': 1, c: '[1]' }
+const flatten = (obj, prefix = '', out = {}) => {
+  for (const [key, value] of Object.entries(obj)) {
+    const name = prefix + key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      flatten(value, `${name}.`, out);
+    } else {
+      out[name] = plainValue(value);
+    }
+  }
+  return out;
+};
+
+// Rows of plain values → { headers, rows, types }, typed like parseCsv(): a
+// column is numeric or boolean when every value is; anything else is text,
+// which is then inferred the way CSV cells are (so "12" in JSON still counts)
+export function typeColumns(headers, records) {
+  const types = {};
+  const rows = records.map(() => ({}));
+  for (const h of headers) {
+    const values = records.map((r) => r[h] ?? null);
+    const kinds = new Set(values.filter((v) => v !== null && v !== '').map((v) => typeof v));
+    if (kinds.size === 1 && (kinds.has('number') || kinds.has('boolean'))) {
+      types[h] = kinds.has('number') ? 'number' : 'boolean';
+      values.forEach((v, i) => {
+        rows[i][h] = v === '' ? null : v;
+      });
+    } else {
+      const text = values.map((v) => (v === null ? '' : String(v)));
+      types[h] = inferType(text);
+      text.forEach((v, i) => {
+        rows[i][h] = convertValue(v, types[h]);
+      });
+    }
+  }
+  return { headers, rows, types };
+}
+
+// ── JSON records ──────────────────────────────────────────────────────────────
+
+// Plain objects (a JSON array, JSON Lines, Parquet rows) → { headers, rows, types }.
+// Nested objects are flattened; columns appear in the order first seen. Anything
+// that isn't an object becomes a row with one `value` column.
+export function readRecords(objects) {
+  const seen = new Set();
+  const headers = [];
+  const records = objects.map((value) => {
+    const record = value && typeof value === 'object' && !Array.isArray(value) ? flatten(value) : { value: plainValue(value) };
+    for (const key of Object.keys(record)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        headers.push(key);
+      }
+    }
+    return record;
+  });
+  // An object that is null in some records leaves an empty column next to its fields
+  const isEmptyParent = (h) => headers.some((k) => k.startsWith(`${h}.`)) && records.every((r) => r[h] == null);
+  return typeColumns(headers.filter((h) => !isEmptyParent(h)), records);
+}
+
+// One JSON object per line; blank lines are skipped
+export function parseJsonLines(text) {
+  const objects = [];
+  stripBom(text)
+    .split(/\r?\n/)
+    .forEach((line, i) => {
+      if (!line.trim()) return;
+      let value;
+      try {
+        value = JSON.parse(line);
+      } catch {
+        throw new Error(`line ${i + 1} is not valid JSON`);
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`line ${i + 1} is not a JSON object`);
+      }
+      objects.push(value);
+    });
+  return readRecords(objects);
+}
+
+// ── Excel (.xlsx) ─────────────────────────────────────────────────────────────
+// An .xlsx is a zip of SpreadsheetML parts. Only what a data export needs is
+// read: the sheet list, shared strings, which cell styles are dates, and the
+// cells of one sheet. The XML is scanned with regular expressions rather than
+// a DOM parser so this also runs in a Web Worker.
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const unescapeXml = (s) =>
+  s
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+      if (e[0] !== '#') return XML_ENTITIES[e] ?? m;
+      return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    })
+    // Excel's own escape for control characters, e.g. _x000D_
+    .replace(/_x([0-9A-F]{4})_/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+const attr = (tag, name) => tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+
+// Text of the <t> runs in an <si> or <is>, without phonetic (<rPh>) hints
+const runText = (xml) =>
+  [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map((m) => unescapeXml(m[1])).join('');
+
+// Built-in number formats that show a date or time
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 30, 36, 45, 46, 47, 50, 57]);
+
+// A custom format code shows a date if it has date/time tokens outside quotes and [colour] sections
+const isDateFormat = (code) => /[dmyhs]/i.test(code.replace(/"[^"]*"|\[[^\]]*\]|\\./g, ''));
+
+// styles.xml → Set of the cell style indexes (s="…") that format a date
+function dateStyles(xml) {
+  if (!xml) return new Set();
+  const custom = new Map(
+    [...xml.matchAll(/<numFmt\b[^>]*>/g)].map(([tag]) => [Number(attr(tag, 'numFmtId')), unescapeXml(attr(tag, 'formatCode') || '')])
+  );
+  const cellXfs = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] || '';
+  const styles = new Set();
+  [...cellXfs.matchAll(/<xf\b[^>]*>/g)].forEach(([tag], i) => {
+    const id = Number(attr(tag, 'numFmtId') || 0);
+    if (DATE_FORMAT_IDS.has(id) || (custom.has(id) && isDateFormat(custom.get(id)))) styles.add(i);
+  });
+  return styles;
+}
+
+// Serial day number → Date (days since 1899-12-30, or 1904-01-01 in 1904-based workbooks)
+const EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EPOCH_1904 = Date.UTC(1904, 0, 1);
+const fromSerial = (serial, date1904) => new Date((date1904 ? EPOCH_1904 : EPOCH_1900) + Math.round(serial * 86400000));
+
+// "AB12" → 27 (zero-based column)
+const columnIndex = (ref) => {
+  let n = 0;
+  for (const ch of ref.match(/^[A-Z]+/i)?.[0].toUpperCase() || '') n = n * 26 + ch.charCodeAt(0) - 64;
+  return n - 1;
+};
+
+const partPath = (target) => (target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`);
+
+const unzip = (bytes, names) => {
+  let files;
+  try {
+    files = unzipSync(bytes, { filter: (f) => names.includes(f.name) });
+  } catch {
+    throw new Error('not a valid .xlsx file');
+  }
+  return Object.fromEntries(Object.entries(files).map(([name, data]) => [name, strFromU8(data)]));
+};
+
+// Workbook bytes → { headers, rows, types, sheets, sheet }; reads `sheet` (a
+// name) or the first sheet. The first non-empty row is the header.
+export function readXlsx(buffer, { sheet } = {}) {
+  const bytes = new Uint8Array(buffer);
+  const parts = unzip(bytes, ['xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/sharedStrings.xml', 'xl/styles.xml']);
+  const workbook = parts['xl/workbook.xml'];
+  if (!workbook) throw new Error('not a valid .xlsx file');
+
+  const targets = new Map(
+    [...(parts['xl/_rels/workbook.xml.rels'] || '').matchAll(/<Relationship\b[^>]*>/g)].map(([tag]) => [attr(tag, 'Id'), attr(tag, 'Target')])
+  );
+  const sheets = [...workbook.matchAll(/<sheet\b[^>]*>/g)].map(([tag]) => ({
+    name: unescapeXml(attr(tag, 'name') || ''),
+    path: partPath(targets.get(attr(tag, 'r:id')) || ''),
+  }));
+  if (!sheets.length) throw new Error('the workbook has no sheets');
+  const chosen = sheet == null ? sheets[0] : sheets.find((s) => s.name === sheet);
+  if (!chosen) throw new Error(`there is no sheet named "${sheet}"`);
+
+  const xml = unzip(bytes, [chosen.path])[chosen.path];
+  if (!xml) throw new Error(`sheet "${chosen.name}" is missing from the file`);
+  const date1904 = /<workbookPr\b[^>]*\sdate1904="(1|true)"/.test(workbook);
+  const shared = [...(parts['xl/sharedStrings.xml'] || '').matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map((m) => runText(m[1]));
+  const dates = dateStyles(parts['xl/styles.xml']);
+
+  const cellValue = (tag, body) => {
+    const type = attr(tag, 't') || 'n';
+    const v = body.match(/<v\b[^>]*>([\s\S]*?)<\/v>/)?.[1];
+    if (type === 'inlineStr') return runText(body);
+    if (v === undefined) return null;
+    if (type === 's') return shared[Number(v)] ?? null;
+    if (type === 'str') return unescapeXml(v);
+    if (type === 'b') return v === '1';
+    if (type === 'e') return null; // #DIV/0! and friends
+    if (type === 'd') return plainValue(new Date(v));
+    const n = Number(v);
+    return dates.has(Number(attr(tag, 's') || 0)) ? plainValue(fromSerial(n, date1904)) : n;
+  };
+
+  const table = [];
+  for (const [, rowBody] of xml.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const cells = [];
+    let next = 0;
+    for (const [, tag, body = ''] of (rowBody || '').matchAll(/(<c\b[^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = attr(tag, 'r');
+      const col = ref ? columnIndex(ref) : next;
+      cells[col] = cellValue(tag, body);
+      next = col + 1;
+    }
+    if (cells.some((c) => c !== null && c !== undefined && c !== '')) table.push(cells);
+  }
+
+  const [head = [], ...body] = table;
+  const width = body.reduce((w, cells) => Math.max(w, cells.length), head.length);
+  const headers = uniqueHeaders(Array.from({ length: width }, (_, i) => head[i]));
+  const records = body.map((cells) => Object.fromEntries(headers.map((h, i) => [h, cells[i] ?? null])));
+  return { ...typeColumns(headers, records), sheets: sheets.map((s) => s.name), sheet: chosen.name };
+}
+
+// ── Parquet ───────────────────────────────────────────────────────────────────
+// Read with hyparquet, loaded on first use. It decodes Snappy itself; gzip
+// pages are inflated with fflate.
+
+const PARQUET_COMPRESSORS = { GZIP: (input) => gunzipSync(input) };
+
+export async function readParquet(buffer) {
+  const { parquetMetadata, parquetSchema, parquetReadObjects } = await import('hyparquet');
+  let metadata;
+  try {
+    metadata = parquetMetadata(buffer);
+  } catch {
+    throw new Error('not a valid Parquet file');
+  }
+  const objects = await parquetReadObjects({ file: buffer, metadata, compressors: PARQUET_COMPRESSORS });
+  // Struct columns become dotted columns, so the headers come from the rows;
+  // a file without rows still shows its top-level columns
+  if (!objects.length) return typeColumns(parquetSchema(metadata).children.map((c) => c.element.name), []);
+  return readRecords(objects);
+}
+
+// ── Any supported file ────────────────────────────────────────────────────────
+
+// File → { format, headers, rows, types, text?, sheets?, sheet? }. `text` is the
+// file itself for CSV/TSV; `sheet` picks a worksheet of a workbook.
+export async function readDataFile(file, { sheet } = {}) {
+  const format = detectFormat(file);
+  if (!format) throw new Error(`${file.name} is not a CSV, TSV, Excel, JSON Lines or Parquet file`);
+  if (format === 'csv' || format === 'tsv') {
+    const text = await file.text();
+    return { format, text, ...parseCsv(text, { delimiter: format === 'tsv' ? '\t' : undefined }) };
+  }
+  if (format === 'jsonl') return { format, ...parseJsonLines(await file.text()) };
+  const buffer = await file.arrayBuffer();
+  if (format === 'xlsx') return { format, ...readXlsx(buffer, { sheet }) };
+  return { format, ...(await readParquet(buffer)) };
+}
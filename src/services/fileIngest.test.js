@@ -0,0 +1,114 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { zipSync, strToU8 } from 'fflate';
+import { detectFormat, parseJsonLines, readXlsx, readParquet, readDataFile, typeColumns } from './fileIngest';
+
+const fixture = (name) => {
+  const bytes = fs.readFileSync(path.join(__dirname, '__fixtures__', name));
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+};
+
+// A two-sheet workbook the way Excel writes one (shared strings, styles, a gap in row 3)
+const xlsx = () => {
+  const sheet = (rows) =>
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows}</sheetData></worksheet>`;
+  const files = {
+    '[Content_Types].xml': '<Types/>',
+    'xl/workbook.xml': `<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>
+      <sheet name="Posts &amp; reach" sheetId="1" r:id="rId1"/><sheet name="Notes" sheetId="2" r:id="rId2"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': `<Relationships>
+      <Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/>
+      <Relationship Id="rId2" Type="worksheet" Target="/xl/worksheets/sheet2.xml"/></Relationships>`,
+    'xl/sharedStrings.xml': `<sst><si><t>Post</t></si><si><t>Published</t></si><si><t>Likes</t></si><si><t>Boosted</t></si>
+      <si><r><t>Launch </t></r><r><rPr><b/></rPr><t>&lt;video&gt;</t></r></si><si><t>Recap</t></si><si><t>Sent</t></si></sst>`,
+    'xl/styles.xml': `<styleSheet><numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy\\-mm\\-dd hh:mm"/></numFmts>
+      <cellXfs count="3"><xf numFmtId="0"/><xf numFmtId="14"/><xf numFmtId="164"/></cellXfs></styleSheet>`,
+    'xl/worksheets/sheet1.xml': sheet(`
+      <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c><c r="D1" t="s"><v>3</v></c></row>
+      <row r="2"><c r="A2" t="s"><v>4</v></c><c r="B2" s="1"><v>46071</v></c><c r="C2"><v>1200</v></c><c r="D2" t="b"><v>1</v></c></row>
+      <row r="3"><c r="A3" t="inlineStr"><is><t>Q&amp;A</t></is></c><c r="C3" t="e"><v>#DIV/0!</v></c><c r="D3" t="b"><v>0</v></c></row>
+      <row r="4"/>
+      <row r="5"><c r="A5" t="s"><v>5</v></c><c r="B5" s="2"><v>46072.5</v></c><c r="C5"><f>C2/2</f><v>600</v></c></row>`),
+    'xl/worksheets/sheet2.xml': sheet(`
+      <row r="2"><c r="B2" t="s"><v>6</v></c></row>
+      <row r="3"><c r="B3" t="str"><v>yes</v></c></row>`),
+  };
+  return zipSync(Object.fromEntries(Object.entries(files).map(([name, xml]) => [name, strToU8(xml)]))).buffer;
+};
+
+test('file types are recognised by extension or MIME type', () => {
+  expect(detectFormat({ name: 'Sprout Export.XLSX' })).toBe('xlsx');
+  expect(detectFormat({ name: 'mentions.ndjson' })).toBe('jsonl');
+  expect(detectFormat({ name: 'download', type: 'text/tab-separated-values' })).toBe('tsv');
+  expect(detectFormat({ name: 'posts.parquet' })).toBe('parquet');
+  expect(detectFormat({ name: 'notes.txt', type: 'text/plain' })).toBeNull();
+});
+
+test('a workbook sheet becomes typed rows with its dates as ISO strings', () => {
+  const { headers, rows, types, sheets, sheet } = readXlsx(xlsx());
+  expect(sheets).toEqual(['Posts & reach', 'Notes']);
+  expect(sheet).toBe('Posts & reach');
+  expect(headers).toEqual(['Post', 'Published', 'Likes', 'Boosted']);
+  expect(types).toEqual({ Post: 'string', Published: 'date', Likes: 'number', Boosted: 'boolean' });
+  expect(rows).toEqual([
+    { Post: 'Launch <video>', Published: '2026-02-18', Likes: 1200, Boosted: true },
+    { Post: 'Q&A', Published: '', Likes: null, Boosted: false },
+    { Post: 'Recap', Published: '2026-02-19 12:00:00', Likes: 600, Boosted: null },
+  ]);
+});
+
+test('another sheet can be picked by name; unknown ones are an error', () => {
+  const notes = readXlsx(xlsx(), { sheet: 'Notes' });
+  expect(notes.headers).toEqual(['column_1', 'Sent']);
+  expect(notes.rows).toEqual([{ column_1: '', Sent: 'yes' }]);
+  expect(() => readXlsx(xlsx(), { sheet: 'Missing' })).toThrow('there is no sheet named "Missing"');
+  expect(() => readXlsx(strToU8('not a zip').buffer)).toThrow('not a valid .xlsx file');
+});
+
+test('JSON Lines are flattened into columns in the order they appear', () => {
+  const text = [
+    '{"id": 1, "author": {"name": "Ana", "followers": 10}, "tags": ["ai"], "likes": "12"}',
+    '',
+    '{"id": 2, "author": {"name": "Ben"}, "likes": 3, "sentiment": null}',
+  ].join('\n');
+  const { headers, rows, types } = parseJsonLines(text);
+  expect(headers).toEqual(['id', 'author.name', 'author.followers', 'tags', 'likes', 'sentiment']);
+  expect(types).toMatchObject({ id: 'number', 'author.followers': 'number', tags: 'string', likes: 'number' });
+  expect(rows[0]).toEqual({ id: 1, 'author.name': 'Ana', 'author.followers': 10, tags: '["ai"]', likes: 12, sentiment: '' });
+  expect(rows[1]['author.followers']).toBeNull();
+  expect(() => parseJsonLines('{"a": 1}\n[1, 2]')).toThrow('line 2 is not a JSON object');
+  expect(() => parseJsonLines('{"a": 1}\n{oops}')).toThrow('line 2 is not valid JSON');
+});
+
+// posts.parquet: post (string), author (struct of name, followers INT64; null in
+// the last row), likes (INT32, one null) and boosted (boolean)
+test('Parquet struct columns are flattened like nested JSON', async () => {
+  const { headers, rows, types } = await readParquet(fixture('parquet/posts.parquet'));
+  expect(headers).toEqual(['post', 'author.name', 'author.followers', 'likes', 'boosted']);
+  expect(types).toMatchObject({ post: 'string', 'author.name': 'string', 'author.followers': 'number', likes: 'number', boosted: 'boolean' });
+  expect(rows[0]).toEqual({ post: 'Launch', 'author.name': 'Ada', 'author.followers': 1200, likes: 120, boosted: true });
+  expect(rows[2]).toMatchObject({ post: 'Q&A', 'author.name': '', 'author.followers': null, likes: null });
+  await expect(readParquet(new ArrayBuffer(8))).rejects.toThrow('not a valid Parquet file');
+});
+
+test('values from typed sources keep their precision', () => {
+  const { rows, types } = typeColumns(['id', 'views'], [
+    { id: '2024205851431490005', views: 5 },
+    { id: '2024205851431490006', views: null },
+  ]);
+  expect(types).toEqual({ id: 'string', views: 'number' });
+  expect(rows[1]).toEqual({ id: '2024205851431490006', views: null });
+});
+
+test('any supported file reads into the same shape', async () => {
+  const file = (name, content) => ({ name, type: '', text: async () => content, arrayBuffer: async () => content });
+  const tsv = await readDataFile(file('reach.tsv', 'day\treach\n2026-01-01\t5'));
+  expect(tsv).toMatchObject({ format: 'tsv', delimiter: '\t', headers: ['day', 'reach'], rows: [{ day: '2026-01-01', reach: 5 }] });
+  const book = await readDataFile(file('export.xlsx', xlsx()), { sheet: 'Notes' });
+  expect(book).toMatchObject({ format: 'xlsx', sheet: 'Notes' });
+  await expect(readDataFile(file('notes.txt', ''))).rejects.toThrow('notes.txt is not a CSV, TSV, Excel, JSON Lines or Parquet file');
+});
@@ -1,218 +1,137 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { CSV_TOOL_DECLARATIONS } from './csvTools';
+import { apiStream } from './mongoApi';
 
-const genAI = new GoogleGenerativeAI(process.env.REACT_APP_GEMINI_API_KEY || '');
-
-const MODEL = 'gemini-2.5-flash';
-
-const SEARCH_TOOL = { googleSearch: {} };
-const CODE_EXEC_TOOL = { codeExecution: {} };
-
-export const CODE_KEYWORDS = /\b(plot|chart|graph|analyz|statistic|regression|correlat|histogram|visualiz|calculat|compute|run code|write code|execute|pandas|numpy|matplotlib|csv|data)\b/i;
-
-let cachedPrompt = null;
-
-async function loadSystemPrompt() {
-  if (cachedPrompt) return cachedPrompt;
-  try {
-    const res = await fetch('/prompt_chat.txt');
-    cachedPrompt = res.ok ? (await res.text()).trim() : '';
-  } catch {
-    cachedPrompt = '';
-  }
-  return cachedPrompt;
-}
+// All model calls go through the Express server (server/chat.js), which holds
+// the model API key — nothing secret is bundled into the browser build.
 
 // Yields:
 //   { type: 'text', text }           — streaming text chunks
 //   { type: 'fullResponse', parts }  — when code was executed; replaces streamed text
 //   { type: 'grounding', data }      — Google Search metadata
+//   { type: 'step', step, index, total } — combined mode: 'search' or 'code' step started
 //
 // fullResponse parts: { type: 'text'|'code'|'result'|'image', ... }
 //
 // useCodeExecution: pass true to use codeExecution tool (CSV/analysis),
 //                   false (default) to use googleSearch tool.
 // Note: Gemini does not support both tools simultaneously.
-export const streamChat = async function* (history, newMessage, imageParts = [], useCodeExecution = false) {
-  const systemInstruction = await loadSystemPrompt();
-  const tools = useCodeExecution ? [CODE_EXEC_TOOL] : [SEARCH_TOOL];
-  const model = genAI.getGenerativeModel({
-    model: MODEL,
-    tools,
+// options.sessionId — the chat; the server reads the history from it and keeps
+//                     a rolling summary of older turns
+// options.parentId  — the message the new one follows: the history is the branch
+//                     up to it (null for the first message)
+// options.combine   — 'search-code' | 'code-search': run both tools, one per step,
+//                     in that order (overrides useCodeExecution)
+export const streamChat = async function* (newMessage, imageParts = [], useCodeExecution = false, { sessionId, parentId = null, combine } = {}) {
+  yield* apiStream('/api/chat/stream', {
+    sessionId,
+    parentId,
+    message: newMessage,
+    imageParts,
+    useCodeExecution,
+    combine,
   });
+};
 
-  const baseHistory = history.map((m) => ({
-    role: m.role === 'user' ? 'user' : 'model',
-    parts: [{ text: m.content || '' }],
-  }));
-
-  const chatHistory = systemInstruction
-    ? [
-        {
-          role: 'user',
-          parts: [{ text: `Follow these instructions in every response:\n\n${systemInstruction}` }],
-        },
-        { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
-        ...baseHistory,
-      ]
-    : baseHistory;
-
-  const chat = model.startChat({ history: chatHistory });
-
-  const parts = [
-    { text: newMessage },
-    ...imageParts.map((img) => ({
-      inlineData: { mimeType: img.mimeType || 'image/png', data: img.data },
-    })),
-  ].filter((p) => p.text !== undefined || p.inlineData !== undefined);
-
-  const result = await chat.sendMessageStream(parts);
-
-  // Stream text chunks for live display
-  for await (const chunk of result.stream) {
-    const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
-    for (const part of chunkParts) {
-      if (part.text) yield { type: 'text', text: part.text };
-    }
+// ── Function-calling chat for CSV tools ───────────────────────────────────────
+// Gemini picks tools + args → executeFn runs them client-side (free) → Gemini
+// receives the results and answers. The server runs the model; each model turn
+// is a round trip: the stream ends with the requested calls plus the
+// conversation so far, and we send both back with every call's result.
+//
+// executeFn(toolName, args) → plain JS object (or a promise of one) with the result
+// options.maxRounds — tool round trips allowed before giving up (default
+//                     REACT_APP_MAX_TOOL_ROUNDS, else 5)
+// options.sessionId, options.parentId — as for streamChat
+//
+// Yields:
+//   { type: 'text', text }                                   — model text, streamed
+//   { type: 'toolCallStarted', id, name, args }              — executeFn is running
+//   { type: 'toolCallFinished', id, name, args, result }     — full result (charts, cards, …)
+//   { type: 'toolBudgetExhausted', maxRounds, pending }      — model still wanted `pending` tools
+
+const DEFAULT_MAX_TOOL_ROUNDS = parseInt(process.env.REACT_APP_MAX_TOOL_ROUNDS, 10) || 5;
+
+// Sanitize tool result for API — strip large payloads to avoid token limit (1M)
+const sanitizeForApi = (result) => {
+  if (!result) return result;
+  if (result._generatedImage) {
+    return { _generatedImage: true, message: 'Image generated successfully. It is displayed to the user.' };
   }
-
-  // After stream: inspect all response parts
-  const response = await result.response;
-  const allParts = response.candidates?.[0]?.content?.parts || [];
-
-  const hasCodeExecution = allParts.some(
-    (p) =>
-      p.executableCode ||
-      p.codeExecutionResult ||
-      (p.inlineData && p.inlineData.mimeType?.startsWith('image/'))
-  );
-
-  if (hasCodeExecution) {
-    // Build ordered structured parts to replace the streamed text
-    const structuredParts = allParts
-      .map((p) => {
-        if (p.text) return { type: 'text', text: p.text };
-        if (p.executableCode)
-          return {
-            type: 'code',
-            language: p.executableCode.language || 'PYTHON',
-            code: p.executableCode.code,
-          };
-        if (p.codeExecutionResult)
-          return {
-            type: 'result',
-            outcome: p.codeExecutionResult.outcome,
-            output: p.codeExecutionResult.output,
-          };
-        if (p.inlineData)
-          return { type: 'image', mimeType: p.inlineData.mimeType, data: p.inlineData.data };
-        return null;
-      })
-      .filter(Boolean);
-
-    yield { type: 'fullResponse', parts: structuredParts };
+  if (result._table) {
+    // The markdown has the same cells as `rows`; the model needs them once
+    const { rows, ...table } = result;
+    return table;
   }
-
-  // Grounding metadata (search sources)
-  const grounding = response.candidates?.[0]?.groundingMetadata;
-  if (grounding) {
-    console.log('[Search grounding]', grounding);
-    yield { type: 'grounding', data: grounding };
+  if (result._chartType && result.data?.length > 50) {
+    return { ...result, data: result.data.slice(0, 50), _truncated: true };
   }
+  return result;
 };
 
-// ── Function-calling chat for CSV tools ───────────────────────────────────────
-// Gemini picks a tool + args → executeFn runs it client-side (free) → Gemini
-// receives the result and returns a natural-language answer.
-//
-// executeFn(toolName, args) → plain JS object with the result
-// Returns the final text response from the model.
-
-export const chatWithCsvTools = async (history, newMessage, csvHeaders, executeFn, imageParts = []) => {
-  const systemInstruction = await loadSystemPrompt();
-  const model = genAI.getGenerativeModel({
-    model: MODEL,
-    tools: [{ functionDeclarations: CSV_TOOL_DECLARATIONS }],
-  });
-
-  // Limit history to last 20 exchanges to avoid token overflow (1M limit)
-  const recentHistory = history.slice(-20);
-  const baseHistory = recentHistory.map((m) => ({
-    role: m.role === 'user' ? 'user' : 'model',
-    parts: [{ text: (m.content || '').slice(0, 8000) }],
-  }));
-
-  const chatHistory = systemInstruction
-    ? [
-        {
-          role: 'user',
-          parts: [{ text: `Follow these instructions in every response:\n\n${systemInstruction}` }],
-        },
-        { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
-        ...baseHistory,
-      ]
-    : baseHistory;
-
-  const chat = model.startChat({ history: chatHistory });
-
-  // Include column names so the model can match user intent to exact column names
-  const msgWithContext = csvHeaders?.length
-    ? `[CSV columns: ${csvHeaders.join(', ')}]\n\n${newMessage}`
-    : newMessage;
-
-  // Build message parts: text + any images (so Gemini sees the reference image for generateImage)
-  const msgParts = [
-    { text: msgWithContext },
-    ...imageParts.map((img) => ({
-      inlineData: { mimeType: img.mimeType || 'image/png', data: img.data },
-    })),
-  ].filter((p) => p.text !== undefined || p.inlineData !== undefined);
-
-  let response = (await chat.sendMessage(msgParts)).response;
-
-  // Accumulate chart payloads and a log of every tool call made
-  const charts = [];
-  const toolCalls = [];
-
-  // Sanitize tool result for API — strip large payloads to avoid token limit (1M)
-  const sanitizeForApi = (result) => {
-    if (!result) return result;
-    if (result._generatedImage) {
-      return { _generatedImage: true, message: 'Image generated successfully. It is displayed to the user.' };
+// A failing tool becomes an error result the model can read, not a failed chat
+const runTool = (executeFn, call) =>
+  Promise.resolve()
+    .then(() => executeFn(call.name, call.args))
+    .catch((err) => ({ error: err?.message || String(err) }))
+    .then((result) => ({ call, result }));
+
+export const chatWithCsvTools = async function* (
+  newMessage,
+  csvHeaders,
+  executeFn,
+  imageParts = [],
+  { maxRounds = DEFAULT_MAX_TOOL_ROUNDS, sessionId, parentId = null } = {}
+) {
+  let request = { sessionId, parentId, message: newMessage, csvHeaders, imageParts };
+  let wroteText = false;
+
+  // Function-calling loop (Gemini may chain tool calls across turns)
+  for (let round = 0; ; round++) {
+    let turn = null;
+    let separate = wroteText; // blank line between text from different rounds
+    for await (const event of apiStream('/api/chat/tools', { functionDeclarations: CSV_TOOL_DECLARATIONS, ...request })) {
+      if (event.type === 'text') {
+        yield { type: 'text', text: separate ? `\n\n${event.text}` : event.text };
+        separate = false;
+        wroteText = true;
+      } else if (event.type === 'functionCalls') {
+        turn = event;
+      }
     }
-    if (result._chartType && result.data?.length > 50) {
-      return { ...result, data: result.data.slice(0, 50), _truncated: true };
+    if (!turn) return;
+    if (round >= maxRounds) {
+      yield { type: 'toolBudgetExhausted', maxRounds, pending: turn.functionCalls.map((fc) => fc.name) };
+      return;
     }
-    return result;
-  };
 
-  // Function-calling loop (Gemini may chain multiple tool calls)
-  for (let round = 0; round < 5; round++) {
-    const parts = response.candidates?.[0]?.content?.parts || [];
-    const funcCall = parts.find((p) => p.functionCall);
-    if (!funcCall) break;
-
-    const { name, args } = funcCall.functionCall;
-    console.log('[CSV Tool]', name, args);
-    const toolResult = await Promise.resolve(executeFn(name, args));
-    console.log('[CSV Tool result]', toolResult);
-
-    // Log the call for persistence (full result for UI)
-    toolCalls.push({ name, args, result: toolResult });
-
-    // Capture chart payloads so the UI can render them
-    if (toolResult?._chartType) {
-      charts.push(toolResult);
+    const calls = turn.functionCalls.map((fc, i) => ({
+      id: `${round}-${i}`,
+      callId: fc.id, // set by newer Gemini models; echoed back in the response
+      name: fc.name,
+      args: fc.args || {},
+    }));
+    for (const { id, name, args } of calls) yield { type: 'toolCallStarted', id, name, args };
+
+    // Calls requested in the same turn are independent — run them concurrently
+    // and report each one as soon as it finishes
+    const pending = new Map(calls.map((call) => [call.id, runTool(executeFn, call)]));
+    const results = {};
+    while (pending.size) {
+      const { call, result } = await Promise.race(pending.values());
+      pending.delete(call.id);
+      results[call.id] = result;
+      yield { type: 'toolCallFinished', id: call.id, name: call.name, args: call.args, result };
     }
 
-    // Send sanitized result to API to avoid token limit
-    const apiResult = sanitizeForApi(toolResult);
-    response = (
-      await chat.sendMessage([
-        { functionResponse: { name, response: { result: apiResult } } },
-      ])
-    ).response;
+    // Send sanitized results to API to avoid token limit — one per call, in order
+    request = {
+      systemInstruction: turn.systemInstruction,
+      contents: turn.contents,
+      functionResponses: calls.map((call) => ({
+        ...(call.callId && { id: call.callId }),
+        name: call.name,
+        response: { result: sanitizeForApi(results[call.id]) },
+      })),
+    };
   }
-
-  return { text: response.text(), charts, toolCalls };
 };
@@ -1,15 +1,98 @@
 const API = process.env.REACT_APP_API_URL || '';
 
-const api = async (path, options = {}) => {
+export const TOKEN_KEY = 'chatapp_token';
+
+// Called when the server rejects the stored token (expired or tampered with)
+let onUnauthorized = null;
+export const setUnauthorizedHandler = (fn) => {
+  onUnauthorized = fn;
+};
+
+export const authHeaders = () => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Reads the user fields out of a token payload (display only — the server verifies)
+export const decodeToken = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(payload), (c) => c.charCodeAt(0));
+    const claims = JSON.parse(new TextDecoder().decode(bytes));
+    if (claims.exp && claims.exp * 1000 < Date.now()) return null;
+    return { username: claims.sub, firstName: claims.firstName || '', lastName: claims.lastName || '' };
+  } catch {
+    return null;
+  }
+};
+
+// Builds an Error from a failed response, preferring the server's { error } message
+const responseError = (res, text) => {
+  let message = text || res.statusText;
+  try {
+    message = JSON.parse(text).error || message;
+  } catch {
+    // plain-text error body
+  }
+  const err = new Error(message);
+  err.status = res.status;
+  return err;
+};
+
+export const api = async (path, options = {}) => {
   const res = await fetch(`${API}${path}`, {
-    headers: { 'Content-Type': 'application/json', ...options.headers },
     ...options,
+    headers: { 'Content-Type': 'application/json', ...authHeaders(), ...options.headers },
   });
   const text = await res.text();
-  if (!res.ok) throw new Error(text || res.statusText);
+  if (res.status === 401 && onUnauthorized) onUnauthorized();
+  if (!res.ok) throw responseError(res, text);
   return text ? JSON.parse(text) : {};
 };
 
+// POSTs `body` to a Server-Sent Events endpoint and yields each parsed `data:` event.
+// Ends on { type: 'done' }; throws on { type: 'error' }. Breaking out of the loop
+// closes the connection, which tells the server to stop generating.
+export const apiStream = async function* (path, body) {
+  const res = await fetch(`${API}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    if (res.status === 401 && onUnauthorized) onUnauthorized();
+    throw responseError(res, await res.text());
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      buffer += decoder.decode(value, { stream: true });
+      let sep;
+      while ((sep = buffer.indexOf('\n\n')) !== -1) {
+        const frame = buffer.slice(0, sep);
+        buffer = buffer.slice(sep + 2);
+        const data = frame
+          .split('\n')
+          .filter((line) => line.startsWith('data:'))
+          .map((line) => line.slice(5).trimStart())
+          .join('\n');
+        if (!data) continue;
+        const event = JSON.parse(data);
+        if (event.type === 'done') return;
+        if (event.type === 'error') throw new Error(event.error || 'Stream failed');
+        yield event;
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+};
+
 // ── Users ────────────────────────────────────────────────────────────────────
 
 export const createUser = async (username, password, email = '', firstName = '', lastName = '') => {
@@ -26,6 +109,7 @@ export const findUser = async (username, password) => {
   });
   return data.ok
     ? {
+        token: data.token,
         username: data.username,
         firstName: data.firstName || '',
         lastName: data.lastName || '',
@@ -33,14 +117,60 @@ export const findUser = async (username, password) => {
     : null;
 };
 
+// ── Account ──────────────────────────────────────────────────────────────────
+
+export const getProfile = async () => {
+  return api('/api/users/me');
+};
+
+// Returns { token, profile } — the token carries the updated names
+export const updateProfile = async (fields) => {
+  return api('/api/users/me', {
+    method: 'PATCH',
+    body: JSON.stringify(fields),
+  });
+};
+
+// Returns { token } — tokens issued before the change no longer work
+export const changePassword = async (currentPassword, newPassword) => {
+  return api('/api/users/me/password', {
+    method: 'POST',
+    body: JSON.stringify({ currentPassword, newPassword }),
+  });
+};
+
+export const requestPasswordReset = async (username) => {
+  return api('/api/users/password-reset', {
+    method: 'POST',
+    body: JSON.stringify({ username }),
+  });
+};
+
+export const confirmPasswordReset = async (token, newPassword) => {
+  return api('/api/users/password-reset/confirm', {
+    method: 'POST',
+    body: JSON.stringify({ token, newPassword }),
+  });
+};
+
+export const deleteAccount = async (password) => {
+  return api('/api/users/me', {
+    method: 'DELETE',
+    body: JSON.stringify({ password }),
+  });
+};
+
 // ── Sessions ─────────────────────────────────────────────────────────────────
 
-export const getSessions = async (username) => {
-  return api(`/api/sessions?username=${encodeURIComponent(username)}`);
+// { personas: [{ id, name, description }], defaultPersona }
+export const getPersonas = async () => api('/api/personas');
+
+export const getSessions = async () => {
+  return api('/api/sessions');
 };
 
-export const createSession = async (username, agent = null, title = null, jsonData = null) => {
-  const body = { username, agent, title };
+export const createSession = async (agent = null, title = null, jsonData = null) => {
+  const body = { agent, title };
   if (Array.isArray(jsonData) && jsonData.length > 0) body.jsonData = jsonData;
   return api('/api/sessions', {
     method: 'POST',
@@ -59,10 +189,42 @@ export const saveSessionJson = async (sessionId, jsonData) => {
   });
 };
 
+// Moves the chat to the trash → { ok, deletedAt, purgeAt }
 export const deleteSession = async (sessionId) => {
   return api(`/api/sessions/${sessionId}`, { method: 'DELETE' });
 };
 
+// format: 'md' | 'html' | 'json' → { blob, filename } to save
+export const exportSession = async (sessionId, format) => {
+  const res = await fetch(`${API}/api/sessions/${sessionId}/export?format=${format}`, { headers: authHeaders() });
+  if (res.status === 401 && onUnauthorized) onUnauthorized();
+  if (!res.ok) throw responseError(res, await res.text());
+  const filename = res.headers.get('Content-Disposition')?.match(/filename="?([^";]+)"?/)?.[1] || `chat.${format}`;
+  return { blob: await res.blob(), filename };
+};
+
+// bundle: the parsed JSON export → the new chat, as getSessions() lists it
+export const importSession = async (bundle) => {
+  return api('/api/sessions/import', {
+    method: 'POST',
+    body: JSON.stringify(bundle),
+  });
+};
+
+// { retentionDays, sessions: [{ id, title, …, deletedAt, purgeAt }] }, most recently deleted first
+export const getTrash = async () => api('/api/trash');
+
+// Resolves to the chat as getSessions() lists it
+export const restoreSession = async (sessionId) => {
+  return api(`/api/trash/${sessionId}/restore`, { method: 'POST' });
+};
+
+export const deleteSessionForever = async (sessionId) => {
+  return api(`/api/trash/${sessionId}`, { method: 'DELETE' });
+};
+
+export const emptyTrash = async () => api('/api/trash', { method: 'DELETE' });
+
 export const updateSessionTitle = async (sessionId, title) => {
   return api(`/api/sessions/${sessionId}/title`, {
     method: 'PATCH',
@@ -70,28 +232,138 @@ export const updateSessionTitle = async (sessionId, title) => {
   });
 };
 
+// fields: any of { title, pinned, folder, tags }; resolves to the session's saved values of all four
+export const updateSession = async (sessionId, fields) => {
+  return api(`/api/sessions/${sessionId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(fields),
+  });
+};
+
+// Names the chat from its first exchange → { title, generated } (generated is false
+// when the user has already renamed it; title is then theirs)
+export const generateSessionTitle = async (sessionId) => {
+  return api(`/api/sessions/${sessionId}/title/generate`, { method: 'POST' });
+};
+
+// ── Share links ──────────────────────────────────────────────────────────────
+
+// → { id, token, sessionId, title, createdAt }; sharing a chat twice returns the same link
+export const createShare = async (sessionId) => {
+  return api(`/api/sessions/${sessionId}/share`, { method: 'POST' });
+};
+
+// { shares: [{ id, token, sessionId, title, createdAt }] }, newest first
+export const getShares = async () => api('/api/shares');
+
+export const revokeShare = async (shareId) => {
+  return api(`/api/shares/${shareId}`, { method: 'DELETE' });
+};
+
+// Public: { title, assistantName, sharedAt, messages } for the branch on screen
+export const getSharedChat = async (token) => api(`/api/shared/${encodeURIComponent(token)}`);
+
+// Where a share token is opened in the app (see App.js)
+export const shareUrl = (token) => `${window.location.origin}/shared/${token}`;
+
 // ── Messages ─────────────────────────────────────────────────────────────────
 
-export const saveMessage = async (sessionId, role, content, imageData = null, charts = null, toolCalls = null) => {
+// attachments: [{ id }] from uploadAttachment (images are never sent inline)
+// parentId: the message this one follows (null for a new first prompt); when
+// omitted the server continues the session's active branch. Resolves to { id, parentId }.
+// extra: { csvName, jsonName } of data attached to a prompt, kept so search can find it,
+// and an answer's web search `grounding`, so its sources show again when reloaded.
+export const saveMessage = async (
+  sessionId,
+  role,
+  content,
+  attachments = null,
+  charts = null,
+  toolCalls = null,
+  parentId,
+  { csvName = null, jsonName = null, grounding = null } = {}
+) => {
   return api('/api/messages', {
     method: 'POST',
-    body: JSON.stringify({ session_id: sessionId, role, content, imageData, charts, toolCalls }),
+    body: JSON.stringify({ session_id: sessionId, role, content, attachments, charts, toolCalls, parentId, csvName, jsonName, grounding }),
   });
 };
 
-export const loadMessages = async (sessionId) => {
-  return api(`/api/messages?session_id=${encodeURIComponent(sessionId)}`);
+// One page of messages, newest first by page (oldest first within it), across every branch:
+// { messages: [{ id, parentId, role, … }], activeLeafId, nextCursor }
+// Pass nextCursor back as `before` for the page before; it is null on the first page of the chat.
+export const loadMessages = async (sessionId, { before, limit } = {}) => {
+  const params = new URLSearchParams({ session_id: sessionId });
+  if (before) params.set('before', before);
+  if (limit) params.set('limit', String(limit));
+  return api(`/api/messages?${params}`);
 };
 
+export const setActiveLeaf = async (sessionId, leafId) => {
+  return api(`/api/sessions/${sessionId}/active-leaf`, {
+    method: 'PATCH',
+    body: JSON.stringify({ leafId }),
+  });
+};
+
+// ── Search ───────────────────────────────────────────────────────────────────
+
+// Messages across all chats, best match first:
+// { results: [{ sessionId, sessionTitle, messageId, role, timestamp, matchedIn, snippet, highlights }] }
+// highlights are [start, end) offsets into snippet.
+export const searchMessages = async (q, { limit } = {}) => {
+  const params = new URLSearchParams({ q });
+  if (limit) params.set('limit', String(limit));
+  return api(`/api/search?${params}`);
+};
+
+// ── Attachments ──────────────────────────────────────────────────────────────
+// Raw image bytes in; { id, mimeType, name, url, thumbnailUrl } out. The URLs are
+// signed paths on the API server — pass them through attachmentSrc for <img src>.
+
+const uploadBytes = async (path, blob, method = 'POST') => {
+  const res = await fetch(`${API}${path}`, {
+    method,
+    headers: { 'Content-Type': blob.type, ...authHeaders() },
+    body: blob,
+  });
+  const text = await res.text();
+  if (res.status === 401 && onUnauthorized) onUnauthorized();
+  if (!res.ok) throw responseError(res, text);
+  return JSON.parse(text);
+};
+
+export const uploadAttachment = async (blob, name = null) =>
+  uploadBytes(`/api/attachments${name ? `?name=${encodeURIComponent(name)}` : ''}`, blob);
+
+export const uploadThumbnail = async (id, blob) => uploadBytes(`/api/attachments/${id}/thumbnail`, blob, 'PUT');
+
+export const attachmentSrc = (path) => `${API}${path}`;
+
 // ── YouTube channel download ───────────────────────────────────────────────────
 
 export const fetchYouTubeChannel = async (url, maxVideos) => {
   const res = await fetch(`${API}/api/youtube/channel`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
     body: JSON.stringify({ url, maxVideos }),
   });
   const data = await res.json();
   if (!res.ok) throw new Error(data.error || res.statusText);
   return data.videos;
 };
+
+// ── Image generation ───────────────────────────────────────────────────────────
+
+// anchor: { anchorAttachmentId } for a stored image or { anchorImageBase64 }.
+// Resolves to the stored result: { id, mimeType, url, thumbnailUrl }
+export const generateImage = async (prompt, { anchorAttachmentId = null, anchorImageBase64 = null } = {}) => {
+  const res = await fetch(`${API}/api/generate-image`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ prompt, anchorAttachmentId, anchorImageBase64 }),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Image generation failed');
+  return data;
+};
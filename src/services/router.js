@@ -0,0 +1,112 @@
+import { api } from './mongoApi';
+
+// Picks how a message is answered:
+//   search — Google Search grounded chat (the default for questions and small talk)
+//   code   — Gemini writes and runs Python (plots, models, anything numeric
+//            the browser tools can't do)
+//   tools  — function calling with the client-side data tools (loaded CSV/JSON,
+//            attached images, image generation)
+//   combined — search and Python in one turn, one after the other; `order` is
+//            'search-code' (look facts up, then compute) or 'code-search'
+//            (compute, then check against the web)
+//
+// Rules handle the clear-cut cases; when they aren't confident, a small model
+// call on the server (/api/chat/route) classifies the message instead.
+//
+// context: { hasDataset, hasImages, hasNewCsv }
+//   hasDataset — a CSV or JSON is loaded in this chat (tools have rows to work on)
+//   hasImages  — images are attached to this message
+//   hasNewCsv  — a CSV is attached to this message (its contents go in the prompt)
+//
+// Decision: { mode, confidence (0–1), source: 'rules'|'model'|'user', reason, order? }
+
+export const MODES = [
+  { id: 'search', label: 'Search' },
+  { id: 'code', label: 'Python' },
+  { id: 'tools', label: 'Data tools' },
+  { id: 'combined', label: 'Search + Python' },
+];
+
+export const CONFIDENCE_THRESHOLD = 0.7;
+
+// Things only Python can produce — the browser tools have no equivalent
+const PYTHON_ONLY = /\b(histograms?|seaborn|matplotlib|numpy|pandas|time.?series|heatmaps?|box.?plots?|violin|distributions?|logistic|forecasts?)\b/i;
+// Correlations and straight-line fits: the data tools have them for a loaded dataset, Python otherwise
+const MODEL_FIT = /\b(regressions?|correlat(e|es|ed|ion|ions)|scatter|trend.?lines?|linear.?model|(line of )?best.?fit)\b/i;
+const EXPLICIT_CODE = /\b(python|(run|write|execute)\s+(some\s+|the\s+|this\s+)?(code|script))\b/i;
+// A generation verb close to a picture noun, or a verb that only means drawing
+const IMAGE_REQUEST = /\b(generate|create|make|design|render)\b(\s+\S+){0,5}?\s+(image|picture|photo|illustration|drawing|thumbnail|logo|poster|artwork)s?\b|\b(draw|paint|sketch|illustrate)\b/i;
+const DATA_QUESTION = /\b(average|mean|median|percentiles?|sum|total|std|stats?|statistics|group(ed)?\s+by|per|breakdown|break\s+down|filter(ed)?|top|best|worst|most|least|count|how many|plot|chart|graph|over time|compare|engagement|views?|likes?|comments?|videos?|tweets?|posts?|play|watch)\b/i;
+const COMPUTE = /\b(calculate|compute|solve|simulate|plot|chart|graph|statistics|analy[sz]e)\b/i;
+const LOOKUP = /\b(who|when|where|latest|news|today|current|recent|price|weather|score|released?|search|look up)\b/i;
+// Compute first, then check the numbers against published ones
+const VERIFY_AFTER = /\b(check|verify|compare|validate)\b.{0,60}\b(against|with|to)\b.{0,40}\b(real|actual|official|published|current|online|web)\b/i;
+
+const decide = (mode, confidence, reason) => ({ mode, confidence, source: 'rules', reason });
+
+export const combineOrder = (text = '') => (VERIFY_AFTER.test(text) ? 'code-search' : 'search-code');
+
+export function routeByRules(text = '', { hasDataset = false, hasImages = false, hasNewCsv = false } = {}) {
+  const needsWeb = LOOKUP.test(text) || VERIFY_AFTER.test(text);
+  const modelling = PYTHON_ONLY.test(text) || (MODEL_FIT.test(text) && !hasDataset);
+  if (modelling || EXPLICIT_CODE.test(text)) {
+    if (needsWeb && !hasDataset) return { ...decide('combined', 0.8, 'needs web facts and Python'), order: combineOrder(text) };
+    return modelling
+      ? decide('code', 0.9, 'needs Python (plotting/modelling)')
+      : decide('code', 0.9, 'asked for code');
+  }
+  if (MODEL_FIT.test(text)) return decide('tools', 0.85, 'correlation or regression on the loaded data');
+  if (IMAGE_REQUEST.test(text)) return decide('tools', 0.9, 'image generation');
+
+  if (hasNewCsv && !DATA_QUESTION.test(text)) return decide('search', 0.8, 'describe the attached file');
+  if (hasDataset) {
+    return DATA_QUESTION.test(text)
+      ? decide('tools', 0.85, 'question about the loaded data')
+      : decide('tools', 0.6, 'data loaded');
+  }
+  if (hasImages) return decide('tools', 0.75, 'image attached');
+
+  if (COMPUTE.test(text)) {
+    return needsWeb
+      ? { ...decide('combined', 0.65, 'calculation on web facts'), order: combineOrder(text) }
+      : decide('code', 0.65, 'calculation');
+  }
+  if (LOOKUP.test(text)) return decide('search', 0.85, 'fact lookup');
+  return decide('search', 0.6, 'general question');
+}
+
+// Model fallback — resolves to { mode, confidence }
+export const classifyWithModel = (text, context) =>
+  api('/api/chat/route', {
+    method: 'POST',
+    body: JSON.stringify({ message: text, context }),
+  });
+
+export async function routeMessage(text, context = {}, { override, classify = classifyWithModel } = {}) {
+  if (override && override !== 'auto') {
+    return {
+      mode: override,
+      confidence: 1,
+      source: 'user',
+      reason: 'chosen by you',
+      ...(override === 'combined' && { order: combineOrder(text) }),
+    };
+  }
+  const byRules = routeByRules(text, context);
+  if (byRules.confidence >= CONFIDENCE_THRESHOLD || !text.trim()) return byRules;
+  try {
+    const { mode, confidence, order } = await classify(text, context);
+    if (!MODES.some((m) => m.id === mode)) return byRules;
+    // Without any data to work on, the tools can only generate images
+    if (mode === 'tools' && !context.hasDataset && !context.hasImages) return byRules;
+    return {
+      mode,
+      confidence,
+      source: 'model',
+      reason: 'classified by the model',
+      ...(mode === 'combined' && { order: order === 'code-search' ? order : 'search-code' }),
+    };
+  } catch {
+    return byRules;
+  }
+}
@@ -0,0 +1,85 @@
+import { routeByRules, routeMessage } from './router';
+
+const none = {};
+const dataset = { hasDataset: true };
+const newCsv = { hasDataset: true, hasNewCsv: true };
+const image = { hasImages: true };
+
+// [prompt, context, expected mode, minimum confidence]
+const CASES = [
+  ['Who won the Champions League last year?', none, 'search', 0.8],
+  ["What's the latest news on the Gemini API?", none, 'search', 0.8],
+  ['Make a summary of our conversation', none, 'search', 0],
+  ['Create a plan for my week', none, 'search', 0],
+  ['Tell me about data privacy laws', none, 'search', 0],
+  ['Run a linear regression of views on likes', dataset, 'tools', 0.8],
+  ['Run a linear regression of views on likes', none, 'code', 0.9],
+  ['Are likes correlated with views?', dataset, 'tools', 0.8],
+  ['Fit a logistic regression on retweets', dataset, 'code', 0.9],
+  ['Fit a regression of likes on views in Python', dataset, 'code', 0.9],
+  ['Plot a histogram of comment counts', dataset, 'code', 0.9],
+  ['Write some code to sort this list', none, 'code', 0.9],
+  ['Can you do this in Python?', none, 'code', 0.9],
+  ['Generate an image of a cat on a skateboard', none, 'tools', 0.9],
+  ['Make me a thumbnail for this video', dataset, 'tools', 0.9],
+  ['Draw the Blackpink logo as a sticker', none, 'tools', 0.9],
+  ['What is the average view count?', dataset, 'tools', 0.8],
+  ['Show me the top 10 most engaging tweets', dataset, 'tools', 0.8],
+  ['Play the most viewed video', dataset, 'tools', 0.8],
+  ['Plot views over time', dataset, 'tools', 0.8],
+  ['Group by type and sum the retweets', dataset, 'tools', 0.8],
+  ['Break down reply counts per language', dataset, 'tools', 0.8],
+  ['What do you think of this?', dataset, 'tools', 0],
+  ["What's in this file?", newCsv, 'search', 0.8],
+  ['What is the median like count?', newCsv, 'tools', 0.8],
+  ['What do you see here?', image, 'tools', 0.7],
+  ["Plot Thailand's population over the last 20 years from the latest census figures", none, 'combined', 0],
+  ['Calculate the current price of 3 ounces of gold in euros', none, 'combined', 0],
+  ['Run a regression on views and likes', dataset, 'tools', 0.8],
+];
+
+test.each(CASES)('%s %j → %s', (prompt, context, mode, minConfidence) => {
+  const decision = routeByRules(prompt, context);
+  expect(decision.mode).toBe(mode);
+  expect(decision.confidence).toBeGreaterThanOrEqual(minConfidence);
+  expect(decision.source).toBe('rules');
+});
+
+test('confident rules skip the model', async () => {
+  const classify = jest.fn();
+  const decision = await routeMessage('Run a regression on likes', none, { classify });
+  expect(decision.mode).toBe('code');
+  expect(classify).not.toHaveBeenCalled();
+});
+
+test('uncertain rules defer to the model', async () => {
+  const classify = jest.fn().mockResolvedValue({ mode: 'code', confidence: 0.8 });
+  const decision = await routeMessage('How long until my savings double at 4%?', none, { classify });
+  expect(classify).toHaveBeenCalledWith('How long until my savings double at 4%?', none);
+  expect(decision).toMatchObject({ mode: 'code', confidence: 0.8, source: 'model' });
+});
+
+test('a failing or nonsensical classifier falls back to the rules', async () => {
+  const failing = jest.fn().mockRejectedValue(new Error('offline'));
+  expect((await routeMessage('Anything new?', none, { classify: failing })).source).toBe('rules');
+
+  const nonsense = jest.fn().mockResolvedValue({ mode: 'dance', confidence: 1 });
+  expect((await routeMessage('Anything new?', none, { classify: nonsense })).mode).toBe('search');
+
+  const noData = jest.fn().mockResolvedValue({ mode: 'tools', confidence: 0.9 });
+  expect((await routeMessage('Anything new?', none, { classify: noData })).mode).toBe('search');
+});
+
+test('a mode picked by the user always wins', async () => {
+  const classify = jest.fn();
+  const decision = await routeMessage('Generate an image of a cat', none, { override: 'search', classify });
+  expect(decision).toMatchObject({ mode: 'search', confidence: 1, source: 'user' });
+  expect(classify).not.toHaveBeenCalled();
+});
+
+test('combined decisions say which step runs first', () => {
+  expect(routeByRules('Write Python for a mortgage schedule at the current average rate', none))
+    .toMatchObject({ mode: 'combined', order: 'search-code' });
+  expect(routeByRules('Write Python to estimate pi, then check it against the official value online', none))
+    .toMatchObject({ mode: 'combined', order: 'code-search' });
+});
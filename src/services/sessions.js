@@ -0,0 +1,51 @@
+// Sidebar ordering and filtering for the chat list. Sessions carry
+// { title, createdAt, updatedAt, pinned, folder, tags } from GET /api/sessions.
+
+export const SORTS = [
+  { id: 'recent', label: 'Recent activity' },
+  { id: 'created', label: 'Date created' },
+  { id: 'title', label: 'Title A–Z' },
+];
+
+const time = (iso) => Date.parse(iso) || 0;
+
+const COMPARE = {
+  recent: (a, b) => time(b.updatedAt || b.createdAt) - time(a.updatedAt || a.createdAt),
+  created: (a, b) => time(b.createdAt) - time(a.createdAt),
+  title: (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base', numeric: true }),
+};
+
+const byName = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' });
+
+// Filter ids: 'all', 'pinned', 'folder:<name>' or 'tag:<name>'
+const matchesFilter = (filter) => {
+  if (filter === 'pinned') return (s) => s.pinned;
+  if (filter.startsWith('folder:')) return (s) => s.folder === filter.slice(7);
+  if (filter.startsWith('tag:')) return (s) => (s.tags || []).includes(filter.slice(4));
+  return () => true;
+};
+
+// → { pinned, others }, each sorted; pinned chats are listed first
+export function organizeSessions(sessions, { sort = 'recent', filter = 'all' } = {}) {
+  const shown = sessions.filter(matchesFilter(filter)).sort(COMPARE[sort] || COMPARE.recent);
+  return { pinned: shown.filter((s) => s.pinned), others: shown.filter((s) => !s.pinned) };
+}
+
+// The filter menu: everything, pinned, then each folder and tag in use
+export function filterOptions(sessions) {
+  const folders = [...new Set(sessions.map((s) => s.folder).filter(Boolean))].sort(byName);
+  const tags = [...new Set(sessions.flatMap((s) => s.tags || []))].sort(byName);
+  return [
+    { id: 'all', label: 'All chats' },
+    ...(sessions.some((s) => s.pinned) ? [{ id: 'pinned', label: '📌 Pinned' }] : []),
+    ...folders.map((f) => ({ id: `folder:${f}`, label: `📁 ${f}` })),
+    ...tags.map((t) => ({ id: `tag:${t}`, label: `# ${t}` })),
+  ];
+}
+
+// "work, q3 , ,ideas" → ['work', 'q3', 'ideas']
+export const parseTags = (text) =>
+  text
+    .split(',')
+    .map((t) => t.trim())
+    .filter(Boolean);
@@ -0,0 +1,29 @@
+import { organizeSessions, filterOptions, parseTags } from './sessions';
+
+const SESSIONS = [
+  { id: 'a', title: 'Budget', createdAt: '2026-01-01T00:00:00Z', updatedAt: '2026-03-01T00:00:00Z', pinned: false, folder: 'Work', tags: ['q3'] },
+  { id: 'b', title: 'apples', createdAt: '2026-02-01T00:00:00Z', updatedAt: '2026-02-01T00:00:00Z', pinned: true, folder: null, tags: [] },
+  { id: 'c', title: 'Chat 10', createdAt: '2026-01-15T00:00:00Z', pinned: false, folder: 'Work', tags: ['q3', 'ideas'] },
+  { id: 'd', title: 'Chat 9', createdAt: '2026-01-10T00:00:00Z', updatedAt: '2026-04-01T00:00:00Z', pinned: false, folder: null, tags: [] },
+];
+
+const ids = ({ pinned, others }) => [pinned.map((s) => s.id), others.map((s) => s.id)];
+
+test('pinned chats come first, each group in the chosen order', () => {
+  expect(ids(organizeSessions(SESSIONS))).toEqual([['b'], ['d', 'a', 'c']]);
+  expect(ids(organizeSessions(SESSIONS, { sort: 'created' }))).toEqual([['b'], ['c', 'd', 'a']]);
+  // Case-insensitive, numbers in titles compare as numbers
+  expect(ids(organizeSessions(SESSIONS, { sort: 'title' }))).toEqual([['b'], ['a', 'd', 'c']]);
+});
+
+test('filters narrow the list to a folder, a tag or pinned chats', () => {
+  expect(ids(organizeSessions(SESSIONS, { filter: 'folder:Work' }))).toEqual([[], ['a', 'c']]);
+  expect(ids(organizeSessions(SESSIONS, { filter: 'tag:ideas' }))).toEqual([[], ['c']]);
+  expect(ids(organizeSessions(SESSIONS, { filter: 'pinned' }))).toEqual([['b'], []]);
+});
+
+test('the filter menu lists the folders and tags in use', () => {
+  expect(filterOptions(SESSIONS).map((o) => o.id)).toEqual(['all', 'pinned', 'folder:Work', 'tag:ideas', 'tag:q3']);
+  expect(filterOptions([]).map((o) => o.id)).toEqual(['all']);
+  expect(parseTags('work, q3 , ,ideas')).toEqual(['work', 'q3', 'ideas']);
+});
@@ -0,0 +1,54 @@
+// Conversation tree helpers (see server/thread.js)
+//
+// A session's messages are a tree — { id, parentId } — and the chat shows one
+// branch of it: the path from the root to the active leaf.
+
+const childrenOf = (messages) => {
+  const children = new Map();
+  for (const m of messages) {
+    const key = m.parentId ?? null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(m);
+  }
+  return children;
+};
+
+// Root → id path, as far back as the loaded messages go
+export function pathTo(messages, id) {
+  const byId = new Map(messages.map((m) => [m.id, m]));
+  const path = new Set(); // a set, so a parent cycle can't loop forever (as in server/thread.js)
+  for (let m = byId.get(id); m && !path.has(m); m = byId.get(m.parentId)) path.add(m);
+  return [...path].reverse();
+}
+
+// Root → leaf path for the branch ending at (or passing through) leafId.
+// An unknown leafId shows the branch of the last message.
+export function threadPath(messages, leafId) {
+  const start = messages.some((m) => m.id === leafId) ? leafId : messages.at(-1)?.id;
+  const leaf = latestLeaf(messages, start);
+  return leaf ? pathTo(messages, leaf.id) : [];
+}
+
+// The leaf reached from id by always following the most recently added child
+export function latestLeaf(messages, id) {
+  const children = childrenOf(messages);
+  const seen = new Set();
+  let node = messages.find((m) => m.id === id);
+  while (node && !seen.has(node) && children.get(node.id)?.length) {
+    seen.add(node);
+    node = children.get(node.id).at(-1);
+  }
+  return node;
+}
+
+// Alternatives shown by the branch switcher: messages sharing this one's parent
+export function siblingsOf(messages, message) {
+  return messages.filter((m) => (m.parentId ?? null) === (message.parentId ?? null));
+}
+
+// Leaf to show so that `id` is on screen: the current one if its branch already
+// passes through `id`, otherwise the newest leaf below `id`
+export function leafShowing(messages, leafId, id) {
+  if (threadPath(messages, leafId).some((m) => m.id === id)) return leafId;
+  return latestLeaf(messages, id)?.id ?? leafId;
+}
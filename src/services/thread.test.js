@@ -0,0 +1,59 @@
+import { threadPath, pathTo, latestLeaf, siblingsOf, leafShowing } from './thread';
+
+// u1 → a1 → u2 → a2
+//         ↘ u2' → a2'      (edited prompt)
+//    ↘ a1'                 (regenerated answer)
+const m = (id, parentId) => ({ id, parentId });
+const TREE = [
+  m('u1', null),
+  m('a1', 'u1'),
+  m('u2', 'a1'),
+  m('a2', 'u2'),
+  m('u2e', 'a1'),
+  m('a2e', 'u2e'),
+  m('a1r', 'u1'),
+];
+
+const ids = (list) => list.map((x) => x.id);
+
+test('the path runs from the root to the active leaf', () => {
+  expect(ids(threadPath(TREE, 'a2'))).toEqual(['u1', 'a1', 'u2', 'a2']);
+  expect(ids(threadPath(TREE, 'a2e'))).toEqual(['u1', 'a1', 'u2e', 'a2e']);
+  expect(ids(threadPath(TREE, 'a1r'))).toEqual(['u1', 'a1r']);
+});
+
+test('an inner or unknown id follows the newest branch down', () => {
+  expect(ids(threadPath(TREE, 'a1'))).toEqual(['u1', 'a1', 'u2e', 'a2e']);
+  expect(ids(threadPath(TREE, 'missing'))).toEqual(['u1', 'a1r']);
+  expect(threadPath([], null)).toEqual([]);
+  expect(latestLeaf(TREE, 'u1').id).toBe('a1r');
+});
+
+test('siblings share a parent, in the order they were added', () => {
+  expect(ids(siblingsOf(TREE, m('u2e', 'a1')))).toEqual(['u2', 'u2e']);
+  expect(ids(siblingsOf(TREE, m('u1', null)))).toEqual(['u1']);
+  // Messages from before branching have no parentId at all
+  expect(ids(siblingsOf([{ id: 'x' }], { id: 'x' }))).toEqual(['x']);
+});
+
+test('a path stops at the oldest loaded message', () => {
+  expect(ids(pathTo(TREE, 'u2'))).toEqual(['u1', 'a1', 'u2']);
+  // Older pages not fetched yet: u1 and a1 are missing
+  expect(ids(pathTo(TREE.slice(2), 'a2'))).toEqual(['u2', 'a2']);
+  expect(pathTo(TREE, undefined)).toEqual([]);
+});
+
+test('jumping to a message keeps the branch on screen when it already shows it', () => {
+  expect(leafShowing(TREE, 'a2', 'u2')).toBe('a2');
+  expect(leafShowing(TREE, 'a2', 'u1')).toBe('a2');
+  expect(leafShowing(TREE, 'a2', 'u2e')).toBe('a2e');
+  expect(leafShowing(TREE, 'a2e', 'a1r')).toBe('a1r');
+});
+
+test('a parent cycle ends the walk instead of looping', () => {
+  const cycle = [m('a', 'b'), m('b', 'a'), m('c', 'c')];
+  expect(ids(pathTo(cycle, 'a'))).toEqual(['b', 'a']);
+  expect(ids(pathTo(cycle, 'c'))).toEqual(['c']);
+  expect(latestLeaf(cycle, 'a')).toBeDefined();
+  expect(ids(threadPath(cycle, 'c'))).toEqual(['c']);
+});